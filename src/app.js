@@ -0,0 +1,90 @@
+const express = require('express');
+const cors = require('cors');
+const rateLimit = require('express-rate-limit');
+const { pool } = require('./config/database');
+const logger = require('./utils/logger');
+const authRoutes = require('./routes/auth');
+const cubbyRoutes = require('./routes/cubby');
+const gmbRoutes = require('./routes/gmb');
+const funnelRoutes = require('./routes/funnel');
+const campaignRoutes = require('./routes/campaigns');
+const organizationRoutes = require('./routes/organizations');
+const userRoutes = require('./routes/users');
+const reviewRoutes = require('./routes/reviews');
+const alertRoutes = require('./routes/alerts');
+const analyticsRoutes = require('./routes/analytics');
+const exportRoutes = require('./routes/exports');
+const reportRoutes = require('./routes/reports');
+const smsRoutes = require('./routes/sms');
+
+// Initialize express app
+const app = express();
+
+// Provider webhooks arrive from a few shared IPs and are signature-checked; throttling
+// them would drop opt-outs and PMS events
+const WEBHOOK_PATHS = ['/sms/inbound', '/cubby/webhook'];
+
+// Rate limiting
+const limiter = rateLimit({
+    windowMs: process.env.RATE_LIMIT_WINDOW_MS || 15 * 60 * 1000, // 15 minutes
+    max: process.env.RATE_LIMIT_MAX_REQUESTS || 100, // limit each IP to 100 requests per windowMs
+    skip: (req) => WEBHOOK_PATHS.includes(req.path),
+});
+
+// Middleware
+app.use(
+    cors({
+        origin: process.env.CORS_ORIGIN || '*',
+        methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
+        allowedHeaders: ['Content-Type', 'Authorization'],
+    })
+);
+app.use(
+    express.json({
+        // Webhook signatures are computed over the exact bytes received
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        },
+    })
+);
+app.use(express.urlencoded({ extended: true }));
+app.use(limiter);
+
+// Request logging middleware
+app.use((req, res, next) => {
+    logger.info(`${req.method} ${req.url}`);
+    next();
+});
+
+// Routes
+app.use('/auth', authRoutes);
+app.use('/cubby', cubbyRoutes);
+app.use('/gmb', gmbRoutes);
+app.use('/funnel', funnelRoutes);
+app.use('/campaigns', campaignRoutes);
+app.use('/organizations', organizationRoutes);
+app.use('/users', userRoutes);
+app.use('/reviews', reviewRoutes);
+app.use('/alerts', alertRoutes);
+app.use('/analytics', analyticsRoutes);
+app.use('/exports', exportRoutes);
+app.use('/reports', reportRoutes);
+app.use('/sms', smsRoutes);
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+    res.json({ status: 'ok' });
+});
+
+// Database health check
+app.get('/health/db', async (req, res) => {
+    try {
+        await pool.query('SELECT 1');
+        res.json({ status: 'ok' });
+    } catch (error) {
+        logger.error('Database health check failed:', error);
+        res.status(500).json({ status: 'error', message: 'Database connection failed' });
+    }
+});
+
+module.exports = app;
@@ -1,6 +1,10 @@
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
 require('dotenv').config();
 
+// DATE columns are calendar days: keep them as 'YYYY-MM-DD' rather than Dates at
+// local midnight, which shift a day when converted to UTC
+types.setTypeParser(types.builtins.DATE, (value) => value);
+
 const pool = new Pool({
     user: process.env.DB_USER,
     host: process.env.DB_HOST,
@@ -1,68 +1,23 @@
 require('dotenv').config();
-const express = require('express');
-const cors = require('cors');
-const rateLimit = require('express-rate-limit');
 const { pool } = require('./config/database');
 const logger = require('./utils/logger');
 const BigQuerySync = require('./services/BigQuerySync');
 const CubbyPMS = require('./services/CubbyPMS');
+const CubbyWebhooks = require('./services/CubbyWebhooks');
+const ReviewRequestDispatcher = require('./services/ReviewRequestDispatcher');
+const ReviewIngestion = require('./services/ReviewIngestion');
+const ReviewAttribution = require('./services/ReviewAttribution');
+const ReviewAlerts = require('./services/ReviewAlerts');
+const ReputationReports = require('./services/ReputationReports');
+const { registerChannels } = require('./services/channels');
 const cron = require('node-cron');
-const authRoutes = require('./routes/auth');
-const cubbyRoutes = require('./routes/cubby');
-const gmbRoutes = require('./routes/gmb');
-
-// Initialize express app
-const app = express();
-
-// Rate limiting
-const limiter = rateLimit({
-    windowMs: process.env.RATE_LIMIT_WINDOW_MS || 15 * 60 * 1000, // 15 minutes
-    max: process.env.RATE_LIMIT_MAX_REQUESTS || 100, // limit each IP to 100 requests per windowMs
-});
-
-// Middleware
-app.use(
-    cors({
-        origin: process.env.CORS_ORIGIN || '*',
-        methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-        allowedHeaders: ['Content-Type', 'Authorization'],
-    })
-);
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-app.use(limiter);
-
-// Request logging middleware
-app.use((req, res, next) => {
-    logger.info(`${req.method} ${req.url}`);
-    next();
-});
-
-// Routes
-app.use('/auth', authRoutes);
-app.use('/cubby', cubbyRoutes);
-app.use('/gmb', gmbRoutes);
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({ status: 'ok' });
-});
-
-// Database health check
-app.get('/health/db', async (req, res) => {
-    try {
-        await pool.query('SELECT 1');
-        res.json({ status: 'ok' });
-    } catch (error) {
-        logger.error('Database health check failed:', error);
-        res.status(500).json({ status: 'error', message: 'Database connection failed' });
-    }
-});
+const app = require('./app');
 
 // Initialize services
 async function initializeServices() {
     try {
         // await CubbyPMS.initialize();
+        registerChannels(ReviewRequestDispatcher);
         logger.info('All services initialized successfully');
     } catch (error) {
         logger.error('Service initialization failed:', error);
@@ -75,27 +30,113 @@ async function initializeServices() {
 cron.schedule(process.env.BIGQUERY_SYNC_SCHEDULE || '0 0 * * *', async () => {
     try {
         logger.info('Starting scheduled BigQuery sync...');
-        const syncedCount = await BigQuerySync.syncTenantData();
+        const { tenants, facilities } = await BigQuerySync.syncTenantData();
         logger.info(
-            `BigQuery sync completed. Synced Tenants: ${syncedCount.tenants} and Facilities: ${syncedCount.facilities} records.`
+            `BigQuery sync completed. Synced Tenants: ${tenants.successCount} (${tenants.failureCount} failed) and Facilities: ${facilities.successCount} (${facilities.failureCount} failed) records.`
         );
     } catch (error) {
         logger.error('Scheduled BigQuery sync failed:', error);
     }
 });
 
-// Schedule Cubby PMS sync job
+// Schedule Cubby PMS delta sync job (records changed since the last run)
 // Run every 6 hours
 cron.schedule(process.env.CUBBY_SYNC_SCHEDULE || '0 */6 * * *', async () => {
     try {
         logger.info('Starting scheduled Cubby PMS sync...');
-        const facilityCount = await CubbyPMS.syncFacilities();
-        logger.info(`Cubby PMS sync completed. Synced ${facilityCount} facilities.`);
+        const result = await CubbyPMS.syncAll();
+        logger.info(
+            `Cubby PMS sync completed. Synced ${result.facilities.total} facilities and tenants of ${result.tenants.facilities} facilities.`
+        );
     } catch (error) {
         logger.error('Scheduled Cubby PMS sync failed:', error);
     }
 });
 
+// Schedule Cubby PMS full resync, which also reconciles deletions
+// Run every Sunday at 3am
+cron.schedule(process.env.CUBBY_FULL_SYNC_SCHEDULE || '0 3 * * 0', async () => {
+    try {
+        logger.info('Starting scheduled Cubby PMS full resync...');
+        const result = await CubbyPMS.syncAll({ full: true });
+        logger.info(
+            `Cubby PMS full resync completed. Deactivated ${result.facilities.deactivated} facilities.`
+        );
+    } catch (error) {
+        logger.error('Scheduled Cubby PMS full resync failed:', error);
+    }
+});
+
+// Process Cubby webhook events still waiting in the event log
+// Run every minute
+cron.schedule(process.env.CUBBY_WEBHOOK_PROCESS_SCHEDULE || '* * * * *', async () => {
+    try {
+        const result = await CubbyWebhooks.processPending();
+        if (result.processed || result.failed) {
+            logger.info(
+                `Processed ${result.processed} Cubby webhook events, ${result.failed} failed.`
+            );
+        }
+    } catch (error) {
+        logger.error('Scheduled Cubby webhook processing failed:', error);
+    }
+});
+
+// Schedule review request dispatch
+// Run every hour
+cron.schedule(process.env.REVIEW_DISPATCH_SCHEDULE || '0 * * * *', async () => {
+    try {
+        logger.info('Starting scheduled review request dispatch...');
+        const result = await ReviewRequestDispatcher.dispatch();
+        logger.info(
+            `Review request dispatch completed. Created ${result.created}, sent ${result.sent} requests.`
+        );
+    } catch (error) {
+        logger.error('Scheduled review request dispatch failed:', error);
+    }
+});
+
+// Schedule Google review ingestion, then credit new reviews to review requests
+// Run every 3 hours
+cron.schedule(process.env.REVIEW_INGEST_SCHEDULE || '30 */3 * * *', async () => {
+    try {
+        logger.info('Starting scheduled review ingestion...');
+        const result = await ReviewIngestion.ingestAll();
+        logger.info(`Review ingestion completed for ${result.facilities} facilities.`);
+
+        const { attributed } = await ReviewAttribution.attributeAll();
+        logger.info(`Attributed ${attributed} reviews to review requests.`);
+    } catch (error) {
+        logger.error('Scheduled review ingestion failed:', error);
+    }
+});
+
+// Schedule review alert evaluation
+// Run every 15 minutes
+cron.schedule(process.env.ALERT_EVALUATION_SCHEDULE || '*/15 * * * *', async () => {
+    try {
+        const result = await ReviewAlerts.evaluateAll();
+        if (result.alerts) {
+            logger.info(`Raised ${result.alerts} review alerts.`);
+        }
+    } catch (error) {
+        logger.error('Scheduled review alert evaluation failed:', error);
+    }
+});
+
+// Send reputation reports whose local delivery time has come
+// Run every hour
+cron.schedule(process.env.REPORT_SCHEDULE || '5 * * * *', async () => {
+    try {
+        const result = await ReputationReports.sendDue();
+        if (result.sent || result.failed) {
+            logger.info(`Sent ${result.sent} reputation reports, ${result.failed} failed.`);
+        }
+    } catch (error) {
+        logger.error('Scheduled reputation reports failed:', error);
+    }
+});
+
 // Start server
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, async () => {
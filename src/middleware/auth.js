@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const UserSession = require('../models/UserSession');
 const logger = require('../utils/logger');
 
 const auth = (roles = []) => {
@@ -14,6 +15,12 @@ const auth = (roles = []) => {
             // Verify token
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+            // Reject tokens of sessions that were logged out or revoked, and tokens
+            // issued before sessions existed, which could not be revoked at all
+            if (!decoded.sid || !(await UserSession.isActive(decoded.sid))) {
+                return res.status(401).json({ error: 'Session revoked' });
+            }
+
             // Add user to request object
             req.user = decoded;
 
@@ -0,0 +1,38 @@
+const Facility = require('../models/Facility');
+const UserPermission = require('../models/UserPermission');
+const { loadScope } = require('./orgScope');
+const logger = require('../utils/logger');
+
+/**
+ * Loads the facility named by a route parameter into `req.facility`, answering
+ * 404 when it does not exist or belongs to another organization. `column`
+ * selects how the parameter is matched (`id` or `gmb_place_id`). When a
+ * `permission` is given the user must also hold it for that facility.
+ */
+const facilityAccess = ({ param = 'facilityId', column = 'id', permission = null } = {}) => {
+    return async (req, res, next) => {
+        try {
+            const scope = await loadScope(req);
+            const facility = await Facility.findAccessibleBy(column, req.params[param], scope);
+
+            if (!facility) {
+                return res.status(404).json({ error: 'Facility not found' });
+            }
+
+            if (
+                permission &&
+                !(await UserPermission.hasPermission(req.user, permission, facility))
+            ) {
+                return res.status(403).json({ error: 'Insufficient permissions' });
+            }
+
+            req.facility = facility;
+            next();
+        } catch (error) {
+            logger.error('Facility access error:', error);
+            res.status(500).json({ error: 'Failed to verify facility access' });
+        }
+    };
+};
+
+module.exports = facilityAccess;
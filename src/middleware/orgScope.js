@@ -0,0 +1,32 @@
+const Organization = require('../models/Organization');
+const logger = require('../utils/logger');
+
+// Platform admins operate across every organization
+const loadScope = async (req) => {
+    if (!req.scope) {
+        req.scope = {
+            all: req.user.role === 'admin',
+            organizationIds: await Organization.findIdsForUser(req.user.id),
+        };
+    }
+    return req.scope;
+};
+
+/**
+ * Resolves which organizations the authenticated user belongs to and exposes
+ * them as `req.scope` for scoped model queries. Must run after `auth()`.
+ */
+const orgScope = () => {
+    return async (req, res, next) => {
+        try {
+            await loadScope(req);
+            next();
+        } catch (error) {
+            logger.error('Organization scope error:', error);
+            res.status(500).json({ error: 'Failed to resolve organization access' });
+        }
+    };
+};
+
+module.exports = orgScope;
+module.exports.loadScope = loadScope;
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// Comma-separated so a new secret can be added before the old one is retired
+const parseSecrets = (value) =>
+    (value || '')
+        .split(',')
+        .map((secret) => secret.trim())
+        .filter(Boolean);
+
+/**
+ * Checks a webhook signature: the hex HMAC-SHA256, under any of `secrets`, of
+ * `<timestamp>.<raw body>`, where the timestamp is Unix seconds and must be
+ * within `toleranceSeconds` of now. Resolves to null when valid, otherwise to
+ * the reason it was rejected.
+ */
+function checkSignature({ rawBody, signature, timestamp, secrets, toleranceSeconds, now }) {
+    if (!secrets.length) {
+        return 'No webhook secret configured';
+    }
+    if (!signature || !timestamp || !rawBody) {
+        return 'Missing signature, timestamp or body';
+    }
+
+    const sentAt = Number(timestamp);
+    if (!Number.isInteger(sentAt)) {
+        return 'Invalid timestamp';
+    }
+    if (Math.abs(Math.floor(now / 1000) - sentAt) > toleranceSeconds) {
+        return 'Timestamp outside the tolerance window';
+    }
+
+    const received = Buffer.from(signature.replace(/^sha256=/, ''), 'hex');
+    const payload = Buffer.concat([Buffer.from(`${timestamp}.`), rawBody]);
+    const matches = secrets.some((secret) => {
+        const expected = crypto.createHmac('sha256', secret).update(payload).digest();
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    });
+    return matches ? null : 'Signature mismatch';
+}
+
+/**
+ * Rejects webhook requests without a valid signature over the exact request
+ * body (kept as `req.rawBody` by the JSON parser in app.js) with 401.
+ * Options name the signature and timestamp headers and the environment
+ * variables holding the secrets and the tolerance window.
+ */
+const webhookSignature = ({
+    signatureHeader,
+    timestampHeader,
+    secretsEnv,
+    toleranceEnv,
+    now = () => Date.now(),
+}) => {
+    return (req, res, next) => {
+        const toleranceSeconds =
+            parseInt(process.env[toleranceEnv], 10) || DEFAULT_TOLERANCE_SECONDS;
+        const reason = checkSignature({
+            rawBody: req.rawBody,
+            signature: req.headers[signatureHeader],
+            timestamp: req.headers[timestampHeader],
+            secrets: parseSecrets(process.env[secretsEnv]),
+            toleranceSeconds,
+            now: now(),
+        });
+
+        if (reason) {
+            logger.warn(`Rejected webhook to ${req.originalUrl}: ${reason}`);
+            return res.status(401).json({ error: 'Invalid webhook signature' });
+        }
+        next();
+    };
+};
+
+module.exports = webhookSignature;
+module.exports.checkSignature = checkSignature;
@@ -1,42 +1,253 @@
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { pool } = require('../config/database');
 
-async function runMigrations() {
+const MIGRATIONS_DIR = path.join(__dirname, 'versions');
+const MIGRATION_FILE_PATTERN = /^(\d+)_[\w-]+\.js$/;
+
+// Arbitrary key for pg_advisory_lock so two runners never migrate at once
+const LOCK_KEY = 727157;
+
+/**
+ * Loads every migration in `versions/`, ordered by its numeric prefix. Each
+ * file exports `up` and `down` SQL strings; the checksum covers both so an
+ * edited migration is caught before anything else runs.
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    return fs
+        .readdirSync(dir)
+        .filter((file) => MIGRATION_FILE_PATTERN.test(file))
+        .map((file) => {
+            const migration = require(path.join(dir, file));
+            if (typeof migration.up !== 'string' || typeof migration.down !== 'string') {
+                throw new Error(`Migration ${file} must export "up" and "down" SQL strings`);
+            }
+
+            return {
+                version: parseInt(file.match(MIGRATION_FILE_PATTERN)[1], 10),
+                name: path.basename(file, '.js'),
+                up: migration.up,
+                down: migration.down,
+                checksum: crypto
+                    .createHash('sha256')
+                    .update(`${migration.up}\n--\n${migration.down}`)
+                    .digest('hex'),
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS migrations (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            executed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+        ALTER TABLE migrations ADD COLUMN IF NOT EXISTS checksum VARCHAR(64);
+        CREATE UNIQUE INDEX IF NOT EXISTS migrations_name_key ON migrations (name);
+    `);
+}
+
+async function getAppliedMigrations(client) {
+    const result = await client.query('SELECT * FROM migrations ORDER BY name ASC');
+    return result.rows;
+}
+
+// Refuse to run when an applied migration was edited or removed from disk
+function verifyApplied(migrations, applied) {
+    const byName = new Map(migrations.map((migration) => [migration.name, migration]));
+
+    for (const row of applied) {
+        const migration = byName.get(row.name);
+        if (!migration) {
+            throw new Error(`Applied migration ${row.name} is missing from ${MIGRATIONS_DIR}`);
+        }
+        if (row.checksum && row.checksum !== migration.checksum) {
+            throw new Error(
+                `Checksum mismatch for ${row.name}: the migration was changed after it was applied`
+            );
+        }
+    }
+}
+
+async function withLock(operation) {
+    const client = await pool.connect();
     try {
-        // Create migrations table if it doesn't exist
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS migrations (
-                id SERIAL PRIMARY KEY,
-                name VARCHAR(255) NOT NULL,
-                executed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+        await ensureMigrationsTable(client);
+        return await operation(client);
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+        client.release();
+    }
+}
+
+async function runInTransaction(client, sql, bookkeeping) {
+    await client.query('BEGIN');
+    try {
+        await client.query(sql);
+        await bookkeeping();
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    }
+}
+
+async function up({ dryRun = false, to = null, log = console.log } = {}) {
+    return withLock(async (client) => {
+        const migrations = loadMigrations();
+        const applied = await getAppliedMigrations(client);
+        verifyApplied(migrations, applied);
+
+        const appliedNames = new Set(applied.map((row) => row.name));
+        const pending = migrations.filter(
+            (migration) =>
+                !appliedNames.has(migration.name) && (to === null || migration.version <= to)
+        );
+
+        if (!pending.length) {
+            log('No pending migrations');
+            return [];
+        }
+
+        for (const migration of pending) {
+            if (dryRun) {
+                log(`-- [dry run] up ${migration.name}\n${migration.up.trim()}\n`);
+                continue;
+            }
+
+            log(`Applying ${migration.name}...`);
+            await runInTransaction(client, migration.up, () =>
+                client.query('INSERT INTO migrations (name, checksum) VALUES ($1, $2)', [
+                    migration.name,
+                    migration.checksum,
+                ])
             );
-        `);
+        }
 
-        // Read and execute schema.sql
-        const schemaPath = path.join(__dirname, 'schema.sql');
-        const schemaSQL = fs.readFileSync(schemaPath, 'utf8');
+        return pending.map((migration) => migration.name);
+    });
+}
 
-        // Split the schema into individual statements
-        const statements = schemaSQL
-            .split(';')
-            .map((statement) => statement.trim())
-            .filter((statement) => statement.length > 0);
+async function down({ dryRun = false, steps = 1, log = console.log } = {}) {
+    return withLock(async (client) => {
+        const migrations = loadMigrations();
+        const applied = await getAppliedMigrations(client);
+        verifyApplied(migrations, applied);
 
-        // Execute each statement
-        for (const statement of statements) {
-            await pool.query(statement);
+        const byName = new Map(migrations.map((migration) => [migration.name, migration]));
+        const toRevert = applied
+            .map((row) => byName.get(row.name))
+            .sort((a, b) => b.version - a.version)
+            .slice(0, steps);
+
+        if (!toRevert.length) {
+            log('No applied migrations to revert');
+            return [];
         }
 
-        console.log('Migrations completed successfully');
-        process.exit(0);
-    } catch (error) {
-        console.error('Migration failed:', error);
-        process.exit(1);
+        for (const migration of toRevert) {
+            if (dryRun) {
+                log(`-- [dry run] down ${migration.name}\n${migration.down.trim()}\n`);
+                continue;
+            }
+
+            log(`Reverting ${migration.name}...`);
+            await runInTransaction(client, migration.down, () =>
+                client.query('DELETE FROM migrations WHERE name = $1', [migration.name])
+            );
+        }
+
+        return toRevert.map((migration) => migration.name);
+    });
+}
+
+async function status({ log = console.log } = {}) {
+    return withLock(async (client) => {
+        const migrations = loadMigrations();
+        const applied = new Map((await getAppliedMigrations(client)).map((row) => [row.name, row]));
+
+        const rows = migrations.map((migration) => {
+            const row = applied.get(migration.name);
+            let state = 'pending';
+            if (row) {
+                state =
+                    row.checksum && row.checksum !== migration.checksum ? 'modified' : 'applied';
+            }
+            return {
+                name: migration.name,
+                state,
+                executedAt: row ? row.executed_at : null,
+            };
+        });
+
+        applied.forEach((row, name) => {
+            if (!migrations.some((migration) => migration.name === name)) {
+                rows.push({ name, state: 'missing', executedAt: row.executed_at });
+            }
+        });
+
+        rows.forEach((row) =>
+            log(
+                `${row.state.padEnd(8)} ${row.name}${row.executedAt ? `  (${new Date(row.executedAt).toISOString()})` : ''}`
+            )
+        );
+        return rows;
+    });
+}
+
+function parseArgs(argv) {
+    const options = { command: 'up', dryRun: false, steps: 1, to: null };
+
+    for (const arg of argv) {
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg.startsWith('--steps=')) {
+            options.steps = parseInt(arg.slice('--steps='.length), 10);
+        } else if (arg.startsWith('--to=')) {
+            options.to = parseInt(arg.slice('--to='.length), 10);
+        } else if (!arg.startsWith('--')) {
+            options.command = arg;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!Number.isInteger(options.steps) || options.steps < 1) {
+        throw new Error('--steps must be a positive integer');
     }
+    return options;
 }
 
-runMigrations();
+async function main(argv = process.argv.slice(2)) {
+    const options = parseArgs(argv);
+    const commands = { up, down, status };
+    const command = commands[options.command];
+
+    if (!command) {
+        throw new Error(
+            `Unknown command "${options.command}". Usage: migrate.js [up|down|status] [--dry-run] [--steps=N] [--to=VERSION]`
+        );
+    }
+
+    await command(options);
+}
+
+if (require.main === module) {
+    main()
+        .then(async () => {
+            await pool.end();
+            process.exit(0);
+        })
+        .catch(async (error) => {
+            console.error('Migration failed:', error);
+            await pool.end();
+            process.exit(1);
+        });
+}
 
-module.exports = runMigrations;
+module.exports = { up, down, status, loadMigrations };
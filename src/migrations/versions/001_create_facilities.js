@@ -0,0 +1,27 @@
+module.exports = {
+    up: `
+        CREATE TABLE facilities (
+            id VARCHAR(64) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            address VARCHAR(255),
+            city VARCHAR(100),
+            state VARCHAR(2),
+            zip VARCHAR(20),
+            phone VARCHAR(30),
+            email VARCHAR(255),
+            timezone VARCHAR(64) NOT NULL DEFAULT 'America/New_York',
+            status VARCHAR(20) NOT NULL DEFAULT 'active'
+                CHECK (status IN ('active', 'inactive', 'pending')),
+            gmb_place_id VARCHAR(255),
+            gmb_link TEXT,
+            context_notes TEXT,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX facilities_gmb_place_id_idx ON facilities (gmb_place_id);
+    `,
+    down: `
+        DROP TABLE facilities;
+    `,
+};
@@ -0,0 +1,23 @@
+module.exports = {
+    up: `
+        CREATE TABLE tenants (
+            id SERIAL PRIMARY KEY,
+            facility_id VARCHAR(64) NOT NULL REFERENCES facilities (id) ON DELETE CASCADE,
+            name VARCHAR(255) NOT NULL,
+            unit_number VARCHAR(50) NOT NULL,
+            phone VARCHAR(30),
+            email VARCHAR(255),
+            move_in_date DATE,
+            move_out_date DATE,
+            is_good_standing BOOLEAN NOT NULL DEFAULT false,
+            notification_opt_in BOOLEAN NOT NULL DEFAULT false,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX tenants_facility_unit_idx ON tenants (facility_id, unit_number);
+    `,
+    down: `
+        DROP TABLE tenants;
+    `,
+};
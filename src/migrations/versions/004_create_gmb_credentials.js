@@ -0,0 +1,18 @@
+module.exports = {
+    up: `
+        CREATE TABLE gmb_credentials (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL UNIQUE REFERENCES users (id) ON DELETE CASCADE,
+            access_token TEXT,
+            refresh_token TEXT,
+            scope TEXT,
+            token_type VARCHAR(50),
+            expiry_date TIMESTAMP WITH TIME ZONE,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+    `,
+    down: `
+        DROP TABLE gmb_credentials;
+    `,
+};
@@ -0,0 +1,22 @@
+module.exports = {
+    up: `
+        CREATE TABLE message_templates (
+            id SERIAL PRIMARY KEY,
+            facility_id VARCHAR(64) REFERENCES facilities (id) ON DELETE CASCADE,
+            channel VARCHAR(20) NOT NULL CHECK (channel IN ('sms', 'email')),
+            name VARCHAR(255) NOT NULL,
+            subject VARCHAR(255),
+            html_body TEXT,
+            text_body TEXT NOT NULL,
+            is_default BOOLEAN NOT NULL DEFAULT false,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX message_templates_facility_channel_idx
+            ON message_templates (facility_id, channel);
+    `,
+    down: `
+        DROP TABLE message_templates;
+    `,
+};
@@ -0,0 +1,24 @@
+module.exports = {
+    up: `
+        CREATE TABLE review_campaigns (
+            id SERIAL PRIMARY KEY,
+            facility_id VARCHAR(64) NOT NULL REFERENCES facilities (id) ON DELETE CASCADE,
+            name VARCHAR(255) NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'active'
+                CHECK (status IN ('draft', 'active', 'paused', 'archived')),
+            start_date DATE NOT NULL DEFAULT CURRENT_DATE,
+            end_date DATE,
+            channels TEXT[] NOT NULL DEFAULT '{sms,email}',
+            sms_template_id INTEGER REFERENCES message_templates (id) ON DELETE SET NULL,
+            email_template_id INTEGER REFERENCES message_templates (id) ON DELETE SET NULL,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            CHECK (end_date IS NULL OR end_date >= start_date)
+        );
+
+        CREATE INDEX review_campaigns_facility_status_idx ON review_campaigns (facility_id, status);
+    `,
+    down: `
+        DROP TABLE review_campaigns;
+    `,
+};
@@ -0,0 +1,29 @@
+module.exports = {
+    up: `
+        CREATE TABLE review_requests (
+            id SERIAL PRIMARY KEY,
+            campaign_id INTEGER REFERENCES review_campaigns (id) ON DELETE SET NULL,
+            facility_id VARCHAR(64) NOT NULL REFERENCES facilities (id) ON DELETE CASCADE,
+            tenant_id INTEGER NOT NULL REFERENCES tenants (id) ON DELETE CASCADE,
+            channel VARCHAR(20) NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'pending',
+            token VARCHAR(64) NOT NULL UNIQUE,
+            message_id VARCHAR(255),
+            error TEXT,
+            rating SMALLINT CHECK (rating BETWEEN 1 AND 5),
+            sent_at TIMESTAMP WITH TIME ZONE,
+            clicked_at TIMESTAMP WITH TIME ZONE,
+            rated_at TIMESTAMP WITH TIME ZONE,
+            google_clicked_at TIMESTAMP WITH TIME ZONE,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX review_requests_campaign_status_idx ON review_requests (campaign_id, status);
+        CREATE INDEX review_requests_tenant_created_idx ON review_requests (tenant_id, created_at);
+        CREATE INDEX review_requests_facility_idx ON review_requests (facility_id);
+    `,
+    down: `
+        DROP TABLE review_requests;
+    `,
+};
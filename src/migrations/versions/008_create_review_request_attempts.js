@@ -0,0 +1,22 @@
+module.exports = {
+    up: `
+        CREATE TABLE review_request_attempts (
+            id SERIAL PRIMARY KEY,
+            review_request_id INTEGER NOT NULL REFERENCES review_requests (id) ON DELETE CASCADE,
+            channel VARCHAR(20) NOT NULL,
+            provider VARCHAR(50) NOT NULL,
+            status VARCHAR(20) NOT NULL,
+            provider_message_id VARCHAR(255),
+            error TEXT,
+            attempted_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX review_request_attempts_request_idx
+            ON review_request_attempts (review_request_id);
+    `,
+    down: `
+        DROP TABLE review_request_attempts;
+    `,
+};
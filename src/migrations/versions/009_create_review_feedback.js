@@ -0,0 +1,19 @@
+module.exports = {
+    up: `
+        CREATE TABLE review_feedback (
+            id SERIAL PRIMARY KEY,
+            facility_id VARCHAR(64) NOT NULL REFERENCES facilities (id) ON DELETE CASCADE,
+            review_request_id INTEGER REFERENCES review_requests (id) ON DELETE SET NULL,
+            tenant_id INTEGER REFERENCES tenants (id) ON DELETE SET NULL,
+            rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+            comment TEXT,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX review_feedback_facility_idx ON review_feedback (facility_id, created_at);
+    `,
+    down: `
+        DROP TABLE review_feedback;
+    `,
+};
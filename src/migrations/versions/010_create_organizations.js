@@ -0,0 +1,33 @@
+module.exports = {
+    up: `
+        CREATE TABLE organizations (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            slug VARCHAR(100) NOT NULL UNIQUE,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE organization_members (
+            id SERIAL PRIMARY KEY,
+            organization_id INTEGER NOT NULL REFERENCES organizations (id) ON DELETE CASCADE,
+            user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+            role VARCHAR(20) NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'member')),
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (organization_id, user_id)
+        );
+
+        CREATE INDEX organization_members_user_idx ON organization_members (user_id);
+
+        ALTER TABLE facilities
+            ADD COLUMN organization_id INTEGER REFERENCES organizations (id) ON DELETE SET NULL;
+
+        CREATE INDEX facilities_organization_idx ON facilities (organization_id);
+    `,
+    down: `
+        ALTER TABLE facilities DROP COLUMN organization_id;
+        DROP TABLE organization_members;
+        DROP TABLE organizations;
+    `,
+};
@@ -0,0 +1,19 @@
+module.exports = {
+    up: `
+        CREATE TABLE user_permissions (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+            permission VARCHAR(50) NOT NULL,
+            facility_id VARCHAR(64) REFERENCES facilities (id) ON DELETE CASCADE,
+            region VARCHAR(2),
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            CHECK (facility_id IS NULL OR region IS NULL)
+        );
+
+        CREATE INDEX user_permissions_user_idx ON user_permissions (user_id, permission);
+    `,
+    down: `
+        DROP TABLE user_permissions;
+    `,
+};
@@ -0,0 +1,33 @@
+module.exports = {
+    up: `
+        CREATE TABLE user_sessions (
+            id VARCHAR(36) PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+            user_agent TEXT,
+            ip_address VARCHAR(64),
+            expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+            last_used_at TIMESTAMP WITH TIME ZONE,
+            revoked_at TIMESTAMP WITH TIME ZONE,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX user_sessions_user_idx ON user_sessions (user_id);
+
+        CREATE TABLE refresh_tokens (
+            id SERIAL PRIMARY KEY,
+            session_id VARCHAR(36) NOT NULL REFERENCES user_sessions (id) ON DELETE CASCADE,
+            token_hash VARCHAR(64) NOT NULL UNIQUE,
+            expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+            rotated_at TIMESTAMP WITH TIME ZONE,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX refresh_tokens_session_idx ON refresh_tokens (session_id);
+    `,
+    down: `
+        DROP TABLE refresh_tokens;
+        DROP TABLE user_sessions;
+    `,
+};
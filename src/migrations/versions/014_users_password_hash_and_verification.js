@@ -0,0 +1,18 @@
+module.exports = {
+    up: `
+        ALTER TABLE users RENAME COLUMN password TO password_hash;
+        ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP WITH TIME ZONE;
+
+        -- Invited users proved their address by accepting the invitation
+        UPDATE users
+        SET email_verified_at = ut.used_at
+        FROM user_tokens ut
+        WHERE ut.user_id = users.id
+        AND ut.purpose = 'invite'
+        AND ut.used_at IS NOT NULL;
+    `,
+    down: `
+        ALTER TABLE users DROP COLUMN email_verified_at;
+        ALTER TABLE users RENAME COLUMN password_hash TO password;
+    `,
+};
@@ -0,0 +1,30 @@
+module.exports = {
+    up: `
+        CREATE TABLE reviews (
+            id SERIAL PRIMARY KEY,
+            facility_id VARCHAR(64) NOT NULL REFERENCES facilities (id) ON DELETE CASCADE,
+            gmb_review_id VARCHAR(255) NOT NULL UNIQUE,
+            reviewer_name VARCHAR(255),
+            reviewer_photo_url TEXT,
+            reviewer_is_anonymous BOOLEAN NOT NULL DEFAULT FALSE,
+            rating SMALLINT CHECK (rating BETWEEN 1 AND 5),
+            comment TEXT,
+            reply_comment TEXT,
+            reply_updated_at TIMESTAMP WITH TIME ZONE,
+            review_created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+            review_updated_at TIMESTAMP WITH TIME ZONE,
+            deleted_at TIMESTAMP WITH TIME ZONE,
+            last_seen_at TIMESTAMP WITH TIME ZONE NOT NULL,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX reviews_facility_created_idx ON reviews (facility_id, review_created_at);
+
+        ALTER TABLE facilities ADD COLUMN reviews_synced_at TIMESTAMP WITH TIME ZONE;
+    `,
+    down: `
+        ALTER TABLE facilities DROP COLUMN reviews_synced_at;
+        DROP TABLE reviews;
+    `,
+};
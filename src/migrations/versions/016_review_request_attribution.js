@@ -0,0 +1,20 @@
+module.exports = {
+    up: `
+        ALTER TABLE review_requests
+            ADD COLUMN review_id INTEGER REFERENCES reviews (id) ON DELETE SET NULL,
+            ADD COLUMN attribution_confidence NUMERIC(4, 3),
+            ADD COLUMN completed_at TIMESTAMP WITH TIME ZONE;
+
+        -- A posted review is credited to at most one request
+        CREATE UNIQUE INDEX review_requests_review_id_key ON review_requests (review_id)
+            WHERE review_id IS NOT NULL;
+    `,
+    down: `
+        DROP INDEX review_requests_review_id_key;
+
+        ALTER TABLE review_requests
+            DROP COLUMN completed_at,
+            DROP COLUMN attribution_confidence,
+            DROP COLUMN review_id;
+    `,
+};
@@ -0,0 +1,38 @@
+module.exports = {
+    up: `
+        CREATE TABLE reply_templates (
+            id SERIAL PRIMARY KEY,
+            organization_id INTEGER REFERENCES organizations (id) ON DELETE CASCADE,
+            name VARCHAR(255) NOT NULL,
+            body TEXT NOT NULL,
+            min_rating SMALLINT CHECK (min_rating BETWEEN 1 AND 5),
+            max_rating SMALLINT CHECK (max_rating BETWEEN 1 AND 5),
+            created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX reply_templates_organization_idx ON reply_templates (organization_id);
+
+        CREATE TABLE review_replies (
+            id SERIAL PRIMARY KEY,
+            facility_id VARCHAR(64) NOT NULL REFERENCES facilities (id) ON DELETE CASCADE,
+            review_id INTEGER REFERENCES reviews (id) ON DELETE SET NULL,
+            gmb_review_id VARCHAR(255) NOT NULL,
+            template_id INTEGER REFERENCES reply_templates (id) ON DELETE SET NULL,
+            author_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+            comment TEXT NOT NULL,
+            status VARCHAR(20) NOT NULL CHECK (status IN ('posted', 'failed')),
+            error TEXT,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX review_replies_review_idx ON review_replies (gmb_review_id, created_at);
+        CREATE INDEX review_replies_facility_idx ON review_replies (facility_id, created_at);
+    `,
+    down: `
+        DROP TABLE review_replies;
+        DROP TABLE reply_templates;
+    `,
+};
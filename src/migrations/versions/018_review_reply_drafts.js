@@ -0,0 +1,46 @@
+module.exports = {
+    up: `
+        CREATE TABLE review_reply_drafts (
+            id SERIAL PRIMARY KEY,
+            facility_id VARCHAR(64) NOT NULL REFERENCES facilities (id) ON DELETE CASCADE,
+            review_id INTEGER NOT NULL REFERENCES reviews (id) ON DELETE CASCADE,
+            template_id INTEGER REFERENCES reply_templates (id) ON DELETE SET NULL,
+            body TEXT NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'draft'
+                CHECK (status IN ('draft', 'submitted', 'approved', 'rejected', 'published', 'deleted')),
+            author_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+            approver_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+            rejection_reason TEXT,
+            published_reply_id INTEGER REFERENCES review_replies (id) ON DELETE SET NULL,
+            published_at TIMESTAMP WITH TIME ZONE,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- One live draft per review; deleted drafts stay for the audit trail
+        CREATE UNIQUE INDEX review_reply_drafts_review_key ON review_reply_drafts (review_id)
+            WHERE status <> 'deleted';
+        CREATE INDEX review_reply_drafts_facility_status_idx
+            ON review_reply_drafts (facility_id, status);
+
+        CREATE TABLE review_reply_draft_events (
+            id SERIAL PRIMARY KEY,
+            draft_id INTEGER NOT NULL REFERENCES review_reply_drafts (id) ON DELETE CASCADE,
+            actor_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+            action VARCHAR(30) NOT NULL,
+            from_status VARCHAR(20),
+            to_status VARCHAR(20) NOT NULL,
+            body TEXT,
+            note TEXT,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX review_reply_draft_events_draft_idx
+            ON review_reply_draft_events (draft_id, created_at);
+    `,
+    down: `
+        DROP TABLE review_reply_draft_events;
+        DROP TABLE review_reply_drafts;
+    `,
+};
@@ -0,0 +1,46 @@
+module.exports = {
+    up: `
+        CREATE TABLE alert_rules (
+            id SERIAL PRIMARY KEY,
+            organization_id INTEGER NOT NULL REFERENCES organizations (id) ON DELETE CASCADE,
+            facility_id VARCHAR(64) REFERENCES facilities (id) ON DELETE CASCADE,
+            name VARCHAR(255) NOT NULL,
+            rule_type VARCHAR(30) NOT NULL
+                CHECK (rule_type IN ('max_rating', 'keyword', 'no_reply_within')),
+            threshold INTEGER,
+            keywords TEXT[] NOT NULL DEFAULT '{}',
+            email_recipients TEXT[] NOT NULL DEFAULT '{}',
+            sms_recipients TEXT[] NOT NULL DEFAULT '{}',
+            webhook_url TEXT,
+            is_active BOOLEAN NOT NULL DEFAULT true,
+            created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX alert_rules_organization_idx ON alert_rules (organization_id);
+
+        CREATE TABLE review_alerts (
+            id SERIAL PRIMARY KEY,
+            rule_id INTEGER NOT NULL REFERENCES alert_rules (id) ON DELETE CASCADE,
+            review_id INTEGER NOT NULL REFERENCES reviews (id) ON DELETE CASCADE,
+            facility_id VARCHAR(64) NOT NULL REFERENCES facilities (id) ON DELETE CASCADE,
+            status VARCHAR(20) NOT NULL DEFAULT 'open'
+                CHECK (status IN ('open', 'acknowledged')),
+            deliveries JSONB NOT NULL DEFAULT '[]',
+            acknowledged_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+            acknowledged_at TIMESTAMP WITH TIME ZONE,
+            acknowledgement_note TEXT,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            -- A rule fires at most once per review
+            UNIQUE (rule_id, review_id)
+        );
+
+        CREATE INDEX review_alerts_facility_status_idx ON review_alerts (facility_id, status);
+    `,
+    down: `
+        DROP TABLE review_alerts;
+        DROP TABLE alert_rules;
+    `,
+};
@@ -0,0 +1,25 @@
+module.exports = {
+    up: `
+        CREATE TABLE report_subscriptions (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+            facility_id VARCHAR(64) REFERENCES facilities (id) ON DELETE CASCADE,
+            frequency VARCHAR(20) NOT NULL DEFAULT 'weekly'
+                CHECK (frequency IN ('daily', 'weekly')),
+            day_of_week SMALLINT NOT NULL DEFAULT 1 CHECK (day_of_week BETWEEN 0 AND 6),
+            hour SMALLINT NOT NULL DEFAULT 8 CHECK (hour BETWEEN 0 AND 23),
+            timezone VARCHAR(64),
+            is_active BOOLEAN NOT NULL DEFAULT true,
+            last_sent_at TIMESTAMP WITH TIME ZONE,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- One facility report per facility, and one portfolio report, per user
+        CREATE UNIQUE INDEX report_subscriptions_user_facility_idx
+            ON report_subscriptions (user_id, COALESCE(facility_id, ''));
+    `,
+    down: `
+        DROP TABLE report_subscriptions;
+    `,
+};
@@ -0,0 +1,28 @@
+module.exports = {
+    up: `
+        CREATE TABLE sms_suppressions (
+            id SERIAL PRIMARY KEY,
+            phone VARCHAR(20) NOT NULL UNIQUE,
+            keyword VARCHAR(20) NOT NULL,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE sms_inbound_messages (
+            id SERIAL PRIMARY KEY,
+            message_sid VARCHAR(64),
+            from_phone VARCHAR(20) NOT NULL,
+            to_phone VARCHAR(20),
+            body TEXT,
+            keyword VARCHAR(20),
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX sms_inbound_messages_from_idx ON sms_inbound_messages (from_phone);
+    `,
+    down: `
+        DROP TABLE sms_inbound_messages;
+        DROP TABLE sms_suppressions;
+    `,
+};
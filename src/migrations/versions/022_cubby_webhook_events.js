@@ -0,0 +1,24 @@
+module.exports = {
+    up: `
+        CREATE TABLE cubby_webhook_events (
+            id SERIAL PRIMARY KEY,
+            event_id VARCHAR(255) NOT NULL UNIQUE,
+            event_type VARCHAR(100),
+            payload JSONB NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'received'
+                CHECK (status IN ('received', 'processing', 'processed', 'failed')),
+            attempts INTEGER NOT NULL DEFAULT 0,
+            last_error TEXT,
+            received_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            processed_at TIMESTAMP WITH TIME ZONE,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX cubby_webhook_events_status_idx
+            ON cubby_webhook_events (status, received_at);
+    `,
+    down: `
+        DROP TABLE cubby_webhook_events;
+    `,
+};
@@ -0,0 +1,21 @@
+module.exports = {
+    up: `
+        CREATE TABLE cubby_sync_cursors (
+            id SERIAL PRIMARY KEY,
+            resource VARCHAR(20) NOT NULL CHECK (resource IN ('facilities', 'tenants')),
+            facility_id VARCHAR(64) REFERENCES facilities (id) ON DELETE CASCADE,
+            updated_since TIMESTAMP WITH TIME ZONE,
+            last_synced_at TIMESTAMP WITH TIME ZONE,
+            last_full_sync_at TIMESTAMP WITH TIME ZONE,
+            created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- One cursor for the facility list, and one per facility for its tenants
+        CREATE UNIQUE INDEX cubby_sync_cursors_resource_facility_idx
+            ON cubby_sync_cursors (resource, COALESCE(facility_id, ''));
+    `,
+    down: `
+        DROP TABLE cubby_sync_cursors;
+    `,
+};
@@ -0,0 +1,34 @@
+module.exports = {
+    up: `
+        -- Syncs may have created several rows for one unit; keep the oldest and
+        -- move the history of the others onto it before enforcing the key
+        CREATE TEMPORARY TABLE duplicate_tenants ON COMMIT DROP AS
+        SELECT id, keep_id
+        FROM (
+            SELECT id, MIN(id) OVER (PARTITION BY facility_id, unit_number) as keep_id
+            FROM tenants
+        ) ranked
+        WHERE id <> keep_id;
+
+        UPDATE review_requests rr
+        SET tenant_id = d.keep_id
+        FROM duplicate_tenants d
+        WHERE rr.tenant_id = d.id;
+
+        UPDATE review_feedback rf
+        SET tenant_id = d.keep_id
+        FROM duplicate_tenants d
+        WHERE rf.tenant_id = d.id;
+
+        DELETE FROM tenants t
+        USING duplicate_tenants d
+        WHERE t.id = d.id;
+
+        DROP INDEX tenants_facility_unit_idx;
+        CREATE UNIQUE INDEX tenants_facility_unit_key ON tenants (facility_id, unit_number);
+    `,
+    down: `
+        DROP INDEX tenants_facility_unit_key;
+        CREATE INDEX tenants_facility_unit_idx ON tenants (facility_id, unit_number);
+    `,
+};
@@ -0,0 +1,15 @@
+module.exports = {
+    up: `
+        -- A review request takes one funnel rating; keep the first of any repeats
+        DELETE FROM review_feedback rf
+        USING review_feedback earlier
+        WHERE earlier.review_request_id = rf.review_request_id
+        AND earlier.id < rf.id;
+
+        CREATE UNIQUE INDEX review_feedback_review_request_key
+            ON review_feedback (review_request_id);
+    `,
+    down: `
+        DROP INDEX review_feedback_review_request_key;
+    `,
+};
@@ -0,0 +1,16 @@
+module.exports = {
+    up: `
+        -- When Cubby last listed the facility; NULL for facilities only known
+        -- from BigQuery, which a full Cubby resync must not deactivate
+        ALTER TABLE facilities ADD COLUMN cubby_synced_at TIMESTAMP WITH TIME ZONE;
+
+        -- Facilities whose tenants have been synced from Cubby came from its listing
+        UPDATE facilities f
+        SET cubby_synced_at = COALESCE(c.last_synced_at, c.updated_at)
+        FROM cubby_sync_cursors c
+        WHERE c.resource = 'tenants' AND c.facility_id = f.id;
+    `,
+    down: `
+        ALTER TABLE facilities DROP COLUMN cubby_synced_at;
+    `,
+};
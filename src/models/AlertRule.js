@@ -0,0 +1,31 @@
+const BaseModel = require('./BaseModel');
+
+// `max_rating` fires on reviews rated at or below `threshold` stars,
+// `keyword` on reviews mentioning any of `keywords`, and `no_reply_within`
+// on reviews still unanswered `threshold` hours after they were posted
+const RULE_TYPES = ['max_rating', 'keyword', 'no_reply_within'];
+
+class AlertRule extends BaseModel {
+    constructor() {
+        super('alert_rules');
+        this.RULE_TYPES = RULE_TYPES;
+    }
+
+    async findActive() {
+        return this.findAll({ is_active: true }, 'id ASC');
+    }
+
+    // Rules of the organizations in a request scope (see middleware/orgScope)
+    async findAccessible(scope) {
+        const query = `
+            SELECT *
+            FROM alert_rules
+            WHERE ($1::boolean OR organization_id = ANY($2::int[]))
+            ORDER BY organization_id, name ASC
+        `;
+        const result = await this.pool.query(query, [scope.all, scope.organizationIds]);
+        return result.rows;
+    }
+}
+
+module.exports = new AlertRule();
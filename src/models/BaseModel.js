@@ -61,6 +61,40 @@ class BaseModel {
         return result.rows[0];
     }
 
+    /**
+     * Write `rows` in transactions of `batchSize` rows, each through
+     * `upsertBatch(batch, client)`, which resolves to `{ inserted, updated }`.
+     * A failing batch is rolled back and reported with its error; the
+     * following batches still run. Resolves to one report per batch.
+     */
+    async upsertInBatches(rows, batchSize, upsertBatch) {
+        const reports = [];
+
+        for (let start = 0; start < rows.length; start += batchSize) {
+            const batch = rows.slice(start, start + batchSize);
+            const client = await this.pool.connect();
+            try {
+                await client.query('BEGIN');
+                const { inserted, updated } = await upsertBatch(batch, client);
+                await client.query('COMMIT');
+                reports.push({ size: batch.length, inserted, updated, failed: 0 });
+            } catch (error) {
+                await client.query('ROLLBACK');
+                reports.push({
+                    size: batch.length,
+                    inserted: 0,
+                    updated: 0,
+                    failed: batch.length,
+                    error: error.message,
+                });
+            } finally {
+                client.release();
+            }
+        }
+
+        return reports;
+    }
+
     async delete(id) {
         const query = `DELETE FROM ${this.tableName} WHERE id = $1 RETURNING *`;
         const result = await this.pool.query(query, [id]);
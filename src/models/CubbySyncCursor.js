@@ -0,0 +1,52 @@
+const BaseModel = require('./BaseModel');
+
+/**
+ * High-water marks of the Cubby delta sync: the latest `updatedAt` seen for
+ * the facility list (`facility_id` null) and for each facility's tenants.
+ */
+class CubbySyncCursor extends BaseModel {
+    constructor() {
+        super('cubby_sync_cursors');
+    }
+
+    async find(resource, facilityId = null) {
+        const query = `
+            SELECT *
+            FROM cubby_sync_cursors
+            WHERE resource = $1 AND COALESCE(facility_id, '') = COALESCE($2, '')
+        `;
+        const result = await this.pool.query(query, [resource, facilityId]);
+        return result.rows[0];
+    }
+
+    // Record a completed run; `updatedSince` only moves forward
+    async save(resource, facilityId, { updatedSince, syncedAt = new Date(), full = false }) {
+        const query = `
+            INSERT INTO cubby_sync_cursors (
+                resource, facility_id, updated_since, last_synced_at, last_full_sync_at,
+                created_at, updated_at
+            )
+            VALUES ($1, $2, $3, $4, CASE WHEN $5 THEN $4::timestamptz END,
+                    CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+            ON CONFLICT (resource, COALESCE(facility_id, '')) DO UPDATE SET
+                updated_since = GREATEST(cubby_sync_cursors.updated_since, EXCLUDED.updated_since),
+                last_synced_at = EXCLUDED.last_synced_at,
+                last_full_sync_at = COALESCE(
+                    EXCLUDED.last_full_sync_at,
+                    cubby_sync_cursors.last_full_sync_at
+                ),
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `;
+        const result = await this.pool.query(query, [
+            resource,
+            facilityId,
+            updatedSince,
+            syncedAt,
+            full,
+        ]);
+        return result.rows[0];
+    }
+}
+
+module.exports = new CubbySyncCursor();
@@ -0,0 +1,95 @@
+const BaseModel = require('./BaseModel');
+
+const STATUSES = ['received', 'processing', 'processed', 'failed'];
+
+/**
+ * Log of Cubby webhook deliveries, one row per event ID. Events are stored
+ * as `received`, claimed as `processing` by a worker and end up `processed`
+ * or `failed`; failed events go back to `received` when replayed.
+ */
+class CubbyWebhookEvent extends BaseModel {
+    constructor() {
+        super('cubby_webhook_events');
+        this.STATUSES = STATUSES;
+    }
+
+    // Resolves to null when an event with this ID was already received
+    async record(eventId, payload) {
+        const query = `
+            INSERT INTO cubby_webhook_events (event_id, event_type, payload, created_at, updated_at)
+            VALUES ($1, $2, $3, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+            ON CONFLICT (event_id) DO NOTHING
+            RETURNING *
+        `;
+        const result = await this.pool.query(query, [eventId, payload.event || null, payload]);
+        return result.rows[0] || null;
+    }
+
+    async findByEventId(eventId) {
+        const query = `SELECT * FROM cubby_webhook_events WHERE event_id = $1`;
+        const result = await this.pool.query(query, [eventId]);
+        return result.rows[0];
+    }
+
+    /**
+     * Mark up to `limit` waiting events as processing and return them, oldest
+     * first. Events stuck in processing for `staleAfterMinutes` (a worker died)
+     * are claimed again. SKIP LOCKED keeps concurrent workers apart.
+     */
+    async claimPending(limit, staleAfterMinutes = 15) {
+        const query = `
+            UPDATE cubby_webhook_events
+            SET status = 'processing', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id IN (
+                SELECT id
+                FROM cubby_webhook_events
+                WHERE status = 'received'
+                OR (status = 'processing'
+                    AND updated_at < CURRENT_TIMESTAMP - ($2::int * INTERVAL '1 minute'))
+                ORDER BY received_at ASC
+                LIMIT $1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `;
+        const result = await this.pool.query(query, [limit, staleAfterMinutes]);
+        return result.rows.sort((a, b) => a.received_at - b.received_at);
+    }
+
+    async markProcessed(id) {
+        return this.update(id, { status: 'processed', last_error: null, processed_at: new Date() });
+    }
+
+    async markFailed(id, errorMessage) {
+        return this.update(id, { status: 'failed', last_error: errorMessage });
+    }
+
+    // Queue events for another attempt: every failed event, or the failed and
+    // processed ones among `ids`. Events in flight are left alone.
+    async requeue({ ids = null } = {}) {
+        const query = `
+            UPDATE cubby_webhook_events
+            SET status = 'received', updated_at = CURRENT_TIMESTAMP
+            WHERE ($1::int[] IS NULL AND status = 'failed')
+            OR (id = ANY($1::int[]) AND status IN ('failed', 'processed'))
+            RETURNING id
+        `;
+        const result = await this.pool.query(query, [ids]);
+        return result.rows.map((row) => row.id);
+    }
+
+    async findRecent({ status = null, eventType = null, limit = 100 } = {}) {
+        const query = `
+            SELECT *
+            FROM cubby_webhook_events
+            WHERE ($1::varchar IS NULL OR status = $1)
+            AND ($2::varchar IS NULL OR event_type = $2)
+            ORDER BY received_at DESC
+            LIMIT $3
+        `;
+        const result = await this.pool.query(query, [status, eventType, limit]);
+        return result.rows;
+    }
+}
+
+module.exports = new CubbyWebhookEvent();
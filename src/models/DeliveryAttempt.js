@@ -0,0 +1,25 @@
+const BaseModel = require('./BaseModel');
+
+class DeliveryAttempt extends BaseModel {
+    constructor() {
+        super('review_request_attempts');
+    }
+
+    async record(requestId, attempt) {
+        return this.create({
+            review_request_id: requestId,
+            channel: attempt.channel,
+            provider: attempt.provider,
+            status: attempt.status,
+            provider_message_id: attempt.messageId || null,
+            error: attempt.error || null,
+            attempted_at: attempt.attemptedAt || new Date(),
+        });
+    }
+
+    async findByRequest(requestId) {
+        return this.findAll({ review_request_id: requestId }, 'attempted_at ASC');
+    }
+}
+
+module.exports = new DeliveryAttempt();
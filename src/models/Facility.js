@@ -1,6 +1,13 @@
 const BaseModel = require('./BaseModel');
 const { Model } = require('objection');
 
+// Facility columns each portfolio grouping selects and groups by
+const PORTFOLIO_GROUP_COLUMNS = {
+    facility: ['f.id', 'f.name', 'f.city', 'f.state'],
+    city: ['f.state', 'f.city'],
+    state: ['f.state'],
+};
+
 class Facility extends BaseModel {
     constructor() {
         super('facilities');
@@ -132,6 +139,196 @@ class Facility extends BaseModel {
         return this.update(facilityId, { status });
     }
 
+    // Facilities visible to a request scope (see middleware/orgScope)
+    async findAccessible(scope) {
+        const query = `
+            SELECT *
+            FROM facilities
+            WHERE ($1::boolean OR organization_id = ANY($2::int[]))
+            ORDER BY name ASC
+        `;
+        const result = await this.pool.query(query, [scope.all, scope.organizationIds]);
+        return result.rows;
+    }
+
+    async findAccessibleBy(column, value, scope) {
+        if (!['id', 'gmb_place_id'].includes(column)) {
+            throw new Error(`Cannot look up facilities by ${column}`);
+        }
+
+        const query = `
+            SELECT *
+            FROM facilities
+            WHERE ${column} = $1
+            AND ($2::boolean OR organization_id = ANY($3::int[]))
+        `;
+        const result = await this.pool.query(query, [value, scope.all, scope.organizationIds]);
+        return result.rows[0];
+    }
+
+    /**
+     * Review and review request totals for the facilities visible to a scope,
+     * grouped by `groupBy` ('facility', 'city' or 'state') plus an overall row
+     * (`is_total`). Reviews and requests count within [from, to); unanswered
+     * reviews are the current backlog regardless of the range.
+     */
+    async getPortfolioStats(
+        scope,
+        { from, to, groupBy, state = null, city = null, facilityId = null }
+    ) {
+        const groupColumns = PORTFOLIO_GROUP_COLUMNS[groupBy];
+        if (!groupColumns) {
+            throw new Error(`Cannot group facilities by ${groupBy}`);
+        }
+
+        const query = `
+            WITH review_stats AS (
+                SELECT r.facility_id,
+                       COUNT(*) FILTER (
+                           WHERE r.review_created_at >= $3 AND r.review_created_at < $4
+                       ) as reviews,
+                       SUM(r.rating) FILTER (
+                           WHERE r.review_created_at >= $3 AND r.review_created_at < $4
+                       ) as rating_sum,
+                       COUNT(*) FILTER (WHERE r.reply_comment IS NULL) as unanswered
+                FROM reviews r
+                WHERE r.deleted_at IS NULL
+                GROUP BY r.facility_id
+            ),
+            request_stats AS (
+                SELECT rr.facility_id,
+                       COUNT(*) as requests,
+                       COUNT(rr.sent_at) as sent,
+                       COUNT(*) FILTER (WHERE rr.status = 'completed') as completed
+                FROM review_requests rr
+                WHERE rr.created_at >= $3 AND rr.created_at < $4
+                GROUP BY rr.facility_id
+            )
+            SELECT ${groupColumns.join(', ')},
+                   GROUPING(f.state) = 1 as is_total,
+                   COUNT(f.id)::int as facilities,
+                   COALESCE(SUM(rs.reviews), 0)::int as total_reviews,
+                   ROUND(SUM(rs.rating_sum)::numeric / NULLIF(SUM(rs.reviews), 0), 2)::float
+                       as average_rating,
+                   COALESCE(SUM(rs.unanswered), 0)::int as unanswered_reviews,
+                   COALESCE(SUM(q.requests), 0)::int as requests,
+                   COALESCE(SUM(q.sent), 0)::int as requests_sent,
+                   COALESCE(SUM(q.completed), 0)::int as requests_completed
+            FROM facilities f
+            LEFT JOIN review_stats rs ON rs.facility_id = f.id
+            LEFT JOIN request_stats q ON q.facility_id = f.id
+            WHERE ($1::boolean OR f.organization_id = ANY($2::int[]))
+            AND ($5::varchar IS NULL OR f.state = $5)
+            AND ($6::varchar IS NULL OR f.city = $6)
+            AND ($7::varchar IS NULL OR f.id = $7)
+            GROUP BY GROUPING SETS ((${groupColumns.join(', ')}), ())
+        `;
+        const result = await this.pool.query(query, [
+            scope.all,
+            scope.organizationIds,
+            from,
+            to,
+            state,
+            city,
+            facilityId,
+        ]);
+        return result.rows;
+    }
+
+    // The subset of `facilityIds` that exist, as a Set of string IDs
+    async findExistingIds(facilityIds) {
+        const query = `SELECT id FROM facilities WHERE id = ANY($1::varchar[])`;
+        const result = await this.pool.query(query, [facilityIds.map(String)]);
+        return new Set(result.rows.map((row) => String(row.id)));
+    }
+
+    // Active facilities Cubby has listed, the ones a full Cubby resync reconciles
+    async countActive() {
+        const query = `
+            SELECT COUNT(*)::int as count
+            FROM facilities
+            WHERE status <> 'inactive' AND cubby_synced_at IS NOT NULL
+        `;
+        const result = await this.pool.query(query);
+        return result.rows[0].count;
+    }
+
+    // Facilities Cubby listed before but not in a full listing were removed
+    // there; facilities only known from BigQuery are left alone
+    async deactivateMissing(facilityIds) {
+        const query = `
+            UPDATE facilities
+            SET status = 'inactive', updated_at = CURRENT_TIMESTAMP
+            WHERE status <> 'inactive'
+            AND cubby_synced_at IS NOT NULL
+            AND NOT (id = ANY($1::varchar[]))
+        `;
+        const result = await this.pool.query(query, [facilityIds]);
+        return result.rowCount;
+    }
+
+    /**
+     * Insert or update synced facilities by ID in transactions of `batchSize`
+     * rows. A facility without a timezone keeps its current one (or gets the
+     * default). With `fromCubby` the rows are Cubby's listing: they are marked
+     * as listed by Cubby, and a facility deactivated earlier is active again.
+     * Resolves to one report per batch (see BaseModel#upsertInBatches).
+     */
+    async bulkUpsert(rows, batchSize, { fromCubby = false } = {}) {
+        const byId = new Map(rows.map((row) => [row.id, row]));
+
+        return this.upsertInBatches([...byId.values()], batchSize, async (batch, client) => {
+            const query = `
+                INSERT INTO facilities (
+                    id, name, gmb_place_id, gmb_link, city, state, timezone, context_notes,
+                    cubby_synced_at, created_at, updated_at
+                )
+                SELECT r.id, r.name, r.gmb_place_id, r.gmb_link, r.city, r.state,
+                       COALESCE(r.timezone, f.timezone, 'America/New_York'), r.context_notes,
+                       CASE WHEN $2::boolean THEN CURRENT_TIMESTAMP END,
+                       CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+                FROM jsonb_to_recordset($1::jsonb) AS r(
+                    id varchar, name varchar, gmb_place_id varchar, gmb_link text,
+                    city varchar, state varchar, timezone varchar, context_notes text
+                )
+                LEFT JOIN facilities f ON f.id = r.id
+                ON CONFLICT (id) DO UPDATE SET
+                    name = EXCLUDED.name,
+                    gmb_place_id = EXCLUDED.gmb_place_id,
+                    gmb_link = EXCLUDED.gmb_link,
+                    city = EXCLUDED.city,
+                    state = EXCLUDED.state,
+                    timezone = EXCLUDED.timezone,
+                    context_notes = EXCLUDED.context_notes,
+                    cubby_synced_at = COALESCE(EXCLUDED.cubby_synced_at, facilities.cubby_synced_at),
+                    status = CASE
+                        WHEN $2 AND facilities.status = 'inactive' THEN 'active'
+                        ELSE facilities.status
+                    END,
+                    updated_at = CURRENT_TIMESTAMP
+                RETURNING (xmax = 0) as inserted
+            `;
+            const result = await client.query(query, [JSON.stringify(batch), fromCubby]);
+            const inserted = result.rows.filter((row) => row.inserted).length;
+            return { inserted, updated: result.rows.length - inserted };
+        });
+    }
+
+    async findWithGmbPlaceId() {
+        const query = `
+            SELECT *
+            FROM facilities
+            WHERE status = 'active' AND gmb_place_id IS NOT NULL
+            ORDER BY reviews_synced_at ASC NULLS FIRST
+        `;
+        const result = await this.pool.query(query);
+        return result.rows;
+    }
+
+    async markReviewsSynced(facilityId, syncedAt = new Date()) {
+        return this.update(facilityId, { reviews_synced_at: syncedAt });
+    }
+
     async findActive() {
         const query = `
             SELECT *
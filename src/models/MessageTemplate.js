@@ -0,0 +1,46 @@
+const BaseModel = require('./BaseModel');
+
+class MessageTemplate extends BaseModel {
+    constructor() {
+        super('message_templates');
+    }
+
+    /**
+     * Resolves the template to use for a facility and channel: the explicitly
+     * referenced template first, then the facility default, then the global
+     * default (a row without facility_id).
+     */
+    async resolve(facilityId, channel, templateId = null) {
+        if (templateId) {
+            const template = await this.findById(templateId);
+            if (template && template.channel === channel) {
+                return template;
+            }
+        }
+
+        const query = `
+            SELECT *
+            FROM message_templates
+            WHERE channel = $2
+            AND is_default = true
+            AND (facility_id = $1 OR facility_id IS NULL)
+            ORDER BY facility_id NULLS LAST
+            LIMIT 1
+        `;
+        const result = await this.pool.query(query, [facilityId, channel]);
+        return result.rows[0] || null;
+    }
+
+    async findForFacility(facilityId) {
+        const query = `
+            SELECT *
+            FROM message_templates
+            WHERE facility_id = $1 OR facility_id IS NULL
+            ORDER BY channel, name
+        `;
+        const result = await this.pool.query(query, [facilityId]);
+        return result.rows;
+    }
+}
+
+module.exports = new MessageTemplate();
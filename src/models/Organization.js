@@ -0,0 +1,82 @@
+const BaseModel = require('./BaseModel');
+
+class Organization extends BaseModel {
+    constructor() {
+        super('organizations');
+    }
+
+    async findForUser(userId) {
+        const query = `
+            SELECT o.*, om.role as member_role
+            FROM organizations o
+            JOIN organization_members om ON o.id = om.organization_id
+            WHERE om.user_id = $1
+            ORDER BY o.name ASC
+        `;
+        const result = await this.pool.query(query, [userId]);
+        return result.rows;
+    }
+
+    async findIdsForUser(userId) {
+        const query = `SELECT organization_id FROM organization_members WHERE user_id = $1`;
+        const result = await this.pool.query(query, [userId]);
+        return result.rows.map((row) => row.organization_id);
+    }
+
+    async findMembership(organizationId, userId) {
+        const query = `
+            SELECT *
+            FROM organization_members
+            WHERE organization_id = $1 AND user_id = $2
+        `;
+        const result = await this.pool.query(query, [organizationId, userId]);
+        return result.rows[0];
+    }
+
+    async findMembers(organizationId) {
+        const query = `
+            SELECT u.id, u.email, u.first_name, u.last_name, u.role, om.role as member_role
+            FROM organization_members om
+            JOIN users u ON om.user_id = u.id
+            WHERE om.organization_id = $1
+            ORDER BY u.email ASC
+        `;
+        const result = await this.pool.query(query, [organizationId]);
+        return result.rows;
+    }
+
+    async addMember(organizationId, userId, role = 'member') {
+        const query = `
+            INSERT INTO organization_members (organization_id, user_id, role)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (organization_id, user_id)
+            DO UPDATE SET role = $3, updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `;
+        const result = await this.pool.query(query, [organizationId, userId, role]);
+        return result.rows[0];
+    }
+
+    async removeMember(organizationId, userId) {
+        const query = `
+            DELETE FROM organization_members
+            WHERE organization_id = $1 AND user_id = $2
+            RETURNING *
+        `;
+        const result = await this.pool.query(query, [organizationId, userId]);
+        return result.rows[0];
+    }
+
+    async assignFacility(organizationId, facilityId) {
+        const query = `
+            UPDATE facilities
+            SET organization_id = $1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+            RETURNING *
+        `;
+        const result = await this.pool.query(query, [organizationId, facilityId]);
+        return result.rows[0];
+    }
+}
+
+module.exports = new Organization();
@@ -0,0 +1,69 @@
+const BaseModel = require('./BaseModel');
+
+// Statuses a draft moves through; see services/ReplyDrafts
+const DRAFT_STATUSES = ['draft', 'submitted', 'approved', 'rejected', 'published', 'deleted'];
+
+class ReplyDraft extends BaseModel {
+    constructor() {
+        super('review_reply_drafts');
+        this.STATUSES = DRAFT_STATUSES;
+    }
+
+    async findWithReview(draftId) {
+        const query = `
+            SELECT d.*,
+                   r.gmb_review_id,
+                   r.reviewer_name,
+                   r.rating,
+                   r.comment as review_comment,
+                   r.review_created_at
+            FROM review_reply_drafts d
+            JOIN reviews r ON d.review_id = r.id
+            WHERE d.id = $1
+        `;
+        const result = await this.pool.query(query, [draftId]);
+        return result.rows[0];
+    }
+
+    async findLiveForReview(reviewId) {
+        const query = `
+            SELECT *
+            FROM review_reply_drafts
+            WHERE review_id = $1 AND status <> 'deleted'
+        `;
+        const result = await this.pool.query(query, [reviewId]);
+        return result.rows[0];
+    }
+
+    // Drafts on the facilities of a request scope, oldest first (the approval queue)
+    async findAccessible(scope, { status = null, facilityId = null, limit = 100 } = {}) {
+        const query = `
+            SELECT d.*,
+                   f.name as facility_name,
+                   r.reviewer_name,
+                   r.rating,
+                   r.comment as review_comment,
+                   u.email as author_email
+            FROM review_reply_drafts d
+            JOIN facilities f ON d.facility_id = f.id
+            JOIN reviews r ON d.review_id = r.id
+            LEFT JOIN users u ON d.author_id = u.id
+            WHERE ($1::boolean OR f.organization_id = ANY($2::int[]))
+            AND ($3::varchar IS NULL OR d.status = $3)
+            AND ($3::varchar IS NOT NULL OR d.status <> 'deleted')
+            AND ($4::varchar IS NULL OR d.facility_id = $4)
+            ORDER BY d.updated_at ASC
+            LIMIT $5
+        `;
+        const result = await this.pool.query(query, [
+            scope.all,
+            scope.organizationIds,
+            status,
+            facilityId,
+            limit,
+        ]);
+        return result.rows;
+    }
+}
+
+module.exports = new ReplyDraft();
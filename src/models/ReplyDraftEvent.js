@@ -0,0 +1,38 @@
+const BaseModel = require('./BaseModel');
+
+// Audit trail of every change to a reply draft
+class ReplyDraftEvent extends BaseModel {
+    constructor() {
+        super('review_reply_draft_events');
+    }
+
+    async record(
+        draftId,
+        { actorId, action, fromStatus = null, toStatus, body = null, note = null }
+    ) {
+        return this.create({
+            draft_id: draftId,
+            actor_id: actorId,
+            action,
+            from_status: fromStatus,
+            to_status: toStatus,
+            body,
+            note,
+        });
+    }
+
+    async findByDraft(draftId) {
+        const query = `
+            SELECT e.*, u.email as actor_email, u.first_name as actor_first_name,
+                   u.last_name as actor_last_name
+            FROM review_reply_draft_events e
+            LEFT JOIN users u ON e.actor_id = u.id
+            WHERE e.draft_id = $1
+            ORDER BY e.created_at ASC, e.id ASC
+        `;
+        const result = await this.pool.query(query, [draftId]);
+        return result.rows;
+    }
+}
+
+module.exports = new ReplyDraftEvent();
@@ -0,0 +1,42 @@
+const BaseModel = require('./BaseModel');
+
+/**
+ * Reusable review replies. Templates belong to an organization, or are shared
+ * by everyone when `organization_id` is null. `min_rating`/`max_rating`
+ * suggest which reviews a template suits.
+ */
+class ReplyTemplate extends BaseModel {
+    constructor() {
+        super('reply_templates');
+    }
+
+    // Templates visible to a request scope (see middleware/orgScope)
+    async findAccessible(scope, { rating = null } = {}) {
+        const query = `
+            SELECT *
+            FROM reply_templates
+            WHERE ($1::boolean OR organization_id IS NULL OR organization_id = ANY($2::int[]))
+            AND ($3::int IS NULL OR (
+                COALESCE(min_rating, 1) <= $3 AND COALESCE(max_rating, 5) >= $3
+            ))
+            ORDER BY name ASC
+        `;
+        const result = await this.pool.query(query, [scope.all, scope.organizationIds, rating]);
+        return result.rows;
+    }
+
+    async findAccessibleById(templateId, scope) {
+        const template = await this.findById(templateId);
+        if (
+            !template ||
+            (!scope.all &&
+                template.organization_id !== null &&
+                !scope.organizationIds.includes(template.organization_id))
+        ) {
+            return null;
+        }
+        return template;
+    }
+}
+
+module.exports = new ReplyTemplate();
@@ -0,0 +1,55 @@
+const BaseModel = require('./BaseModel');
+
+const FREQUENCIES = ['daily', 'weekly'];
+
+/**
+ * A user's subscription to the reputation report email: for one facility, or
+ * for their whole portfolio when `facility_id` is null. Reports go out at
+ * `hour` local time (on `day_of_week`, 0 = Sunday, for weekly ones) in the
+ * facility's timezone, or the subscription's own for portfolio reports.
+ */
+class ReportSubscription extends BaseModel {
+    constructor() {
+        super('report_subscriptions');
+        this.FREQUENCIES = FREQUENCIES;
+    }
+
+    async findByUser(userId) {
+        const query = `
+            SELECT rs.*, f.name as facility_name, f.timezone as facility_timezone
+            FROM report_subscriptions rs
+            LEFT JOIN facilities f ON rs.facility_id = f.id
+            WHERE rs.user_id = $1
+            ORDER BY rs.facility_id NULLS FIRST, f.name ASC
+        `;
+        const result = await this.pool.query(query, [userId]);
+        return result.rows;
+    }
+
+    async findForUser(subscriptionId, userId) {
+        const query = `SELECT * FROM report_subscriptions WHERE id = $1 AND user_id = $2`;
+        const result = await this.pool.query(query, [subscriptionId, userId]);
+        return result.rows[0];
+    }
+
+    // Active subscriptions with what is needed to decide whether they are due
+    async findActiveWithRecipients() {
+        const query = `
+            SELECT rs.*, u.email, u.first_name, u.role,
+                   f.name as facility_name, f.timezone as facility_timezone
+            FROM report_subscriptions rs
+            JOIN users u ON rs.user_id = u.id
+            LEFT JOIN facilities f ON rs.facility_id = f.id
+            WHERE rs.is_active = true
+            ORDER BY rs.id ASC
+        `;
+        const result = await this.pool.query(query);
+        return result.rows;
+    }
+
+    async markSent(subscriptionId, sentAt = new Date()) {
+        return this.update(subscriptionId, { last_sent_at: sentAt });
+    }
+}
+
+module.exports = new ReportSubscription();
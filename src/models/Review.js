@@ -0,0 +1,270 @@
+const BaseModel = require('./BaseModel');
+
+// Google reports star ratings as enum names
+const STAR_RATINGS = { ONE: 1, TWO: 2, THREE: 3, FOUR: 4, FIVE: 5 };
+
+/**
+ * Local copy of a facility's Google reviews, kept current by the
+ * ReviewIngestion job. Reviews that disappear from Google are kept with
+ * `deleted_at` set rather than removed.
+ */
+class Review extends BaseModel {
+    constructor() {
+        super('reviews');
+    }
+
+    parseStarRating(starRating) {
+        return STAR_RATINGS[starRating] || null;
+    }
+
+    async upsertFromGoogle(facilityId, review, seenAt = new Date()) {
+        const query = `
+            INSERT INTO reviews (
+                facility_id, gmb_review_id, reviewer_name, reviewer_photo_url,
+                reviewer_is_anonymous, rating, comment, reply_comment, reply_updated_at,
+                review_created_at, review_updated_at, last_seen_at, created_at, updated_at
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+            ON CONFLICT (gmb_review_id) DO UPDATE SET
+                facility_id = EXCLUDED.facility_id,
+                reviewer_name = EXCLUDED.reviewer_name,
+                reviewer_photo_url = EXCLUDED.reviewer_photo_url,
+                reviewer_is_anonymous = EXCLUDED.reviewer_is_anonymous,
+                rating = EXCLUDED.rating,
+                comment = EXCLUDED.comment,
+                reply_comment = EXCLUDED.reply_comment,
+                reply_updated_at = EXCLUDED.reply_updated_at,
+                review_updated_at = EXCLUDED.review_updated_at,
+                last_seen_at = EXCLUDED.last_seen_at,
+                deleted_at = NULL,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *, (xmax = 0) AS inserted
+        `;
+        const values = [
+            facilityId,
+            review.reviewId,
+            review.reviewer?.displayName || null,
+            review.reviewer?.profilePhotoUrl || null,
+            Boolean(review.reviewer?.isAnonymous),
+            this.parseStarRating(review.starRating),
+            review.comment || null,
+            review.reviewReply?.comment || null,
+            review.reviewReply?.updateTime || null,
+            review.createTime,
+            review.updateTime || null,
+            seenAt,
+        ];
+        const result = await this.pool.query(query, values);
+        return result.rows[0];
+    }
+
+    // Reviews not returned by a complete sync were removed on Google
+    async markMissingAsDeleted(facilityId, seenAt) {
+        const query = `
+            UPDATE reviews
+            SET deleted_at = $2, updated_at = CURRENT_TIMESTAMP
+            WHERE facility_id = $1
+            AND last_seen_at < $2
+            AND deleted_at IS NULL
+        `;
+        const result = await this.pool.query(query, [facilityId, seenAt]);
+        return result.rowCount;
+    }
+
+    async findByGmbReviewId(gmbReviewId) {
+        const query = `SELECT * FROM reviews WHERE gmb_review_id = $1`;
+        const result = await this.pool.query(query, [gmbReviewId]);
+        return result.rows[0];
+    }
+
+    // Live reviews without a reply across the facilities of a request scope
+    async findUnanswered(scope, { facilityId = null, maxRating = null, limit = 100 } = {}) {
+        const query = `
+            SELECT r.*, f.name as facility_name, f.city as facility_city,
+                   f.gmb_place_id
+            FROM reviews r
+            JOIN facilities f ON r.facility_id = f.id
+            WHERE r.reply_comment IS NULL
+            AND r.deleted_at IS NULL
+            AND ($1::boolean OR f.organization_id = ANY($2::int[]))
+            AND ($3::varchar IS NULL OR r.facility_id = $3)
+            AND ($4::int IS NULL OR r.rating <= $4)
+            ORDER BY r.review_created_at ASC
+            LIMIT $5
+        `;
+        const result = await this.pool.query(query, [
+            scope.all,
+            scope.organizationIds,
+            facilityId,
+            maxRating,
+            limit,
+        ]);
+        return result.rows;
+    }
+
+    async recordReply(reviewId, comment, repliedAt = new Date()) {
+        return this.update(reviewId, { reply_comment: comment, reply_updated_at: repliedAt });
+    }
+
+    async clearReply(reviewId) {
+        return this.update(reviewId, { reply_comment: null, reply_updated_at: null });
+    }
+
+    // One page of an export, in id order; pass the last id seen as `afterId`
+    async findForExport(
+        { facilityIds, from = null, to = null, minRating = null, maxRating = null },
+        { afterId = 0, limit }
+    ) {
+        const query = `
+            SELECT r.*, f.name as facility_name, f.city as facility_city,
+                   f.state as facility_state
+            FROM reviews r
+            JOIN facilities f ON r.facility_id = f.id
+            WHERE r.id > $1
+            AND r.facility_id = ANY($2::varchar[])
+            AND r.deleted_at IS NULL
+            AND ($3::timestamptz IS NULL OR r.review_created_at >= $3)
+            AND ($4::timestamptz IS NULL OR r.review_created_at < $4)
+            AND ($5::int IS NULL OR r.rating >= $5)
+            AND ($6::int IS NULL OR r.rating <= $6)
+            ORDER BY r.id ASC
+            LIMIT $7
+        `;
+        const result = await this.pool.query(query, [
+            afterId,
+            facilityIds,
+            from,
+            to,
+            minRating,
+            maxRating,
+            limit,
+        ]);
+        return result.rows;
+    }
+
+    async findUnattributed(facilityId, since) {
+        const query = `
+            SELECT r.*
+            FROM reviews r
+            WHERE r.facility_id = $1
+            AND r.deleted_at IS NULL
+            AND r.review_created_at >= $2
+            AND NOT EXISTS (SELECT 1 FROM review_requests rr WHERE rr.review_id = r.id)
+            ORDER BY r.review_created_at ASC
+        `;
+        const result = await this.pool.query(query, [facilityId, since]);
+        return result.rows;
+    }
+
+    async findByFacility(facilityId, { limit = 100, offset = 0, includeDeleted = false } = {}) {
+        const query = `
+            SELECT *
+            FROM reviews
+            WHERE facility_id = $1
+            AND ($2::boolean OR deleted_at IS NULL)
+            ORDER BY review_created_at DESC
+            LIMIT $3 OFFSET $4
+        `;
+        const result = await this.pool.query(query, [facilityId, includeDeleted, limit, offset]);
+        return result.rows;
+    }
+
+    /**
+     * Review counts, rating distribution and reply stats for reviews posted in
+     * [from, to), one row per facility plus an overall row with a null
+     * facility_id. Response time is measured to the latest reply update.
+     */
+    async getSummary(facilityIds, from, to) {
+        const query = `
+            SELECT f.id as facility_id,
+                   f.name as facility_name,
+                   COUNT(r.id)::int as total_reviews,
+                   ROUND(AVG(r.rating), 2)::float as average_rating,
+                   COUNT(r.id) FILTER (WHERE r.rating = 1)::int as rating_1,
+                   COUNT(r.id) FILTER (WHERE r.rating = 2)::int as rating_2,
+                   COUNT(r.id) FILTER (WHERE r.rating = 3)::int as rating_3,
+                   COUNT(r.id) FILTER (WHERE r.rating = 4)::int as rating_4,
+                   COUNT(r.id) FILTER (WHERE r.rating = 5)::int as rating_5,
+                   COUNT(r.reply_comment)::int as replied_reviews,
+                   ROUND((percentile_cont(0.5) WITHIN GROUP (
+                       ORDER BY EXTRACT(EPOCH FROM (r.reply_updated_at - r.review_created_at)) / 3600
+                   ))::numeric, 1)::float as median_response_hours
+            FROM facilities f
+            LEFT JOIN reviews r ON r.facility_id = f.id
+                AND r.deleted_at IS NULL
+                AND r.review_created_at >= $2
+                AND r.review_created_at < $3
+            WHERE f.id = ANY($1::varchar[])
+            GROUP BY GROUPING SETS ((f.id, f.name), ())
+            ORDER BY f.name NULLS LAST
+        `;
+        const result = await this.pool.query(query, [facilityIds, from, to]);
+        return result.rows;
+    }
+
+    /**
+     * Review volume, average rating and replies per `interval` bucket (day,
+     * week or month, in UTC) for each facility, including empty buckets, with
+     * rating and volume rolled over the last `rollingWindow` buckets.
+     */
+    async getTrend(facilityIds, { from, to, interval, rollingWindow }) {
+        const query = `
+            WITH buckets AS (
+                SELECT generate_series(
+                    date_trunc($4::text, $2::timestamptz AT TIME ZONE 'UTC'),
+                    $3::timestamptz AT TIME ZONE 'UTC' - INTERVAL '1 microsecond',
+                    ('1 ' || $4::text)::interval
+                ) as bucket
+            ),
+            counts AS (
+                SELECT r.facility_id,
+                       date_trunc($4::text, r.review_created_at AT TIME ZONE 'UTC') as bucket,
+                       COUNT(*)::int as reviews,
+                       SUM(r.rating)::int as rating_sum,
+                       COUNT(r.rating)::int as rated,
+                       COUNT(r.reply_comment)::int as replied
+                FROM reviews r
+                WHERE r.facility_id = ANY($1::varchar[])
+                AND r.deleted_at IS NULL
+                AND r.review_created_at >= $2
+                AND r.review_created_at < $3
+                GROUP BY 1, 2
+            )
+            SELECT f.id as facility_id,
+                   b.bucket,
+                   COALESCE(c.reviews, 0) as reviews,
+                   ROUND(c.rating_sum::numeric / NULLIF(c.rated, 0), 2)::float as average_rating,
+                   COALESCE(c.replied, 0) as replied,
+                   (SUM(COALESCE(c.reviews, 0)) OVER w)::int as rolling_reviews,
+                   ROUND(
+                       (SUM(COALESCE(c.rating_sum, 0)) OVER w)::numeric
+                           / NULLIF(SUM(COALESCE(c.rated, 0)) OVER w, 0),
+                       2
+                   )::float as rolling_average_rating
+            FROM facilities f
+            CROSS JOIN buckets b
+            LEFT JOIN counts c ON c.facility_id = f.id AND c.bucket = b.bucket
+            WHERE f.id = ANY($1::varchar[])
+            WINDOW w AS (
+                PARTITION BY f.id ORDER BY b.bucket
+                ROWS BETWEEN ${parseInt(rollingWindow, 10) - 1} PRECEDING AND CURRENT ROW
+            )
+            ORDER BY f.id, b.bucket
+        `;
+        const result = await this.pool.query(query, [facilityIds, from, to, interval]);
+        return result.rows;
+    }
+
+    async countByFacility(facilityId, { includeDeleted = false } = {}) {
+        const query = `
+            SELECT COUNT(*)::int as count
+            FROM reviews
+            WHERE facility_id = $1
+            AND ($2::boolean OR deleted_at IS NULL)
+        `;
+        const result = await this.pool.query(query, [facilityId, includeDeleted]);
+        return result.rows[0].count;
+    }
+}
+
+module.exports = new Review();
@@ -0,0 +1,110 @@
+const BaseModel = require('./BaseModel');
+
+// Escape LIKE wildcards so keywords match literally
+const likePattern = (keyword) => `%${keyword.replace(/[\\%_]/g, (char) => `\\${char}`)}%`;
+
+class ReviewAlert extends BaseModel {
+    constructor() {
+        super('review_alerts');
+    }
+
+    /**
+     * Live reviews on the rule's facilities that meet its condition and have
+     * not triggered it yet. Reviews posted before the rule was created are
+     * ignored so a new rule does not alert on history.
+     */
+    async findMatchingReviews(rule, asOf = new Date()) {
+        const values = [rule.organization_id, rule.facility_id, rule.created_at, rule.id];
+        let condition;
+
+        if (rule.rule_type === 'max_rating') {
+            values.push(rule.threshold);
+            condition = `r.rating <= $${values.length}`;
+        } else if (rule.rule_type === 'keyword') {
+            values.push(rule.keywords.map(likePattern));
+            condition = `r.comment ILIKE ANY($${values.length}::text[])`;
+        } else if (rule.rule_type === 'no_reply_within') {
+            values.push(new Date(asOf.getTime() - rule.threshold * 60 * 60 * 1000));
+            condition = `r.reply_comment IS NULL AND r.review_created_at <= $${values.length}`;
+        } else {
+            throw new Error(`Unknown alert rule type: ${rule.rule_type}`);
+        }
+
+        const query = `
+            SELECT r.*,
+                   f.name as facility_name,
+                   f.city as facility_city,
+                   f.state as facility_state
+            FROM reviews r
+            JOIN facilities f ON r.facility_id = f.id
+            WHERE f.organization_id = $1
+            AND ($2::varchar IS NULL OR r.facility_id = $2)
+            AND r.deleted_at IS NULL
+            AND r.review_created_at >= $3
+            AND NOT EXISTS (
+                SELECT 1 FROM review_alerts ra WHERE ra.rule_id = $4 AND ra.review_id = r.id
+            )
+            AND ${condition}
+            ORDER BY r.review_created_at ASC
+        `;
+        const result = await this.pool.query(query, values);
+        return result.rows;
+    }
+
+    // Returns null when the rule already fired for the review
+    async createForRule(rule, review) {
+        const query = `
+            INSERT INTO review_alerts (rule_id, review_id, facility_id, created_at, updated_at)
+            VALUES ($1, $2, $3, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+            ON CONFLICT (rule_id, review_id) DO NOTHING
+            RETURNING *
+        `;
+        const result = await this.pool.query(query, [rule.id, review.id, review.facility_id]);
+        return result.rows[0] || null;
+    }
+
+    async recordDeliveries(alertId, deliveries) {
+        return this.update(alertId, { deliveries: JSON.stringify(deliveries) });
+    }
+
+    async acknowledge(alertId, userId, note = null) {
+        return this.update(alertId, {
+            status: 'acknowledged',
+            acknowledged_by: userId,
+            acknowledged_at: new Date(),
+            acknowledgement_note: note,
+        });
+    }
+
+    async findAccessible(scope, { status = null, facilityId = null, limit = 100 } = {}) {
+        const query = `
+            SELECT ra.*,
+                   ar.name as rule_name,
+                   ar.rule_type,
+                   f.name as facility_name,
+                   r.reviewer_name,
+                   r.rating,
+                   r.comment,
+                   r.review_created_at
+            FROM review_alerts ra
+            JOIN alert_rules ar ON ra.rule_id = ar.id
+            JOIN facilities f ON ra.facility_id = f.id
+            JOIN reviews r ON ra.review_id = r.id
+            WHERE ($1::boolean OR f.organization_id = ANY($2::int[]))
+            AND ($3::varchar IS NULL OR ra.status = $3)
+            AND ($4::varchar IS NULL OR ra.facility_id = $4)
+            ORDER BY ra.created_at DESC
+            LIMIT $5
+        `;
+        const result = await this.pool.query(query, [
+            scope.all,
+            scope.organizationIds,
+            status,
+            facilityId,
+            limit,
+        ]);
+        return result.rows;
+    }
+}
+
+module.exports = new ReviewAlert();
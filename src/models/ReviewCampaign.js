@@ -1,31 +1,42 @@
 const BaseModel = require('./BaseModel');
 
+// Request counts per campaign. A request is completed once a posted Google
+// review has been attributed to it (see services/ReviewAttribution).
+const STATS_COLUMNS = `
+    COUNT(DISTINCT rr.id) as total_requests,
+    COUNT(DISTINCT CASE WHEN rr.status = 'completed' THEN rr.id END) as completed_reviews,
+    AVG(rr.rating) as average_rating,
+    AVG(r.rating) as average_google_rating
+`;
+
+const STATS_JOINS = `
+    LEFT JOIN review_requests rr ON rc.id = rr.campaign_id
+    LEFT JOIN reviews r ON rr.review_id = r.id AND r.deleted_at IS NULL
+`;
+
 class ReviewCampaign extends BaseModel {
     constructor() {
         super('review_campaigns');
     }
 
-    async findActiveCampaigns(facilityId) {
+    async findActiveCampaigns(facilityId, asOf = new Date()) {
         const query = `
             SELECT rc.*
             FROM review_campaigns rc
             WHERE rc.facility_id = $1
             AND rc.status = 'active'
-            AND rc.start_date <= CURRENT_DATE
-            AND (rc.end_date IS NULL OR rc.end_date >= CURRENT_DATE)
+            AND rc.start_date <= $2::date
+            AND (rc.end_date IS NULL OR rc.end_date >= $2::date)
         `;
-        const result = await this.pool.query(query, [facilityId]);
+        const result = await this.pool.query(query, [facilityId, asOf]);
         return result.rows;
     }
 
     async findWithStats(campaignId) {
         const query = `
-            SELECT rc.*,
-                   COUNT(DISTINCT rr.id) as total_requests,
-                   COUNT(DISTINCT CASE WHEN rr.status = 'completed' THEN rr.id END) as completed_reviews,
-                   AVG(rr.rating) as average_rating
+            SELECT rc.*, ${STATS_COLUMNS}
             FROM review_campaigns rc
-            LEFT JOIN review_requests rr ON rc.id = rr.campaign_id
+            ${STATS_JOINS}
             WHERE rc.id = $1
             GROUP BY rc.id
         `;
@@ -33,13 +44,59 @@ class ReviewCampaign extends BaseModel {
         return result.rows[0];
     }
 
+    async findAllWithStats(filters = {}) {
+        const whereClauses = [];
+        const values = [];
+
+        if (filters.facilityId) {
+            values.push(filters.facilityId);
+            whereClauses.push(`rc.facility_id = $${values.length}`);
+        }
+        if (filters.facilityIds) {
+            values.push(filters.facilityIds);
+            whereClauses.push(`rc.facility_id = ANY($${values.length}::varchar[])`);
+        }
+        // Campaigns running at any point in [from, to)
+        if (filters.from) {
+            values.push(filters.from);
+            whereClauses.push(`(rc.end_date IS NULL OR rc.end_date >= $${values.length}::date)`);
+        }
+        if (filters.to) {
+            values.push(filters.to);
+            whereClauses.push(`rc.start_date < $${values.length}::date`);
+        }
+        if (filters.scope && !filters.scope.all) {
+            values.push(filters.scope.organizationIds);
+            whereClauses.push(
+                `rc.facility_id IN (SELECT id FROM facilities WHERE organization_id = ANY($${values.length}::int[]))`
+            );
+        }
+        if (filters.status) {
+            values.push(filters.status);
+            whereClauses.push(`rc.status = $${values.length}`);
+        } else if (!filters.includeArchived) {
+            whereClauses.push(`rc.status <> 'archived'`);
+        }
+
+        const query = `
+            SELECT rc.*, ${STATS_COLUMNS}
+            FROM review_campaigns rc
+            ${STATS_JOINS}
+            ${whereClauses.length ? `WHERE ${whereClauses.join(' AND ')}` : ''}
+            GROUP BY rc.id
+            ORDER BY rc.start_date DESC, rc.id DESC
+        `;
+        const result = await this.pool.query(query, values);
+        return result.rows;
+    }
+
     async updateStatus(campaignId, status) {
         return this.update(campaignId, { status });
     }
 
     async findPendingRequests(campaignId) {
         const query = `
-            SELECT rr.*, t.name as tenant_name, t.email, t.phone
+            SELECT rr.*, t.name as tenant_name, t.email, t.phone, t.notification_opt_in
             FROM review_requests rr
             JOIN tenants t ON rr.tenant_id = t.id
             WHERE rr.campaign_id = $1
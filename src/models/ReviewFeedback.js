@@ -0,0 +1,43 @@
+const BaseModel = require('./BaseModel');
+
+class ReviewFeedback extends BaseModel {
+    constructor() {
+        super('review_feedback');
+    }
+
+    // Store the funnel feedback of a review request; resolves to null when the
+    // request already has feedback
+    async createForRequest(request, { rating, comment }) {
+        const query = `
+            INSERT INTO review_feedback (
+                facility_id, review_request_id, tenant_id, rating, comment, created_at, updated_at
+            )
+            VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+            ON CONFLICT (review_request_id) DO NOTHING
+            RETURNING *
+        `;
+        const result = await this.pool.query(query, [
+            request.facility_id,
+            request.id,
+            request.tenant_id,
+            rating,
+            comment || null,
+        ]);
+        return result.rows[0] || null;
+    }
+
+    async findByFacility(facilityId, limit = 100) {
+        const query = `
+            SELECT rf.*, t.name as tenant_name, t.unit_number
+            FROM review_feedback rf
+            LEFT JOIN tenants t ON rf.tenant_id = t.id
+            WHERE rf.facility_id = $1
+            ORDER BY rf.created_at DESC
+            LIMIT $2
+        `;
+        const result = await this.pool.query(query, [facilityId, limit]);
+        return result.rows;
+    }
+}
+
+module.exports = new ReviewFeedback();
@@ -0,0 +1,23 @@
+const BaseModel = require('./BaseModel');
+
+// Log of every reply posted (or attempted) to a Google review
+class ReviewReply extends BaseModel {
+    constructor() {
+        super('review_replies');
+    }
+
+    async findByGmbReviewId(gmbReviewId) {
+        const query = `
+            SELECT rr.*, u.email as author_email, u.first_name as author_first_name,
+                   u.last_name as author_last_name
+            FROM review_replies rr
+            LEFT JOIN users u ON rr.author_id = u.id
+            WHERE rr.gmb_review_id = $1
+            ORDER BY rr.created_at DESC
+        `;
+        const result = await this.pool.query(query, [gmbReviewId]);
+        return result.rows;
+    }
+}
+
+module.exports = new ReviewReply();
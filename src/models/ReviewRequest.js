@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const BaseModel = require('./BaseModel');
+
+class ReviewRequest extends BaseModel {
+    constructor() {
+        super('review_requests');
+    }
+
+    async createForTenant(campaign, tenant, channel) {
+        return this.create({
+            campaign_id: campaign.id,
+            facility_id: campaign.facility_id,
+            tenant_id: tenant.id,
+            channel,
+            status: 'pending',
+            token: crypto.randomBytes(24).toString('hex'),
+        });
+    }
+
+    async findByToken(token) {
+        const query = `SELECT * FROM ${this.tableName} WHERE token = $1`;
+        const result = await this.pool.query(query, [token]);
+        return result.rows[0];
+    }
+
+    async findWithFacilityByToken(token) {
+        const query = `
+            SELECT rr.*,
+                   f.name as facility_name,
+                   f.city as facility_city,
+                   f.state as facility_state,
+                   f.gmb_place_id,
+                   f.gmb_link
+            FROM review_requests rr
+            JOIN facilities f ON rr.facility_id = f.id
+            WHERE rr.token = $1
+        `;
+        const result = await this.pool.query(query, [token]);
+        return result.rows[0];
+    }
+
+    getFunnelUrl(token) {
+        const baseUrl = process.env.REVIEW_FUNNEL_BASE_URL || 'http://localhost:3000';
+        return `${baseUrl.replace(/\/$/, '')}/funnel/${token}`;
+    }
+
+    async markSent(requestId, messageId, sentAt = new Date()) {
+        return this.update(requestId, {
+            status: 'sent',
+            message_id: messageId || null,
+            sent_at: sentAt,
+            error: null,
+        });
+    }
+
+    async markClicked(requestId, clickedAt = new Date()) {
+        const query = `
+            UPDATE review_requests
+            SET clicked_at = COALESCE(clicked_at, $2),
+                status = CASE WHEN status IN ('pending', 'sent') THEN 'clicked' ELSE status END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING *
+        `;
+        const result = await this.pool.query(query, [requestId, clickedAt]);
+        return result.rows[0];
+    }
+
+    // A request that is already completed keeps its status
+    async recordRating(requestId, rating, ratedAt = new Date()) {
+        const query = `
+            UPDATE review_requests
+            SET rating = $2,
+                rated_at = $3,
+                status = CASE
+                    WHEN status IN ('pending', 'sent', 'clicked') THEN 'rated' ELSE status
+                END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING *
+        `;
+        const result = await this.pool.query(query, [requestId, rating, ratedAt]);
+        return result.rows[0];
+    }
+
+    async markGoogleClicked(requestId, clickedAt = new Date()) {
+        const query = `
+            UPDATE review_requests
+            SET google_clicked_at = COALESCE(google_clicked_at, $2),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING *
+        `;
+        const result = await this.pool.query(query, [requestId, clickedAt]);
+        return result.rows[0];
+    }
+
+    // Sent requests of a facility that have not been credited with a review yet
+    async findAttributionCandidates(facilityId, since) {
+        const query = `
+            SELECT rr.*, t.name as tenant_name
+            FROM review_requests rr
+            JOIN tenants t ON rr.tenant_id = t.id
+            WHERE rr.facility_id = $1
+            AND rr.review_id IS NULL
+            AND rr.status IN ('sent', 'clicked', 'rated')
+            AND rr.sent_at >= $2
+        `;
+        const result = await this.pool.query(query, [facilityId, since]);
+        return result.rows;
+    }
+
+    async markCompleted(requestId, review, confidence) {
+        return this.update(requestId, {
+            status: 'completed',
+            review_id: review.id,
+            attribution_confidence: confidence,
+            completed_at: review.review_created_at,
+        });
+    }
+
+    async findAttributedForTenantEmail(facilityId, email) {
+        const query = `
+            SELECT rr.id as review_request_id, rr.attribution_confidence, r.*
+            FROM review_requests rr
+            JOIN tenants t ON rr.tenant_id = t.id
+            JOIN reviews r ON rr.review_id = r.id
+            WHERE rr.facility_id = $1
+            AND LOWER(t.email) = LOWER($2)
+            ORDER BY r.review_created_at DESC
+        `;
+        const result = await this.pool.query(query, [facilityId, email]);
+        return result.rows;
+    }
+
+    // One page of an export, in id order; `minRating`/`maxRating` filter on
+    // the rating the tenant gave on the feedback page
+    async findForExport(
+        { facilityIds, from = null, to = null, minRating = null, maxRating = null },
+        { afterId = 0, limit }
+    ) {
+        const query = `
+            SELECT rr.*, f.name as facility_name, rc.name as campaign_name,
+                   t.name as tenant_name, t.unit_number, t.email, t.phone,
+                   r.rating as google_rating,
+                   (SELECT COUNT(*) FROM review_request_attempts a
+                    WHERE a.review_request_id = rr.id)::int as attempts
+            FROM review_requests rr
+            JOIN facilities f ON rr.facility_id = f.id
+            JOIN tenants t ON rr.tenant_id = t.id
+            LEFT JOIN review_campaigns rc ON rr.campaign_id = rc.id
+            LEFT JOIN reviews r ON rr.review_id = r.id
+            WHERE rr.id > $1
+            AND rr.facility_id = ANY($2::varchar[])
+            AND ($3::timestamptz IS NULL OR rr.created_at >= $3)
+            AND ($4::timestamptz IS NULL OR rr.created_at < $4)
+            AND ($5::int IS NULL OR rr.rating >= $5)
+            AND ($6::int IS NULL OR rr.rating <= $6)
+            ORDER BY rr.id ASC
+            LIMIT $7
+        `;
+        const result = await this.pool.query(query, [
+            afterId,
+            facilityIds,
+            from,
+            to,
+            minRating,
+            maxRating,
+            limit,
+        ]);
+        return result.rows;
+    }
+
+    async markSkipped(requestId, reason) {
+        return this.update(requestId, { status: 'skipped', error: reason });
+    }
+
+    async markFailed(requestId, errorMessage) {
+        return this.update(requestId, { status: 'failed', error: errorMessage });
+    }
+}
+
+module.exports = new ReviewRequest();
@@ -0,0 +1,21 @@
+const BaseModel = require('./BaseModel');
+
+// Log of every inbound SMS and the keyword it was read as, kept as the
+// record of when a tenant opted out or back in
+class SmsInboundMessage extends BaseModel {
+    constructor() {
+        super('sms_inbound_messages');
+    }
+
+    async record({ messageSid, from, to, body, keyword }) {
+        return this.create({
+            message_sid: messageSid || null,
+            from_phone: from,
+            to_phone: to || null,
+            body: body || null,
+            keyword,
+        });
+    }
+}
+
+module.exports = new SmsInboundMessage();
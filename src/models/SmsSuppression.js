@@ -0,0 +1,66 @@
+const BaseModel = require('./BaseModel');
+const { normalizePhone } = require('../utils/phone');
+
+/**
+ * Phone numbers (E.164) that texted an opt-out keyword. Tenant syncs and the
+ * SMS channel consult this list, so an opt-out holds even when the property
+ * management system still reports the tenant as opted in.
+ */
+class SmsSuppression extends BaseModel {
+    constructor() {
+        super('sms_suppressions');
+    }
+
+    async suppress(phone, keyword) {
+        const query = `
+            INSERT INTO sms_suppressions (phone, keyword, created_at, updated_at)
+            VALUES ($1, $2, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+            ON CONFLICT (phone) DO UPDATE SET
+                keyword = EXCLUDED.keyword,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `;
+        const result = await this.pool.query(query, [normalizePhone(phone), keyword]);
+        return result.rows[0];
+    }
+
+    async release(phone) {
+        const query = `DELETE FROM sms_suppressions WHERE phone = $1`;
+        const result = await this.pool.query(query, [normalizePhone(phone)]);
+        return result.rowCount > 0;
+    }
+
+    // The suppressed numbers among `phones`, normalized, looked up in one query
+    async findSuppressed(phones) {
+        const normalized = [...new Set(phones.map(normalizePhone).filter(Boolean))];
+        if (!normalized.length) {
+            return new Set();
+        }
+
+        const query = `SELECT phone FROM sms_suppressions WHERE phone = ANY($1::varchar[])`;
+        const result = await this.pool.query(query, [normalized]);
+        return new Set(result.rows.map((row) => row.phone));
+    }
+
+    // Synced tenant rows with the opt-in cleared for suppressed phones, since a
+    // STOP texted to us outranks the preference of the source system
+    async clearSuppressedOptIns(tenantRows) {
+        const suppressed = await this.findSuppressed(tenantRows.map((row) => row.phone || ''));
+        return tenantRows.map((row) =>
+            suppressed.has(normalizePhone(row.phone)) ? { ...row, notification_opt_in: false } : row
+        );
+    }
+
+    async isSuppressed(phone) {
+        const normalized = normalizePhone(phone);
+        if (!normalized) {
+            return false;
+        }
+
+        const query = `SELECT 1 FROM sms_suppressions WHERE phone = $1`;
+        const result = await this.pool.query(query, [normalized]);
+        return result.rows.length > 0;
+    }
+}
+
+module.exports = new SmsSuppression();
@@ -5,7 +5,15 @@ class Tenant extends BaseModel {
         super('tenants');
     }
 
-    async findEligibleForReview(facilityId) {
+    async findEligibleForReview(facilityId, options = {}) {
+        const {
+            asOf = new Date(),
+            delayDays = 0,
+            maxPerMonth = 1,
+            campaignId = null,
+            limit = 5,
+        } = options;
+
         const query = `
             SELECT t.*
             FROM tenants t
@@ -13,15 +21,28 @@ class Tenant extends BaseModel {
             AND t.is_good_standing = true
             AND t.notification_opt_in = true
             AND t.move_out_date IS NULL
-            AND NOT EXISTS (
+            AND t.move_in_date <= $2::date - ($3::int * INTERVAL '1 day')
+            AND (
+                SELECT COUNT(*) FROM review_requests rr
+                WHERE rr.tenant_id = t.id
+                AND rr.created_at >= $2::timestamptz - INTERVAL '30 days'
+            ) < $4
+            AND ($5::int IS NULL OR NOT EXISTS (
                 SELECT 1 FROM review_requests rr
                 WHERE rr.tenant_id = t.id
-                AND rr.created_at >= CURRENT_DATE - INTERVAL '30 days'
-            )
+                AND rr.campaign_id = $5
+            ))
             ORDER BY t.move_in_date ASC
-            LIMIT 5
+            LIMIT $6
         `;
-        const result = await this.pool.query(query, [facilityId]);
+        const result = await this.pool.query(query, [
+            facilityId,
+            asOf,
+            delayDays,
+            maxPerMonth,
+            campaignId,
+            limit,
+        ]);
         return result.rows;
     }
 
@@ -42,6 +63,84 @@ class Tenant extends BaseModel {
         return this.update(tenantId, { is_good_standing: isGoodStanding });
     }
 
+    // Tenants whose stored phone, however formatted, is the given E.164 number
+    async findByPhone(phone) {
+        const digits = phone.replace(/\D/g, '');
+        const query = `
+            SELECT *
+            FROM tenants
+            WHERE regexp_replace(phone, '\\D', '', 'g') = ANY($1::text[])
+        `;
+        // US numbers are often stored without the country code
+        const candidates = digits.startsWith('1') ? [digits, digits.slice(1)] : [digits];
+        const result = await this.pool.query(query, [candidates]);
+        return result.rows;
+    }
+
+    async countCurrent(facilityId) {
+        const query = `
+            SELECT COUNT(*)::int as count
+            FROM tenants
+            WHERE facility_id = $1
+            AND move_out_date IS NULL
+        `;
+        const result = await this.pool.query(query, [facilityId]);
+        return result.rows[0].count;
+    }
+
+    // Tenants of a facility missing from a full PMS listing have left; they are
+    // marked moved out rather than deleted to keep their review requests
+    async markMissingAsMovedOut(facilityId, unitNumbers, asOf = new Date()) {
+        const query = `
+            UPDATE tenants
+            SET move_out_date = $3::date, updated_at = CURRENT_TIMESTAMP
+            WHERE facility_id = $1
+            AND move_out_date IS NULL
+            AND NOT (unit_number = ANY($2::varchar[]))
+        `;
+        const result = await this.pool.query(query, [facilityId, unitNumbers, asOf]);
+        return result.rowCount;
+    }
+
+    /**
+     * Insert or update synced tenants, matched on facility and unit, in
+     * transactions of `batchSize` rows. Resolves to one report per batch (see
+     * BaseModel#upsertInBatches).
+     */
+    async bulkUpsert(rows, batchSize) {
+        // A unit listed twice would update the same row twice in one statement; the last one wins
+        const byUnit = new Map(rows.map((row) => [`${row.facility_id}/${row.unit_number}`, row]));
+
+        return this.upsertInBatches([...byUnit.values()], batchSize, async (batch, client) => {
+            const query = `
+                INSERT INTO tenants (
+                    facility_id, name, unit_number, phone, email, move_in_date, move_out_date,
+                    is_good_standing, notification_opt_in, created_at, updated_at
+                )
+                SELECT facility_id, name, unit_number, phone, email, move_in_date, move_out_date,
+                       is_good_standing, notification_opt_in, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+                FROM jsonb_to_recordset($1::jsonb) AS r(
+                    facility_id varchar, name varchar, unit_number varchar, phone varchar,
+                    email varchar, move_in_date date, move_out_date date,
+                    is_good_standing boolean, notification_opt_in boolean
+                )
+                ON CONFLICT (facility_id, unit_number) DO UPDATE SET
+                    name = EXCLUDED.name,
+                    phone = EXCLUDED.phone,
+                    email = EXCLUDED.email,
+                    move_in_date = EXCLUDED.move_in_date,
+                    move_out_date = EXCLUDED.move_out_date,
+                    is_good_standing = EXCLUDED.is_good_standing,
+                    notification_opt_in = EXCLUDED.notification_opt_in,
+                    updated_at = CURRENT_TIMESTAMP
+                RETURNING (xmax = 0) as inserted
+            `;
+            const result = await client.query(query, [JSON.stringify(batch)]);
+            const inserted = result.rows.filter((row) => row.inserted).length;
+            return { inserted, updated: result.rows.length - inserted };
+        });
+    }
+
     async updateNotificationPreference(tenantId, optIn) {
         return this.update(tenantId, { notification_opt_in: optIn });
     }
@@ -1,10 +1,51 @@
 const BaseModel = require('./BaseModel');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
+const ROLES = ['admin', 'manager', 'staff'];
+
+// Columns safe to return from the API
+const PUBLIC_COLUMNS =
+    'id, email, first_name, last_name, role, email_verified_at, last_login_at, created_at, updated_at';
+
+const hashPassword = async (password) => {
+    const salt = await bcrypt.genSalt(10);
+    return bcrypt.hash(password, salt);
+};
+
 class User extends BaseModel {
     constructor() {
         super('users');
+        this.ROLES = ROLES;
+    }
+
+    async findAllPublic() {
+        const query = `SELECT ${PUBLIC_COLUMNS} FROM ${this.tableName} ORDER BY email ASC`;
+        const result = await this.pool.query(query);
+        return result.rows;
+    }
+
+    async findPublicById(id) {
+        const query = `SELECT ${PUBLIC_COLUMNS} FROM ${this.tableName} WHERE id = $1`;
+        const result = await this.pool.query(query, [id]);
+        return result.rows[0];
+    }
+
+    // Invited users get a random password until they accept the invitation
+    async inviteUser(userData) {
+        const placeholder = await hashPassword(crypto.randomBytes(32).toString('hex'));
+
+        const user = await this.create({ ...userData, password_hash: placeholder });
+        return this.findPublicById(user.id);
+    }
+
+    async setPassword(userId, newPassword) {
+        await this.update(userId, { password_hash: await hashPassword(newPassword) });
+    }
+
+    async markEmailVerified(userId) {
+        await this.update(userId, { email_verified_at: new Date() });
     }
 
     async findByEmail(email) {
@@ -14,18 +55,12 @@ class User extends BaseModel {
     }
 
     async createUser(userData) {
-        // Hash password
-        const salt = await bcrypt.genSalt(10);
-        const hashedPassword = await bcrypt.hash(userData.password, salt);
-
-        // Create user without password
-        const { ...userWithoutPassword } = userData;
-        const user = await this.create({
+        // Store only the hash of the password
+        const { password, ...userWithoutPassword } = userData;
+        return this.create({
             ...userWithoutPassword,
-            password: hashedPassword,
+            password_hash: await hashPassword(password),
         });
-
-        return this.generateAuthToken(user);
     }
 
     async authenticate(email, password) {
@@ -35,21 +70,23 @@ class User extends BaseModel {
             throw new Error('Invalid credentials');
         }
 
-        const isValidPassword = await bcrypt.compare(password, user.password);
+        const isValidPassword = await bcrypt.compare(password, user.password_hash);
 
         if (!isValidPassword) {
             throw new Error('Invalid credentials');
         }
 
-        return this.generateAuthToken(user);
+        return user;
     }
 
-    generateAuthToken(user) {
+    // `sessionId` ties the access token to a revocable session (see UserSession)
+    generateAuthToken(user, sessionId) {
         const token = jwt.sign(
             {
                 id: user.id,
                 email: user.email,
                 role: user.role,
+                sid: sessionId,
             },
             process.env.JWT_SECRET,
             { expiresIn: process.env.JWT_EXPIRATION }
@@ -63,6 +100,7 @@ class User extends BaseModel {
                 firstName: user.first_name,
                 lastName: user.last_name,
                 role: user.role,
+                emailVerified: Boolean(user.email_verified_at),
             },
         };
     }
@@ -80,10 +118,7 @@ class User extends BaseModel {
             throw new Error('Current password is incorrect');
         }
 
-        const salt = await bcrypt.genSalt(10);
-        const hashedPassword = await bcrypt.hash(newPassword, salt);
-
-        await this.update(userId, { password_hash: hashedPassword });
+        await this.setPassword(userId, newPassword);
     }
 
     async updateLastLogin(userId) {
@@ -0,0 +1,91 @@
+const BaseModel = require('./BaseModel');
+
+// Actions that can be granted per facility, per region (state) or across all
+// facilities of the user's organizations. `reviews.respond` drafts replies;
+// `reviews.approve` approves and publishes them.
+const PERMISSIONS = [
+    'reviews.respond',
+    'reviews.approve',
+    'campaigns.manage',
+    'tenants.sync',
+    'feedback.view',
+    'exports.view',
+];
+
+// Roles that hold every permission on the facilities they can see
+const PRIVILEGED_ROLES = ['admin', 'manager'];
+
+class UserPermission extends BaseModel {
+    constructor() {
+        super('user_permissions');
+        this.PERMISSIONS = PERMISSIONS;
+    }
+
+    async findByUser(userId) {
+        return this.findAll({ user_id: userId }, 'permission ASC, id ASC');
+    }
+
+    async replaceForUser(userId, grants) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('DELETE FROM user_permissions WHERE user_id = $1', [userId]);
+
+            for (const grant of grants) {
+                await client.query(
+                    `INSERT INTO user_permissions (user_id, permission, facility_id, region)
+                     VALUES ($1, $2, $3, $4)`,
+                    [userId, grant.permission, grant.facilityId || null, grant.region || null]
+                );
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        return this.findByUser(userId);
+    }
+
+    /**
+     * Whether `user` (the decoded JWT) may perform `permission` on `facility`.
+     * Facility visibility is enforced separately by the organization scope.
+     */
+    async hasPermission(user, permission, facility) {
+        if (PRIVILEGED_ROLES.includes(user.role)) {
+            return true;
+        }
+
+        const query = `
+            SELECT 1
+            FROM user_permissions up
+            WHERE up.user_id = $1
+            AND up.permission = $2
+            AND (
+                up.facility_id = $3
+                OR up.region = $4
+                OR (up.facility_id IS NULL AND up.region IS NULL)
+            )
+            UNION ALL
+            SELECT 1
+            FROM organization_members om
+            WHERE om.user_id = $1
+            AND om.organization_id = $5
+            AND om.role = 'owner'
+            LIMIT 1
+        `;
+        const result = await this.pool.query(query, [
+            user.id,
+            permission,
+            facility.id,
+            facility.state,
+            facility.organization_id,
+        ]);
+        return result.rows.length > 0;
+    }
+}
+
+module.exports = new UserPermission();
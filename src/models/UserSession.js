@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const BaseModel = require('./BaseModel');
+
+/**
+ * A login session and the chain of refresh tokens rotated within it. Access
+ * tokens carry the session id (`sid`), so revoking the session invalidates
+ * them as well. Refresh tokens are stored as SHA-256 hashes only.
+ */
+class UserSession extends BaseModel {
+    constructor() {
+        super('user_sessions');
+    }
+
+    hash(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    async start(userId, { userAgent, ipAddress, expiresAt }) {
+        const query = `
+            INSERT INTO user_sessions (id, user_id, user_agent, ip_address, expires_at, last_used_at)
+            VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+            RETURNING *
+        `;
+        const result = await this.pool.query(query, [
+            crypto.randomUUID(),
+            userId,
+            userAgent || null,
+            ipAddress || null,
+            expiresAt,
+        ]);
+        return result.rows[0];
+    }
+
+    async issueRefreshToken(session) {
+        const token = crypto.randomBytes(48).toString('hex');
+        await this.pool.query(
+            `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+             VALUES ($1, $2, $3)`,
+            [session.id, this.hash(token), session.expires_at]
+        );
+        return token;
+    }
+
+    async findByRefreshToken(token) {
+        const query = `
+            SELECT rt.id as refresh_token_id,
+                   rt.rotated_at,
+                   rt.expires_at as refresh_expires_at,
+                   s.*
+            FROM refresh_tokens rt
+            JOIN user_sessions s ON rt.session_id = s.id
+            WHERE rt.token_hash = $1
+        `;
+        const result = await this.pool.query(query, [this.hash(token)]);
+        return result.rows[0];
+    }
+
+    // Returns false when the token was already rotated by a concurrent request
+    async markRotated(refreshTokenId) {
+        const query = `
+            UPDATE refresh_tokens
+            SET rotated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND rotated_at IS NULL
+            RETURNING id
+        `;
+        const result = await this.pool.query(query, [refreshTokenId]);
+        if (result.rows.length) {
+            await this.pool.query(
+                `UPDATE user_sessions
+                 SET last_used_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = (SELECT session_id FROM refresh_tokens WHERE id = $1)`,
+                [refreshTokenId]
+            );
+        }
+        return result.rows.length > 0;
+    }
+
+    async isActive(sessionId) {
+        const query = `
+            SELECT 1
+            FROM user_sessions
+            WHERE id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+        `;
+        const result = await this.pool.query(query, [sessionId]);
+        return result.rows.length > 0;
+    }
+
+    async findActiveByUser(userId) {
+        const query = `
+            SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+            FROM user_sessions
+            WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+            ORDER BY last_used_at DESC NULLS LAST
+        `;
+        const result = await this.pool.query(query, [userId]);
+        return result.rows;
+    }
+
+    async revoke(sessionId, userId) {
+        const query = `
+            UPDATE user_sessions
+            SET revoked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+            RETURNING id
+        `;
+        const result = await this.pool.query(query, [sessionId, userId]);
+        return result.rows.length > 0;
+    }
+
+    async revokeAllForUser(userId, exceptSessionId = null) {
+        const query = `
+            UPDATE user_sessions
+            SET revoked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE user_id = $1
+            AND revoked_at IS NULL
+            AND ($2::varchar IS NULL OR id <> $2)
+        `;
+        const result = await this.pool.query(query, [userId, exceptSessionId]);
+        return result.rowCount;
+    }
+}
+
+module.exports = new UserSession();
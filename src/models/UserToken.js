@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const BaseModel = require('./BaseModel');
+
+/**
+ * Single-use, expiring tokens mailed to users: `invite`, `password_reset` and
+ * `email_verification`.
+ * Only a SHA-256 hash of each token is stored.
+ */
+class UserToken extends BaseModel {
+    constructor() {
+        super('user_tokens');
+    }
+
+    hash(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    async issue(userId, purpose, ttlMs) {
+        const token = crypto.randomBytes(32).toString('hex');
+
+        // A new token supersedes any unused one issued for the same purpose
+        await this.pool.query(
+            `UPDATE user_tokens
+             SET used_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+            [userId, purpose]
+        );
+
+        await this.create({
+            user_id: userId,
+            purpose,
+            token_hash: this.hash(token),
+            expires_at: new Date(Date.now() + ttlMs),
+        });
+
+        return token;
+    }
+
+    async hasIssued(userId, purpose) {
+        const query = `SELECT 1 FROM user_tokens WHERE user_id = $1 AND purpose = $2 LIMIT 1`;
+        const result = await this.pool.query(query, [userId, purpose]);
+        return result.rows.length > 0;
+    }
+
+    async consume(token, purpose) {
+        const query = `
+            UPDATE user_tokens
+            SET used_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE token_hash = $1
+            AND purpose = $2
+            AND used_at IS NULL
+            AND expires_at > CURRENT_TIMESTAMP
+            RETURNING *
+        `;
+        const result = await this.pool.query(query, [this.hash(token), purpose]);
+        return result.rows[0];
+    }
+}
+
+module.exports = new UserToken();
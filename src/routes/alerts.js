@@ -0,0 +1,333 @@
+const express = require('express');
+const router = express.Router();
+const AlertRule = require('../models/AlertRule');
+const ReviewAlert = require('../models/ReviewAlert');
+const Organization = require('../models/Organization');
+const Facility = require('../models/Facility');
+const UserPermission = require('../models/UserPermission');
+const { normalizePhone } = require('../utils/phone');
+const { checkPublicUrl } = require('../utils/publicUrl');
+const auth = require('../middleware/auth');
+const orgScope = require('../middleware/orgScope');
+const logger = require('../utils/logger');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ALERT_STATUSES = ['open', 'acknowledged'];
+
+router.use(auth(), orgScope());
+
+// Admins manage every rule; managers and owners those of their organizations
+async function canManageRules(req, organizationId) {
+    if (req.scope.all) {
+        return true;
+    }
+    if (!req.scope.organizationIds.includes(organizationId)) {
+        return false;
+    }
+    if (req.user.role === 'manager') {
+        return true;
+    }
+    const membership = await Organization.findMembership(organizationId, req.user.id);
+    return membership?.role === 'owner';
+}
+
+router.param('ruleId', async (req, res, next, ruleId) => {
+    try {
+        const rule = /^\d+$/.test(ruleId) ? await AlertRule.findById(ruleId) : null;
+        if (
+            !rule ||
+            (!req.scope.all && !req.scope.organizationIds.includes(rule.organization_id))
+        ) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+
+        req.rule = rule;
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @route GET /alerts
+ * @desc List review alerts, newest first
+ * @access Private
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { status, facilityId } = req.query;
+        if (status && !ALERT_STATUSES.includes(status)) {
+            return res
+                .status(400)
+                .json({ error: `Status must be one of ${ALERT_STATUSES.join(', ')}` });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+        const alerts = await ReviewAlert.findAccessible(req.scope, { status, facilityId, limit });
+        res.json({ alerts });
+    } catch (error) {
+        logger.error('Failed to list alerts:', error);
+        res.status(500).json({
+            error: 'Failed to list alerts',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route GET /alerts/rules
+ * @desc List alert rules of the caller's organizations
+ * @access Private
+ */
+router.get('/rules', async (req, res) => {
+    try {
+        const rules = await AlertRule.findAccessible(req.scope);
+        res.json({ rules });
+    } catch (error) {
+        logger.error('Failed to list alert rules:', error);
+        res.status(500).json({
+            error: 'Failed to list alert rules',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route POST /alerts/rules
+ * @desc Create an alert rule for an organization
+ * @access Admin, manager or organization owner
+ */
+router.post('/rules', async (req, res) => {
+    try {
+        const { data, errors } = await parseRule(req.body);
+        if (!data.organization_id) {
+            errors.push('organizationId is required');
+        }
+        if (!data.name) {
+            errors.push('name is required');
+        }
+        if (!data.rule_type) {
+            errors.push('ruleType is required');
+        }
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid alert rule', details: errors });
+        }
+        if (!(await Organization.findById(data.organization_id))) {
+            return res.status(404).json({ error: 'Organization not found' });
+        }
+        if (!(await canManageRules(req, data.organization_id))) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+
+        const rule = await AlertRule.create({ ...data, created_by: req.user.id });
+        res.status(201).json(rule);
+    } catch (error) {
+        logger.error('Failed to create alert rule:', error);
+        res.status(500).json({
+            error: 'Failed to create alert rule',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route PUT /alerts/rules/:ruleId
+ * @desc Update an alert rule
+ * @access Admin, manager or organization owner
+ */
+router.put('/rules/:ruleId', async (req, res) => {
+    try {
+        if (!(await canManageRules(req, req.rule.organization_id))) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+
+        const { data, errors } = await parseRule(req.body, req.rule);
+        delete data.organization_id;
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid alert rule', details: errors });
+        }
+        if (!Object.keys(data).length) {
+            return res.status(400).json({ error: 'No changes provided' });
+        }
+
+        res.json(await AlertRule.update(req.rule.id, data));
+    } catch (error) {
+        logger.error('Failed to update alert rule:', error);
+        res.status(500).json({
+            error: 'Failed to update alert rule',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route DELETE /alerts/rules/:ruleId
+ * @desc Delete an alert rule and its alerts
+ * @access Admin, manager or organization owner
+ */
+router.delete('/rules/:ruleId', async (req, res) => {
+    try {
+        if (!(await canManageRules(req, req.rule.organization_id))) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+
+        await AlertRule.delete(req.rule.id);
+        res.json({ message: 'Alert rule deleted' });
+    } catch (error) {
+        logger.error('Failed to delete alert rule:', error);
+        res.status(500).json({
+            error: 'Failed to delete alert rule',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route POST /alerts/:alertId/acknowledge
+ * @desc Acknowledge an alert, with an optional note
+ * @access Private (reviews.respond on the alert's facility)
+ */
+router.post('/:alertId/acknowledge', async (req, res) => {
+    try {
+        const alert = /^\d+$/.test(req.params.alertId)
+            ? await ReviewAlert.findById(req.params.alertId)
+            : null;
+        const facility =
+            alert && (await Facility.findAccessibleBy('id', alert.facility_id, req.scope));
+        if (!facility) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+        if (!(await UserPermission.hasPermission(req.user, 'reviews.respond', facility))) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        if (alert.status === 'acknowledged') {
+            return res.status(409).json({ error: 'Alert is already acknowledged' });
+        }
+
+        res.json(await ReviewAlert.acknowledge(alert.id, req.user.id, req.body.note || null));
+    } catch (error) {
+        logger.error('Failed to acknowledge alert:', error);
+        res.status(500).json({
+            error: 'Failed to acknowledge alert',
+            details: error.message,
+        });
+    }
+});
+
+// Map the request body onto rule columns, collecting validation errors.
+// `existing` is the stored rule when updating.
+async function parseRule(body, existing = {}) {
+    const data = {};
+    const errors = [];
+
+    if (body.organizationId !== undefined) {
+        if (!/^[1-9]\d*$/.test(String(body.organizationId))) {
+            errors.push('organizationId must be a positive integer');
+        } else {
+            data.organization_id = Number(body.organizationId);
+        }
+    }
+    const organizationId = data.organization_id || existing.organization_id;
+
+    if (body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) {
+            errors.push('name must be a non-empty string');
+        } else {
+            data.name = body.name.trim();
+        }
+    }
+
+    if (body.ruleType !== undefined) {
+        if (!AlertRule.RULE_TYPES.includes(body.ruleType)) {
+            errors.push(`ruleType must be one of ${AlertRule.RULE_TYPES.join(', ')}`);
+        } else {
+            data.rule_type = body.ruleType;
+        }
+    }
+
+    if (body.threshold !== undefined) {
+        data.threshold = body.threshold;
+    }
+    if (body.keywords !== undefined) {
+        if (
+            !Array.isArray(body.keywords) ||
+            body.keywords.some((keyword) => typeof keyword !== 'string' || !keyword.trim())
+        ) {
+            errors.push('keywords must be a list of non-empty strings');
+        } else {
+            data.keywords = body.keywords.map((keyword) => keyword.trim());
+        }
+    }
+
+    // The condition must be complete for the rule type after the change
+    const ruleType = data.rule_type || existing.rule_type;
+    const threshold = data.threshold !== undefined ? data.threshold : existing.threshold;
+    const keywords = data.keywords || existing.keywords || [];
+    if (
+        ruleType === 'max_rating' &&
+        !(Number.isInteger(threshold) && threshold >= 1 && threshold <= 5)
+    ) {
+        errors.push('threshold must be a star rating from 1 to 5');
+    } else if (ruleType === 'no_reply_within' && !(Number.isInteger(threshold) && threshold >= 1)) {
+        errors.push('threshold must be a number of hours of at least 1');
+    } else if (ruleType === 'keyword' && !keywords.length) {
+        errors.push('keywords are required for keyword rules');
+    }
+
+    if (body.facilityId !== undefined) {
+        const facility = body.facilityId === null ? null : await Facility.findById(body.facilityId);
+        if (
+            body.facilityId !== null &&
+            (!facility || facility.organization_id !== organizationId)
+        ) {
+            errors.push('facilityId must be a facility of the organization');
+        } else {
+            data.facility_id = body.facilityId;
+        }
+    }
+
+    if (body.emailRecipients !== undefined) {
+        if (
+            !Array.isArray(body.emailRecipients) ||
+            body.emailRecipients.some((email) => !EMAIL_PATTERN.test(email))
+        ) {
+            errors.push('emailRecipients must be a list of email addresses');
+        } else {
+            data.email_recipients = body.emailRecipients;
+        }
+    }
+
+    if (body.smsRecipients !== undefined) {
+        const phones = Array.isArray(body.smsRecipients)
+            ? body.smsRecipients.map(normalizePhone)
+            : [null];
+        if (phones.some((phone) => !phone)) {
+            errors.push('smsRecipients must be a list of phone numbers');
+        } else {
+            data.sms_recipients = phones;
+        }
+    }
+
+    if (body.webhookUrl !== undefined) {
+        // Alerts are posted from the server, so the URL must not lead to internal hosts
+        const problem =
+            body.webhookUrl === null
+                ? null
+                : typeof body.webhookUrl === 'string'
+                  ? await checkPublicUrl(body.webhookUrl)
+                  : 'must be a valid URL';
+        if (problem) {
+            errors.push(`webhookUrl ${problem}`);
+        } else {
+            data.webhook_url = body.webhookUrl;
+        }
+    }
+
+    if (body.isActive !== undefined) {
+        data.is_active = Boolean(body.isActive);
+    }
+
+    return { data, errors };
+}
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const express = require('express');
+const router = express.Router();
+const Facility = require('../models/Facility');
+const ReviewAnalytics = require('../services/ReviewAnalytics');
+const auth = require('../middleware/auth');
+const orgScope = require('../middleware/orgScope');
+const logger = require('../utils/logger');
+
+const DEFAULT_RANGE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+router.use(auth(), orgScope());
+
+// Parse an optional ISO date query parameter; undefined when absent, null when invalid
+function parseDate(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Resolve `from`/`to` (defaulting to the last 90 days) and the optional comparison range
+function parseRanges(query) {
+    const errors = [];
+    const to = parseDate(query.to) ?? new Date();
+    const from = parseDate(query.from) ?? new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+    const compareFrom = parseDate(query.compareFrom);
+    const compareTo = parseDate(query.compareTo);
+
+    if ([query.from, query.to].some((value) => value !== undefined && !parseDate(value))) {
+        errors.push('from and to must be ISO 8601 dates');
+    } else if (from >= to) {
+        errors.push('from must be before to');
+    }
+    if ((compareFrom === undefined) !== (compareTo === undefined)) {
+        errors.push('compareFrom and compareTo must be given together');
+    } else if (compareFrom === null || compareTo === null) {
+        errors.push('compareFrom and compareTo must be ISO 8601 dates');
+    } else if (compareFrom && compareFrom >= compareTo) {
+        errors.push('compareFrom must be before compareTo');
+    }
+
+    return { from, to, compareFrom, compareTo, errors };
+}
+
+// The requested facilities (comma-separated `facilityIds`), or every accessible one
+async function resolveFacilityIds(req) {
+    const accessible = await Facility.findAccessible(req.scope);
+    const accessibleIds = new Set(accessible.map((facility) => facility.id));
+    if (!req.query.facilityIds) {
+        return { facilityIds: [...accessibleIds] };
+    }
+
+    const facilityIds = [...new Set(req.query.facilityIds.split(',').map((id) => id.trim()))];
+    const unknown = facilityIds.filter((id) => !accessibleIds.has(id));
+    return unknown.length ? { unknown } : { facilityIds };
+}
+
+/**
+ * @route GET /analytics/reviews/summary
+ * @desc Review volume, rating distribution and reply stats per facility and overall,
+ *       optionally compared with another date range
+ * @access Private
+ */
+router.get('/reviews/summary', async (req, res) => {
+    try {
+        const { from, to, compareFrom, compareTo, errors } = parseRanges(req.query);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid date range', details: errors });
+        }
+
+        const { facilityIds, unknown } = await resolveFacilityIds(req);
+        if (unknown) {
+            return res.status(404).json({ error: 'Facility not found', facilityIds: unknown });
+        }
+
+        const summary = await ReviewAnalytics.summary(facilityIds, {
+            from,
+            to,
+            compareFrom,
+            compareTo,
+        });
+        res.json(summary);
+    } catch (error) {
+        logger.error('Failed to fetch review summary:', error);
+        res.status(500).json({
+            error: 'Failed to fetch review summary',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route GET /analytics/reviews/trend
+ * @desc Review volume, average rating and response rate per day, week or month,
+ *       with rolling averages over `rollingWindow` buckets
+ * @access Private
+ */
+router.get('/reviews/trend', async (req, res) => {
+    try {
+        const { from, to, errors } = parseRanges(req.query);
+        const interval = req.query.interval || 'week';
+        const rollingWindow = req.query.rollingWindow ? Number(req.query.rollingWindow) : 4;
+
+        if (!ReviewAnalytics.INTERVALS.includes(interval)) {
+            errors.push(`interval must be one of ${ReviewAnalytics.INTERVALS.join(', ')}`);
+        } else if (ReviewAnalytics.countBuckets(from, to, interval) > ReviewAnalytics.MAX_BUCKETS) {
+            errors.push(`The range spans more than ${ReviewAnalytics.MAX_BUCKETS} ${interval}s`);
+        }
+        if (!Number.isInteger(rollingWindow) || rollingWindow < 1 || rollingWindow > 52) {
+            errors.push('rollingWindow must be an integer from 1 to 52');
+        }
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid trend request', details: errors });
+        }
+
+        const { facilityIds, unknown } = await resolveFacilityIds(req);
+        if (unknown) {
+            return res.status(404).json({ error: 'Facility not found', facilityIds: unknown });
+        }
+
+        const trend = await ReviewAnalytics.trend(facilityIds, {
+            from,
+            to,
+            interval,
+            rollingWindow,
+        });
+        res.json(trend);
+    } catch (error) {
+        logger.error('Failed to fetch review trend:', error);
+        res.status(500).json({
+            error: 'Failed to fetch review trend',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route GET /analytics/portfolio
+ * @desc Review, unanswered and review request totals across all accessible facilities,
+ *       grouped by facility, city or state and sortable to surface the worst performers
+ * @access Private
+ */
+router.get('/portfolio', async (req, res) => {
+    try {
+        const { from, to, errors } = parseRanges(req.query);
+        const { groupBy = 'facility', sort = 'name', state, city } = req.query;
+        const order = req.query.order || (sort === 'name' ? 'asc' : 'desc');
+        const limit = req.query.limit ? Number(req.query.limit) : null;
+
+        if (!ReviewAnalytics.PORTFOLIO_GROUPS.includes(groupBy)) {
+            errors.push(`groupBy must be one of ${ReviewAnalytics.PORTFOLIO_GROUPS.join(', ')}`);
+        }
+        if (!ReviewAnalytics.PORTFOLIO_SORTS.includes(sort)) {
+            errors.push(`sort must be one of ${ReviewAnalytics.PORTFOLIO_SORTS.join(', ')}`);
+        }
+        if (!['asc', 'desc'].includes(order)) {
+            errors.push('order must be asc or desc');
+        }
+        if (limit !== null && !(Number.isInteger(limit) && limit >= 1)) {
+            errors.push('limit must be a positive integer');
+        }
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid portfolio request', details: errors });
+        }
+
+        const portfolio = await ReviewAnalytics.portfolio(req.scope, {
+            from,
+            to,
+            groupBy,
+            state: state ? state.toUpperCase() : null,
+            city: city || null,
+            sort,
+            order,
+            limit,
+        });
+        res.json(portfolio);
+    } catch (error) {
+        logger.error('Failed to fetch portfolio:', error);
+        res.status(500).json({
+            error: 'Failed to fetch portfolio',
+            details: error.message,
+        });
+    }
+});
+
+module.exports = router;
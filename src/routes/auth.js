@@ -1,9 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const UserToken = require('../models/UserToken');
+const UserSession = require('../models/UserSession');
+const AuthSessions = require('../services/AuthSessions');
+const AccountMailer = require('../services/AccountMailer');
 const auth = require('../middleware/auth');
 const logger = require('../utils/logger');
 
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL_MS = 3 * 24 * 60 * 60 * 1000; // 3 days
+const MIN_PASSWORD_LENGTH = 8;
+
+// Client details stored with each session so users can tell them apart
+const sessionInfo = (req) => ({
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip,
+});
+
+async function sendVerificationEmail(user) {
+    const token = await UserToken.issue(user.id, 'email_verification', EMAIL_VERIFICATION_TTL_MS);
+    await AccountMailer.sendEmailVerification(user, token, { expiresIn: '3 days' });
+}
+
 /**
  * @route POST /api/auth/register
  * @desc Register a new user
@@ -13,7 +32,8 @@ const logger = require('../utils/logger');
 router.post('/register', async (req, res) => {
     try {
         console.log('Registering a new user');
-        const { email, password, firstName, lastName, role = 'staff' } = req.body;
+        // Self-registered accounts are always staff; admins assign other roles
+        const { email, password, firstName, lastName } = req.body;
 
         // Check if user already exists
         const existingUser = await User.findByEmail(email);
@@ -22,14 +42,20 @@ router.post('/register', async (req, res) => {
         }
 
         // Create new user
-        const result = await User.createUser({
+        const user = await User.createUser({
             email,
             password,
             first_name: firstName,
             last_name: lastName,
-            role,
+            role: 'staff',
         });
 
+        // A failed verification email must not fail the registration; it can be resent
+        await sendVerificationEmail(user).catch((error) =>
+            logger.error(`Failed to send verification email to user ${user.id}:`, error)
+        );
+
+        const result = await AuthSessions.start(user, sessionInfo(req));
         res.status(201).json(result);
     } catch (error) {
         logger.error('Registration error:', error);
@@ -39,17 +65,18 @@ router.post('/register', async (req, res) => {
 
 /**
  * @route POST /api/auth/login
- * @desc Login user and get token
+ * @desc Login user and get an access token and a refresh token
  * @access Public
  */
 
 router.post('/login', async (req, res) => {
     try {
         const { email, password } = req.body;
-        const result = await User.authenticate(email, password);
+        const user = await User.authenticate(email, password);
+        const result = await AuthSessions.start(user, sessionInfo(req));
 
         // Update last login
-        await User.updateLastLogin(result.user.id);
+        await User.updateLastLogin(user.id);
 
         res.json(result);
     } catch (error) {
@@ -58,11 +85,229 @@ router.post('/login', async (req, res) => {
     }
 });
 
+/**
+ * @route POST /api/auth/accept-invite
+ * @desc Set a password for an invited user and log them in
+ * @access Public
+ */
+
+router.post('/accept-invite', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        if (!token || !password || password.length < MIN_PASSWORD_LENGTH) {
+            return res
+                .status(400)
+                .json({ error: 'Token and a password of at least 8 characters are required' });
+        }
+
+        const invite = await UserToken.consume(token, 'invite');
+        if (!invite) {
+            return res.status(400).json({ error: 'Invitation is invalid or has expired' });
+        }
+
+        await User.setPassword(invite.user_id, password);
+        // The invitation was mailed to this address, so it is verified too
+        await User.markEmailVerified(invite.user_id);
+        const user = await User.findById(invite.user_id);
+        await User.updateLastLogin(user.id);
+
+        res.json(await AuthSessions.start(user, sessionInfo(req)));
+    } catch (error) {
+        logger.error('Accept invitation error:', error);
+        res.status(500).json({ error: 'Failed to accept invitation' });
+    }
+});
+
+/**
+ * @route POST /api/auth/forgot-password
+ * @desc Email a single-use password reset link
+ * @access Public
+ */
+
+router.post('/forgot-password', async (req, res) => {
+    try {
+        const { email } = req.body;
+        if (!email) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+
+        const user = await User.findByEmail(email);
+        if (user) {
+            const token = await UserToken.issue(user.id, 'password_reset', PASSWORD_RESET_TTL_MS);
+            await AccountMailer.sendPasswordReset(user, token, { expiresIn: '1 hour' });
+        }
+
+        // Same answer whether or not the address is registered
+        res.json({ message: 'If the email is registered, a reset link has been sent' });
+    } catch (error) {
+        logger.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Failed to send password reset email' });
+    }
+});
+
+/**
+ * @route POST /api/auth/reset-password
+ * @desc Set a new password from a reset token and sign out every session
+ * @access Public
+ */
+
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        if (!token || !password || password.length < MIN_PASSWORD_LENGTH) {
+            return res
+                .status(400)
+                .json({ error: 'Token and a password of at least 8 characters are required' });
+        }
+
+        const reset = await UserToken.consume(token, 'password_reset');
+        if (!reset) {
+            return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+        }
+
+        await User.setPassword(reset.user_id, password);
+        await UserSession.revokeAllForUser(reset.user_id);
+        res.json({ message: 'Password has been reset' });
+    } catch (error) {
+        logger.error('Reset password error:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+});
+
+/**
+ * @route POST /api/auth/verify-email
+ * @desc Confirm the email address of an account
+ * @access Public
+ */
+
+router.post('/verify-email', async (req, res) => {
+    try {
+        const { token } = req.body;
+        const verification = token && (await UserToken.consume(token, 'email_verification'));
+        if (!verification) {
+            return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+        }
+
+        await User.markEmailVerified(verification.user_id);
+        res.json({ message: 'Email verified' });
+    } catch (error) {
+        logger.error('Verify email error:', error);
+        res.status(500).json({ error: 'Failed to verify email' });
+    }
+});
+
+// Send a new verification email to the current user
+router.post('/resend-verification', auth(), async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.email_verified_at) {
+            return res.status(409).json({ error: 'Email is already verified' });
+        }
+
+        await sendVerificationEmail(user);
+        res.json({ message: 'Verification email sent' });
+    } catch (error) {
+        logger.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Failed to send verification email' });
+    }
+});
+
+/**
+ * @route POST /api/auth/refresh
+ * @desc Exchange a refresh token for a new access token and a rotated refresh token
+ * @access Public
+ */
+
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) {
+            return res.status(400).json({ error: 'Refresh token is required' });
+        }
+
+        const result = await AuthSessions.refresh(refreshToken);
+        res.json(result);
+    } catch (error) {
+        logger.error('Token refresh error:', error);
+        res.status(401).json({ error: 'Invalid refresh token' });
+    }
+});
+
+/**
+ * @route POST /api/auth/logout
+ * @desc Revoke the current session
+ * @access Private
+ */
+
+router.post('/logout', auth(), async (req, res) => {
+    try {
+        if (req.user.sid) {
+            await UserSession.revoke(req.user.sid, req.user.id);
+        }
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        logger.error('Logout error:', error);
+        res.status(500).json({ error: 'Logout failed' });
+    }
+});
+
+/**
+ * @route POST /api/auth/logout-all
+ * @desc Revoke every session of the current user
+ * @access Private
+ */
+
+router.post('/logout-all', auth(), async (req, res) => {
+    try {
+        const revoked = await UserSession.revokeAllForUser(req.user.id);
+        res.json({ message: 'Logged out of all sessions', revoked });
+    } catch (error) {
+        logger.error('Logout all error:', error);
+        res.status(500).json({ error: 'Logout failed' });
+    }
+});
+
+// List active sessions of the current user
+router.get('/sessions', auth(), async (req, res) => {
+    try {
+        const sessions = await UserSession.findActiveByUser(req.user.id);
+        res.json({
+            sessions: sessions.map((session) => ({
+                ...session,
+                current: session.id === req.user.sid,
+            })),
+        });
+    } catch (error) {
+        logger.error('List sessions error:', error);
+        res.status(500).json({ error: 'Failed to list sessions' });
+    }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:sessionId', auth(), async (req, res) => {
+    try {
+        const revoked = await UserSession.revoke(req.params.sessionId, req.user.id);
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json({ message: 'Session revoked' });
+    } catch (error) {
+        logger.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
 // Change password
 router.post('/change-password', auth(), async (req, res) => {
     try {
         const { currentPassword, newPassword } = req.body;
         await User.updatePassword(req.user.id, currentPassword, newPassword);
+
+        // Sign out every other device that may know the old password
+        await UserSession.revokeAllForUser(req.user.id, req.user.sid);
         res.json({ message: 'Password updated successfully' });
     } catch (error) {
         logger.error('Password change error:', error);
@@ -73,14 +318,12 @@ router.post('/change-password', auth(), async (req, res) => {
 // Get current user
 router.get('/me', auth(), async (req, res) => {
     try {
-        const user = await User.findById(req.user.id);
+        const user = await User.findPublicById(req.user.id);
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        // Remove sensitive data
-        const { ...userWithoutPassword } = user;
-        res.json(userWithoutPassword);
+        res.json(user);
     } catch (error) {
         logger.error('Get user error:', error);
         res.status(500).json({ error: 'Failed to get user data' });
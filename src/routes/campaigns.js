@@ -0,0 +1,284 @@
+const express = require('express');
+const router = express.Router();
+const ReviewCampaign = require('../models/ReviewCampaign');
+const MessageTemplate = require('../models/MessageTemplate');
+const Facility = require('../models/Facility');
+const UserPermission = require('../models/UserPermission');
+const auth = require('../middleware/auth');
+const orgScope = require('../middleware/orgScope');
+const logger = require('../utils/logger');
+
+const CHANNELS = ['sms', 'email'];
+const STATUSES = ['draft', 'active', 'paused', 'archived'];
+
+// Allowed status changes for the lifecycle endpoints
+const TRANSITIONS = {
+    pause: { from: ['active'], to: 'paused' },
+    resume: { from: ['paused'], to: 'active' },
+    archive: { from: ['draft', 'active', 'paused'], to: 'archived' },
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+router.use(auth(), orgScope());
+
+// Changing a campaign requires campaigns.manage on its facility
+const canManage = async (req, res, next) => {
+    try {
+        if (!(await UserPermission.hasPermission(req.user, 'campaigns.manage', req.facility))) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Load the campaign into req.campaign, hiding campaigns of other organizations
+router.param('campaignId', async (req, res, next, campaignId) => {
+    try {
+        const campaign = /^\d+$/.test(campaignId)
+            ? await ReviewCampaign.findById(campaignId)
+            : null;
+        const facility =
+            campaign && (await Facility.findAccessibleBy('id', campaign.facility_id, req.scope));
+        if (!facility) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+
+        req.campaign = campaign;
+        req.facility = facility;
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @route GET /campaigns
+ * @desc List campaigns with request stats, optionally filtered by facility and status
+ * @access Private
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { facilityId, status, includeArchived } = req.query;
+        if (status && !STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Status must be one of ${STATUSES.join(', ')}` });
+        }
+
+        const campaigns = await ReviewCampaign.findAllWithStats({
+            facilityId,
+            status,
+            includeArchived: includeArchived === 'true',
+            scope: req.scope,
+        });
+        res.json({ campaigns });
+    } catch (error) {
+        logger.error('Failed to list campaigns:', error);
+        res.status(500).json({
+            error: 'Failed to list campaigns',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route POST /campaigns
+ * @desc Create a campaign for a facility
+ * @access Private
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { data, errors } = await parseCampaign(req.body);
+        if (!data.facility_id) {
+            errors.push('facilityId is required');
+        }
+        if (!data.name) {
+            errors.push('name is required');
+        }
+        if (!data.start_date) {
+            errors.push('startDate is required');
+        }
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid campaign', details: errors });
+        }
+
+        const facility = await Facility.findAccessibleBy('id', data.facility_id, req.scope);
+        if (!facility) {
+            return res.status(404).json({ error: 'Facility not found' });
+        }
+        if (!(await UserPermission.hasPermission(req.user, 'campaigns.manage', facility))) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+
+        const campaign = await ReviewCampaign.create({
+            channels: CHANNELS,
+            ...data,
+            status: req.body.status === 'draft' ? 'draft' : 'active',
+        });
+        res.status(201).json(await ReviewCampaign.findWithStats(campaign.id));
+    } catch (error) {
+        logger.error('Failed to create campaign:', error);
+        res.status(500).json({
+            error: 'Failed to create campaign',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route GET /campaigns/:campaignId
+ * @desc Get a campaign with request stats
+ * @access Private
+ */
+router.get('/:campaignId', async (req, res) => {
+    try {
+        res.json(await ReviewCampaign.findWithStats(req.campaign.id));
+    } catch (error) {
+        logger.error('Failed to fetch campaign:', error);
+        res.status(500).json({
+            error: 'Failed to fetch campaign',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route PUT /campaigns/:campaignId
+ * @desc Update a campaign's name, schedule, channels or templates
+ * @access Private
+ */
+router.put('/:campaignId', canManage, async (req, res) => {
+    try {
+        const existing = req.campaign;
+        if (existing.status === 'archived') {
+            return res.status(409).json({ error: 'Archived campaigns cannot be changed' });
+        }
+
+        const { data, errors } = await parseCampaign(req.body, existing);
+        delete data.facility_id;
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid campaign', details: errors });
+        }
+        if (!Object.keys(data).length) {
+            return res.status(400).json({ error: 'No changes provided' });
+        }
+
+        await ReviewCampaign.update(existing.id, data);
+        res.json(await ReviewCampaign.findWithStats(existing.id));
+    } catch (error) {
+        logger.error('Failed to update campaign:', error);
+        res.status(500).json({
+            error: 'Failed to update campaign',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route POST /campaigns/:campaignId/(pause|resume|archive)
+ * @desc Move a campaign through its lifecycle
+ * @access Private
+ */
+Object.entries(TRANSITIONS).forEach(([action, transition]) => {
+    router.post(`/:campaignId/${action}`, canManage, async (req, res) => {
+        try {
+            const { campaign } = req;
+            if (!transition.from.includes(campaign.status)) {
+                return res.status(409).json({
+                    error: `Cannot ${action} a campaign that is ${campaign.status}`,
+                });
+            }
+
+            await ReviewCampaign.updateStatus(campaign.id, transition.to);
+            res.json(await ReviewCampaign.findWithStats(campaign.id));
+        } catch (error) {
+            logger.error(`Failed to ${action} campaign:`, error);
+            res.status(500).json({
+                error: `Failed to ${action} campaign`,
+                details: error.message,
+            });
+        }
+    });
+});
+
+// Map the request body onto campaign columns, collecting validation errors.
+// `existing` is the stored campaign when updating, used to check the date range.
+async function parseCampaign(body, existing = {}) {
+    const data = {};
+    const errors = [];
+
+    if (body.facilityId !== undefined) {
+        data.facility_id = body.facilityId === null ? null : String(body.facilityId);
+    }
+
+    if (body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) {
+            errors.push('name must be a non-empty string');
+        } else {
+            data.name = body.name.trim();
+        }
+    }
+
+    ['startDate', 'endDate'].forEach((field) => {
+        const value = body[field];
+        if (value === undefined) {
+            return;
+        }
+        const column = field === 'startDate' ? 'start_date' : 'end_date';
+        if (value === null && field === 'endDate') {
+            data[column] = null;
+        } else if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+            errors.push(`${field} must be a date in YYYY-MM-DD format`);
+        } else {
+            data[column] = value;
+        }
+    });
+
+    const startDate = data.start_date || existing.start_date;
+    const endDate = data.end_date !== undefined ? data.end_date : existing.end_date;
+    if (startDate && endDate && endDate < startDate) {
+        errors.push('endDate must not be before startDate');
+    }
+
+    if (body.channels !== undefined) {
+        if (
+            !Array.isArray(body.channels) ||
+            !body.channels.length ||
+            body.channels.some((channel) => !CHANNELS.includes(channel))
+        ) {
+            errors.push(`channels must be a non-empty list of ${CHANNELS.join(', ')}`);
+        } else {
+            data.channels = [...new Set(body.channels)];
+        }
+    }
+
+    const facilityId = existing.facility_id || data.facility_id;
+    for (const channel of CHANNELS) {
+        const field = `${channel}TemplateId`;
+        if (body[field] === undefined) {
+            continue;
+        }
+        if (body[field] === null) {
+            data[`${channel}_template_id`] = null;
+            continue;
+        }
+
+        const template = Number.isInteger(body[field])
+            ? await MessageTemplate.findById(body[field])
+            : null;
+        if (
+            !template ||
+            template.channel !== channel ||
+            (template.facility_id && String(template.facility_id) !== String(facilityId))
+        ) {
+            errors.push(`${field} must reference a ${channel} template available to the facility`);
+        } else {
+            data[`${channel}_template_id`] = template.id;
+        }
+    }
+
+    return { data, errors };
+}
+
+module.exports = router;
@@ -1,38 +1,138 @@
 const express = require('express');
 const router = express.Router();
 const CubbyPMS = require('../services/CubbyPMS');
+const CubbyWebhooks = require('../services/CubbyWebhooks');
+const CubbyWebhookEvent = require('../models/CubbyWebhookEvent');
 const auth = require('../middleware/auth');
+const facilityAccess = require('../middleware/facilityAccess');
+const webhookSignature = require('../middleware/webhookSignature');
+const { loadScope } = require('../middleware/orgScope');
+const Facility = require('../models/Facility');
 const logger = require('../utils/logger');
 const metrics = require('../utils/metrics');
 
-// Webhook endpoint for Cubby PMS events
-router.post('/webhook', async (req, res) => {
+const tenantSyncAccess = facilityAccess({ permission: 'tenants.sync' });
+
+// Cubby signs `<X-Cubby-Timestamp>.<raw body>` with one of CUBBY_WEBHOOK_SECRET
+const cubbySignature = webhookSignature({
+    signatureHeader: 'x-cubby-signature',
+    timestampHeader: 'x-cubby-timestamp',
+    secretsEnv: 'CUBBY_WEBHOOK_SECRET',
+    toleranceEnv: 'CUBBY_WEBHOOK_TOLERANCE_SECONDS',
+});
+
+// Webhook endpoint for Cubby PMS events: stored, then processed in the background
+router.post('/webhook', cubbySignature, async (req, res) => {
     try {
-        const signature = req.headers['x-cubby-signature'];
+        const { event, duplicate } = await CubbyWebhooks.receive(
+            req.body,
+            req.headers['x-cubby-event-id'],
+            req.headers['x-cubby-timestamp']
+        );
+        // Acknowledge duplicates too, so Cubby stops retrying them
+        res.status(duplicate ? 200 : 202).json({
+            message: duplicate ? 'Webhook already received' : 'Webhook accepted',
+            eventId: event.event_id,
+            status: event.status,
+        });
+    } catch (error) {
+        logger.error('Webhook intake failed:', error);
+        res.status(500).json({ error: 'Failed to process webhook' });
+    }
+});
 
-        // Verify webhook signature
-        if (!signature || !verifyWebhookSignature(signature, req.body)) {
-            return res.status(401).json({ error: 'Invalid webhook signature' });
+/**
+ * @route GET /cubby/webhook-events
+ * @desc List received webhook events, newest first (`status`, `eventType`, `limit`)
+ * @access Admin
+ */
+router.get('/webhook-events', auth(['admin']), async (req, res) => {
+    try {
+        const { status, eventType } = req.query;
+        if (status && !CubbyWebhookEvent.STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: `Status must be one of ${CubbyWebhookEvent.STATUSES.join(', ')}`,
+            });
         }
 
-        await CubbyPMS.handleWebhook(req.body);
-        res.status(200).json({ message: 'Webhook processed successfully' });
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+        const events = await CubbyWebhookEvent.findRecent({ status, eventType, limit });
+        res.json({ events });
     } catch (error) {
-        logger.error('Webhook processing failed:', error);
-        res.status(500).json({ error: 'Failed to process webhook' });
+        logger.error('Failed to list webhook events:', error);
+        res.status(500).json({
+            error: 'Failed to list webhook events',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route POST /cubby/webhook-events/replay
+ * @desc Replay every failed webhook event, or the failed or processed ones in `ids`
+ * @access Admin
+ */
+router.post('/webhook-events/replay', auth(['admin']), async (req, res) => {
+    try {
+        const { ids } = req.body;
+        if (
+            ids !== undefined &&
+            (!Array.isArray(ids) || !ids.length || ids.some((id) => !Number.isInteger(id)))
+        ) {
+            return res.status(400).json({ error: 'ids must be a non-empty list of event ids' });
+        }
+
+        const queued = await CubbyWebhooks.replay(ids || null);
+        res.status(202).json({ message: `Queued ${queued.length} events for replay`, queued });
+    } catch (error) {
+        logger.error('Failed to replay webhook events:', error);
+        res.status(500).json({
+            error: 'Failed to replay webhook events',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route POST /cubby/webhook-events/:id/replay
+ * @desc Replay one failed or processed webhook event
+ * @access Admin
+ */
+router.post('/webhook-events/:id/replay', auth(['admin']), async (req, res) => {
+    try {
+        const event = /^\d+$/.test(req.params.id)
+            ? await CubbyWebhookEvent.findById(req.params.id)
+            : null;
+        if (!event) {
+            return res.status(404).json({ error: 'Webhook event not found' });
+        }
+        if (!['failed', 'processed'].includes(event.status)) {
+            return res.status(409).json({ error: `Webhook event is ${event.status}` });
+        }
+
+        await CubbyWebhooks.replay([event.id]);
+        res.status(202).json({ message: 'Webhook event queued for replay', id: event.id });
+    } catch (error) {
+        logger.error('Failed to replay webhook event:', error);
+        res.status(500).json({
+            error: 'Failed to replay webhook event',
+            details: error.message,
+        });
     }
 });
 
 // Manual sync endpoints (protected by authentication)
-router.post('/sync/facilities', auth(), async (req, res) => {
+// A full facility sync touches every organization, so it is reserved for admins
+router.post('/sync/facilities', auth(['admin']), async (req, res) => {
     try {
-        const result = await CubbyPMS.syncFacilities();
+        const result = await CubbyPMS.syncFacilities({ full: req.query.full === 'true' });
         res.json({
             message: 'Facility sync completed',
             details: {
                 successCount: result.successCount,
                 failureCount: result.failureCount,
                 total: result.total,
+                deactivated: result.deactivated,
             },
         });
     } catch (error) {
@@ -44,15 +144,18 @@ router.post('/sync/facilities', auth(), async (req, res) => {
     }
 });
 
-router.post('/sync/tenants/:facilityId', auth(), async (req, res) => {
+router.post('/sync/tenants/:facilityId', auth(), tenantSyncAccess, async (req, res) => {
     try {
-        const result = await CubbyPMS.syncTenants(req.params.facilityId);
+        const result = await CubbyPMS.syncTenants(req.params.facilityId, {
+            full: req.query.full === 'true',
+        });
         res.json({
             message: 'Tenant sync completed',
             details: {
                 successCount: result.successCount,
                 failureCount: result.failureCount,
                 total: result.total,
+                movedOut: result.movedOut,
             },
         });
     } catch (error) {
@@ -68,6 +171,10 @@ router.post('/sync/tenants/:facilityId', auth(), async (req, res) => {
 router.get('/tenants/:tenantId', auth(), async (req, res) => {
     try {
         const tenant = await CubbyPMS.getTenantDetails(req.params.tenantId);
+        const scope = await loadScope(req);
+        if (!(await Facility.findAccessibleBy('id', tenant.facilityId, scope))) {
+            return res.status(404).json({ error: 'Tenant not found' });
+        }
         res.json(tenant);
     } catch (error) {
         logger.error('Failed to get tenant details:', error);
@@ -79,7 +186,7 @@ router.get('/tenants/:tenantId', auth(), async (req, res) => {
 });
 
 // Get facility details
-router.get('/facilities/:facilityId', auth(), async (req, res) => {
+router.get('/facilities/:facilityId', auth(), facilityAccess(), async (req, res) => {
     try {
         const facility = await CubbyPMS.getFacilityDetails(req.params.facilityId);
         res.json(facility);
@@ -92,8 +199,8 @@ router.get('/facilities/:facilityId', auth(), async (req, res) => {
     }
 });
 
-// Metrics endpoints (protected by authentication)
-router.get('/metrics', auth(), async (req, res) => {
+// Metrics endpoints (platform-wide, admins only)
+router.get('/metrics', auth(['admin']), async (req, res) => {
     try {
         const metricsData = metrics.getMetrics();
         res.json(metricsData);
@@ -106,7 +213,7 @@ router.get('/metrics', auth(), async (req, res) => {
     }
 });
 
-router.get('/health', auth(), async (req, res) => {
+router.get('/health', auth(['admin']), async (req, res) => {
     try {
         const healthStatus = metrics.getHealthStatus();
         res.json(healthStatus);
@@ -119,15 +226,4 @@ router.get('/health', auth(), async (req, res) => {
     }
 });
 
-// Helper function to verify webhook signature
-function verifyWebhookSignature(signature, payload) {
-    const crypto = require('crypto');
-    const secret = process.env.CUBBY_WEBHOOK_SECRET;
-
-    const hmac = crypto.createHmac('sha256', secret);
-    const calculatedSignature = hmac.update(JSON.stringify(payload)).digest('hex');
-
-    return crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(calculatedSignature));
-}
-
 module.exports = router;
@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const Facility = require('../models/Facility');
+const UserPermission = require('../models/UserPermission');
+const ReviewExports = require('../services/ReviewExports');
+const auth = require('../middleware/auth');
+const orgScope = require('../middleware/orgScope');
+const logger = require('../utils/logger');
+
+router.use(auth(), orgScope());
+
+// Map the query onto export filters, collecting validation errors
+function parseFilters(query) {
+    const filters = {};
+    const errors = [];
+
+    ['from', 'to'].forEach((field) => {
+        if (query[field] === undefined) {
+            return;
+        }
+        const date = new Date(query[field]);
+        if (Number.isNaN(date.getTime())) {
+            errors.push(`${field} must be an ISO 8601 date`);
+        } else {
+            filters[field] = date;
+        }
+    });
+    if (filters.from && filters.to && filters.from >= filters.to) {
+        errors.push('from must be before to');
+    }
+
+    ['minRating', 'maxRating'].forEach((field) => {
+        if (query[field] === undefined) {
+            return;
+        }
+        const rating = Number(query[field]);
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            errors.push(`${field} must be a star rating from 1 to 5`);
+        } else {
+            filters[field] = rating;
+        }
+    });
+
+    return { filters, errors };
+}
+
+/**
+ * @route GET /exports/:type
+ * @desc Download reviews, review-requests or campaigns as CSV (default) or XLSX,
+ *       filtered by facilityIds, from/to and minRating/maxRating
+ * @access Private (exports.view on the exported facilities)
+ */
+router.get('/:type', async (req, res) => {
+    const { type } = req.params;
+    const format = req.query.format || 'csv';
+
+    try {
+        if (!ReviewExports.TYPES.includes(type)) {
+            return res.status(404).json({ error: 'Export not found' });
+        }
+
+        const { filters, errors } = parseFilters(req.query);
+        if (!ReviewExports.FORMATS.includes(format)) {
+            errors.push(`format must be one of ${ReviewExports.FORMATS.join(', ')}`);
+        }
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid export request', details: errors });
+        }
+
+        const accessible = await Facility.findAccessible(req.scope);
+        const accessibleIds = accessible.map((facility) => facility.id);
+        // Exports carry tenant contact details, so they need their own grant
+        const permitted = [];
+        for (const facility of accessible) {
+            if (await UserPermission.hasPermission(req.user, 'exports.view', facility)) {
+                permitted.push(facility.id);
+            }
+        }
+
+        if (req.query.facilityIds) {
+            filters.facilityIds = [...new Set(req.query.facilityIds.split(','))].map((id) =>
+                id.trim()
+            );
+            const unknown = filters.facilityIds.filter((id) => !accessibleIds.includes(id));
+            if (unknown.length) {
+                return res.status(404).json({ error: 'Facility not found', facilityIds: unknown });
+            }
+            if (filters.facilityIds.some((id) => !permitted.includes(id))) {
+                return res.status(403).json({ error: 'Insufficient permissions' });
+            }
+        } else if (!permitted.length) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        } else {
+            filters.facilityIds = permitted;
+        }
+
+        const filename = `${type}-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.setHeader('Content-Type', ReviewExports.contentType(format));
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        const count = await ReviewExports.write(type, format, filters, res);
+        logger.info(`Exported ${count} ${type} as ${format} for user ${req.user.id}`);
+    } catch (error) {
+        logger.error(`Failed to export ${type}:`, error);
+        // Once rows are streaming the status is sent; cut the download short instead
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({
+            error: 'Failed to export',
+            details: error.message,
+        });
+    }
+});
+
+module.exports = router;
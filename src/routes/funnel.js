@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const ReviewFunnel = require('../services/ReviewFunnel');
+const ReviewFeedback = require('../models/ReviewFeedback');
+const auth = require('../middleware/auth');
+const facilityAccess = require('../middleware/facilityAccess');
+const logger = require('../utils/logger');
+
+const feedbackAccess = facilityAccess({ permission: 'feedback.view' });
+
+const TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+
+// Reject malformed tokens before they reach the database
+router.param('token', (req, res, next, token) => {
+    if (!TOKEN_PATTERN.test(token)) {
+        return res.status(404).json({ error: 'Review request not found' });
+    }
+    next();
+});
+
+/**
+ * @route GET /funnel/:token
+ * @desc Open a review request link
+ * @access Public
+ */
+router.get('/:token', async (req, res) => {
+    try {
+        const result = await ReviewFunnel.open(req.params.token);
+        if (!result) {
+            return res.status(404).json({ error: 'Review request not found' });
+        }
+        res.json(result);
+    } catch (error) {
+        logger.error('Failed to open review request:', error);
+        res.status(500).json({ error: 'Failed to open review request' });
+    }
+});
+
+/**
+ * @route POST /funnel/:token/feedback
+ * @desc Submit a star rating and optional comment
+ * @access Public
+ */
+router.post('/:token/feedback', async (req, res) => {
+    try {
+        const rating = Number(req.body.rating);
+        const { comment } = req.body;
+
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            return res.status(400).json({ error: 'Rating must be an integer from 1 to 5' });
+        }
+        if (comment !== undefined && (typeof comment !== 'string' || comment.length > 5000)) {
+            return res
+                .status(400)
+                .json({ error: 'Comment must be text of at most 5000 characters' });
+        }
+
+        const result = await ReviewFunnel.submitFeedback(req.params.token, { rating, comment });
+        if (!result) {
+            return res.status(404).json({ error: 'Review request not found' });
+        }
+        if (result.alreadySubmitted) {
+            return res.status(409).json({ error: 'Feedback already submitted' });
+        }
+        res.json(result);
+    } catch (error) {
+        logger.error('Failed to submit review feedback:', error);
+        res.status(500).json({ error: 'Failed to submit feedback' });
+    }
+});
+
+/**
+ * @route POST /funnel/:token/google
+ * @desc Record that the tenant followed the Google review link
+ * @access Public
+ */
+router.post('/:token/google', async (req, res) => {
+    try {
+        const result = await ReviewFunnel.trackGoogleClick(req.params.token);
+        if (!result) {
+            return res.status(404).json({ error: 'Review request not found' });
+        }
+        if (result.notOffered) {
+            return res
+                .status(409)
+                .json({ error: 'Google review link not offered for this rating' });
+        }
+        res.json(result);
+    } catch (error) {
+        logger.error('Failed to record Google review click:', error);
+        res.status(500).json({ error: 'Failed to record click' });
+    }
+});
+
+// Private feedback collected by the funnel for a facility
+router.get('/facilities/:facilityId/feedback', auth(), feedbackAccess, async (req, res) => {
+    try {
+        const feedback = await ReviewFeedback.findByFacility(req.params.facilityId);
+        res.json({ feedback });
+    } catch (error) {
+        logger.error('Failed to fetch facility feedback:', error);
+        res.status(500).json({
+            error: 'Failed to fetch facility feedback',
+            details: error.message,
+        });
+    }
+});
+
+module.exports = router;
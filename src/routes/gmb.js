@@ -1,10 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const GoogleMyBusiness = require('../services/GoogleMyBusiness');
+const ReviewIngestion = require('../services/ReviewIngestion');
+const Review = require('../models/Review');
+const ReviewRequest = require('../models/ReviewRequest');
+const ReviewAttribution = require('../services/ReviewAttribution');
+const ReviewReplies = require('../services/ReviewReplies');
+const ReviewAnalytics = require('../services/ReviewAnalytics');
 const auth = require('../middleware/auth');
 const gmbAuth = require('../middleware/gmbAuth');
+const facilityAccess = require('../middleware/facilityAccess');
 const logger = require('../utils/logger');
 
+// Location routes only serve facilities in the caller's organizations
+const locationAccess = facilityAccess({ param: 'placeId', column: 'gmb_place_id' });
+const replyAccess = facilityAccess({
+    param: 'placeId',
+    column: 'gmb_place_id',
+    permission: 'reviews.approve',
+});
+
 // GMB Authorization routes
 router.get('/auth/status', auth(), async (req, res) => {
     try {
@@ -47,11 +62,18 @@ router.get('/auth/callback', async (req, res) => {
     }
 });
 
-// Get location reviews
-router.get('/locations/:placeId/reviews', auth(), gmbAuth(), async (req, res) => {
+// Get location reviews from the local copy kept by the ingestion job
+router.get('/locations/:placeId/reviews', auth(), locationAccess, async (req, res) => {
     try {
-        const reviews = await GoogleMyBusiness.getLocationReviews(req.params.placeId);
-        res.json({ reviews });
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+        const includeDeleted = req.query.includeDeleted === 'true';
+
+        const [reviews, total] = await Promise.all([
+            Review.findByFacility(req.facility.id, { limit, offset, includeDeleted }),
+            Review.countByFacility(req.facility.id, { includeDeleted }),
+        ]);
+        res.json({ reviews, total, syncedAt: req.facility.reviews_synced_at });
     } catch (error) {
         logger.error('Failed to fetch reviews:', error);
         res.status(500).json({
@@ -61,8 +83,29 @@ router.get('/locations/:placeId/reviews', auth(), gmbAuth(), async (req, res) =>
     }
 });
 
+// Re-ingest a location's reviews from Google now
+router.post(
+    '/locations/:placeId/reviews/sync',
+    auth(),
+    locationAccess,
+    gmbAuth(),
+    async (req, res) => {
+        try {
+            const result = await ReviewIngestion.ingestFacility(req.facility);
+            const attributed = await ReviewAttribution.attributeFacility(req.facility);
+            res.json({ ...result, attributed });
+        } catch (error) {
+            logger.error('Failed to sync reviews:', error);
+            res.status(500).json({
+                error: 'Failed to sync reviews',
+                details: error.message,
+            });
+        }
+    }
+);
+
 // Get location details
-router.get('/locations/:placeId', auth(), gmbAuth(), async (req, res) => {
+router.get('/locations/:placeId', auth(), locationAccess, gmbAuth(), async (req, res) => {
     try {
         const location = await GoogleMyBusiness.getLocationDetails(req.params.placeId);
         res.json(location);
@@ -76,29 +119,38 @@ router.get('/locations/:placeId', auth(), gmbAuth(), async (req, res) => {
 });
 
 // Create review link
-router.post('/locations/:placeId/review-link', auth(), gmbAuth(), async (req, res) => {
-    try {
-        const reviewUrl = await GoogleMyBusiness.createReviewLink(req.params.placeId);
-        res.json({ reviewUrl });
-    } catch (error) {
-        logger.error('Failed to create review link:', error);
-        res.status(500).json({
-            error: 'Failed to create review link',
-            details: error.message,
-        });
+router.post(
+    '/locations/:placeId/review-link',
+    auth(),
+    locationAccess,
+    gmbAuth(),
+    async (req, res) => {
+        try {
+            const reviewUrl = await GoogleMyBusiness.createReviewLink(req.params.placeId);
+            res.json({ reviewUrl });
+        } catch (error) {
+            logger.error('Failed to create review link:', error);
+            res.status(500).json({
+                error: 'Failed to create review link',
+                details: error.message,
+            });
+        }
     }
-});
+);
 
-// Verify review exists
-router.get('/locations/:placeId/verify-review', auth(), gmbAuth(), async (req, res) => {
+// Verify a tenant posted a review, using reviews attributed to their requests
+router.get('/locations/:placeId/verify-review', auth(), locationAccess, async (req, res) => {
     try {
         const { tenantEmail } = req.query;
         if (!tenantEmail) {
             return res.status(400).json({ error: 'Tenant email is required' });
         }
 
-        const exists = await GoogleMyBusiness.verifyReviewExists(req.params.placeId, tenantEmail);
-        res.json({ exists });
+        const reviews = await ReviewRequest.findAttributedForTenantEmail(
+            req.facility.id,
+            tenantEmail
+        );
+        res.json({ exists: reviews.length > 0, reviews });
     } catch (error) {
         logger.error('Failed to verify review:', error);
         res.status(500).json({
@@ -109,7 +161,7 @@ router.get('/locations/:placeId/verify-review', auth(), gmbAuth(), async (req, r
 });
 
 // Get location insights
-router.get('/locations/:placeId/insights', auth(), gmbAuth(), async (req, res) => {
+router.get('/locations/:placeId/insights', auth(), locationAccess, gmbAuth(), async (req, res) => {
     try {
         const insights = await GoogleMyBusiness.getLocationInsights(req.params.placeId);
         res.json(insights);
@@ -126,6 +178,7 @@ router.get('/locations/:placeId/insights', auth(), gmbAuth(), async (req, res) =
 router.post(
     '/locations/:placeId/reviews/:reviewId/respond',
     auth(),
+    replyAccess,
     gmbAuth(),
     async (req, res) => {
         try {
@@ -134,12 +187,15 @@ router.post(
                 return res.status(400).json({ error: 'Response comment is required' });
             }
 
-            await GoogleMyBusiness.respondToReview(
-                req.params.placeId,
-                req.params.reviewId,
-                comment
-            );
-            res.json({ message: 'Review response posted successfully' });
+            const review = await Review.findByGmbReviewId(req.params.reviewId);
+            const reply = await ReviewReplies.post({
+                facility: req.facility,
+                gmbReviewId: req.params.reviewId,
+                review: review && review.facility_id === req.facility.id ? review : null,
+                comment,
+                author: req.user,
+            });
+            res.json({ message: 'Review response posted successfully', reply });
         } catch (error) {
             logger.error('Failed to respond to review:', error);
             res.status(500).json({
@@ -150,11 +206,14 @@ router.post(
     }
 );
 
-// Get review metrics
-router.get('/locations/:placeId/review-metrics', auth(), gmbAuth(), async (req, res) => {
+// Get all-time review metrics for a location from the stored reviews
+router.get('/locations/:placeId/review-metrics', auth(), locationAccess, async (req, res) => {
     try {
-        const metrics = await GoogleMyBusiness.getReviewMetrics(req.params.placeId);
-        res.json(metrics);
+        const [summary, recentReviews] = await Promise.all([
+            ReviewAnalytics.summary([req.facility.id], { from: new Date(0), to: new Date() }),
+            Review.findByFacility(req.facility.id, { limit: 5 }),
+        ]);
+        res.json({ ...summary.overall, recentReviews });
     } catch (error) {
         logger.error('Failed to fetch review metrics:', error);
         res.status(500).json({
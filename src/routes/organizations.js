@@ -0,0 +1,214 @@
+const express = require('express');
+const router = express.Router();
+const Organization = require('../models/Organization');
+const Facility = require('../models/Facility');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const orgScope = require('../middleware/orgScope');
+const logger = require('../utils/logger');
+
+const MEMBER_ROLES = ['owner', 'member'];
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+router.use(auth(), orgScope());
+
+// Load the organization into req.organization if the caller may see it
+router.param('organizationId', async (req, res, next, organizationId) => {
+    try {
+        const id = parseInt(organizationId, 10);
+        if (Number.isNaN(id) || (!req.scope.all && !req.scope.organizationIds.includes(id))) {
+            return res.status(404).json({ error: 'Organization not found' });
+        }
+
+        const organization = await Organization.findById(id);
+        if (!organization) {
+            return res.status(404).json({ error: 'Organization not found' });
+        }
+
+        req.organization = organization;
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Platform admins and organization owners may manage members
+async function canManageMembers(req) {
+    if (req.scope.all) {
+        return true;
+    }
+    const membership = await Organization.findMembership(req.organization.id, req.user.id);
+    return membership?.role === 'owner';
+}
+
+/**
+ * @route GET /organizations
+ * @desc List organizations visible to the current user
+ * @access Private
+ */
+router.get('/', async (req, res) => {
+    try {
+        const organizations = req.scope.all
+            ? await Organization.findAll({}, 'name ASC')
+            : await Organization.findForUser(req.user.id);
+        res.json({ organizations });
+    } catch (error) {
+        logger.error('Failed to list organizations:', error);
+        res.status(500).json({
+            error: 'Failed to list organizations',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route POST /organizations
+ * @desc Create an organization
+ * @access Admin
+ */
+router.post('/', auth(['admin']), async (req, res) => {
+    try {
+        const { name, slug } = req.body;
+        if (!name || !slug || !SLUG_PATTERN.test(slug)) {
+            return res.status(400).json({
+                error: 'A name and a lowercase, hyphenated slug are required',
+            });
+        }
+
+        const organization = await Organization.create({ name, slug });
+        res.status(201).json(organization);
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'Slug already in use' });
+        }
+        logger.error('Failed to create organization:', error);
+        res.status(500).json({
+            error: 'Failed to create organization',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route GET /organizations/:organizationId/members
+ * @desc List members of an organization
+ * @access Private
+ */
+router.get('/:organizationId/members', async (req, res) => {
+    try {
+        const members = await Organization.findMembers(req.organization.id);
+        res.json({ members });
+    } catch (error) {
+        logger.error('Failed to list organization members:', error);
+        res.status(500).json({
+            error: 'Failed to list organization members',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route POST /organizations/:organizationId/members
+ * @desc Add a user to an organization or change their member role
+ * @access Admin or organization owner
+ */
+router.post('/:organizationId/members', async (req, res) => {
+    try {
+        if (!(await canManageMembers(req))) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+
+        const { userId, role = 'member' } = req.body;
+        if (!MEMBER_ROLES.includes(role)) {
+            return res
+                .status(400)
+                .json({ error: `Role must be one of ${MEMBER_ROLES.join(', ')}` });
+        }
+
+        const user = Number.isInteger(userId) ? await User.findById(userId) : null;
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const membership = await Organization.addMember(req.organization.id, user.id, role);
+        res.status(201).json(membership);
+    } catch (error) {
+        logger.error('Failed to add organization member:', error);
+        res.status(500).json({
+            error: 'Failed to add organization member',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route DELETE /organizations/:organizationId/members/:userId
+ * @desc Remove a user from an organization
+ * @access Admin or organization owner
+ */
+router.delete('/:organizationId/members/:userId', async (req, res) => {
+    try {
+        if (!(await canManageMembers(req))) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+
+        const removed = await Organization.removeMember(req.organization.id, req.params.userId);
+        if (!removed) {
+            return res.status(404).json({ error: 'Membership not found' });
+        }
+        res.json({ message: 'Member removed' });
+    } catch (error) {
+        logger.error('Failed to remove organization member:', error);
+        res.status(500).json({
+            error: 'Failed to remove organization member',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route GET /organizations/:organizationId/facilities
+ * @desc List facilities owned by an organization
+ * @access Private
+ */
+router.get('/:organizationId/facilities', async (req, res) => {
+    try {
+        const facilities = await Facility.findAccessible({
+            all: false,
+            organizationIds: [req.organization.id],
+        });
+        res.json({ facilities });
+    } catch (error) {
+        logger.error('Failed to list organization facilities:', error);
+        res.status(500).json({
+            error: 'Failed to list organization facilities',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route PUT /organizations/:organizationId/facilities/:facilityId
+ * @desc Assign a facility to an organization
+ * @access Admin
+ */
+router.put('/:organizationId/facilities/:facilityId', auth(['admin']), async (req, res) => {
+    try {
+        const facility = await Organization.assignFacility(
+            req.organization.id,
+            req.params.facilityId
+        );
+        if (!facility) {
+            return res.status(404).json({ error: 'Facility not found' });
+        }
+        res.json(facility);
+    } catch (error) {
+        logger.error('Failed to assign facility:', error);
+        res.status(500).json({
+            error: 'Failed to assign facility',
+            details: error.message,
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,204 @@
+const express = require('express');
+const router = express.Router();
+const Facility = require('../models/Facility');
+const ReportSubscription = require('../models/ReportSubscription');
+const ReputationReports = require('../services/ReputationReports');
+const auth = require('../middleware/auth');
+const orgScope = require('../middleware/orgScope');
+const logger = require('../utils/logger');
+
+router.use(auth(), orgScope());
+
+// Load one of the caller's own subscriptions into req.subscription
+router.param('subscriptionId', async (req, res, next, subscriptionId) => {
+    try {
+        const subscription = /^\d+$/.test(subscriptionId)
+            ? await ReportSubscription.findForUser(subscriptionId, req.user.id)
+            : null;
+        if (!subscription) {
+            return res.status(404).json({ error: 'Report subscription not found' });
+        }
+
+        req.subscription = subscription;
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @route GET /reports/subscriptions
+ * @desc List the caller's report subscriptions
+ * @access Private
+ */
+router.get('/subscriptions', async (req, res) => {
+    try {
+        const subscriptions = await ReportSubscription.findByUser(req.user.id);
+        res.json({ subscriptions });
+    } catch (error) {
+        logger.error('Failed to list report subscriptions:', error);
+        res.status(500).json({
+            error: 'Failed to list report subscriptions',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route POST /reports/subscriptions
+ * @desc Subscribe to the report of a facility, or of the whole portfolio without facilityId
+ * @access Private
+ */
+router.post('/subscriptions', async (req, res) => {
+    try {
+        const { data, errors } = parseSubscription(req.body);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid report subscription', details: errors });
+        }
+
+        const facilityId = req.body.facilityId || null;
+        if (facilityId && !(await Facility.findAccessibleBy('id', facilityId, req.scope))) {
+            return res.status(404).json({ error: 'Facility not found' });
+        }
+
+        const existing = (await ReportSubscription.findByUser(req.user.id)).find(
+            (subscription) => subscription.facility_id === facilityId
+        );
+        if (existing) {
+            return res.status(409).json({
+                error: 'Already subscribed to this report',
+                subscriptionId: existing.id,
+            });
+        }
+
+        const subscription = await ReportSubscription.create({
+            ...data,
+            user_id: req.user.id,
+            facility_id: facilityId,
+        });
+        res.status(201).json(subscription);
+    } catch (error) {
+        logger.error('Failed to create report subscription:', error);
+        res.status(500).json({
+            error: 'Failed to create report subscription',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route PUT /reports/subscriptions/:subscriptionId
+ * @desc Update the delivery preferences of a subscription
+ * @access Private (own subscriptions)
+ */
+router.put('/subscriptions/:subscriptionId', async (req, res) => {
+    try {
+        const { data, errors } = parseSubscription(req.body);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid report subscription', details: errors });
+        }
+        if (!Object.keys(data).length) {
+            return res.status(400).json({ error: 'No changes provided' });
+        }
+
+        res.json(await ReportSubscription.update(req.subscription.id, data));
+    } catch (error) {
+        logger.error('Failed to update report subscription:', error);
+        res.status(500).json({
+            error: 'Failed to update report subscription',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route DELETE /reports/subscriptions/:subscriptionId
+ * @desc Unsubscribe from a report
+ * @access Private (own subscriptions)
+ */
+router.delete('/subscriptions/:subscriptionId', async (req, res) => {
+    try {
+        await ReportSubscription.delete(req.subscription.id);
+        res.json({ message: 'Report subscription deleted' });
+    } catch (error) {
+        logger.error('Failed to delete report subscription:', error);
+        res.status(500).json({
+            error: 'Failed to delete report subscription',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route GET /reports/subscriptions/:subscriptionId/preview
+ * @desc Render the report as it would be sent now, without sending it
+ * @access Private (own subscriptions)
+ */
+router.get('/subscriptions/:subscriptionId/preview', async (req, res) => {
+    try {
+        const report = await ReputationReports.build({
+            ...req.subscription,
+            role: req.user.role,
+        });
+        if (!report) {
+            return res.status(404).json({ error: 'Facility not found' });
+        }
+
+        if (req.query.format === 'html') {
+            return res.type('html').send(report.html);
+        }
+        res.json(report);
+    } catch (error) {
+        logger.error('Failed to preview report:', error);
+        res.status(500).json({
+            error: 'Failed to preview report',
+            details: error.message,
+        });
+    }
+});
+
+// Map the request body onto subscription columns, collecting validation errors
+function parseSubscription(body) {
+    const data = {};
+    const errors = [];
+
+    if (body.frequency !== undefined) {
+        if (!ReportSubscription.FREQUENCIES.includes(body.frequency)) {
+            errors.push(`frequency must be one of ${ReportSubscription.FREQUENCIES.join(', ')}`);
+        } else {
+            data.frequency = body.frequency;
+        }
+    }
+
+    if (body.dayOfWeek !== undefined) {
+        if (!Number.isInteger(body.dayOfWeek) || body.dayOfWeek < 0 || body.dayOfWeek > 6) {
+            errors.push('dayOfWeek must be an integer from 0 (Sunday) to 6 (Saturday)');
+        } else {
+            data.day_of_week = body.dayOfWeek;
+        }
+    }
+
+    if (body.hour !== undefined) {
+        if (!Number.isInteger(body.hour) || body.hour < 0 || body.hour > 23) {
+            errors.push('hour must be an integer from 0 to 23');
+        } else {
+            data.hour = body.hour;
+        }
+    }
+
+    if (body.timezone !== undefined) {
+        if (body.timezone !== null && !ReputationReports.isValidTimezone(body.timezone)) {
+            errors.push('timezone must be an IANA timezone such as America/Chicago');
+        } else {
+            data.timezone = body.timezone;
+        }
+    }
+
+    if (body.isActive !== undefined) {
+        data.is_active = Boolean(body.isActive);
+    }
+
+    return { data, errors };
+}
+
+module.exports = router;
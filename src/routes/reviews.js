@@ -0,0 +1,536 @@
+const express = require('express');
+const router = express.Router();
+const Review = require('../models/Review');
+const ReviewReply = require('../models/ReviewReply');
+const ReplyTemplate = require('../models/ReplyTemplate');
+const ReplyDraft = require('../models/ReplyDraft');
+const ReplyDraftEvent = require('../models/ReplyDraftEvent');
+const UserPermission = require('../models/UserPermission');
+const Organization = require('../models/Organization');
+const Facility = require('../models/Facility');
+const ReviewReplies = require('../services/ReviewReplies');
+const ReplyDrafts = require('../services/ReplyDrafts');
+const auth = require('../middleware/auth');
+const gmbAuth = require('../middleware/gmbAuth');
+const orgScope = require('../middleware/orgScope');
+const logger = require('../utils/logger');
+
+const MAX_BULK_REPLIES = 100;
+
+router.use(auth(), orgScope());
+
+// Admins manage every template; managers and owners those of their organizations
+async function canManageTemplates(req, organizationId) {
+    if (req.scope.all) {
+        return true;
+    }
+    if (organizationId === null || !req.scope.organizationIds.includes(organizationId)) {
+        return false;
+    }
+    if (req.user.role === 'manager') {
+        return true;
+    }
+    const membership = await Organization.findMembership(organizationId, req.user.id);
+    return membership?.role === 'owner';
+}
+
+const isRating = (value) => value === null || (Number.isInteger(value) && value >= 1 && value <= 5);
+
+// Validate the replies list of the bulk endpoints
+function parseReplies(body) {
+    const { replies } = body;
+    if (!Array.isArray(replies) || !replies.length || replies.length > MAX_BULK_REPLIES) {
+        return null;
+    }
+    return replies;
+}
+
+// Changes to a published reply reach Google, so they need GMB access
+const gmbAuthIfPublished = (req, res, next) =>
+    req.draft.status === 'published' ? gmbAuth()(req, res, next) : next();
+
+const hasPermission = (req, permission) =>
+    UserPermission.hasPermission(req.user, permission, req.facility);
+
+router.param('templateId', async (req, res, next, templateId) => {
+    try {
+        const template = /^\d+$/.test(templateId)
+            ? await ReplyTemplate.findAccessibleById(parseInt(templateId, 10), req.scope)
+            : null;
+        if (!template) {
+            return res.status(404).json({ error: 'Reply template not found' });
+        }
+
+        req.template = template;
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @route GET /reviews/unanswered
+ * @desc Reviews without a reply across the caller's facilities, oldest first
+ * @access Private
+ */
+router.get('/unanswered', async (req, res) => {
+    try {
+        const { facilityId } = req.query;
+        const maxRating = req.query.maxRating ? parseInt(req.query.maxRating, 10) : null;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+        const reviews = await Review.findUnanswered(req.scope, { facilityId, maxRating, limit });
+        res.json({ reviews });
+    } catch (error) {
+        logger.error('Failed to list unanswered reviews:', error);
+        res.status(500).json({
+            error: 'Failed to list unanswered reviews',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route GET /reviews/reply-templates
+ * @desc List reply templates, optionally only those suited to a star rating
+ * @access Private
+ */
+router.get('/reply-templates', async (req, res) => {
+    try {
+        const rating = req.query.rating ? parseInt(req.query.rating, 10) : null;
+        const templates = await ReplyTemplate.findAccessible(req.scope, { rating });
+        res.json({ templates });
+    } catch (error) {
+        logger.error('Failed to list reply templates:', error);
+        res.status(500).json({
+            error: 'Failed to list reply templates',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route POST /reviews/reply-templates
+ * @desc Create a reply template for an organization (or a shared one, admins only)
+ * @access Admin, manager or organization owner
+ */
+router.post('/reply-templates', async (req, res) => {
+    try {
+        const { name, body, minRating = null, maxRating = null } = req.body;
+        const organizationId = req.body.organizationId ?? null;
+        if (!name || !body) {
+            return res.status(400).json({ error: 'name and body are required' });
+        }
+        if (!isRating(minRating) || !isRating(maxRating)) {
+            return res.status(400).json({ error: 'minRating and maxRating must be 1 to 5' });
+        }
+        if (!(await canManageTemplates(req, organizationId))) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+
+        const template = await ReplyTemplate.create({
+            organization_id: organizationId,
+            name,
+            body,
+            min_rating: minRating,
+            max_rating: maxRating,
+            created_by: req.user.id,
+        });
+        res.status(201).json(template);
+    } catch (error) {
+        logger.error('Failed to create reply template:', error);
+        res.status(500).json({
+            error: 'Failed to create reply template',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route PUT /reviews/reply-templates/:templateId
+ * @desc Update a reply template
+ * @access Admin, manager or organization owner
+ */
+router.put('/reply-templates/:templateId', async (req, res) => {
+    try {
+        if (!(await canManageTemplates(req, req.template.organization_id))) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+
+        const fields = {
+            name: 'name',
+            body: 'body',
+            minRating: 'min_rating',
+            maxRating: 'max_rating',
+        };
+        const data = {};
+        Object.entries(fields).forEach(([field, column]) => {
+            if (req.body[field] !== undefined) {
+                data[column] = req.body[field];
+            }
+        });
+        if (!Object.keys(data).length) {
+            return res.status(400).json({ error: 'No changes provided' });
+        }
+        if (
+            (data.min_rating !== undefined && !isRating(data.min_rating)) ||
+            (data.max_rating !== undefined && !isRating(data.max_rating))
+        ) {
+            return res.status(400).json({ error: 'minRating and maxRating must be 1 to 5' });
+        }
+
+        res.json(await ReplyTemplate.update(req.template.id, data));
+    } catch (error) {
+        logger.error('Failed to update reply template:', error);
+        res.status(500).json({
+            error: 'Failed to update reply template',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route DELETE /reviews/reply-templates/:templateId
+ * @desc Delete a reply template
+ * @access Admin, manager or organization owner
+ */
+router.delete('/reply-templates/:templateId', async (req, res) => {
+    try {
+        if (!(await canManageTemplates(req, req.template.organization_id))) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+
+        await ReplyTemplate.delete(req.template.id);
+        res.json({ message: 'Reply template deleted' });
+    } catch (error) {
+        logger.error('Failed to delete reply template:', error);
+        res.status(500).json({
+            error: 'Failed to delete reply template',
+            details: error.message,
+        });
+    }
+});
+
+// Load the draft into req.draft and its facility into req.facility
+router.param('draftId', async (req, res, next, draftId) => {
+    try {
+        const draft = /^\d+$/.test(draftId) ? await ReplyDraft.findWithReview(draftId) : null;
+        const facility =
+            draft && (await Facility.findAccessibleBy('id', draft.facility_id, req.scope));
+        if (!facility) {
+            return res.status(404).json({ error: 'Reply draft not found' });
+        }
+
+        req.draft = draft;
+        req.facility = facility;
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @route GET /reviews/reply-drafts
+ * @desc List reply drafts, e.g. `status=submitted` for the approval queue
+ * @access Private
+ */
+router.get('/reply-drafts', async (req, res) => {
+    try {
+        const { status, facilityId } = req.query;
+        if (status && !ReplyDraft.STATUSES.includes(status)) {
+            return res
+                .status(400)
+                .json({ error: `Status must be one of ${ReplyDraft.STATUSES.join(', ')}` });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+        const drafts = await ReplyDraft.findAccessible(req.scope, { status, facilityId, limit });
+        res.json({ drafts });
+    } catch (error) {
+        logger.error('Failed to list reply drafts:', error);
+        res.status(500).json({
+            error: 'Failed to list reply drafts',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route POST /reviews/reply-drafts
+ * @desc Draft a reply to a review from a comment or a template
+ * @access Private (reviews.respond on the review's facility)
+ */
+router.post('/reply-drafts', async (req, res) => {
+    try {
+        const prepared = await ReviewReplies.prepare(
+            {
+                reviewId: req.body.reviewId,
+                templateId: req.body.templateId,
+                comment: req.body.body,
+            },
+            { user: req.user, scope: req.scope, permission: 'reviews.respond' }
+        );
+        if (prepared.error) {
+            const status = { 'Review not found': 404, 'Insufficient permissions': 403 };
+            return res.status(status[prepared.error] || 400).json({ error: prepared.error });
+        }
+        if (await ReplyDraft.findLiveForReview(prepared.review.id)) {
+            return res.status(409).json({ error: 'Review already has a reply draft' });
+        }
+
+        const draft = await ReplyDrafts.create({
+            review: prepared.review,
+            body: prepared.comment,
+            templateId: prepared.templateId,
+            author: req.user,
+        });
+        res.status(201).json(draft);
+    } catch (error) {
+        logger.error('Failed to create reply draft:', error);
+        res.status(500).json({
+            error: 'Failed to create reply draft',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route GET /reviews/reply-drafts/:draftId
+ * @desc Get a reply draft with its audit history
+ * @access Private
+ */
+router.get('/reply-drafts/:draftId', async (req, res) => {
+    try {
+        const events = await ReplyDraftEvent.findByDraft(req.draft.id);
+        res.json({ ...req.draft, events });
+    } catch (error) {
+        logger.error('Failed to fetch reply draft:', error);
+        res.status(500).json({
+            error: 'Failed to fetch reply draft',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route PUT /reviews/reply-drafts/:draftId
+ * @desc Edit a draft (back to `draft` status) or a published reply (updated on Google)
+ * @access Private (reviews.respond; reviews.approve once published)
+ */
+router.put('/reply-drafts/:draftId', gmbAuthIfPublished, async (req, res) => {
+    try {
+        const { draft } = req;
+        const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+        if (!body) {
+            return res.status(400).json({ error: 'body is required' });
+        }
+        if (draft.status === 'deleted') {
+            return res.status(409).json({ error: 'Deleted drafts cannot be changed' });
+        }
+
+        const permission = draft.status === 'published' ? 'reviews.approve' : 'reviews.respond';
+        if (!(await hasPermission(req, permission))) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+
+        res.json(await ReplyDrafts.edit(draft, req.facility, body, req.user));
+    } catch (error) {
+        logger.error('Failed to update reply draft:', error);
+        res.status(500).json({
+            error: 'Failed to update reply draft',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route POST /reviews/reply-drafts/:draftId/(submit|approve|reject)
+ * @desc Move a draft through review; rejecting takes a `reason`
+ * @access Private (reviews.respond to submit, reviews.approve otherwise)
+ */
+Object.entries(ReplyDrafts.TRANSITIONS).forEach(([action, transition]) => {
+    router.post(`/reply-drafts/:draftId/${action}`, async (req, res) => {
+        try {
+            const { draft } = req;
+            if (!transition.from.includes(draft.status)) {
+                return res.status(409).json({
+                    error: `Cannot ${action} a reply that is ${draft.status}`,
+                });
+            }
+            if (!(await hasPermission(req, transition.permission))) {
+                return res.status(403).json({ error: 'Insufficient permissions' });
+            }
+            if (action === 'reject' && !req.body.reason) {
+                return res.status(400).json({ error: 'A reason is required to reject a reply' });
+            }
+
+            res.json(
+                await ReplyDrafts.transition(draft, action, req.user, {
+                    note: req.body.reason || null,
+                })
+            );
+        } catch (error) {
+            logger.error(`Failed to ${action} reply draft:`, error);
+            res.status(500).json({
+                error: `Failed to ${action} reply draft`,
+                details: error.message,
+            });
+        }
+    });
+});
+
+/**
+ * @route POST /reviews/reply-drafts/:draftId/publish
+ * @desc Post an approved reply to Google
+ * @access Private (reviews.approve)
+ */
+router.post('/reply-drafts/:draftId/publish', gmbAuth(), async (req, res) => {
+    try {
+        const { draft } = req;
+        if (draft.status !== 'approved') {
+            return res.status(409).json({
+                error: `Cannot publish a reply that is ${draft.status}`,
+            });
+        }
+        if (!(await hasPermission(req, 'reviews.approve'))) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+
+        res.json(await ReplyDrafts.publish(draft, req.facility, req.user));
+    } catch (error) {
+        logger.error('Failed to publish reply draft:', error);
+        res.status(500).json({
+            error: 'Failed to publish reply draft',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route DELETE /reviews/reply-drafts/:draftId
+ * @desc Discard a draft, or delete a published reply from Google
+ * @access Private (reviews.respond; reviews.approve once published)
+ */
+router.delete('/reply-drafts/:draftId', gmbAuthIfPublished, async (req, res) => {
+    try {
+        const { draft } = req;
+        if (draft.status === 'deleted') {
+            return res.status(409).json({ error: 'Reply draft is already deleted' });
+        }
+
+        const permission = draft.status === 'published' ? 'reviews.approve' : 'reviews.respond';
+        if (!(await hasPermission(req, permission))) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+
+        await ReplyDrafts.remove(draft, req.facility, req.user);
+        res.json({ message: draft.status === 'published' ? 'Reply deleted' : 'Draft discarded' });
+    } catch (error) {
+        logger.error('Failed to delete reply draft:', error);
+        res.status(500).json({
+            error: 'Failed to delete reply draft',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route POST /reviews/replies/preview
+ * @desc Render the replies a bulk send would post, without posting them
+ * @access Private
+ */
+router.post('/replies/preview', async (req, res) => {
+    try {
+        const replies = parseReplies(req.body);
+        if (!replies) {
+            return res.status(400).json({
+                error: `replies must be a list of 1 to ${MAX_BULK_REPLIES} items`,
+            });
+        }
+
+        const previews = [];
+        for (const item of replies) {
+            const prepared = await ReviewReplies.prepare(item, {
+                user: req.user,
+                scope: req.scope,
+            });
+            previews.push(
+                prepared.error
+                    ? { reviewId: item.reviewId, error: prepared.error }
+                    : {
+                          reviewId: item.reviewId,
+                          facilityId: prepared.facility.id,
+                          templateId: prepared.templateId,
+                          comment: prepared.comment,
+                      }
+            );
+        }
+        res.json({ replies: previews });
+    } catch (error) {
+        logger.error('Failed to preview replies:', error);
+        res.status(500).json({
+            error: 'Failed to preview replies',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route POST /reviews/replies/bulk
+ * @desc Approve and post replies to several reviews
+ * @access Private (reviews.approve on each review's facility)
+ */
+router.post('/replies/bulk', gmbAuth(), async (req, res) => {
+    try {
+        const replies = parseReplies(req.body);
+        if (!replies) {
+            return res.status(400).json({
+                error: `replies must be a list of 1 to ${MAX_BULK_REPLIES} items`,
+            });
+        }
+
+        const results = await ReviewReplies.bulkReply(replies, {
+            user: req.user,
+            scope: req.scope,
+        });
+        res.json({
+            posted: results.filter((result) => result.status === 'posted').length,
+            results,
+        });
+    } catch (error) {
+        logger.error('Failed to post bulk replies:', error);
+        res.status(500).json({
+            error: 'Failed to post bulk replies',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route GET /reviews/:reviewId/replies
+ * @desc Reply history of a review, with authors
+ * @access Private
+ */
+router.get('/:reviewId/replies', async (req, res) => {
+    try {
+        const review = /^\d+$/.test(req.params.reviewId)
+            ? await Review.findById(req.params.reviewId)
+            : null;
+        const facility =
+            review && (await Facility.findAccessibleBy('id', review.facility_id, req.scope));
+        if (!facility) {
+            return res.status(404).json({ error: 'Review not found' });
+        }
+
+        const replies = await ReviewReply.findByGmbReviewId(review.gmb_review_id);
+        res.json({ replies });
+    } catch (error) {
+        logger.error('Failed to list review replies:', error);
+        res.status(500).json({
+            error: 'Failed to list review replies',
+            details: error.message,
+        });
+    }
+});
+
+module.exports = router;
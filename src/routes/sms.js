@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const InboundSms = require('../services/InboundSms');
+const SmsSuppression = require('../models/SmsSuppression');
+const auth = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+// Replies are sent through the SMS provider, so Twilio gets an empty TwiML response
+const EMPTY_TWIML = '<?xml version="1.0" encoding="UTF-8"?><Response></Response>';
+
+/**
+ * @route POST /sms/inbound
+ * @desc Twilio incoming message webhook: handles STOP, START and HELP keywords
+ * @access Public (Twilio-signed)
+ */
+router.post('/inbound', async (req, res) => {
+    try {
+        if (!verifyTwilioSignature(req)) {
+            return res.status(401).json({ error: 'Invalid webhook signature' });
+        }
+
+        const { From: from, To: to, Body: body, MessageSid: messageSid } = req.body;
+        if (!from) {
+            return res.status(400).json({ error: 'From is required' });
+        }
+
+        await InboundSms.handle({ from, to, body, messageSid });
+        res.type('text/xml').send(EMPTY_TWIML);
+    } catch (error) {
+        logger.error('Failed to handle inbound SMS:', error);
+        res.status(500).json({ error: 'Failed to handle inbound SMS' });
+    }
+});
+
+/**
+ * @route GET /sms/suppressions
+ * @desc List phone numbers that opted out by SMS
+ * @access Admin
+ */
+router.get('/suppressions', auth(['admin']), async (req, res) => {
+    try {
+        const suppressions = await SmsSuppression.findAll({}, 'created_at DESC');
+        res.json({ suppressions });
+    } catch (error) {
+        logger.error('Failed to list SMS suppressions:', error);
+        res.status(500).json({
+            error: 'Failed to list SMS suppressions',
+            details: error.message,
+        });
+    }
+});
+
+// Twilio signs the webhook URL followed by every POST parameter, sorted by
+// name, with the auth token (HMAC-SHA1, base64). TWILIO_INBOUND_URL must be
+// the URL configured in Twilio when a proxy rewrites the host or protocol.
+function verifyTwilioSignature(req) {
+    const signature = req.headers['x-twilio-signature'];
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    if (!signature || !authToken) {
+        return false;
+    }
+
+    const url =
+        process.env.TWILIO_INBOUND_URL || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+    const payload = Object.keys(req.body)
+        .sort()
+        .reduce((data, key) => data + key + req.body[key], url);
+    const expected = crypto.createHmac('sha1', authToken).update(payload).digest('base64');
+
+    return (
+        signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    );
+}
+
+module.exports = router;
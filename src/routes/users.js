@@ -0,0 +1,222 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const UserToken = require('../models/UserToken');
+const UserPermission = require('../models/UserPermission');
+const UserSession = require('../models/UserSession');
+const Organization = require('../models/Organization');
+const Facility = require('../models/Facility');
+const AccountMailer = require('../services/AccountMailer');
+const auth = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const REGION_PATTERN = /^[A-Z]{2}$/;
+
+// User management is reserved for platform admins
+router.use(auth(['admin']));
+
+router.param('userId', async (req, res, next, userId) => {
+    try {
+        const user = /^\d+$/.test(userId) ? await User.findPublicById(userId) : null;
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        req.targetUser = user;
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @route GET /users
+ * @desc List users
+ * @access Admin
+ */
+router.get('/', async (req, res) => {
+    try {
+        const users = await User.findAllPublic();
+        res.json({ users });
+    } catch (error) {
+        logger.error('Failed to list users:', error);
+        res.status(500).json({
+            error: 'Failed to list users',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route POST /users/invite
+ * @desc Create a user and email them an invitation to set their password. Inviting
+ * an invited user who has not signed in yet sends a new invitation.
+ * @access Admin
+ */
+router.post('/invite', async (req, res) => {
+    try {
+        const { email, firstName, lastName, role, organizationId } = req.body;
+
+        if (!email || !EMAIL_PATTERN.test(email)) {
+            return res.status(400).json({ error: 'A valid email is required' });
+        }
+        if (role !== undefined && !User.ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of ${User.ROLES.join(', ')}` });
+        }
+        const existing = await User.findByEmail(email);
+        if (existing && !(await isPendingInvite(existing))) {
+            return res.status(400).json({ error: 'Email already registered' });
+        }
+        if (organizationId !== undefined && !(await Organization.findById(organizationId))) {
+            return res.status(404).json({ error: 'Organization not found' });
+        }
+
+        // The user is kept when the mail fails, so an invitation can always be sent again.
+        // A resend only changes what it names; new users default to staff
+        const details = { first_name: firstName, last_name: lastName, role };
+        let user;
+        if (existing) {
+            await User.update(existing.id, removeUndefined(details));
+            user = await User.findPublicById(existing.id);
+        } else {
+            user = await User.inviteUser({ email, ...details, role: role || 'staff' });
+        }
+        if (organizationId !== undefined) {
+            await Organization.addMember(organizationId, user.id);
+        }
+
+        const token = await UserToken.issue(user.id, 'invite', INVITE_TTL_MS);
+        const inviter = await User.findPublicById(req.user.id);
+        await AccountMailer.sendInvitation(user, token, { inviter, expiresIn: '7 days' });
+
+        res.status(existing ? 200 : 201).json(user);
+    } catch (error) {
+        logger.error('Failed to invite user:', error);
+        res.status(500).json({
+            error: 'Failed to invite user',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route PUT /users/:userId/role
+ * @desc Change a user's role
+ * @access Admin
+ */
+router.put('/:userId/role', async (req, res) => {
+    try {
+        const { role } = req.body;
+        if (!User.ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of ${User.ROLES.join(', ')}` });
+        }
+        if (req.targetUser.id === req.user.id && role !== 'admin') {
+            return res.status(400).json({ error: 'You cannot remove your own admin role' });
+        }
+
+        await User.update(req.targetUser.id, { role });
+        // Access tokens carry the role, so sessions signed in under the old one end
+        if (role !== req.targetUser.role) {
+            await UserSession.revokeAllForUser(req.targetUser.id);
+        }
+        res.json(await User.findPublicById(req.targetUser.id));
+    } catch (error) {
+        logger.error('Failed to update user role:', error);
+        res.status(500).json({
+            error: 'Failed to update user role',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route POST /users/:userId/logout-all
+ * @desc Revoke every session of a user
+ * @access Admin
+ */
+router.post('/:userId/logout-all', async (req, res) => {
+    try {
+        const revoked = await UserSession.revokeAllForUser(req.targetUser.id);
+        res.json({ message: 'User logged out of all sessions', revoked });
+    } catch (error) {
+        logger.error('Failed to revoke user sessions:', error);
+        res.status(500).json({
+            error: 'Failed to revoke user sessions',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route GET /users/:userId/permissions
+ * @desc List a user's facility and region permissions
+ * @access Admin
+ */
+router.get('/:userId/permissions', async (req, res) => {
+    try {
+        const permissions = await UserPermission.findByUser(req.targetUser.id);
+        res.json({ permissions, available: UserPermission.PERMISSIONS });
+    } catch (error) {
+        logger.error('Failed to list user permissions:', error);
+        res.status(500).json({
+            error: 'Failed to list user permissions',
+            details: error.message,
+        });
+    }
+});
+
+/**
+ * @route PUT /users/:userId/permissions
+ * @desc Replace a user's permissions. Each grant names a permission and
+ *       optionally a facilityId or a two-letter region (state).
+ * @access Admin
+ */
+router.put('/:userId/permissions', async (req, res) => {
+    try {
+        const { permissions } = req.body;
+        if (!Array.isArray(permissions)) {
+            return res.status(400).json({ error: 'permissions must be a list' });
+        }
+
+        const errors = [];
+        for (const [index, grant] of permissions.entries()) {
+            if (!UserPermission.PERMISSIONS.includes(grant.permission)) {
+                errors.push(`permissions[${index}]: unknown permission ${grant.permission}`);
+            }
+            if (grant.facilityId && grant.region) {
+                errors.push(`permissions[${index}]: use either facilityId or region, not both`);
+            }
+            if (grant.region && !REGION_PATTERN.test(grant.region)) {
+                errors.push(`permissions[${index}]: region must be a two-letter state code`);
+            }
+            if (grant.facilityId && !(await Facility.findById(grant.facilityId))) {
+                errors.push(`permissions[${index}]: facility ${grant.facilityId} not found`);
+            }
+        }
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid permissions', details: errors });
+        }
+
+        const saved = await UserPermission.replaceForUser(req.targetUser.id, permissions);
+        res.json({ permissions: saved });
+    } catch (error) {
+        logger.error('Failed to update user permissions:', error);
+        res.status(500).json({
+            error: 'Failed to update user permissions',
+            details: error.message,
+        });
+    }
+});
+
+// An invited user who never accepted the invitation (or signed in otherwise)
+async function isPendingInvite(user) {
+    return !user.last_login_at && (await UserToken.hasIssued(user.id, 'invite'));
+}
+
+function removeUndefined(data) {
+    return Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+}
+
+module.exports = router;
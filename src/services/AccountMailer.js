@@ -0,0 +1,98 @@
+const logger = require('../utils/logger');
+const { render } = require('../utils/template');
+const { createMailTransport } = require('./mail');
+
+const TEMPLATES = {
+    invitation: {
+        subject: 'You have been invited to Golden Reputation',
+        text_body:
+            'Hi {{firstName}},\n\n{{inviterName}} invited you to Golden Reputation. ' +
+            'Set your password to get started:\n\n{{link}}\n\nThis link expires in {{expiresIn}}.',
+        html_body:
+            '<p>Hi {{firstName}},</p>' +
+            '<p>{{inviterName}} invited you to Golden Reputation. Set your password to get started:</p>' +
+            '<p><a href="{{link}}">Accept invitation</a></p>' +
+            '<p>This link expires in {{expiresIn}}.</p>',
+    },
+    passwordReset: {
+        subject: 'Reset your Golden Reputation password',
+        text_body:
+            'Hi {{firstName}},\n\nWe received a request to reset your password. ' +
+            'Choose a new one here:\n\n{{link}}\n\nThis link expires in {{expiresIn}} and can ' +
+            'be used once. If you did not ask for this, you can ignore this email.',
+        html_body:
+            '<p>Hi {{firstName}},</p>' +
+            '<p>We received a request to reset your password. Choose a new one here:</p>' +
+            '<p><a href="{{link}}">Reset password</a></p>' +
+            '<p>This link expires in {{expiresIn}} and can be used once. ' +
+            'If you did not ask for this, you can ignore this email.</p>',
+    },
+    emailVerification: {
+        subject: 'Verify your email address',
+        text_body:
+            'Hi {{firstName}},\n\nPlease confirm your email address:\n\n{{link}}\n\n' +
+            'This link expires in {{expiresIn}}.',
+        html_body:
+            '<p>Hi {{firstName}},</p>' +
+            '<p>Please confirm your email address:</p>' +
+            '<p><a href="{{link}}">Verify email</a></p>' +
+            '<p>This link expires in {{expiresIn}}.</p>',
+    },
+};
+
+/**
+ * Sends account emails (invitations, password resets, email verification) through the configured mail
+ * transport. Links point at the dashboard app under APP_BASE_URL.
+ */
+class AccountMailer {
+    constructor(options = {}) {
+        this.transport = options.transport || createMailTransport();
+        this.appUrl = (
+            options.appUrl ||
+            process.env.APP_BASE_URL ||
+            'http://localhost:3000'
+        ).replace(/\/$/, '');
+    }
+
+    async sendInvitation(user, token, { inviter, expiresIn }) {
+        return this.send('invitation', user, {
+            inviterName: inviter
+                ? `${inviter.first_name || ''} ${inviter.last_name || ''}`.trim()
+                : 'An administrator',
+            link: `${this.appUrl}/accept-invite?token=${token}`,
+            expiresIn,
+        });
+    }
+
+    async sendPasswordReset(user, token, { expiresIn }) {
+        return this.send('passwordReset', user, {
+            link: `${this.appUrl}/reset-password?token=${token}`,
+            expiresIn,
+        });
+    }
+
+    async sendEmailVerification(user, token, { expiresIn }) {
+        return this.send('emailVerification', user, {
+            link: `${this.appUrl}/verify-email?token=${token}`,
+            expiresIn,
+        });
+    }
+
+    async send(templateName, user, variables) {
+        const template = TEMPLATES[templateName];
+        const values = { firstName: user.first_name || user.email, ...variables };
+
+        const result = await this.transport.send({
+            to: user.email,
+            subject: render(template.subject, values),
+            text: render(template.text_body, values),
+            html: render(template.html_body, values, { html: true }),
+        });
+
+        logger.info(`Sent ${templateName} email to user ${user.id}`);
+        return result;
+    }
+}
+
+module.exports = new AccountMailer();
+module.exports.AccountMailer = AccountMailer;
@@ -0,0 +1,52 @@
+const logger = require('../utils/logger');
+const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Issues access/refresh token pairs and rotates refresh tokens. Presenting a
+ * refresh token that was already rotated is treated as theft and revokes the
+ * whole session.
+ */
+class AuthSessions {
+    constructor(options = {}) {
+        this.refreshTtlDays =
+            options.refreshTtlDays ?? parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+    }
+
+    async start(user, { userAgent, ipAddress } = {}) {
+        const session = await UserSession.start(user.id, {
+            userAgent,
+            ipAddress,
+            expiresAt: new Date(Date.now() + this.refreshTtlDays * DAY_MS),
+        });
+        const refreshToken = await UserSession.issueRefreshToken(session);
+
+        return { ...User.generateAuthToken(user, session.id), refreshToken };
+    }
+
+    async refresh(refreshToken) {
+        const session = await UserSession.findByRefreshToken(refreshToken);
+
+        if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+            throw new Error('Invalid refresh token');
+        }
+
+        if (session.rotated_at || !(await UserSession.markRotated(session.refresh_token_id))) {
+            logger.warn(`Refresh token reuse detected, revoking session ${session.id}`);
+            await UserSession.revoke(session.id, session.user_id);
+            throw new Error('Invalid refresh token');
+        }
+
+        const user = await User.findById(session.user_id);
+        if (!user) {
+            throw new Error('Invalid refresh token');
+        }
+
+        const nextRefreshToken = await UserSession.issueRefreshToken(session);
+        return { ...User.generateAuthToken(user, session.id), refreshToken: nextRefreshToken };
+    }
+}
+
+module.exports = new AuthSessions();
@@ -1,14 +1,19 @@
 const { BigQuery } = require('@google-cloud/bigquery');
 const Tenant = require('../models/Tenant');
+const SmsSuppression = require('../models/SmsSuppression');
 const Facility = require('../models/Facility');
 const logger = require('../utils/logger');
 
+// DATE columns come back as BigQueryDate objects; the database wants the plain 'YYYY-MM-DD'
+const dateValue = (value) => (value && typeof value === 'object' ? value.value : value);
+
 class BigQuerySync {
     constructor() {
         this.bigquery = new BigQuery({
             projectId: process.env.GOOGLE_CLOUD_PROJECT,
             keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS,
         });
+        this.batchSize = parseInt(process.env.BIGQUERY_BATCH_SIZE, 10) || 1000;
     }
 
     async syncTenantData() {
@@ -51,80 +56,113 @@ class BigQuerySync {
 
             const [facilityRows] = await this.bigquery.query({ query: facilityQuery });
 
-            // Process tenant data
-            for (const row of tenantRows) {
-                const isGoodStanding = this.determineGoodStanding(row);
-                const notificationOptIn = this.determineNotificationOptIn(row);
-
-                const tenantData = {
-                    facility_id: row.facility_id, // Facility ID
-                    name: row.name, // Tenant Name
-                    unit_number: row.unit_number, // Unit Number
-                    phone: row.phone, // Phone Number
-                    email: row.email, // Email Address
-                    move_in_date: row.move_in_date, // Move In Date
-                    move_out_date: row.move_out_date, // Move Out Date
-                    is_good_standing: isGoodStanding, // Good Standing
-                    notification_opt_in: notificationOptIn, // Notification Opt In
-                    created_at: row.created_at, // Created At
-                    updated_at: row.updated_at, // Updated At
-                };
-
-                // Check if tenant exists
-                const existingTenants = await Tenant.findAll({
-                    facility_id: row.facility_id,
-                    unit_number: row.unit_number,
-                });
-
-                if (existingTenants.length > 0) {
-                    await Tenant.update(existingTenants[0].id, tenantData);
-                } else {
-                    await Tenant.create(tenantData);
-                }
-            }
+            // Facilities first, so tenants of a new facility can reference it
+            const facilities = await this.upsertInBatches(
+                'facility',
+                facilityRows.map((row) => this.toFacilityRow(row)),
+                (rows) => Facility.bulkUpsert(rows, this.batchSize)
+            );
 
-            // Process facility data
-            for (const row of facilityRows) {
-                const facilityData = {
-                    name: row.name, // Facility Name
-                    gmb_place_id: row.gmb_place_id, // Google My Business Place ID
-                    gmb_link: row.gmb_link, // Google My Business Link
-                    city: row.city, // City
-                    state: row.state, // State
-                    timezone: row.timezone, // Timezone
-                    context_notes: row.context_notes, // Context Notes
-                    created_at: row.created_at, // Created At
-                    updated_at: row.updated_at, // Updated At
-                };
-
-                // Check if facility exists
-                const existingFacilities = await Facility.findAll({
-                    id: row.facility_id,
-                });
-
-                if (existingFacilities.length > 0) {
-                    await Facility.update(row.facility_id, facilityData);
-                } else {
-                    await Facility.create({
-                        id: row.facility_id,
-                        ...facilityData,
-                    });
-                }
-            }
+            // A tenant of an unknown facility would fail its whole batch on the foreign key
+            const knownFacilityIds = await Facility.findExistingIds([
+                ...new Set(tenantRows.map((row) => row.facility_id).filter(Boolean)),
+            ]);
+            const tenants = await this.upsertInBatches(
+                'tenant',
+                tenantRows.map((row) => this.toTenantRow(row, knownFacilityIds)),
+                async (rows) =>
+                    Tenant.bulkUpsert(
+                        await SmsSuppression.clearSuppressedOptIns(rows),
+                        this.batchSize
+                    )
+            );
 
             logger.info(
-                `Successfully synced ${tenantRows.length} tenant records and ${facilityRows.length} facility records`
+                `Synced ${tenants.successCount}/${tenantRows.length} tenant records and ${facilities.successCount}/${facilityRows.length} facility records`
             );
-            return {
-                tenants: tenantRows.length,
-                facilities: facilityRows.length,
-            };
+            return { tenants, facilities };
         } catch (error) {
             logger.error('Error syncing data:', error);
             throw error;
         }
     }
 
+    // Map a BigQuery facility row onto facility columns, or null (logged) when
+    // it lacks required fields
+    toFacilityRow(row) {
+        const facilityData = {
+            id: row.id, // Facility ID
+            name: row.name, // Facility Name
+            gmb_place_id: row.gmb_place_id, // Google My Business Place ID
+            gmb_link: row.gmb_link, // Google My Business Link
+            city: row.city, // City
+            state: row.state, // State
+            timezone: row.timezone, // Timezone
+            context_notes: row.context_notes, // Context Notes
+        };
+
+        if (!facilityData.id || !facilityData.name) {
+            logger.warn(
+                `Skipping BigQuery facility - missing required fields: ${JSON.stringify(facilityData)}`
+            );
+            return null;
+        }
+        return facilityData;
+    }
+
+    // Map a BigQuery tenant row onto tenant columns, or null (logged) when it
+    // lacks required fields or belongs to a facility not in `knownFacilityIds`
+    toTenantRow(row, knownFacilityIds) {
+        const tenantData = {
+            facility_id: row.facility_id, // Facility ID
+            name: row.name, // Tenant Name
+            unit_number: row.unit_number, // Unit Number
+            phone: row.phone, // Phone Number
+            email: row.email, // Email Address
+            move_in_date: dateValue(row.move_in_date), // Move In Date
+            move_out_date: dateValue(row.move_out_date), // Move Out Date
+            is_good_standing: this.determineGoodStanding(row), // Good Standing
+            notification_opt_in: Boolean(this.determineNotificationOptIn(row)), // Notification Opt In
+        };
+
+        if (!tenantData.facility_id || !tenantData.name || !tenantData.unit_number) {
+            logger.warn(
+                `Skipping BigQuery tenant - missing required fields: ${JSON.stringify(tenantData)}`
+            );
+            return null;
+        }
+        if (!knownFacilityIds.has(String(tenantData.facility_id))) {
+            logger.warn(
+                `Skipping BigQuery tenant ${row.id} - unknown facility ${tenantData.facility_id}`
+            );
+            return null;
+        }
+        return tenantData;
+    }
+
+    // Write the mapped `rows` with `upsert`, which resolves to per-batch
+    // reports, and total them; rows mapped to null count as failed
+    async upsertInBatches(label, mapped, upsert) {
+        const rows = mapped.filter(Boolean);
+        const rejected = mapped.length - rows.length;
+        const batches = rows.length ? await upsert(rows) : [];
+        batches.forEach((batch, index) => {
+            if (batch.error) {
+                logger.error(
+                    `BigQuery ${label} batch ${index + 1}/${batches.length} (${batch.size} records) failed: ${batch.error}`
+                );
+            }
+        });
+
+        return {
+            total: mapped.length,
+            successCount: batches.reduce((sum, batch) => sum + batch.inserted + batch.updated, 0),
+            failureCount: batches.reduce((sum, batch) => sum + batch.failed, rejected),
+            rejected,
+            batches,
+        };
+    }
+
     determineGoodStanding(tenant) {
         return tenant.payment_status === 'current' && !tenant.auction_status && tenant.balance <= 0;
     }
@@ -2,6 +2,8 @@ const axios = require('axios');
 const logger = require('../utils/logger');
 const metrics = require('../utils/metrics');
 const Tenant = require('../models/Tenant');
+const SmsSuppression = require('../models/SmsSuppression');
+const CubbySyncCursor = require('../models/CubbySyncCursor');
 const Facility = require('../models/Facility');
 
 // Retry configuration
@@ -49,6 +51,9 @@ class CubbyPMS {
     constructor() {
         this.baseUrl = process.env.CUBBY_API_URL;
         this.apiKey = process.env.CUBBY_API_KEY;
+        this.pageSize = parseInt(process.env.CUBBY_PAGE_SIZE, 10) || 100;
+        this.batchSize = parseInt(process.env.CUBBY_BATCH_SIZE, 10) || 500;
+        this.reconcileMinRatio = parseFloat(process.env.CUBBY_RECONCILE_MIN_RATIO || '0.5');
         this.client = axios.create({
             baseURL: this.baseUrl,
             headers: {
@@ -113,63 +118,135 @@ class CubbyPMS {
         }
     }
 
-    async syncTenants(facilityId) {
+    /**
+     * Yield a Cubby collection page by page. `updatedSince` limits it to
+     * records changed since then; pages are requested with the `cursor` of the
+     * previous one until Cubby returns no `nextCursor`. An endpoint answering
+     * with a plain array is treated as a single page.
+     */
+    async *fetchPages(path, { updatedSince = null } = {}) {
+        let cursor = null;
+        do {
+            const params = { limit: this.pageSize };
+            if (updatedSince) {
+                params.updatedSince = new Date(updatedSince).toISOString();
+            }
+            if (cursor) {
+                params.cursor = cursor;
+            }
+
+            const response = await withRetry(
+                () => this.client.get(path, { params }),
+                `Fetch ${path}${cursor ? ` (cursor ${cursor})` : ''}`
+            );
+            const body = response.data;
+            yield Array.isArray(body) ? body : body.data || [];
+            cursor = Array.isArray(body) ? null : body.nextCursor || null;
+        } while (cursor);
+    }
+
+    /**
+     * Upsert every record of a paged collection, changed since the stored
+     * cursor or all of them when `full`. Each page is mapped with `toRow`
+     * (null for an invalid record, counted as a failure) and written with
+     * `upsert(rows)`, which resolves to per-batch reports. Returns the counts,
+     * the batch reports, the keys seen and the newest `updatedAt`; the cursor
+     * is only advanced by the caller when nothing failed, so failed records
+     * are fetched again next time.
+     */
+    async syncPages(path, cursor, { full, toRow, upsert, keyOf }) {
+        const updatedSince = full ? null : cursor?.updated_since || null;
+        const seen = [];
+        const batches = [];
+        let total = 0;
+        let successCount = 0;
+        let failureCount = 0;
+        let highWaterMark = updatedSince;
+
+        for await (const records of this.fetchPages(path, { updatedSince })) {
+            const rows = [];
+            for (const record of records) {
+                total++;
+                // A record without a key cannot be matched, and a null in the
+                // list would make reconciliation retire nothing
+                const key = keyOf(record);
+                if (key !== null && key !== undefined) {
+                    seen.push(key);
+                }
+
+                const row = toRow(record);
+                if (row) {
+                    rows.push(row);
+                } else {
+                    failureCount++;
+                }
+
+                if (
+                    record.updatedAt &&
+                    (!highWaterMark || new Date(record.updatedAt) > new Date(highWaterMark))
+                ) {
+                    highWaterMark = record.updatedAt;
+                }
+            }
+            if (!rows.length) {
+                continue;
+            }
+
+            for (const batch of await upsert(rows)) {
+                if (batch.error) {
+                    logger.error(
+                        `Failed to sync a batch of ${batch.size} from ${path}: ${batch.error}`
+                    );
+                }
+                batches.push(batch);
+                successCount += batch.inserted + batch.updated;
+                failureCount += batch.failed;
+            }
+        }
+
+        return { successCount, failureCount, total, batches, seen, highWaterMark };
+    }
+
+    async syncTenants(facilityId, { full = false } = {}) {
         const startTime = Date.now();
         try {
-            const result = await withRetry(async () => {
-                const response = await this.client.get(`/api/v1/facilities/${facilityId}/tenants`);
-                const tenants = response.data;
-                let successCount = 0;
-                let failureCount = 0;
-
-                for (const tenant of tenants) {
-                    try {
-                        const tenantData = {
-                            facility_id: facilityId,
-                            name: tenant.name,
-                            unit_number: tenant.unitNumber,
-                            phone: tenant.phone,
-                            email: tenant.email,
-                            move_in_date: tenant.moveInDate,
-                            move_out_date: tenant.moveOutDate,
-                            is_good_standing: this.determineGoodStanding(tenant),
-                            notification_opt_in: tenant.notificationPreferences?.optIn || false,
-                            created_at: tenant.createdAt,
-                            updated_at: tenant.updatedAt,
-                        };
-
-                        // Validate required fields
-                        if (!tenantData.name || !tenantData.unit_number) {
-                            logger.warn(
-                                `Skipping tenant sync - missing required fields: ${JSON.stringify(tenantData)}`
-                            );
-                            failureCount++;
-                            continue;
-                        }
-
-                        const existingTenants = await Tenant.findAll({
-                            facility_id: facilityId,
-                            unit_number: tenant.unitNumber,
-                        });
-
-                        if (existingTenants.length > 0) {
-                            await Tenant.update(existingTenants[0].id, tenantData);
-                        } else {
-                            await Tenant.create(tenantData);
-                        }
-                        successCount++;
-                    } catch (error) {
-                        logger.error(`Failed to sync tenant ${tenant.unitNumber}:`, error);
-                        failureCount++;
-                    }
+            const cursor = await CubbySyncCursor.find('tenants', facilityId);
+            const { seen, highWaterMark, ...result } = await this.syncPages(
+                `/api/v1/facilities/${facilityId}/tenants`,
+                cursor,
+                {
+                    full: full || !cursor,
+                    toRow: (tenant) => this.toTenantRow(facilityId, tenant),
+                    upsert: async (rows) =>
+                        Tenant.bulkUpsert(
+                            await SmsSuppression.clearSuppressedOptIns(rows),
+                            this.batchSize
+                        ),
+                    keyOf: (tenant) => tenant.unitNumber,
                 }
+            );
+
+            // Only a forced full run can tell which tenants are gone
+            if (
+                full &&
+                this.canReconcile(
+                    `tenants of facility ${facilityId}`,
+                    seen,
+                    await Tenant.countCurrent(facilityId)
+                )
+            ) {
+                result.movedOut = await Tenant.markMissingAsMovedOut(facilityId, seen);
+            }
+            if (!result.failureCount) {
+                await CubbySyncCursor.save('tenants', facilityId, {
+                    updatedSince: highWaterMark,
+                    full: full || !cursor,
+                });
+            }
 
-                logger.info(
-                    `Tenant sync completed for facility ${facilityId}. Success: ${successCount}, Failures: ${failureCount}`
-                );
-                return { successCount, failureCount, total: tenants.length };
-            }, `Sync tenants for facility ${facilityId}`);
-
+            logger.info(
+                `Tenant sync completed for facility ${facilityId} (${full || !cursor ? 'full' : 'delta'}). Success: ${result.successCount}, Failures: ${result.failureCount}`
+            );
             const duration = Date.now() - startTime;
             metrics.trackTenantSync(true, result.total, duration);
             return result;
@@ -180,64 +257,36 @@ class CubbyPMS {
         }
     }
 
-    async syncFacilities() {
+    async syncFacilities({ full = false } = {}) {
         const startTime = Date.now();
         try {
-            const result = await withRetry(async () => {
-                const response = await this.client.get('/api/v1/facilities');
-                const facilities = response.data;
-                let successCount = 0;
-                let failureCount = 0;
-
-                for (const facility of facilities) {
-                    try {
-                        const facilityData = {
-                            id: facility.id,
-                            name: facility.name,
-                            gmb_place_id: facility.gmbPlaceId,
-                            gmb_link: facility.gmbLink,
-                            city: facility.city,
-                            state: facility.state,
-                            timezone: facility.timezone,
-                            context_notes: facility.contextNotes,
-                            created_at: facility.createdAt,
-                            updated_at: facility.updatedAt,
-                        };
-
-                        // Validate required fields
-                        if (!facilityData.id || !facilityData.name) {
-                            logger.warn(
-                                `Skipping facility sync - missing required fields: ${JSON.stringify(facilityData)}`
-                            );
-                            failureCount++;
-                            continue;
-                        }
-
-                        const existingFacilities = await Facility.findAll({
-                            id: facility.id,
-                        });
-
-                        if (existingFacilities.length > 0) {
-                            await Facility.update(facility.id, facilityData);
-                        } else {
-                            await Facility.create({
-                                id: facility.id,
-                                ...facilityData,
-                            });
-                        }
-                        successCount++;
-                    } catch (error) {
-                        logger.error(`Failed to sync facility ${facility.id}:`, error);
-                        failureCount++;
-                    }
+            const cursor = await CubbySyncCursor.find('facilities');
+            const { seen, highWaterMark, ...result } = await this.syncPages(
+                '/api/v1/facilities',
+                cursor,
+                {
+                    full: full || !cursor,
+                    toRow: (facility) => this.toFacilityRow(facility),
+                    upsert: (rows) =>
+                        Facility.bulkUpsert(rows, this.batchSize, { fromCubby: true }),
+                    keyOf: (facility) => facility.id,
                 }
+            );
 
-                logger.info(
-                    `Facility sync completed. Success: ${successCount}, Failures: ${failureCount}`
-                );
-                return { successCount, failureCount, total: facilities.length };
-            }, 'Sync facilities');
+            // Only a forced full run can tell which facilities are gone
+            if (full && this.canReconcile('facilities', seen, await Facility.countActive())) {
+                result.deactivated = await Facility.deactivateMissing(seen);
+            }
+            if (!result.failureCount) {
+                await CubbySyncCursor.save('facilities', null, {
+                    updatedSince: highWaterMark,
+                    full: full || !cursor,
+                });
+            }
 
+            logger.info(
+                `Facility sync completed (${full || !cursor ? 'full' : 'delta'}). Success: ${result.successCount}, Failures: ${result.failureCount}`
+            );
             const duration = Date.now() - startTime;
             metrics.trackFacilitySync(true, result.total, duration);
             return result;
@@ -248,20 +297,193 @@ class CubbyPMS {
         }
     }
 
+    /**
+     * Whether a full resync that returned `seen` may retire what it did not
+     * return. An empty or truncated listing (an API outage, a permissions
+     * change on the key) would otherwise mark everything gone, so nothing is
+     * retired when fewer than CUBBY_RECONCILE_MIN_RATIO of the `current`
+     * records came back.
+     */
+    canReconcile(label, seen, current) {
+        const count = new Set(seen).size;
+        if (current > 0 && (count === 0 || count < current * this.reconcileMinRatio)) {
+            logger.warn(
+                `Skipping reconciliation of ${label}: Cubby returned ${count} of ${current} current records`
+            );
+            return false;
+        }
+        return true;
+    }
+
+    // Sync the facility list, then the tenants of every active facility
+    async syncAll({ full = false } = {}) {
+        const facilities = await this.syncFacilities({ full });
+        const tenants = { facilities: 0, failures: 0 };
+
+        for (const facility of await Facility.findActive()) {
+            try {
+                await this.syncTenants(facility.id, { full });
+                tenants.facilities++;
+            } catch (error) {
+                logger.error(`Tenant sync failed for facility ${facility.id}:`, error);
+                tenants.failures++;
+            }
+        }
+
+        return { facilities, tenants };
+    }
+
+    // Map a Cubby tenant record onto tenant columns, or null (logged) when it
+    // lacks required fields
+    toTenantRow(facilityId, tenant) {
+        const tenantData = {
+            facility_id: facilityId,
+            name: tenant.name,
+            unit_number: tenant.unitNumber,
+            phone: tenant.phone,
+            email: tenant.email,
+            move_in_date: tenant.moveInDate,
+            move_out_date: tenant.moveOutDate,
+            is_good_standing: this.determineGoodStanding(tenant),
+            notification_opt_in: tenant.notificationPreferences?.optIn || false,
+        };
+
+        // Validate required fields
+        if (!tenantData.facility_id || !tenantData.name || !tenantData.unit_number) {
+            logger.warn(
+                `Skipping tenant sync - missing required fields: ${JSON.stringify(tenantData)}`
+            );
+            return null;
+        }
+        return tenantData;
+    }
+
+    // Map a Cubby facility record onto facility columns, or null (logged) when
+    // it lacks required fields
+    toFacilityRow(facility) {
+        const facilityData = {
+            id: facility.id,
+            name: facility.name,
+            gmb_place_id: facility.gmbPlaceId,
+            gmb_link: facility.gmbLink,
+            city: facility.city,
+            state: facility.state,
+            timezone: facility.timezone,
+            context_notes: facility.contextNotes,
+        };
+
+        // Validate required fields
+        if (!facilityData.id || !facilityData.name) {
+            logger.warn(
+                `Skipping facility sync - missing required fields: ${JSON.stringify(facilityData)}`
+            );
+            return null;
+        }
+        return facilityData;
+    }
+
+    // Insert or update one tenant from a Cubby tenant record. Resolves to false
+    // when the record lacks required fields.
+    async upsertTenant(facilityId, tenant) {
+        const row = this.toTenantRow(facilityId, tenant);
+        if (!row) {
+            return false;
+        }
+
+        const [batch] = await Tenant.bulkUpsert(
+            await SmsSuppression.clearSuppressedOptIns([row]),
+            1
+        );
+        if (batch.error) {
+            throw new Error(batch.error);
+        }
+        return true;
+    }
+
+    // Insert or update one facility from a Cubby facility record. Resolves to
+    // false when the record lacks required fields.
+    async upsertFacility(facility) {
+        const row = this.toFacilityRow(facility);
+        if (!row) {
+            return false;
+        }
+
+        const [batch] = await Facility.bulkUpsert([row], 1, { fromCubby: true });
+        if (batch.error) {
+            throw new Error(batch.error);
+        }
+        return true;
+    }
+
+    // Fetch and upsert the one tenant a webhook is about. Payloads without a
+    // tenant ID fall back to a sync of the whole facility.
+    async syncTenant(data) {
+        const tenantId = data.tenantId || data.id;
+        if (!tenantId) {
+            if (!data.facilityId) {
+                throw new Error('Tenant event without tenantId or facilityId');
+            }
+            return this.syncTenants(data.facilityId);
+        }
+
+        const tenant = await withRetry(
+            () => this.getTenantDetails(tenantId),
+            `Fetch tenant ${tenantId}`
+        );
+        if (!(await this.upsertTenant(tenant.facilityId || data.facilityId, tenant))) {
+            throw new Error(`Tenant ${tenantId} is missing required fields`);
+        }
+        return { tenantId };
+    }
+
+    async syncFacility(facilityId) {
+        if (!facilityId) {
+            throw new Error('Facility event without facilityId');
+        }
+
+        const facility = await withRetry(
+            () => this.getFacilityDetails(facilityId),
+            `Fetch facility ${facilityId}`
+        );
+        if (!(await this.upsertFacility(facility))) {
+            throw new Error(`Facility ${facilityId} is missing required fields`);
+        }
+        return { facilityId };
+    }
+
+    // Facilities removed in Cubby are deactivated, keeping their reviews and history
+    async deactivateFacility(facilityId) {
+        if (!facilityId) {
+            throw new Error('Facility event without facilityId');
+        }
+        if (!(await Facility.findById(facilityId))) {
+            logger.warn(`Ignoring facility.deleted for unknown facility ${facilityId}`);
+            return null;
+        }
+        return Facility.updateStatus(facilityId, 'inactive');
+    }
+
     async handleWebhook(payload) {
         try {
-            const { event, data } = payload;
+            const { event, data = {} } = payload;
             let success = false;
 
             switch (event) {
                 case 'tenant.created':
                 case 'tenant.updated':
-                    await this.syncTenants(data.facilityId);
+                case 'tenant.moved_in':
+                case 'tenant.moved_out':
+                case 'tenant.payment_status_changed':
+                    await this.syncTenant(data);
                     success = true;
                     break;
                 case 'facility.created':
                 case 'facility.updated':
-                    await this.syncFacilities();
+                    await this.syncFacility(data.facilityId || data.id);
+                    success = true;
+                    break;
+                case 'facility.deleted':
+                    await this.deactivateFacility(data.facilityId || data.id);
                     success = true;
                     break;
                 default:
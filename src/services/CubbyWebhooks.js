@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const CubbyWebhookEvent = require('../models/CubbyWebhookEvent');
+const CubbyPMS = require('./CubbyPMS');
+
+/**
+ * Intake for Cubby webhooks. `receive` stores the delivery in
+ * `cubby_webhook_events`, deduplicated on its event ID, and returns at once;
+ * the event is then processed in the background from that log. A sweep on
+ * CUBBY_WEBHOOK_PROCESS_SCHEDULE picks up anything left waiting (after a
+ * restart, or when an event was replayed).
+ */
+class CubbyWebhooks {
+    constructor(options = {}) {
+        this.cubby = options.cubby || CubbyPMS;
+        this.batchSize =
+            options.batchSize || parseInt(process.env.CUBBY_WEBHOOK_BATCH_SIZE, 10) || 20;
+        this.processing = null;
+        this.rerun = false;
+    }
+
+    // Cubby's event ID, or for deliveries without one a hash of the signed
+    // timestamp and body: a replayed delivery matches, while the same change
+    // made again later (say a tenant moving back in) is a new event
+    eventIdOf(payload, headerEventId, timestamp = null) {
+        const eventId = headerEventId || payload.id || payload.eventId;
+        if (eventId) {
+            return String(eventId);
+        }
+        const hash = crypto
+            .createHash('sha256')
+            .update(`${timestamp || ''}.${JSON.stringify(payload)}`)
+            .digest('hex');
+        return `sha256:${hash}`;
+    }
+
+    async receive(payload, headerEventId = null, timestamp = null) {
+        const eventId = this.eventIdOf(payload, headerEventId, timestamp);
+        const event = await CubbyWebhookEvent.record(eventId, payload);
+        if (!event) {
+            logger.info(`Ignoring duplicate Cubby webhook ${eventId}`);
+            return { event: await CubbyWebhookEvent.findByEventId(eventId), duplicate: true };
+        }
+
+        this.scheduleProcessing();
+        return { event, duplicate: false };
+    }
+
+    // Start draining the log in the background unless a drain is running
+    scheduleProcessing() {
+        setImmediate(() => {
+            this.processPending().catch((error) =>
+                logger.error('Cubby webhook processing failed:', error)
+            );
+        });
+    }
+
+    // Process waiting events until none are left; concurrent calls share one run.
+    // A call during a run may be for an event recorded after the run last found
+    // the log empty, so the run drains once more before it finishes.
+    async processPending() {
+        if (this.processing) {
+            this.rerun = true;
+            return this.processing;
+        }
+
+        this.processing = (async () => {
+            const totals = { processed: 0, failed: 0 };
+            try {
+                do {
+                    this.rerun = false;
+                    await this.drain(totals);
+                } while (this.rerun);
+                return totals;
+            } finally {
+                this.processing = null;
+            }
+        })();
+        return this.processing;
+    }
+
+    async drain(totals) {
+        for (;;) {
+            const events = await CubbyWebhookEvent.claimPending(this.batchSize);
+            if (!events.length) {
+                return totals;
+            }
+
+            for (const event of events) {
+                if (await this.process(event)) {
+                    totals.processed++;
+                } else {
+                    totals.failed++;
+                }
+            }
+        }
+    }
+
+    async process(event) {
+        try {
+            await this.cubby.handleWebhook(event.payload);
+            await CubbyWebhookEvent.markProcessed(event.id);
+            return true;
+        } catch (error) {
+            logger.error(`Cubby webhook ${event.event_id} failed:`, error);
+            await CubbyWebhookEvent.markFailed(event.id, error.message);
+            return false;
+        }
+    }
+
+    async replay(ids = null) {
+        const queued = await CubbyWebhookEvent.requeue({ ids });
+        if (queued.length) {
+            this.scheduleProcessing();
+        }
+        return queued;
+    }
+}
+
+module.exports = new CubbyWebhooks();
+module.exports.CubbyWebhooks = CubbyWebhooks;
@@ -71,6 +71,34 @@ class GoogleMyBusiness {
         }
     }
 
+    // Pages through every review of a location, newest first
+    async getAllLocationReviews(placeId) {
+        const startTime = Date.now();
+        try {
+            const reviews = [];
+            let pageToken;
+
+            do {
+                const response = await this.gmbV4.accounts.locations.reviews.list({
+                    parent: `locations/${placeId}`,
+                    pageSize: 50,
+                    orderBy: 'updateTime desc',
+                    pageToken,
+                });
+
+                reviews.push(...(response.data.reviews || []));
+                pageToken = response.data.nextPageToken;
+            } while (pageToken);
+
+            metrics.trackApiCall('getAllLocationReviews', true, Date.now() - startTime);
+            return reviews;
+        } catch (error) {
+            metrics.trackApiCall('getAllLocationReviews', false, Date.now() - startTime);
+            logger.error(`Failed to fetch all reviews for location ${placeId}:`, error);
+            throw error;
+        }
+    }
+
     async createReviewLink(placeId) {
         const startTime = Date.now();
         try {
@@ -100,25 +128,6 @@ class GoogleMyBusiness {
         }
     }
 
-    async verifyReviewExists(placeId, tenantEmail) {
-        const startTime = Date.now();
-        try {
-            const reviews = await this.getLocationReviews(placeId);
-            const exists = reviews.some(
-                (review) =>
-                    review.reviewer.profilePhotoUrl &&
-                    review.reviewer.profilePhotoUrl.includes(tenantEmail)
-            );
-
-            metrics.trackApiCall('verifyReviewExists', true, Date.now() - startTime);
-            return exists;
-        } catch (error) {
-            metrics.trackApiCall('verifyReviewExists', false, Date.now() - startTime);
-            logger.error(`Failed to verify review for ${placeId}:`, error);
-            throw error;
-        }
-    }
-
     async getLocationInsights(placeId) {
         const startTime = Date.now();
         try {
@@ -164,45 +173,20 @@ class GoogleMyBusiness {
         }
     }
 
-    async getReviewMetrics(placeId) {
+    async deleteReviewReply(placeId, reviewId) {
         const startTime = Date.now();
         try {
-            const reviews = await this.getLocationReviews(placeId);
-
-            const metrics = {
-                total: reviews.length,
-                averageRating: 0,
-                ratingDistribution: {
-                    1: 0,
-                    2: 0,
-                    3: 0,
-                    4: 0,
-                    5: 0,
-                },
-                responseRate: 0,
-                recentReviews: reviews.slice(0, 5),
-            };
-
-            let totalRating = 0;
-            let respondedReviews = 0;
-
-            reviews.forEach((review) => {
-                const rating = review.starRating;
-                metrics.ratingDistribution[rating]++;
-                totalRating += rating;
-                if (review.reply) {
-                    respondedReviews++;
-                }
+            await this.gmbV4.accounts.locations.reviews.deleteReply({
+                name: `locations/${placeId}/reviews/${reviewId}`,
             });
 
-            metrics.averageRating = totalRating / reviews.length;
-            metrics.responseRate = (respondedReviews / reviews.length) * 100;
-
-            metrics.trackApiCall('getReviewMetrics', true, Date.now() - startTime);
-            return metrics;
+            metrics.trackApiCall('deleteReviewReply', true, Date.now() - startTime);
         } catch (error) {
-            metrics.trackApiCall('getReviewMetrics', false, Date.now() - startTime);
-            logger.error(`Failed to calculate review metrics for location ${placeId}:`, error);
+            metrics.trackApiCall('deleteReviewReply', false, Date.now() - startTime);
+            logger.error(
+                `Failed to delete reply to review ${reviewId} for location ${placeId}:`,
+                error
+            );
             throw error;
         }
     }
@@ -337,7 +321,7 @@ class GoogleMyBusiness {
                 refresh_token: tokens.refresh_token,
                 scope: tokens.scope,
                 token_type: tokens.token_type,
-                expiry_date: new Date(tokens.expiry_date)
+                expiry_date: new Date(tokens.expiry_date),
             };
 
             await GmbCredentials.upsert(userId, credentials);
@@ -0,0 +1,107 @@
+const logger = require('../utils/logger');
+const { render } = require('../utils/template');
+const { normalizePhone } = require('../utils/phone');
+const Tenant = require('../models/Tenant');
+const SmsSuppression = require('../models/SmsSuppression');
+const SmsInboundMessage = require('../models/SmsInboundMessage');
+const { createSmsProvider } = require('./sms');
+
+// Carrier opt-out, opt-in and help keywords (CTIA), matched against the whole message
+const KEYWORDS = {
+    stop: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT', 'REVOKE'],
+    start: ['START', 'UNSTOP', 'YES', 'SUBSCRIBE'],
+    help: ['HELP', 'INFO'],
+};
+
+const REPLIES = {
+    stop:
+        'You are unsubscribed from {{brand}} messages and will not receive any more. ' +
+        'Reply START to resubscribe.',
+    start:
+        'You are resubscribed to {{brand}} messages. Msg & data rates may apply. ' +
+        'Reply HELP for help, STOP to opt out.',
+    help:
+        '{{brand}}: occasional review requests from your storage facility. ' +
+        'Msg & data rates may apply. Reply STOP to opt out. Help: {{support}}',
+};
+
+/**
+ * Handles SMS sent to our number. STOP-type keywords add the sender to the
+ * suppression list and opt out every tenant with that phone; START-type
+ * keywords reverse both; HELP gets the help message. Each keyword gets its
+ * auto-reply, other messages none. Every message is logged.
+ *
+ * The auto-reply is best effort: the opt-out is already stored when it is
+ * sent, and Twilio refuses messages to a number that just texted STOP
+ * (error 21610) when its own opt-out handling is on.
+ */
+class InboundSms {
+    constructor(options = {}) {
+        this.smsProvider = options.smsProvider || createSmsProvider();
+        this.brand = options.brand || process.env.SMS_BRAND_NAME || 'Golden Reputation';
+        this.support = options.support || process.env.SMS_SUPPORT_CONTACT || '';
+    }
+
+    // The keyword texted, ignoring case, spacing and punctuation ("Stop." is STOP)
+    parseKeyword(body) {
+        const word = String(body || '')
+            .toUpperCase()
+            .replace(/[^A-Z]/g, '');
+        const keyword = Object.keys(KEYWORDS).find((type) => KEYWORDS[type].includes(word));
+        return keyword ? { keyword, word } : { keyword: null, word: null };
+    }
+
+    async handle({ from, to, body, messageSid }) {
+        const phone = normalizePhone(from);
+        if (!phone) {
+            throw new Error(`Invalid sender phone number: ${from}`);
+        }
+
+        const { keyword, word } = this.parseKeyword(body);
+        await SmsInboundMessage.record({ messageSid, from: phone, to, body, keyword });
+        if (!keyword) {
+            return { keyword: null, tenants: 0 };
+        }
+
+        let tenants = [];
+        if (keyword === 'stop') {
+            await SmsSuppression.suppress(phone, word);
+            tenants = await this.setOptIn(phone, false);
+        } else if (keyword === 'start') {
+            await SmsSuppression.release(phone);
+            tenants = await this.setOptIn(phone, true);
+        }
+        logger.info(
+            `Inbound SMS ${keyword.toUpperCase()} from ${phone}: ${tenants.length} tenants`
+        );
+
+        const replied = await this.reply(phone, keyword);
+        return { keyword, tenants: tenants.length, replied };
+    }
+
+    async reply(phone, keyword) {
+        try {
+            await this.smsProvider.send({
+                to: phone,
+                body: render(REPLIES[keyword], { brand: this.brand, support: this.support }).trim(),
+            });
+            return true;
+        } catch (error) {
+            logger.warn(
+                `Failed to send ${keyword.toUpperCase()} reply to ${phone}: ${error.message}`
+            );
+            return false;
+        }
+    }
+
+    async setOptIn(phone, optIn) {
+        const tenants = await Tenant.findByPhone(phone);
+        for (const tenant of tenants) {
+            await Tenant.updateNotificationPreference(tenant.id, optIn);
+        }
+        return tenants;
+    }
+}
+
+module.exports = new InboundSms();
+module.exports.InboundSms = InboundSms;
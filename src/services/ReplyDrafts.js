@@ -0,0 +1,164 @@
+const Review = require('../models/Review');
+const ReplyDraft = require('../models/ReplyDraft');
+const ReplyDraftEvent = require('../models/ReplyDraftEvent');
+const GoogleMyBusiness = require('./GoogleMyBusiness');
+const ReviewReplies = require('./ReviewReplies');
+
+// Status changes driven by the workflow endpoints, with the permission the
+// actor needs on the draft's facility
+const TRANSITIONS = {
+    submit: { from: ['draft', 'rejected'], to: 'submitted', permission: 'reviews.respond' },
+    approve: { from: ['submitted'], to: 'approved', permission: 'reviews.approve' },
+    reject: { from: ['submitted', 'approved'], to: 'rejected', permission: 'reviews.approve' },
+};
+
+/**
+ * Review replies drafted by staff and approved by a manager before they are
+ * posted to Google:
+ *
+ *     draft -> submitted -> approved -> published
+ *                  \-> rejected -> (edit) -> draft
+ *
+ * Editing an unpublished draft sends it back to `draft`; editing a published
+ * one updates the reply on Google straight away. Deleting removes the reply
+ * from Google when it was published. Every change is recorded in
+ * `review_reply_draft_events`.
+ */
+class ReplyDrafts {
+    constructor(options = {}) {
+        this.gmb = options.gmb || GoogleMyBusiness;
+        this.replies = options.replies || ReviewReplies;
+        this.now = options.now || (() => new Date());
+    }
+
+    async create({ review, body, templateId = null, author }) {
+        const draft = await ReplyDraft.create({
+            facility_id: review.facility_id,
+            review_id: review.id,
+            template_id: templateId,
+            body,
+            status: 'draft',
+            author_id: author.id,
+        });
+        await ReplyDraftEvent.record(draft.id, {
+            actorId: author.id,
+            action: 'create',
+            toStatus: 'draft',
+            body,
+        });
+        return draft;
+    }
+
+    async transition(draft, action, actor, { note = null } = {}) {
+        const { to } = TRANSITIONS[action];
+        const data = { status: to };
+        if (action === 'approve' || action === 'reject') {
+            data.approver_id = actor.id;
+            data.rejection_reason = action === 'reject' ? note : null;
+        }
+
+        const updated = await ReplyDraft.update(draft.id, data);
+        await ReplyDraftEvent.record(draft.id, {
+            actorId: actor.id,
+            action,
+            fromStatus: draft.status,
+            toStatus: to,
+            note,
+        });
+        return updated;
+    }
+
+    async edit(draft, facility, body, actor) {
+        if (draft.status === 'published') {
+            const reply = await this.replies.post({
+                facility,
+                gmbReviewId: draft.gmb_review_id,
+                review: await Review.findById(draft.review_id),
+                comment: body,
+                author: actor,
+            });
+
+            const updated = await ReplyDraft.update(draft.id, {
+                body,
+                published_reply_id: reply.id,
+                published_at: reply.created_at,
+            });
+            await ReplyDraftEvent.record(draft.id, {
+                actorId: actor.id,
+                action: 'edit_published',
+                fromStatus: 'published',
+                toStatus: 'published',
+                body,
+            });
+            return updated;
+        }
+
+        // Any change to an unpublished reply needs a fresh approval
+        const updated = await ReplyDraft.update(draft.id, { body, status: 'draft' });
+        await ReplyDraftEvent.record(draft.id, {
+            actorId: actor.id,
+            action: 'edit',
+            fromStatus: draft.status,
+            toStatus: 'draft',
+            body,
+        });
+        return updated;
+    }
+
+    async publish(draft, facility, actor) {
+        let reply;
+        try {
+            reply = await this.replies.post({
+                facility,
+                gmbReviewId: draft.gmb_review_id,
+                review: await Review.findById(draft.review_id),
+                comment: draft.body,
+                author: actor,
+                templateId: draft.template_id,
+            });
+        } catch (error) {
+            await ReplyDraftEvent.record(draft.id, {
+                actorId: actor.id,
+                action: 'publish_failed',
+                fromStatus: draft.status,
+                toStatus: draft.status,
+                note: error.message,
+            });
+            throw error;
+        }
+
+        const updated = await ReplyDraft.update(draft.id, {
+            status: 'published',
+            published_reply_id: reply.id,
+            published_at: reply.created_at,
+        });
+        await ReplyDraftEvent.record(draft.id, {
+            actorId: actor.id,
+            action: 'publish',
+            fromStatus: draft.status,
+            toStatus: 'published',
+        });
+        return updated;
+    }
+
+    async remove(draft, facility, actor) {
+        const published = draft.status === 'published';
+        if (published) {
+            await this.gmb.deleteReviewReply(facility.gmb_place_id, draft.gmb_review_id);
+            await Review.clearReply(draft.review_id);
+        }
+
+        const updated = await ReplyDraft.update(draft.id, { status: 'deleted' });
+        await ReplyDraftEvent.record(draft.id, {
+            actorId: actor.id,
+            action: published ? 'delete_published' : 'discard',
+            fromStatus: draft.status,
+            toStatus: 'deleted',
+        });
+        return updated;
+    }
+}
+
+module.exports = new ReplyDrafts();
+module.exports.ReplyDrafts = ReplyDrafts;
+module.exports.TRANSITIONS = TRANSITIONS;
@@ -0,0 +1,293 @@
+const logger = require('../utils/logger');
+const { escapeHtml } = require('../utils/template');
+const Facility = require('../models/Facility');
+const ReportSubscription = require('../models/ReportSubscription');
+const { loadScope } = require('../middleware/orgScope');
+const ReviewAnalytics = require('./ReviewAnalytics');
+const { createMailTransport } = require('./mail');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatRating = (value) => (value === null ? '-' : value.toFixed(2));
+const formatRate = (value) => (value === null ? '-' : `${value}%`);
+const formatChange = (value) => {
+    if (value === null) {
+        return '-';
+    }
+    return value > 0 ? `+${value.toFixed(2)}` : value.toFixed(2);
+};
+
+/**
+ * Reputation report emails: new reviews, rating change against the previous
+ * period, the unanswered backlog and review request conversion, for one
+ * facility or a user's whole portfolio. `sendDue` runs on REPORT_SCHEDULE and
+ * sends every subscription whose local delivery hour has passed today (see
+ * ReportSubscription) and that has not been sent yet today, so a missed run
+ * catches up later the same day.
+ */
+class ReputationReports {
+    constructor(options = {}) {
+        this.now = options.now || (() => new Date());
+        this.transport = options.transport || createMailTransport();
+        this.defaultTimezone =
+            options.defaultTimezone || process.env.REPORT_DEFAULT_TIMEZONE || 'UTC';
+        this.appUrl = (
+            options.appUrl ||
+            process.env.APP_BASE_URL ||
+            'http://localhost:3000'
+        ).replace(/\/$/, '');
+    }
+
+    async sendDue() {
+        const now = this.now();
+        const totals = { checked: 0, sent: 0, failed: 0 };
+        const subscriptions = await ReportSubscription.findActiveWithRecipients();
+
+        for (const subscription of subscriptions) {
+            totals.checked++;
+            try {
+                if (!this.isDue(subscription, now)) {
+                    continue;
+                }
+                await this.send(subscription, now);
+                totals.sent++;
+            } catch (error) {
+                logger.error(`Report subscription ${subscription.id} failed:`, error);
+                totals.failed++;
+            }
+        }
+
+        return totals;
+    }
+
+    isDue(subscription, now) {
+        const timezone = this.timezoneOf(subscription);
+        const local = this.localTime(now, timezone);
+
+        if (subscription.frequency === 'weekly' && local.weekday !== subscription.day_of_week) {
+            return false;
+        }
+        if (local.hour < subscription.hour) {
+            return false;
+        }
+        return (
+            !subscription.last_sent_at ||
+            this.localTime(subscription.last_sent_at, timezone).date !== local.date
+        );
+    }
+
+    async send(subscription, now = this.now()) {
+        const report = await this.build(subscription, now);
+        if (!report) {
+            // The user lost access to the facility; stop reporting on it
+            await ReportSubscription.update(subscription.id, { is_active: false });
+            logger.warn(
+                `Deactivated report subscription ${subscription.id}: facility not accessible`
+            );
+            return null;
+        }
+
+        const result = await this.transport.send({
+            to: subscription.email,
+            subject: report.subject,
+            text: report.text,
+            html: report.html,
+        });
+        await ReportSubscription.markSent(subscription.id, now);
+        logger.info(
+            `Sent ${subscription.frequency} report ${subscription.id} to ${subscription.email}`
+        );
+        return result;
+    }
+
+    /**
+     * Compute and render the report for a subscription (which needs the
+     * subscriber's `user_id` and `role`). Resolves to null when the subscriber
+     * can no longer see the facility.
+     */
+    async build(subscription, now = this.now()) {
+        const scope = await loadScope({
+            user: { id: subscription.user_id, role: subscription.role },
+        });
+        const facility =
+            subscription.facility_id &&
+            (await Facility.findAccessibleBy('id', subscription.facility_id, scope));
+        if (subscription.facility_id && !facility) {
+            return null;
+        }
+
+        const days = PERIOD_DAYS[subscription.frequency];
+        const to = now;
+        const from = new Date(to.getTime() - days * DAY_MS);
+        const previousFrom = new Date(from.getTime() - days * DAY_MS);
+        const options = { groupBy: 'facility', facilityId: subscription.facility_id };
+
+        const [current, previous] = await Promise.all([
+            ReviewAnalytics.portfolio(scope, { ...options, from, to }),
+            ReviewAnalytics.portfolio(scope, { ...options, from: previousFrom, to: from }),
+        ]);
+        const totals = current.totals;
+        const previousRatings = new Map(
+            previous.groups.map((group) => [group.facilityId, group.averageRating])
+        );
+        const ratingChange = (rating, previousRating) =>
+            rating === null || previousRating === null
+                ? null
+                : Math.round((rating - previousRating) * 100) / 100;
+
+        const data = {
+            title: facility ? facility.name : 'Your portfolio',
+            period: days === 1 ? 'the last day' : `the last ${days} days`,
+            timezone: this.timezoneOf(subscription),
+            from,
+            to,
+            totals: {
+                ...totals,
+                ratingChange: ratingChange(
+                    totals?.averageRating ?? null,
+                    previous.totals?.averageRating ?? null
+                ),
+            },
+            facilities: facility
+                ? []
+                : current.groups.map((group) => ({
+                      ...group,
+                      ratingChange: ratingChange(
+                          group.averageRating,
+                          previousRatings.get(group.facilityId) ?? null
+                      ),
+                  })),
+            link: `${this.appUrl}/${facility ? `facilities/${facility.id}` : 'dashboard'}`,
+        };
+
+        return {
+            subject: `${data.title}: ${totals?.totalReviews || 0} new reviews in ${data.period}`,
+            text: this.renderText(data),
+            html: this.renderHtml(data),
+            data,
+        };
+    }
+
+    renderText({ title, period, totals, facilities, link }) {
+        const lines = [
+            `${title} - reputation report for ${period}`,
+            '',
+            `New reviews: ${totals.totalReviews || 0}`,
+            `Average rating: ${formatRating(totals.averageRating ?? null)} (${formatChange(totals.ratingChange)})`,
+            `Unanswered reviews: ${totals.unansweredReviews || 0}`,
+            `Review requests sent: ${totals.requestsSent || 0}`,
+            `Conversion: ${formatRate(totals.conversionRate ?? null)}`,
+        ];
+
+        if (facilities.length) {
+            lines.push('', 'By facility:');
+            facilities.forEach((facility) => {
+                lines.push(
+                    `- ${facility.name}: ${facility.totalReviews} new, ` +
+                        `rating ${formatRating(facility.averageRating)} (${formatChange(facility.ratingChange)}), ` +
+                        `${facility.unansweredReviews} unanswered, ` +
+                        `conversion ${formatRate(facility.conversionRate)}`
+                );
+            });
+        }
+
+        lines.push('', `Open the dashboard: ${link}`);
+        return lines.join('\n');
+    }
+
+    renderHtml({ title, period, totals, facilities, link }) {
+        const metric = (label, value) =>
+            `<tr><td>${escapeHtml(label)}</td><td><strong>${escapeHtml(value)}</strong></td></tr>`;
+
+        let html =
+            `<h2>${escapeHtml(title)}</h2>` +
+            `<p>Reputation report for ${escapeHtml(period)}</p>` +
+            '<table cellpadding="4">' +
+            metric('New reviews', totals.totalReviews || 0) +
+            metric(
+                'Average rating',
+                `${formatRating(totals.averageRating ?? null)} (${formatChange(totals.ratingChange)})`
+            ) +
+            metric('Unanswered reviews', totals.unansweredReviews || 0) +
+            metric('Review requests sent', totals.requestsSent || 0) +
+            metric('Conversion', formatRate(totals.conversionRate ?? null)) +
+            '</table>';
+
+        if (facilities.length) {
+            const headers = [
+                'Facility',
+                'New reviews',
+                'Rating',
+                'Change',
+                'Unanswered',
+                'Conversion',
+            ];
+            html +=
+                '<h3>By facility</h3><table cellpadding="4" border="1" cellspacing="0">' +
+                `<tr>${headers.map((header) => `<th>${header}</th>`).join('')}</tr>` +
+                facilities
+                    .map((facility) =>
+                        [
+                            facility.name,
+                            facility.totalReviews,
+                            formatRating(facility.averageRating),
+                            formatChange(facility.ratingChange),
+                            facility.unansweredReviews,
+                            formatRate(facility.conversionRate),
+                        ]
+                            .map((value) => `<td>${escapeHtml(value)}</td>`)
+                            .join('')
+                    )
+                    .map((cells) => `<tr>${cells}</tr>`)
+                    .join('') +
+                '</table>';
+        }
+
+        return `${html}<p><a href="${escapeHtml(link)}">Open the dashboard</a></p>`;
+    }
+
+    // Facility timezones come from the PMS unchecked, so skip any Intl does not know
+    timezoneOf(subscription) {
+        return (
+            [subscription.facility_timezone, subscription.timezone].find(
+                (timezone) => timezone && this.isValidTimezone(timezone)
+            ) || this.defaultTimezone
+        );
+    }
+
+    // Local calendar date, weekday (0 = Sunday) and hour of an instant in a timezone
+    localTime(instant, timezone) {
+        const parts = Object.fromEntries(
+            new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                weekday: 'short',
+                hour: '2-digit',
+                hourCycle: 'h23',
+            })
+                .formatToParts(new Date(instant))
+                .map(({ type, value }) => [type, value])
+        );
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            weekday: WEEKDAYS.indexOf(parts.weekday),
+            hour: parseInt(parts.hour, 10),
+        };
+    }
+
+    isValidTimezone(timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+module.exports = new ReputationReports();
+module.exports.ReputationReports = ReputationReports;
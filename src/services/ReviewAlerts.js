@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const https = require('https');
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { render } = require('../utils/template');
+const { publicLookup, urlProblem } = require('../utils/publicUrl');
+const AlertRule = require('../models/AlertRule');
+const ReviewAlert = require('../models/ReviewAlert');
+const { createMailTransport } = require('./mail');
+const { createSmsProvider } = require('./sms');
+
+const MESSAGES = {
+    max_rating: '{{rating}}-star review for {{facilityName}} ({{city}})',
+    keyword: 'Flagged review for {{facilityName}} ({{city}})',
+    no_reply_within: 'Review for {{facilityName}} ({{city}}) still has no reply',
+};
+
+const SMS_TEMPLATE = '{{headline}} from {{reviewerName}}: "{{excerpt}}" {{link}}';
+
+const EMAIL_TEXT_TEMPLATE =
+    '{{headline}}\n\nRule: {{ruleName}}\nReviewer: {{reviewerName}}\nRating: {{rating}} stars\n\n' +
+    '{{comment}}\n\nView and acknowledge: {{link}}';
+
+const EMAIL_HTML_TEMPLATE =
+    '<p><strong>{{headline}}</strong></p>' +
+    '<p>Rule: {{ruleName}}<br>Reviewer: {{reviewerName}}<br>Rating: {{rating}} stars</p>' +
+    '<blockquote>{{comment}}</blockquote>' +
+    '<p><a href="{{link}}">View and acknowledge</a></p>';
+
+/**
+ * Checks every active alert rule against the ingested reviews and notifies
+ * the rule's email, SMS and webhook recipients of each new match. A rule
+ * fires at most once per review; the outcome of every delivery is stored on
+ * the alert. Webhook bodies are signed with ALERT_WEBHOOK_SECRET when set, in
+ * an `X-Signature: sha256=<hex HMAC of the body>` header.
+ */
+class ReviewAlerts {
+    constructor(options = {}) {
+        this.now = options.now || (() => new Date());
+        this.mailTransport = options.mailTransport || createMailTransport();
+        this.smsProvider = options.smsProvider || createSmsProvider();
+        this.http =
+            options.http ||
+            axios.create({
+                timeout: 10000,
+                // Webhook hosts are checked on every connection; redirects are not followed
+                maxRedirects: 0,
+                httpsAgent: new https.Agent({ lookup: publicLookup }),
+            });
+        this.webhookSecret = options.webhookSecret ?? process.env.ALERT_WEBHOOK_SECRET;
+        this.appUrl = (
+            options.appUrl ||
+            process.env.APP_BASE_URL ||
+            'http://localhost:3000'
+        ).replace(/\/$/, '');
+    }
+
+    async evaluateAll() {
+        const asOf = this.now();
+        const totals = { rules: 0, alerts: 0 };
+        const rules = await AlertRule.findActive();
+
+        for (const rule of rules) {
+            try {
+                totals.alerts += await this.evaluateRule(rule, asOf);
+                totals.rules++;
+            } catch (error) {
+                logger.error(`Alert rule ${rule.id} evaluation failed:`, error);
+            }
+        }
+
+        logger.info(
+            `Review alert evaluation completed. Rules: ${totals.rules}, Alerts: ${totals.alerts}`
+        );
+        return totals;
+    }
+
+    async evaluateRule(rule, asOf = this.now()) {
+        const reviews = await ReviewAlert.findMatchingReviews(rule, asOf);
+        let created = 0;
+
+        for (const review of reviews) {
+            const alert = await ReviewAlert.createForRule(rule, review);
+            if (!alert) {
+                continue;
+            }
+
+            const deliveries = await this.notify(rule, alert, review);
+            await ReviewAlert.recordDeliveries(alert.id, deliveries);
+            created++;
+        }
+
+        return created;
+    }
+
+    // Deliver to every recipient of the rule; one failure does not stop the others
+    async notify(rule, alert, review) {
+        const variables = this.buildVariables(rule, alert, review);
+        const targets = [
+            ...rule.email_recipients.map((to) => ['email', to]),
+            ...rule.sms_recipients.map((to) => ['sms', to]),
+            ...(rule.webhook_url ? [['webhook', rule.webhook_url]] : []),
+        ];
+
+        const deliveries = [];
+        for (const [channel, target] of targets) {
+            try {
+                const result = await this.deliver(channel, target, {
+                    rule,
+                    alert,
+                    review,
+                    variables,
+                });
+                deliveries.push({ channel, target, status: 'sent', messageId: result?.messageId });
+            } catch (error) {
+                logger.error(
+                    `Failed to deliver alert ${alert.id} by ${channel} to ${target}:`,
+                    error
+                );
+                deliveries.push({ channel, target, status: 'failed', error: error.message });
+            }
+        }
+        return deliveries;
+    }
+
+    async deliver(channel, target, { rule, alert, review, variables }) {
+        if (channel === 'email') {
+            return this.mailTransport.send({
+                to: target,
+                subject: variables.headline,
+                text: render(EMAIL_TEXT_TEMPLATE, variables),
+                html: render(EMAIL_HTML_TEMPLATE, variables, { html: true }),
+            });
+        }
+
+        if (channel === 'sms') {
+            return this.smsProvider.send({ to: target, body: render(SMS_TEMPLATE, variables) });
+        }
+
+        const body = JSON.stringify({
+            event: 'review.alert',
+            alert: { id: alert.id, createdAt: alert.created_at },
+            rule: { id: rule.id, name: rule.name, type: rule.rule_type },
+            facility: { id: review.facility_id, name: review.facility_name },
+            review: {
+                id: review.id,
+                gmbReviewId: review.gmb_review_id,
+                reviewerName: review.reviewer_name,
+                rating: review.rating,
+                comment: review.comment,
+                createdAt: review.review_created_at,
+            },
+            link: variables.link,
+        });
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.webhookSecret) {
+            const signature = crypto
+                .createHmac('sha256', this.webhookSecret)
+                .update(body)
+                .digest('hex');
+            headers['X-Signature'] = `sha256=${signature}`;
+        }
+
+        // Rules saved before URLs were restricted may still hold one
+        const problem = urlProblem(target);
+        if (problem) {
+            throw new Error(`Webhook URL ${problem}`);
+        }
+        await this.http.post(target, body, { headers });
+        return null;
+    }
+
+    buildVariables(rule, alert, review) {
+        const values = {
+            ruleName: rule.name,
+            reviewerName: review.reviewer_name || 'Anonymous',
+            rating: review.rating,
+            comment: review.comment || '(no comment)',
+            excerpt: (review.comment || '').slice(0, 80),
+            facilityName: review.facility_name,
+            city: review.facility_city,
+            link: `${this.appUrl}/alerts/${alert.id}`,
+        };
+        return { ...values, headline: render(MESSAGES[rule.rule_type], values) };
+    }
+}
+
+module.exports = new ReviewAlerts();
+module.exports.ReviewAlerts = ReviewAlerts;
@@ -0,0 +1,217 @@
+const Review = require('../models/Review');
+const Facility = require('../models/Facility');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVALS = ['day', 'week', 'month'];
+
+// Approximate bucket lengths, used to cap the size of a trend
+const INTERVAL_DAYS = { day: 1, week: 7, month: 30 };
+const MAX_BUCKETS = 400;
+
+const PORTFOLIO_GROUPS = ['facility', 'city', 'state'];
+const PORTFOLIO_SORTS = [
+    'name',
+    'facilities',
+    'totalReviews',
+    'averageRating',
+    'unansweredReviews',
+    'sendRate',
+    'conversionRate',
+];
+
+const round = (value, digits = 1) =>
+    value === null || value === undefined ? null : Number(value.toFixed(digits));
+
+/**
+ * Review analytics over the local `reviews` table: summaries (volume,
+ * average rating, distribution, response rate, median response time) per
+ * facility and overall, optionally compared with another date range, and
+ * trends bucketed by day, week or month with rolling averages. The portfolio
+ * rolls the same figures, plus review request send and conversion rates and
+ * the unanswered backlog, up across every facility a user can see.
+ */
+class ReviewAnalytics {
+    constructor() {
+        this.INTERVALS = INTERVALS;
+        this.MAX_BUCKETS = MAX_BUCKETS;
+        this.PORTFOLIO_GROUPS = PORTFOLIO_GROUPS;
+        this.PORTFOLIO_SORTS = PORTFOLIO_SORTS;
+    }
+
+    async summary(facilityIds, { from, to, compareFrom = null, compareTo = null }) {
+        const current = this.formatSummary(await Review.getSummary(facilityIds, from, to));
+        const result = { from, to, ...current };
+
+        if (compareFrom && compareTo) {
+            const previous = this.formatSummary(
+                await Review.getSummary(facilityIds, compareFrom, compareTo)
+            );
+            result.comparison = {
+                from: compareFrom,
+                to: compareTo,
+                ...previous,
+                change: this.diff(current.overall, previous.overall),
+            };
+        }
+
+        return result;
+    }
+
+    async trend(facilityIds, { from, to, interval = 'week', rollingWindow = 4 }) {
+        const rows = await Review.getTrend(facilityIds, { from, to, interval, rollingWindow });
+
+        const series = new Map(facilityIds.map((id) => [id, []]));
+        rows.forEach((row) => {
+            series.get(row.facility_id).push({
+                bucket: row.bucket,
+                reviews: row.reviews,
+                averageRating: row.average_rating,
+                replied: row.replied,
+                responseRate: row.reviews ? round((row.replied / row.reviews) * 100) : null,
+                rollingReviews: row.rolling_reviews,
+                rollingAverageRating: row.rolling_average_rating,
+            });
+        });
+
+        return {
+            from,
+            to,
+            interval,
+            rollingWindow,
+            facilities: [...series].map(([facilityId, points]) => ({ facilityId, points })),
+        };
+    }
+
+    async portfolio(
+        scope,
+        {
+            from,
+            to,
+            groupBy = 'facility',
+            state,
+            city,
+            facilityId,
+            sort = 'name',
+            order = 'asc',
+            limit,
+        }
+    ) {
+        const rows = await Facility.getPortfolioStats(scope, {
+            from,
+            to,
+            groupBy,
+            state,
+            city,
+            facilityId,
+        });
+        const total = rows.find((row) => row.is_total);
+        const groups = rows.filter((row) => !row.is_total).map((row) => this.formatGroup(row));
+
+        // Groups without a value for the sort field (no reviews, no requests) go last
+        const direction = order === 'desc' ? -1 : 1;
+        groups.sort((a, b) => {
+            if (a[sort] === null || b[sort] === null) {
+                return (a[sort] === null) - (b[sort] === null);
+            }
+            return typeof a[sort] === 'string'
+                ? direction * a[sort].localeCompare(b[sort])
+                : direction * (a[sort] - b[sort]);
+        });
+
+        return {
+            from,
+            to,
+            groupBy,
+            sort,
+            order,
+            totals: total ? this.formatGroup(total) : null,
+            groups: limit ? groups.slice(0, limit) : groups,
+        };
+    }
+
+    // Name a portfolio group by its facility, city or state and derive its rates
+    formatGroup(row) {
+        const group = {};
+        if (!row.is_total) {
+            if (row.id !== undefined) {
+                group.facilityId = row.id;
+            }
+            if (row.state !== undefined) {
+                group.state = row.state;
+            }
+            if (row.city !== undefined) {
+                group.city = row.city;
+            }
+            group.name = row.name ?? (row.city ? `${row.city}, ${row.state}` : row.state);
+        }
+
+        return {
+            ...group,
+            facilities: row.facilities,
+            totalReviews: row.total_reviews,
+            averageRating: row.average_rating,
+            unansweredReviews: row.unanswered_reviews,
+            requests: row.requests,
+            requestsSent: row.requests_sent,
+            requestsCompleted: row.requests_completed,
+            sendRate: row.requests ? round((row.requests_sent / row.requests) * 100) : null,
+            conversionRate: row.requests_sent
+                ? round((row.requests_completed / row.requests_sent) * 100)
+                : null,
+        };
+    }
+
+    // Number of buckets a trend request would produce, to reject oversized ranges
+    countBuckets(from, to, interval) {
+        return Math.ceil((to - from) / (INTERVAL_DAYS[interval] * DAY_MS));
+    }
+
+    formatSummary(rows) {
+        const format = (row) => ({
+            totalReviews: row.total_reviews,
+            averageRating: row.average_rating,
+            ratingDistribution: {
+                1: row.rating_1,
+                2: row.rating_2,
+                3: row.rating_3,
+                4: row.rating_4,
+                5: row.rating_5,
+            },
+            repliedReviews: row.replied_reviews,
+            responseRate: row.total_reviews
+                ? round((row.replied_reviews / row.total_reviews) * 100)
+                : null,
+            medianResponseHours: row.median_response_hours,
+        });
+
+        // The grouping set without a facility is the overall row
+        const overall = rows.find((row) => row.facility_id === null);
+        return {
+            overall: overall ? format(overall) : null,
+            facilities: rows
+                .filter((row) => row.facility_id !== null)
+                .map((row) => ({
+                    facilityId: row.facility_id,
+                    facilityName: row.facility_name,
+                    ...format(row),
+                })),
+        };
+    }
+
+    diff(current, previous) {
+        const delta = (field, digits) =>
+            current[field] === null || previous[field] === null
+                ? null
+                : round(current[field] - previous[field], digits);
+
+        return {
+            totalReviews: current.totalReviews - previous.totalReviews,
+            averageRating: delta('averageRating', 2),
+            responseRate: delta('responseRate', 1),
+            medianResponseHours: delta('medianResponseHours', 1),
+        };
+    }
+}
+
+module.exports = new ReviewAnalytics();
+module.exports.ReviewAnalytics = ReviewAnalytics;
@@ -0,0 +1,135 @@
+const logger = require('../utils/logger');
+const { nameSimilarity } = require('../utils/nameMatch');
+const Facility = require('../models/Facility');
+const Review = require('../models/Review');
+const ReviewRequest = require('../models/ReviewRequest');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How much each signal contributes to the confidence score
+const WEIGHTS = {
+    name: 0.45,
+    click: 0.25,
+    timing: 0.2,
+    rating: 0.1,
+};
+
+/**
+ * Credits ingested Google reviews to the review requests that produced them.
+ *
+ * Google does not tell us who wrote a review, so each unattributed review is
+ * scored against the facility's recently sent requests using the reviewer's
+ * display name against the tenant name, whether the tenant followed the funnel
+ * link to Google, how soon after the request the review was posted, and
+ * whether the star rating matches the one given in the funnel. Pairs are
+ * assigned best-first so a review and a request are each used at most once;
+ * matched requests become `completed` with the confidence stored alongside.
+ */
+class ReviewAttribution {
+    constructor(options = {}) {
+        this.now = options.now || (() => new Date());
+        this.windowDays =
+            options.windowDays ?? parseInt(process.env.ATTRIBUTION_WINDOW_DAYS || '14', 10);
+        this.minConfidence =
+            options.minConfidence ?? parseFloat(process.env.ATTRIBUTION_MIN_CONFIDENCE || '0.6');
+    }
+
+    async attributeAll() {
+        const totals = { facilities: 0, attributed: 0 };
+        const facilities = await Facility.findWithGmbPlaceId();
+
+        for (const facility of facilities) {
+            try {
+                totals.attributed += await this.attributeFacility(facility);
+                totals.facilities++;
+            } catch (error) {
+                logger.error(`Review attribution failed for facility ${facility.id}:`, error);
+            }
+        }
+
+        logger.info(
+            `Review attribution completed. Facilities: ${totals.facilities}, Attributed: ${totals.attributed}`
+        );
+        return totals;
+    }
+
+    async attributeFacility(facility) {
+        // Requests sent before the window opened cannot be credited with a review posted now
+        const since = new Date(this.now().getTime() - 2 * this.windowDays * DAY_MS);
+        const [reviews, requests] = await Promise.all([
+            Review.findUnattributed(facility.id, since),
+            ReviewRequest.findAttributionCandidates(facility.id, since),
+        ]);
+
+        const matches = [];
+        for (const review of reviews) {
+            for (const request of requests) {
+                const confidence = this.score(review, request);
+                if (confidence >= this.minConfidence) {
+                    matches.push({ review, request, confidence });
+                }
+            }
+        }
+        matches.sort((a, b) => b.confidence - a.confidence);
+
+        const usedReviews = new Set();
+        const usedRequests = new Set();
+        let attributed = 0;
+
+        for (const { review, request, confidence } of matches) {
+            if (usedReviews.has(review.id) || usedRequests.has(request.id)) {
+                continue;
+            }
+            usedReviews.add(review.id);
+            usedRequests.add(request.id);
+
+            await ReviewRequest.markCompleted(request.id, review, confidence);
+            logger.debug(
+                `Attributed review ${review.id} to request ${request.id} (confidence ${confidence})`
+            );
+            attributed++;
+        }
+
+        return attributed;
+    }
+
+    // Confidence between 0 and 1 that `review` was written in response to `request`
+    score(review, request) {
+        const postedAt = new Date(review.review_created_at).getTime();
+        const sentAt = new Date(request.sent_at).getTime();
+        const anchor = new Date(
+            request.google_clicked_at || request.clicked_at || request.sent_at
+        ).getTime();
+
+        if (postedAt < sentAt || postedAt > anchor + this.windowDays * DAY_MS) {
+            return 0;
+        }
+
+        const name = review.reviewer_is_anonymous
+            ? 0
+            : nameSimilarity(review.reviewer_name, request.tenant_name);
+
+        let click = 0;
+        if (request.google_clicked_at && postedAt >= new Date(request.google_clicked_at)) {
+            click = 1;
+        } else if (request.clicked_at) {
+            click = 0.5;
+        }
+
+        // Full marks within a day of the last interaction, fading towards the window's end
+        const elapsedDays = Math.max(0, (postedAt - anchor) / DAY_MS);
+        const timing = elapsedDays <= 1 ? 1 : Math.max(0.2, 1 - elapsedDays / this.windowDays);
+
+        const rating = request.rating && request.rating === review.rating ? 1 : 0;
+
+        const confidence =
+            WEIGHTS.name * name +
+            WEIGHTS.click * click +
+            WEIGHTS.timing * timing +
+            WEIGHTS.rating * rating;
+        return Math.round(confidence * 1000) / 1000;
+    }
+}
+
+module.exports = new ReviewAttribution();
+module.exports.ReviewAttribution = ReviewAttribution;
@@ -0,0 +1,202 @@
+const ExcelJS = require('exceljs');
+const Review = require('../models/Review');
+const ReviewRequest = require('../models/ReviewRequest');
+const ReviewCampaign = require('../models/ReviewCampaign');
+const { csvRow } = require('../utils/csv');
+
+const FORMATS = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : null);
+
+// Columns of each export: header and how to read the value from a row
+const EXPORTS = {
+    reviews: {
+        sheet: 'Reviews',
+        model: Review,
+        columns: [
+            ['Review ID', (row) => row.id],
+            ['Facility ID', (row) => row.facility_id],
+            ['Facility', (row) => row.facility_name],
+            ['City', (row) => row.facility_city],
+            ['State', (row) => row.facility_state],
+            ['Reviewer', (row) => row.reviewer_name],
+            ['Rating', (row) => row.rating],
+            ['Comment', (row) => row.comment],
+            ['Reviewed At', (row) => row.review_created_at],
+            ['Reply', (row) => row.reply_comment],
+            ['Replied At', (row) => row.reply_updated_at],
+        ],
+    },
+    'review-requests': {
+        sheet: 'Review Requests',
+        model: ReviewRequest,
+        columns: [
+            ['Request ID', (row) => row.id],
+            ['Facility ID', (row) => row.facility_id],
+            ['Facility', (row) => row.facility_name],
+            ['Campaign', (row) => row.campaign_name],
+            ['Tenant', (row) => row.tenant_name],
+            ['Unit', (row) => row.unit_number],
+            ['Email', (row) => row.email],
+            ['Phone', (row) => row.phone],
+            ['Channel', (row) => row.channel],
+            ['Status', (row) => row.status],
+            ['Error', (row) => row.error],
+            ['Attempts', (row) => row.attempts],
+            ['Created At', (row) => row.created_at],
+            ['Sent At', (row) => row.sent_at],
+            ['Clicked At', (row) => row.clicked_at],
+            ['Rated At', (row) => row.rated_at],
+            ['Feedback Rating', (row) => row.rating],
+            ['Google Clicked At', (row) => row.google_clicked_at],
+            ['Review ID', (row) => row.review_id],
+            ['Google Rating', (row) => row.google_rating],
+            ['Attribution Confidence', (row) => row.attribution_confidence],
+            ['Completed At', (row) => row.completed_at],
+        ],
+    },
+    campaigns: {
+        sheet: 'Campaigns',
+        columns: [
+            ['Campaign ID', (row) => row.id],
+            ['Facility ID', (row) => row.facility_id],
+            ['Name', (row) => row.name],
+            ['Status', (row) => row.status],
+            ['Start Date', (row) => row.start_date],
+            ['End Date', (row) => row.end_date],
+            ['Requests', (row) => Number(row.total_requests)],
+            ['Completed Reviews', (row) => Number(row.completed_reviews)],
+            [
+                'Conversion Rate (%)',
+                (row) => percent(Number(row.completed_reviews), Number(row.total_requests)),
+            ],
+            ['Average Feedback Rating', (row) => roundRating(row.average_rating)],
+            ['Average Google Rating', (row) => roundRating(row.average_google_rating)],
+        ],
+    },
+};
+
+function roundRating(value) {
+    return value === null ? null : Math.round(Number(value) * 100) / 100;
+}
+
+/**
+ * Spreadsheet exports of reviews, review requests and campaign stats, written
+ * to a response as CSV or XLSX. Reviews and requests are read in pages of
+ * EXPORT_BATCH_SIZE rows and written as they arrive, so memory use does not
+ * grow with the size of the export.
+ */
+class ReviewExports {
+    constructor(options = {}) {
+        this.batchSize = options.batchSize || parseInt(process.env.EXPORT_BATCH_SIZE, 10) || 1000;
+        this.TYPES = Object.keys(EXPORTS);
+        this.FORMATS = Object.keys(FORMATS);
+    }
+
+    contentType(format) {
+        return FORMATS[format];
+    }
+
+    async write(type, format, filters, stream) {
+        const { sheet, columns } = EXPORTS[type];
+        const writer =
+            format === 'xlsx'
+                ? this.xlsxWriter(stream, sheet, columns)
+                : this.csvWriter(stream, columns);
+
+        let count = 0;
+        for await (const rows of this.pages(type, filters)) {
+            // Stop reading once the client has gone
+            if (stream.destroyed) {
+                throw new Error('Export stream closed before the export finished');
+            }
+            for (const row of rows) {
+                await writer.write(columns.map(([, value]) => value(row)));
+                count++;
+            }
+        }
+
+        await writer.end();
+        return count;
+    }
+
+    async *pages(type, filters) {
+        if (type === 'campaigns') {
+            yield await ReviewCampaign.findAllWithStats({ ...filters, includeArchived: true });
+            return;
+        }
+
+        const { model } = EXPORTS[type];
+        let afterId = 0;
+        for (;;) {
+            const rows = await model.findForExport(filters, { afterId, limit: this.batchSize });
+            if (rows.length) {
+                yield rows;
+            }
+            if (rows.length < this.batchSize) {
+                return;
+            }
+            afterId = rows[rows.length - 1].id;
+        }
+    }
+
+    csvWriter(stream, columns) {
+        // Waits for the client to catch up whenever the socket buffer is full, and
+        // fails when the client disconnects instead of waiting for a drain that never comes
+        const write = (chunk) => {
+            if (stream.destroyed) {
+                return Promise.reject(new Error('Export stream closed before the export finished'));
+            }
+            if (stream.write(chunk)) {
+                return null;
+            }
+            return new Promise((resolve, reject) => {
+                const onDrain = () => {
+                    stream.off('close', onClose);
+                    resolve();
+                };
+                const onClose = () => {
+                    stream.off('drain', onDrain);
+                    reject(new Error('Export stream closed before the export finished'));
+                };
+                stream.once('drain', onDrain);
+                stream.once('close', onClose);
+            });
+        };
+
+        // A byte order mark makes Excel read the file as UTF-8
+        stream.write('\uFEFF');
+        stream.write(csvRow(columns.map(([header]) => header)));
+        return {
+            write: (values) => write(csvRow(values)),
+            end: () =>
+                new Promise((resolve, reject) =>
+                    stream.end((error) => (error ? reject(error) : resolve()))
+                ),
+        };
+    }
+
+    xlsxWriter(stream, sheetName, columns) {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+            stream,
+            useStyles: false,
+            useSharedStrings: false,
+        });
+        const worksheet = workbook.addWorksheet(sheetName);
+        worksheet.columns = columns.map(([header]) => ({ header, width: 20 }));
+
+        return {
+            write: (values) => worksheet.addRow(values).commit(),
+            end: async () => {
+                worksheet.commit();
+                await workbook.commit();
+            },
+        };
+    }
+}
+
+module.exports = new ReviewExports();
+module.exports.ReviewExports = ReviewExports;
@@ -0,0 +1,93 @@
+const logger = require('../utils/logger');
+const ReviewRequest = require('../models/ReviewRequest');
+const ReviewFeedback = require('../models/ReviewFeedback');
+const GoogleMyBusiness = require('./GoogleMyBusiness');
+
+// `ask_everyone` offers the Google review link regardless of rating, which is
+// what Google's review policy requires. `gated` only offers it from
+// MIN_RATING_FOR_GOOGLE_REVIEW stars upwards.
+const FUNNEL_MODES = ['ask_everyone', 'gated'];
+
+class ReviewFunnel {
+    constructor(options = {}) {
+        this.mode = options.mode || process.env.REVIEW_FUNNEL_MODE || 'ask_everyone';
+        this.minRating =
+            options.minRating ?? parseInt(process.env.MIN_RATING_FOR_GOOGLE_REVIEW || '4', 10);
+
+        if (!FUNNEL_MODES.includes(this.mode)) {
+            throw new Error(`Unknown review funnel mode: ${this.mode}`);
+        }
+    }
+
+    async open(token) {
+        const request = await ReviewRequest.findWithFacilityByToken(token);
+        if (!request) {
+            return null;
+        }
+
+        await ReviewRequest.markClicked(request.id);
+
+        return {
+            facility: {
+                name: request.facility_name,
+                city: request.facility_city,
+                state: request.facility_state,
+            },
+            rating: request.rating,
+            googleReviewUrl:
+                this.mode === 'ask_everyone' ? await this.getGoogleReviewUrl(request) : null,
+        };
+    }
+
+    async submitFeedback(token, { rating, comment }) {
+        const request = await ReviewRequest.findWithFacilityByToken(token);
+        if (!request) {
+            return null;
+        }
+
+        // One rating per link: a repeated submission is refused, not stored again
+        const feedback = await ReviewFeedback.createForRequest(request, { rating, comment });
+        if (!feedback) {
+            return { alreadySubmitted: true };
+        }
+        await ReviewRequest.recordRating(request.id, rating);
+
+        logger.info(`Recorded ${rating}-star funnel feedback for review request ${request.id}`);
+
+        return {
+            rating,
+            googleReviewUrl: this.offersGoogle(rating)
+                ? await this.getGoogleReviewUrl(request)
+                : null,
+        };
+    }
+
+    async trackGoogleClick(token) {
+        const request = await ReviewRequest.findWithFacilityByToken(token);
+        if (!request) {
+            return null;
+        }
+        // The gate applies here too, or a low rater could fetch the link directly
+        if (!this.offersGoogle(request.rating)) {
+            return { notOffered: true };
+        }
+
+        await ReviewRequest.markGoogleClicked(request.id);
+        return { googleReviewUrl: await this.getGoogleReviewUrl(request) };
+    }
+
+    // Whether a request with this rating (null before one is given) gets the Google link
+    offersGoogle(rating) {
+        return this.mode === 'ask_everyone' || (rating != null && rating >= this.minRating);
+    }
+
+    async getGoogleReviewUrl(request) {
+        if (request.gmb_place_id) {
+            return GoogleMyBusiness.createReviewLink(request.gmb_place_id);
+        }
+        return request.gmb_link || null;
+    }
+}
+
+module.exports = new ReviewFunnel();
+module.exports.ReviewFunnel = ReviewFunnel;
@@ -0,0 +1,70 @@
+const logger = require('../utils/logger');
+const Facility = require('../models/Facility');
+const Review = require('../models/Review');
+const GoogleMyBusiness = require('./GoogleMyBusiness');
+
+/**
+ * Copies the Google reviews of every facility with a `gmb_place_id` into the
+ * `reviews` table, so dashboards and analytics read local data instead of
+ * calling Google on each request. Each run pages through all reviews of a
+ * location; reviews that are no longer returned are marked deleted.
+ */
+class ReviewIngestion {
+    constructor(options = {}) {
+        this.gmb = options.gmb || GoogleMyBusiness;
+        this.now = options.now || (() => new Date());
+    }
+
+    async ingestAll() {
+        const totals = { facilities: 0, inserted: 0, updated: 0, deleted: 0, failed: 0 };
+
+        if (!this.gmb.gmbV4) {
+            await this.gmb.initialize();
+        }
+
+        const facilities = await Facility.findWithGmbPlaceId();
+
+        for (const facility of facilities) {
+            try {
+                const result = await this.ingestFacility(facility);
+                totals.facilities++;
+                totals.inserted += result.inserted;
+                totals.updated += result.updated;
+                totals.deleted += result.deleted;
+            } catch (error) {
+                logger.error(`Review ingestion failed for facility ${facility.id}:`, error);
+                totals.failed++;
+            }
+        }
+
+        logger.info(
+            `Review ingestion completed. Facilities: ${totals.facilities}, Inserted: ${totals.inserted}, Updated: ${totals.updated}, Deleted: ${totals.deleted}, Failed: ${totals.failed}`
+        );
+        return totals;
+    }
+
+    async ingestFacility(facility) {
+        const seenAt = this.now();
+        const reviews = await this.gmb.getAllLocationReviews(facility.gmb_place_id);
+
+        let inserted = 0;
+        let updated = 0;
+        for (const review of reviews) {
+            const row = await Review.upsertFromGoogle(facility.id, review, seenAt);
+            if (row.inserted) {
+                inserted++;
+            } else {
+                updated++;
+            }
+        }
+
+        // Only a complete listing tells us which reviews are gone
+        const deleted = await Review.markMissingAsDeleted(facility.id, seenAt);
+        await Facility.markReviewsSynced(facility.id, seenAt);
+
+        return { inserted, updated, deleted };
+    }
+}
+
+module.exports = new ReviewIngestion();
+module.exports.ReviewIngestion = ReviewIngestion;
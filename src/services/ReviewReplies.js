@@ -0,0 +1,144 @@
+const logger = require('../utils/logger');
+const { render } = require('../utils/template');
+const Facility = require('../models/Facility');
+const Review = require('../models/Review');
+const ReviewReply = require('../models/ReviewReply');
+const ReplyTemplate = require('../models/ReplyTemplate');
+const UserPermission = require('../models/UserPermission');
+const GoogleMyBusiness = require('./GoogleMyBusiness');
+
+const MAX_REPLY_LENGTH = 4096;
+
+// Placeholders available to reply templates
+function buildReplyVariables(review, facility) {
+    const reviewerName = review.reviewer_is_anonymous ? '' : review.reviewer_name || '';
+    return {
+        reviewerFirstName: reviewerName.split(' ')[0],
+        reviewerName,
+        rating: review.rating,
+        facilityName: facility.name,
+        city: facility.city,
+        state: facility.state,
+    };
+}
+
+/**
+ * Posts replies to Google reviews and logs each attempt, with its author, in
+ * `review_replies`. Bulk replies are prepared first (resolving the review,
+ * checking the author may reply for its facility and rendering the template)
+ * so the same step backs both the preview and the send.
+ */
+class ReviewReplies {
+    constructor(options = {}) {
+        this.gmb = options.gmb || GoogleMyBusiness;
+        this.now = options.now || (() => new Date());
+    }
+
+    renderTemplate(template, review, facility) {
+        return render(template.body, buildReplyVariables(review, facility)).trim();
+    }
+
+    async post({ facility, gmbReviewId, review = null, comment, author, templateId = null }) {
+        const entry = {
+            facility_id: facility.id,
+            review_id: review ? review.id : null,
+            gmb_review_id: gmbReviewId,
+            template_id: templateId,
+            author_id: author.id,
+            comment,
+        };
+
+        try {
+            await this.gmb.respondToReview(facility.gmb_place_id, gmbReviewId, comment);
+        } catch (error) {
+            await ReviewReply.create({ ...entry, status: 'failed', error: error.message });
+            throw error;
+        }
+
+        if (review) {
+            await Review.recordReply(review.id, comment, this.now());
+        }
+        return ReviewReply.create({ ...entry, status: 'posted' });
+    }
+
+    /**
+     * Resolves one bulk item `{ reviewId, templateId?, comment? }` into the
+     * reply to post, or `{ error }` when it cannot be sent. `reviewId` is the
+     * local review id; an explicit comment wins over the template. Posting
+     * directly needs `reviews.approve`; drafting passes `reviews.respond`.
+     */
+    async prepare(item, { user, scope, permission = 'reviews.approve' }) {
+        const review = Number.isInteger(item.reviewId)
+            ? await Review.findById(item.reviewId)
+            : null;
+        const facility =
+            review && (await Facility.findAccessibleBy('id', review.facility_id, scope));
+        if (!facility || review.deleted_at) {
+            return { error: 'Review not found' };
+        }
+        if (!(await UserPermission.hasPermission(user, permission, facility))) {
+            return { error: 'Insufficient permissions' };
+        }
+        if (review.reply_comment) {
+            return { error: 'Review already has a reply' };
+        }
+
+        let comment = typeof item.comment === 'string' ? item.comment.trim() : '';
+        let templateId = null;
+        if (!comment && item.templateId !== undefined) {
+            const template = Number.isInteger(item.templateId)
+                ? await ReplyTemplate.findAccessibleById(item.templateId, scope)
+                : null;
+            if (!template) {
+                return { error: 'Reply template not found' };
+            }
+            comment = this.renderTemplate(template, review, facility);
+            templateId = template.id;
+        }
+
+        if (!comment) {
+            return { error: 'A comment or templateId is required' };
+        }
+        if (comment.length > MAX_REPLY_LENGTH) {
+            return { error: `Replies are limited to ${MAX_REPLY_LENGTH} characters` };
+        }
+
+        return { review, facility, comment, templateId };
+    }
+
+    async bulkReply(items, { user, scope }) {
+        const results = [];
+
+        for (const item of items) {
+            const prepared = await this.prepare(item, { user, scope });
+            if (prepared.error) {
+                results.push({
+                    reviewId: item.reviewId,
+                    status: 'rejected',
+                    error: prepared.error,
+                });
+                continue;
+            }
+
+            try {
+                const reply = await this.post({
+                    facility: prepared.facility,
+                    gmbReviewId: prepared.review.gmb_review_id,
+                    review: prepared.review,
+                    comment: prepared.comment,
+                    author: user,
+                    templateId: prepared.templateId,
+                });
+                results.push({ reviewId: item.reviewId, status: 'posted', reply });
+            } catch (error) {
+                logger.error(`Failed to post bulk reply to review ${item.reviewId}:`, error);
+                results.push({ reviewId: item.reviewId, status: 'failed', error: error.message });
+            }
+        }
+
+        return results;
+    }
+}
+
+module.exports = new ReviewReplies();
+module.exports.ReviewReplies = ReviewReplies;
@@ -0,0 +1,144 @@
+const logger = require('../utils/logger');
+const Facility = require('../models/Facility');
+const Tenant = require('../models/Tenant');
+const ReviewCampaign = require('../models/ReviewCampaign');
+const ReviewRequest = require('../models/ReviewRequest');
+
+const DEFAULT_CHANNELS = ['sms', 'email'];
+
+// Contact field each channel needs on the tenant record
+const CHANNEL_CONTACT_FIELDS = {
+    sms: 'phone',
+    email: 'email',
+};
+
+/**
+ * Turns eligible tenants of every active campaign into review requests and
+ * hands the pending ones to the sender registered for their channel.
+ *
+ * A sender is any object with `send({ request, facility, campaign })` that
+ * resolves to `{ messageId }`, or to `{ skipped: true, reason }` when the
+ * tenant must not be contacted, and throws when delivery fails. The clock and the senders are
+ * injectable so the dispatcher can be driven from tests.
+ */
+class ReviewRequestDispatcher {
+    constructor(options = {}) {
+        this.now = options.now || (() => new Date());
+        this.senders = { ...(options.senders || {}) };
+        this.delayDays =
+            options.delayDays ?? parseInt(process.env.REVIEW_REQUEST_DELAY_DAYS || '1', 10);
+        this.maxPerMonth =
+            options.maxPerMonth ?? parseInt(process.env.MAX_REVIEWS_PER_MONTH || '1', 10);
+        this.batchSize =
+            options.batchSize ?? parseInt(process.env.REVIEW_DISPATCH_BATCH_SIZE || '50', 10);
+    }
+
+    registerSender(channel, sender) {
+        this.senders[channel] = sender;
+    }
+
+    async dispatch() {
+        const asOf = this.now();
+        const totals = { campaigns: 0, created: 0, sent: 0, failed: 0, skipped: 0 };
+
+        const facilities = await Facility.findActive();
+
+        for (const facility of facilities) {
+            try {
+                const campaigns = await ReviewCampaign.findActiveCampaigns(facility.id, asOf);
+
+                for (const campaign of campaigns) {
+                    const result = await this.dispatchCampaign(campaign, facility, asOf);
+                    totals.campaigns++;
+                    totals.created += result.created;
+                    totals.sent += result.sent;
+                    totals.failed += result.failed;
+                    totals.skipped += result.skipped;
+                }
+            } catch (error) {
+                logger.error(`Review request dispatch failed for facility ${facility.id}:`, error);
+            }
+        }
+
+        logger.info(
+            `Review request dispatch completed. Campaigns: ${totals.campaigns}, Created: ${totals.created}, Sent: ${totals.sent}, Failed: ${totals.failed}, Skipped: ${totals.skipped}`
+        );
+        return totals;
+    }
+
+    async dispatchCampaign(campaign, facility, asOf = this.now()) {
+        const created = await this.createRequests(campaign, asOf);
+        const { sent, failed, skipped } = await this.sendPending(campaign, facility);
+        return { created, sent, failed, skipped };
+    }
+
+    async createRequests(campaign, asOf = this.now()) {
+        const tenants = await Tenant.findEligibleForReview(campaign.facility_id, {
+            asOf,
+            delayDays: this.delayDays,
+            maxPerMonth: this.maxPerMonth,
+            campaignId: campaign.id,
+            limit: this.batchSize,
+        });
+
+        let created = 0;
+        for (const tenant of tenants) {
+            const channel = this.selectChannel(campaign, tenant);
+            if (!channel) {
+                logger.debug(
+                    `No usable channel for tenant ${tenant.id} in campaign ${campaign.id}`
+                );
+                continue;
+            }
+
+            await ReviewRequest.createForTenant(campaign, tenant, channel);
+            created++;
+        }
+
+        return created;
+    }
+
+    async sendPending(campaign, facility) {
+        const requests = await ReviewCampaign.findPendingRequests(campaign.id);
+        let sent = 0;
+        let failed = 0;
+        let skipped = 0;
+
+        for (const request of requests) {
+            const sender = this.senders[request.channel];
+            if (!sender) {
+                logger.warn(
+                    `No sender registered for channel ${request.channel}, leaving request ${request.id} pending`
+                );
+                continue;
+            }
+
+            try {
+                const result = await sender.send({ request, facility, campaign });
+                if (result?.skipped) {
+                    await ReviewRequest.markSkipped(request.id, result.reason);
+                    skipped++;
+                    continue;
+                }
+                await ReviewRequest.markSent(request.id, result?.messageId, this.now());
+                sent++;
+            } catch (error) {
+                logger.error(`Failed to send review request ${request.id}:`, error);
+                await ReviewRequest.markFailed(request.id, error.message);
+                failed++;
+            }
+        }
+
+        return { sent, failed, skipped };
+    }
+
+    selectChannel(campaign, tenant) {
+        const channels = campaign.channels?.length ? campaign.channels : DEFAULT_CHANNELS;
+        return channels.find(
+            (channel) => this.senders[channel] && tenant[CHANNEL_CONTACT_FIELDS[channel]]
+        );
+    }
+}
+
+module.exports = new ReviewRequestDispatcher();
+module.exports.ReviewRequestDispatcher = ReviewRequestDispatcher;
@@ -0,0 +1,68 @@
+const logger = require('../../utils/logger');
+const { render } = require('../../utils/template');
+const DeliveryAttempt = require('../../models/DeliveryAttempt');
+const MessageTemplate = require('../../models/MessageTemplate');
+const { buildTemplateVariables } = require('./variables');
+
+const DEFAULT_TEMPLATE = {
+    subject: 'How was your experience at {{facilityName}}?',
+    text_body:
+        'Hi {{firstName}},\n\n' +
+        'Thanks for choosing {{facilityName}} in {{city}}. Would you take a minute to tell us ' +
+        'how we are doing?\n\n{{link}}\n\nThank you!',
+    html_body:
+        '<p>Hi {{firstName}},</p>' +
+        '<p>Thanks for choosing {{facilityName}} in {{city}}. Would you take a minute to tell us ' +
+        'how we are doing?</p>' +
+        '<p><a href="{{link}}">Share your feedback</a></p>' +
+        '<p>Thank you!</p>',
+};
+
+/**
+ * Review request sender for the `email` channel. Renders the facility's email
+ * template (or the built-in default) and records every attempt.
+ */
+class EmailChannel {
+    constructor({ transport } = {}) {
+        this.transport = transport;
+    }
+
+    async send({ request, facility, campaign }) {
+        const attempt = { channel: 'email', provider: this.transport.name };
+
+        if (!request.notification_opt_in) {
+            await DeliveryAttempt.record(request.id, { ...attempt, status: 'skipped' });
+            return { skipped: true, reason: 'opted_out' };
+        }
+
+        const template =
+            (await MessageTemplate.resolve(facility.id, 'email', campaign?.email_template_id)) ||
+            DEFAULT_TEMPLATE;
+        const variables = buildTemplateVariables(request, facility);
+
+        try {
+            const result = await this.transport.send({
+                to: request.email,
+                subject: render(template.subject, variables),
+                text: render(template.text_body, variables),
+                html: render(template.html_body, variables, { html: true }),
+            });
+            await DeliveryAttempt.record(request.id, {
+                ...attempt,
+                status: 'sent',
+                messageId: result.messageId,
+            });
+            return { messageId: result.messageId };
+        } catch (error) {
+            logger.error(`Email delivery failed for review request ${request.id}:`, error);
+            await DeliveryAttempt.record(request.id, {
+                ...attempt,
+                status: 'failed',
+                error: error.message,
+            });
+            throw error;
+        }
+    }
+}
+
+module.exports = EmailChannel;
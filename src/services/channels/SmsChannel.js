@@ -0,0 +1,74 @@
+const logger = require('../../utils/logger');
+const { render } = require('../../utils/template');
+const DeliveryAttempt = require('../../models/DeliveryAttempt');
+const MessageTemplate = require('../../models/MessageTemplate');
+const SmsSuppression = require('../../models/SmsSuppression');
+const { normalizePhone } = require('../../utils/phone');
+const { buildTemplateVariables } = require('./variables');
+
+const DEFAULT_TEMPLATE =
+    'Hi {{firstName}}, thanks for storing with {{facilityName}}! ' +
+    'Would you tell us how we are doing? {{link}} Reply STOP to opt out.';
+
+/**
+ * Review request sender for the `sms` channel. Every attempt, including the
+ * ones skipped because the tenant opted out or texted STOP, is recorded
+ * against the request.
+ */
+class SmsChannel {
+    constructor({ provider, template } = {}) {
+        this.provider = provider;
+        this.template = template || process.env.SMS_REVIEW_REQUEST_TEMPLATE || DEFAULT_TEMPLATE;
+    }
+
+    async send({ request, facility, campaign }) {
+        const attempt = { channel: 'sms', provider: this.provider.name };
+
+        if (!request.notification_opt_in) {
+            await DeliveryAttempt.record(request.id, { ...attempt, status: 'skipped' });
+            return { skipped: true, reason: 'opted_out' };
+        }
+
+        const to = normalizePhone(request.phone);
+        if (!to) {
+            const error = `Invalid phone number: ${request.phone}`;
+            await DeliveryAttempt.record(request.id, { ...attempt, status: 'failed', error });
+            throw new Error(error);
+        }
+
+        if (await SmsSuppression.isSuppressed(to)) {
+            await DeliveryAttempt.record(request.id, { ...attempt, status: 'skipped' });
+            return { skipped: true, reason: 'suppressed' };
+        }
+
+        const template = await MessageTemplate.resolve(
+            facility.id,
+            'sms',
+            campaign?.sms_template_id
+        );
+        const body = render(
+            template ? template.text_body : this.template,
+            buildTemplateVariables(request, facility)
+        );
+
+        try {
+            const result = await this.provider.send({ to, body });
+            await DeliveryAttempt.record(request.id, {
+                ...attempt,
+                status: 'sent',
+                messageId: result.messageId,
+            });
+            return { messageId: result.messageId };
+        } catch (error) {
+            logger.error(`SMS delivery failed for review request ${request.id}:`, error);
+            await DeliveryAttempt.record(request.id, {
+                ...attempt,
+                status: 'failed',
+                error: error.message,
+            });
+            throw error;
+        }
+    }
+}
+
+module.exports = SmsChannel;
@@ -0,0 +1,23 @@
+const logger = require('../../utils/logger');
+const { createSmsProvider } = require('../sms');
+const { createMailTransport } = require('../mail');
+const SmsChannel = require('./SmsChannel');
+const EmailChannel = require('./EmailChannel');
+
+/**
+ * Registers a sender on the dispatcher for every notification channel that is
+ * enabled through its ENABLE_*_NOTIFICATIONS flag.
+ */
+function registerChannels(dispatcher) {
+    if (process.env.ENABLE_SMS_NOTIFICATIONS !== 'false') {
+        dispatcher.registerSender('sms', new SmsChannel({ provider: createSmsProvider() }));
+        logger.info('SMS review request channel enabled');
+    }
+
+    if (process.env.ENABLE_EMAIL_NOTIFICATIONS !== 'false') {
+        dispatcher.registerSender('email', new EmailChannel({ transport: createMailTransport() }));
+        logger.info('Email review request channel enabled');
+    }
+}
+
+module.exports = { registerChannels };
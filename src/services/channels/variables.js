@@ -0,0 +1,16 @@
+const ReviewRequest = require('../../models/ReviewRequest');
+
+// Placeholders available to review request message templates
+function buildTemplateVariables(request, facility) {
+    return {
+        firstName: (request.tenant_name || '').split(' ')[0],
+        tenantName: request.tenant_name,
+        facilityName: facility.name,
+        city: facility.city,
+        state: facility.state,
+        gmbLink: facility.gmb_link,
+        link: ReviewRequest.getFunnelUrl(request.token),
+    };
+}
+
+module.exports = { buildTemplateVariables };
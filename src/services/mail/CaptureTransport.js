@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+/**
+ * Local mail transport that never leaves the machine. Messages are kept in
+ * memory and, when an outbox path is configured, appended to it as JSON lines.
+ */
+class CaptureTransport {
+    constructor(options = {}) {
+        this.name = 'capture';
+        this.from = options.from || process.env.SENDGRID_FROM_EMAIL;
+        this.outboxPath = options.outboxPath || process.env.MAIL_OUTBOX_PATH;
+        this.messages = [];
+    }
+
+    async send({ to, subject, html, text, from }) {
+        const message = {
+            messageId: `capture-${crypto.randomBytes(8).toString('hex')}`,
+            from: from || this.from,
+            to,
+            subject,
+            html,
+            text,
+            sentAt: new Date().toISOString(),
+        };
+
+        this.messages.push(message);
+
+        if (this.outboxPath) {
+            await fs.promises.mkdir(path.dirname(this.outboxPath), { recursive: true });
+            await fs.promises.appendFile(this.outboxPath, `${JSON.stringify(message)}\n`);
+        }
+
+        logger.info(`Captured email to ${to} (${message.messageId})`);
+        return { messageId: message.messageId };
+    }
+
+    clear() {
+        this.messages = [];
+    }
+}
+
+module.exports = CaptureTransport;
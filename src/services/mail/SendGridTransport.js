@@ -0,0 +1,55 @@
+const axios = require('axios');
+const logger = require('../../utils/logger');
+const metrics = require('../../utils/metrics');
+
+/**
+ * Sends mail through the SendGrid v3 Mail Send API, or any service that
+ * speaks the same protocol when SENDGRID_API_URL points elsewhere.
+ */
+class SendGridTransport {
+    constructor(options = {}) {
+        this.name = 'sendgrid';
+        this.from = options.from || process.env.SENDGRID_FROM_EMAIL;
+        this.client = axios.create({
+            baseURL: options.baseUrl || process.env.SENDGRID_API_URL || 'https://api.sendgrid.com',
+            headers: {
+                Authorization: `Bearer ${options.apiKey || process.env.SENDGRID_API_KEY}`,
+                'Content-Type': 'application/json',
+            },
+            timeout: 15000,
+        });
+    }
+
+    async send({ to, subject, html, text, from }) {
+        const startTime = Date.now();
+        try {
+            const content = [];
+            if (text) {
+                content.push({ type: 'text/plain', value: text });
+            }
+            if (html) {
+                content.push({ type: 'text/html', value: html });
+            }
+
+            const response = await this.client.post('/v3/mail/send', {
+                personalizations: [{ to: [{ email: to }] }],
+                from: { email: from || this.from },
+                subject,
+                content,
+            });
+
+            metrics.trackApiCall('sendgrid.send', true, Date.now() - startTime);
+            return { messageId: response.headers['x-message-id'] || null };
+        } catch (error) {
+            metrics.trackApiCall('sendgrid.send', false, Date.now() - startTime);
+            logger.error(`Failed to send email to ${to}:`, {
+                status: error.response?.status,
+                data: error.response?.data,
+                message: error.message,
+            });
+            throw new Error(error.response?.data?.errors?.[0]?.message || error.message);
+        }
+    }
+}
+
+module.exports = SendGridTransport;
@@ -0,0 +1,21 @@
+const SendGridTransport = require('./SendGridTransport');
+const CaptureTransport = require('./CaptureTransport');
+
+const TRANSPORTS = {
+    sendgrid: SendGridTransport,
+    capture: CaptureTransport,
+};
+
+function createMailTransport(name = process.env.MAIL_TRANSPORT || 'sendgrid', options = {}) {
+    const Transport = TRANSPORTS[name];
+    if (!Transport) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+    return new Transport(options);
+}
+
+module.exports = {
+    createMailTransport,
+    SendGridTransport,
+    CaptureTransport,
+};
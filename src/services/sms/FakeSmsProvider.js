@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+/**
+ * Local stand-in for a real SMS provider. Messages are kept in memory and,
+ * when an outbox path is configured, appended to it as JSON lines.
+ */
+class FakeSmsProvider {
+    constructor(options = {}) {
+        this.name = 'fake';
+        this.from = options.from || process.env.TWILIO_PHONE_NUMBER;
+        this.outboxPath = options.outboxPath || process.env.SMS_OUTBOX_PATH;
+        this.messages = [];
+    }
+
+    async send({ to, body }) {
+        const message = {
+            messageId: `fake-sms-${crypto.randomBytes(8).toString('hex')}`,
+            status: 'queued',
+            from: this.from,
+            to,
+            body,
+            sentAt: new Date().toISOString(),
+        };
+
+        this.messages.push(message);
+
+        if (this.outboxPath) {
+            await fs.promises.mkdir(path.dirname(this.outboxPath), { recursive: true });
+            await fs.promises.appendFile(this.outboxPath, `${JSON.stringify(message)}\n`);
+        }
+
+        logger.info(`Captured SMS to ${to} (${message.messageId})`);
+        return { messageId: message.messageId, status: message.status };
+    }
+
+    clear() {
+        this.messages = [];
+    }
+}
+
+module.exports = FakeSmsProvider;
@@ -0,0 +1,54 @@
+const axios = require('axios');
+const logger = require('../../utils/logger');
+const metrics = require('../../utils/metrics');
+
+/**
+ * Sends SMS through the Twilio Messages REST API, or any service that speaks
+ * the same protocol when TWILIO_API_URL points elsewhere.
+ */
+class TwilioSmsProvider {
+    constructor(options = {}) {
+        this.name = 'twilio';
+        this.accountSid = options.accountSid || process.env.TWILIO_ACCOUNT_SID;
+        this.authToken = options.authToken || process.env.TWILIO_AUTH_TOKEN;
+        this.from = options.from || process.env.TWILIO_PHONE_NUMBER;
+        this.statusCallback = options.statusCallback || process.env.TWILIO_STATUS_CALLBACK_URL;
+        this.client = axios.create({
+            baseURL: options.baseUrl || process.env.TWILIO_API_URL || 'https://api.twilio.com',
+            auth: {
+                username: this.accountSid,
+                password: this.authToken,
+            },
+            timeout: 15000,
+        });
+    }
+
+    async send({ to, body }) {
+        const startTime = Date.now();
+        try {
+            const form = new URLSearchParams({ To: to, From: this.from, Body: body });
+            if (this.statusCallback) {
+                form.append('StatusCallback', this.statusCallback);
+            }
+
+            const response = await this.client.post(
+                `/2010-04-01/Accounts/${this.accountSid}/Messages.json`,
+                form.toString(),
+                { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
+            );
+
+            metrics.trackApiCall('twilio.sendSms', true, Date.now() - startTime);
+            return { messageId: response.data.sid, status: response.data.status };
+        } catch (error) {
+            metrics.trackApiCall('twilio.sendSms', false, Date.now() - startTime);
+            logger.error(`Failed to send SMS to ${to}:`, {
+                status: error.response?.status,
+                data: error.response?.data,
+                message: error.message,
+            });
+            throw new Error(error.response?.data?.message || error.message);
+        }
+    }
+}
+
+module.exports = TwilioSmsProvider;
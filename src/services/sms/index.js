@@ -0,0 +1,21 @@
+const TwilioSmsProvider = require('./TwilioSmsProvider');
+const FakeSmsProvider = require('./FakeSmsProvider');
+
+const PROVIDERS = {
+    twilio: TwilioSmsProvider,
+    fake: FakeSmsProvider,
+};
+
+function createSmsProvider(name = process.env.SMS_PROVIDER || 'twilio', options = {}) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown SMS provider: ${name}`);
+    }
+    return new Provider(options);
+}
+
+module.exports = {
+    createSmsProvider,
+    TwilioSmsProvider,
+    FakeSmsProvider,
+};
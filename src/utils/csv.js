@@ -0,0 +1,28 @@
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Formats one CSV field (RFC 4180). Dates become ISO strings, null and
+ * undefined an empty field, and text that a spreadsheet would evaluate as a
+ * formula is prefixed with a single quote.
+ */
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+    return `${values.map(csvField).join(',')}\r\n`;
+}
+
+module.exports = { csvField, csvRow };
@@ -0,0 +1,73 @@
+// Lowercase, strip accents and punctuation, and split into words
+function nameTokens(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+}
+
+// Dice coefficient over character bigrams, tolerant of typos and nicknames
+function bigramSimilarity(a, b) {
+    if (a === b) {
+        return 1;
+    }
+    if (a.length < 2 || b.length < 2) {
+        return 0;
+    }
+
+    const bigrams = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+        const bigram = a.slice(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+
+    let overlap = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+        const bigram = b.slice(i, i + 2);
+        if (bigrams.get(bigram) > 0) {
+            bigrams.set(bigram, bigrams.get(bigram) - 1);
+            overlap++;
+        }
+    }
+
+    return (2 * overlap) / (a.length + b.length - 2);
+}
+
+// Compare a last name against a possibly abbreviated one ("D" or "D." on Google)
+function lastNameSimilarity(a, b) {
+    if (a.length === 1 || b.length === 1) {
+        return a[0] === b[0] ? 0.9 : 0;
+    }
+    return bigramSimilarity(a, b);
+}
+
+/**
+ * Scores how likely a Google reviewer display name belongs to a tenant, from
+ * 0 (unrelated) to 1 (same name). Google often shortens names to
+ * "First L.", and tenant records may be stored as "Last, First"; a matching
+ * first name alone is only weak evidence.
+ */
+function nameSimilarity(reviewerName, tenantName) {
+    const reviewer = nameTokens(reviewerName);
+    const tenant = nameTokens(
+        String(tenantName || '').includes(',')
+            ? tenantName.split(',').reverse().join(' ')
+            : tenantName
+    );
+    if (!reviewer.length || !tenant.length) {
+        return 0;
+    }
+
+    const first = bigramSimilarity(reviewer[0], tenant[0]);
+    if (reviewer.length === 1 || tenant.length === 1) {
+        return first * 0.6;
+    }
+
+    const last = lastNameSimilarity(reviewer[reviewer.length - 1], tenant[tenant.length - 1]);
+    return first * 0.5 + last * 0.5;
+}
+
+module.exports = { nameSimilarity, nameTokens };
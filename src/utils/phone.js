@@ -0,0 +1,20 @@
+// Normalize US numbers to E.164; anything else must already carry a country code
+function normalizePhone(phone) {
+    if (!phone) {
+        return null;
+    }
+
+    const digits = String(phone).replace(/\D/g, '');
+    if (String(phone).trim().startsWith('+')) {
+        return digits.length >= 8 ? `+${digits}` : null;
+    }
+    if (digits.length === 10) {
+        return `+1${digits}`;
+    }
+    if (digits.length === 11 && digits.startsWith('1')) {
+        return `+${digits}`;
+    }
+    return null;
+}
+
+module.exports = { normalizePhone };
@@ -0,0 +1,107 @@
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and other reserved
+// networks (IPv4 rules also cover IPv4-mapped IPv6 addresses); outbound
+// requests to user-supplied URLs must not reach them
+const NON_PUBLIC = new net.BlockList();
+[
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4],
+].forEach(([network, prefix]) => NON_PUBLIC.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128],
+    ['::1', 128],
+    ['64:ff9b::', 96],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8],
+].forEach(([network, prefix]) => NON_PUBLIC.addSubnet(network, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && !NON_PUBLIC.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Why `url` cannot be requested from the server, or null. Only https URLs
+// whose host is not local or a non-public address literal qualify.
+function urlProblem(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return 'must be a valid URL';
+    }
+    if (parsed.protocol !== 'https:') {
+        return 'must use https';
+    }
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (host === 'localhost' || host.endsWith('.localhost')) {
+        return 'must not point to a local host';
+    }
+    if (net.isIP(host) && !isPublicAddress(host)) {
+        return 'must not point to a private, loopback or link-local address';
+    }
+    return null;
+}
+
+// `urlProblem`, and for host names also where they currently resolve to
+async function checkPublicUrl(url) {
+    const problem = urlProblem(url);
+    if (problem) {
+        return problem;
+    }
+
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host)) {
+        return null;
+    }
+    try {
+        const addresses = await dns.promises.lookup(host, { all: true });
+        return addresses.every(({ address }) => isPublicAddress(address))
+            ? null
+            : 'must not resolve to a private, loopback or link-local address';
+    } catch {
+        return 'must have a host name that resolves';
+    }
+}
+
+/**
+ * `dns.lookup` for HTTP agents that fails for hosts resolving to non-public
+ * addresses. It runs on every connection, so a host re-pointed after its URL
+ * was checked still cannot be used to reach internal services.
+ */
+function publicLookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+        if (blocked) {
+            return callback(
+                new Error(`${hostname} resolves to non-public address ${blocked.address}`)
+            );
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+module.exports = { isPublicAddress, urlProblem, checkPublicUrl, publicLookup };
@@ -0,0 +1,32 @@
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+};
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * Replaces `{{name}}` placeholders with values from `variables`. Unknown
+ * placeholders render as an empty string. Pass `{ html: true }` to escape
+ * substituted values for use in an HTML body.
+ */
+function render(template, variables = {}, options = {}) {
+    if (!template) {
+        return '';
+    }
+
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+        const value = variables[key];
+        if (value === undefined || value === null) {
+            return '';
+        }
+        return options.html ? escapeHtml(value) : String(value);
+    });
+}
+
+module.exports = { render, escapeHtml };
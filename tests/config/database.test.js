@@ -0,0 +1,15 @@
+jest.mock('pg', () => {
+    const pg = jest.requireActual('pg');
+    return { types: pg.types, Pool: jest.fn(() => ({ connect: jest.fn() })) };
+});
+
+const { types } = require('pg');
+require('../../src/config/database');
+
+describe('database config', () => {
+    it('keeps DATE columns as calendar-day strings', () => {
+        const parseDate = types.getTypeParser(types.builtins.DATE);
+
+        expect(parseDate('2024-03-01')).toBe('2024-03-01');
+    });
+});
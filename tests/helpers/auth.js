@@ -0,0 +1,15 @@
+const jwt = require('jsonwebtoken');
+const UserSession = require('../../src/models/UserSession');
+
+// Authorization header of a signed-in user whose session is active
+function authHeader(user = {}) {
+    const token = jwt.sign(
+        { id: 1, email: 'user@example.com', role: 'user', sid: 'session-1', ...user },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+    );
+    jest.spyOn(UserSession, 'isActive').mockResolvedValue(true);
+    return `Bearer ${token}`;
+}
+
+module.exports = { authHeader };
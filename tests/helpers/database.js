@@ -0,0 +1,11 @@
+// Stand-in for src/config/database, so models load without a Postgres server.
+// Tests script `pool.query` and `pool.connect` per case.
+const pool = {
+    query: jest.fn(),
+    connect: jest.fn(),
+};
+
+module.exports = {
+    query: (text, params) => pool.query(text, params),
+    pool,
+};
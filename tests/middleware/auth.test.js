@@ -0,0 +1,58 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const auth = require('../../src/middleware/auth');
+const UserSession = require('../../src/models/UserSession');
+
+const app = express();
+app.get('/private', auth(), (req, res) => res.json({ userId: req.user.id }));
+app.get('/admin', auth(['admin']), (req, res) => res.json({ ok: true }));
+
+const sign = (payload) =>
+    `Bearer ${jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '1h' })}`;
+
+describe('auth middleware', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(UserSession, 'isActive').mockResolvedValue(true);
+    });
+
+    it('accepts a token of an active session', async () => {
+        const res = await request(app)
+            .get('/private')
+            .set('Authorization', sign({ id: 4, role: 'staff', sid: 'session-1' }));
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ userId: 4 });
+        expect(UserSession.isActive).toHaveBeenCalledWith('session-1');
+    });
+
+    it('rejects a token of a revoked session', async () => {
+        UserSession.isActive.mockResolvedValue(false);
+
+        const res = await request(app)
+            .get('/private')
+            .set('Authorization', sign({ id: 4, role: 'staff', sid: 'session-1' }));
+
+        expect(res.status).toBe(401);
+    });
+
+    it('rejects a token issued without a session', async () => {
+        const res = await request(app)
+            .get('/private')
+            .set('Authorization', sign({ id: 4, role: 'admin' }));
+
+        expect(res.status).toBe(401);
+        expect(UserSession.isActive).not.toHaveBeenCalled();
+    });
+
+    it('enforces the required roles', async () => {
+        const res = await request(app)
+            .get('/admin')
+            .set('Authorization', sign({ id: 4, role: 'staff', sid: 'session-1' }));
+
+        expect(res.status).toBe(403);
+    });
+});
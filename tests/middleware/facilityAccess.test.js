@@ -0,0 +1,79 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const request = require('supertest');
+const { pool } = require('../helpers/database');
+const app = require('../../src/app');
+const { authHeader } = require('../helpers/auth');
+const Organization = require('../../src/models/Organization');
+const UserPermission = require('../../src/models/UserPermission');
+const ReviewFeedback = require('../../src/models/ReviewFeedback');
+
+const facility = { id: 'F1', name: 'Main Street Storage', organization_id: 3 };
+
+// Answer facility lookups from `facilities` as the scoped SQL would
+const serveFacilities = (facilities) =>
+    pool.query.mockImplementation(async (sql, [value, all, organizationIds]) => {
+        if (!sql.includes('FROM facilities')) {
+            return { rows: [] };
+        }
+        return {
+            rows: facilities.filter(
+                (row) => row.id === value && (all || organizationIds.includes(row.organization_id))
+            ),
+        };
+    });
+
+describe('facilityAccess', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        pool.query.mockReset();
+        serveFacilities([facility, { id: 'F2', organization_id: 4 }]);
+        jest.spyOn(Organization, 'findIdsForUser').mockResolvedValue([3]);
+        jest.spyOn(UserPermission, 'hasPermission').mockResolvedValue(true);
+        jest.spyOn(ReviewFeedback, 'findByFacility').mockResolvedValue([]);
+    });
+
+    const getFeedback = (facilityId, user = { id: 7, role: 'staff' }) =>
+        request(app)
+            .get(`/funnel/facilities/${facilityId}/feedback`)
+            .set('Authorization', authHeader(user));
+
+    it("passes a facility of the caller's organization", async () => {
+        const res = await getFeedback('F1');
+
+        expect(res.status).toBe(200);
+        expect(UserPermission.hasPermission).toHaveBeenCalledWith(
+            expect.objectContaining({ id: 7 }),
+            'feedback.view',
+            facility
+        );
+        const [sql, params] = pool.query.mock.calls.find(([text]) =>
+            text.includes('FROM facilities')
+        );
+        expect(sql).toContain('organization_id = ANY($3::int[])');
+        expect(params).toEqual(['F1', false, [3]]);
+    });
+
+    it("answers 404 for another organization's facility", async () => {
+        const res = await getFeedback('F2');
+
+        expect(res.status).toBe(404);
+        expect(res.body).toEqual({ error: 'Facility not found' });
+        expect(ReviewFeedback.findByFacility).not.toHaveBeenCalled();
+    });
+
+    it('lets platform admins reach any facility', async () => {
+        const res = await getFeedback('F2', { role: 'admin' });
+
+        expect(res.status).toBe(200);
+    });
+
+    it('answers 403 without the required permission', async () => {
+        UserPermission.hasPermission.mockResolvedValue(false);
+
+        const res = await getFeedback('F1');
+
+        expect(res.status).toBe(403);
+        expect(ReviewFeedback.findByFacility).not.toHaveBeenCalled();
+    });
+});
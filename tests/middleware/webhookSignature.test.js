@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const webhookSignature = require('../../src/middleware/webhookSignature');
+const { checkSignature } = require('../../src/middleware/webhookSignature');
+
+const NOW = Date.parse('2024-06-03T12:00:00Z');
+const TIMESTAMP = String(NOW / 1000);
+const BODY = Buffer.from('{"event":"tenant.updated","data":{"tenantId":"T1"}}');
+
+const sign = (secret, timestamp = TIMESTAMP, body = BODY) =>
+    crypto
+        .createHmac('sha256', secret)
+        .update(Buffer.concat([Buffer.from(`${timestamp}.`), body]))
+        .digest('hex');
+
+const check = (overrides = {}) =>
+    checkSignature({
+        rawBody: BODY,
+        signature: sign('current'),
+        timestamp: TIMESTAMP,
+        secrets: ['current'],
+        toleranceSeconds: 300,
+        now: NOW,
+        ...overrides,
+    });
+
+describe('webhookSignature', () => {
+    describe('checkSignature', () => {
+        it('accepts a valid signature', () => {
+            expect(check()).toBeNull();
+            expect(check({ signature: `sha256=${sign('current')}` })).toBeNull();
+        });
+
+        it('accepts either secret while one is being rotated', () => {
+            const secrets = ['next', 'current'];
+
+            expect(check({ secrets, signature: sign('current') })).toBeNull();
+            expect(check({ secrets, signature: sign('next') })).toBeNull();
+            expect(check({ secrets, signature: sign('retired') })).toBe('Signature mismatch');
+        });
+
+        it('rejects a signature over a different body or timestamp', () => {
+            expect(check({ rawBody: Buffer.from('{"event":"tenant.deleted"}') })).toBe(
+                'Signature mismatch'
+            );
+            expect(check({ signature: sign('current', String(NOW / 1000 - 1)) })).toBe(
+                'Signature mismatch'
+            );
+            expect(check({ signature: 'not-hex' })).toBe('Signature mismatch');
+        });
+
+        it('rejects timestamps outside the tolerance window', () => {
+            const stale = String(NOW / 1000 - 301);
+            const future = String(NOW / 1000 + 301);
+            const edge = String(NOW / 1000 - 300);
+
+            expect(check({ timestamp: stale, signature: sign('current', stale) })).toBe(
+                'Timestamp outside the tolerance window'
+            );
+            expect(check({ timestamp: future, signature: sign('current', future) })).toBe(
+                'Timestamp outside the tolerance window'
+            );
+            expect(check({ timestamp: edge, signature: sign('current', edge) })).toBeNull();
+        });
+
+        it('rejects a timestamp that is not Unix seconds', () => {
+            expect(check({ timestamp: '2024-06-03T12:00:00Z' })).toBe('Invalid timestamp');
+        });
+
+        it('rejects deliveries missing a signature, timestamp or body', () => {
+            expect(check({ signature: undefined })).toBe('Missing signature, timestamp or body');
+            expect(check({ timestamp: undefined })).toBe('Missing signature, timestamp or body');
+            expect(check({ rawBody: undefined })).toBe('Missing signature, timestamp or body');
+        });
+
+        it('rejects everything when no secret is configured', () => {
+            expect(check({ secrets: [] })).toBe('No webhook secret configured');
+        });
+    });
+
+    describe('middleware', () => {
+        const app = express();
+        app.use(
+            express.json({
+                verify: (req, res, buf) => {
+                    req.rawBody = buf;
+                },
+            })
+        );
+        app.post(
+            '/webhook',
+            webhookSignature({
+                signatureHeader: 'x-test-signature',
+                timestampHeader: 'x-test-timestamp',
+                secretsEnv: 'TEST_WEBHOOK_SECRET',
+                toleranceEnv: 'TEST_WEBHOOK_TOLERANCE_SECONDS',
+                now: () => NOW,
+            }),
+            (req, res) => res.json({ ok: true })
+        );
+
+        beforeEach(() => {
+            process.env.TEST_WEBHOOK_SECRET = 'next, current';
+            delete process.env.TEST_WEBHOOK_TOLERANCE_SECONDS;
+        });
+
+        const post = (signature, timestamp = TIMESTAMP) =>
+            request(app)
+                .post('/webhook')
+                .set('Content-Type', 'application/json')
+                .set('X-Test-Signature', signature)
+                .set('X-Test-Timestamp', timestamp)
+                .send(BODY.toString());
+
+        it('passes a request signed with any configured secret', async () => {
+            expect((await post(sign('current'))).status).toBe(200);
+            expect((await post(sign('next'))).status).toBe(200);
+        });
+
+        it('rejects a bad signature with 401', async () => {
+            const res = await post(sign('retired'));
+
+            expect(res.status).toBe(401);
+            expect(res.body).toEqual({ error: 'Invalid webhook signature' });
+        });
+
+        it('reads the tolerance window from the environment', async () => {
+            const old = String(NOW / 1000 - 600);
+
+            expect((await post(sign('current', old), old)).status).toBe(401);
+
+            process.env.TEST_WEBHOOK_TOLERANCE_SECONDS = '900';
+            expect((await post(sign('current', old), old)).status).toBe(200);
+        });
+    });
+});
@@ -0,0 +1,207 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pool } = require('../helpers/database');
+const { up, down, status, loadMigrations } = require('../../src/migrations/migrate');
+
+const migrations = loadMigrations();
+const names = migrations.map((migration) => migration.name);
+
+// A client whose migrations table holds `applied`; every statement is recorded
+const connect = (applied) => {
+    const client = {
+        query: jest.fn(async (sql) => {
+            if (sql.startsWith('SELECT * FROM migrations')) {
+                return { rows: applied };
+            }
+            return { rows: [] };
+        }),
+        release: jest.fn(),
+    };
+    pool.connect.mockReset().mockResolvedValue(client);
+    return client;
+};
+
+const appliedRow = (migration, overrides = {}) => ({
+    name: migration.name,
+    checksum: migration.checksum,
+    executed_at: new Date('2024-06-01T00:00:00Z'),
+    ...overrides,
+});
+
+const statements = (client) => client.query.mock.calls.map(([sql]) => sql.trim().split(/\s/)[0]);
+
+describe('migrate', () => {
+    const log = jest.fn();
+
+    beforeEach(() => {
+        log.mockReset();
+    });
+
+    describe('loadMigrations', () => {
+        it('orders migrations by their numeric prefix', () => {
+            const versions = migrations.map((migration) => migration.version);
+
+            expect(versions).toEqual([...versions].sort((a, b) => a - b));
+            expect(migrations[0].checksum).toMatch(/^[0-9a-f]{64}$/);
+        });
+
+        it('refuses a migration without up and down SQL', () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+            try {
+                fs.writeFileSync(
+                    path.join(dir, '001_broken.js'),
+                    "module.exports = { up: 'SELECT 1' };"
+                );
+
+                expect(() => loadMigrations(dir)).toThrow(
+                    'Migration 001_broken.js must export "up" and "down" SQL strings'
+                );
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('up', () => {
+        it('applies each pending migration in its own transaction under the advisory lock', async () => {
+            const client = connect(
+                migrations.slice(0, -2).map((migration) => appliedRow(migration))
+            );
+
+            const applied = await up({ log });
+
+            expect(applied).toEqual(names.slice(-2));
+            const sql = statements(client);
+            expect(client.query.mock.calls[0]).toEqual(['SELECT pg_advisory_lock($1)', [727157]]);
+            expect(sql.filter((statement) => statement === 'BEGIN')).toHaveLength(2);
+            expect(sql.filter((statement) => statement === 'COMMIT')).toHaveLength(2);
+            expect(client.query).toHaveBeenCalledWith(
+                'INSERT INTO migrations (name, checksum) VALUES ($1, $2)',
+                [migrations.at(-1).name, migrations.at(-1).checksum]
+            );
+            expect(client.query.mock.calls.at(-1)).toEqual([
+                'SELECT pg_advisory_unlock($1)',
+                [727157],
+            ]);
+            expect(client.release).toHaveBeenCalled();
+        });
+
+        it('stops at the version given with to', async () => {
+            connect([]);
+
+            const applied = await up({ to: migrations[2].version, log });
+
+            expect(applied).toEqual(names.slice(0, 3));
+        });
+
+        it('prints the SQL without running it on a dry run', async () => {
+            const client = connect([]);
+
+            const applied = await up({ dryRun: true, log });
+
+            expect(applied).toEqual(names);
+            expect(statements(client)).not.toContain('BEGIN');
+            expect(client.query).not.toHaveBeenCalledWith(
+                expect.stringContaining('INSERT INTO migrations'),
+                expect.anything()
+            );
+            expect(log).toHaveBeenCalledWith(
+                expect.stringContaining(`-- [dry run] up ${names[0]}`)
+            );
+        });
+
+        it('refuses to run when an applied migration was changed', async () => {
+            const client = connect([appliedRow(migrations[0], { checksum: 'f'.repeat(64) })]);
+
+            await expect(up({ log })).rejects.toThrow(
+                `Checksum mismatch for ${names[0]}: the migration was changed after it was applied`
+            );
+            expect(statements(client)).not.toContain('BEGIN');
+            expect(client.query).toHaveBeenCalledWith('SELECT pg_advisory_unlock($1)', [727157]);
+            expect(client.release).toHaveBeenCalled();
+        });
+
+        it('accepts rows applied before checksums were recorded', async () => {
+            connect(migrations.map((migration) => appliedRow(migration, { checksum: null })));
+
+            await expect(up({ log })).resolves.toEqual([]);
+            expect(log).toHaveBeenCalledWith('No pending migrations');
+        });
+
+        it('refuses to run when an applied migration is missing on disk', async () => {
+            connect([{ name: '999_gone', checksum: null }]);
+
+            await expect(up({ log })).rejects.toThrow('Applied migration 999_gone is missing');
+        });
+
+        it('rolls back a migration that fails and stops there', async () => {
+            const client = connect([]);
+            client.query.mockImplementation(async (sql) => {
+                if (sql === migrations[1].up) {
+                    throw new Error('relation "facilities" does not exist');
+                }
+                return { rows: [] };
+            });
+
+            await expect(up({ log })).rejects.toThrow('relation "facilities" does not exist');
+            expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+            expect(client.query).not.toHaveBeenCalledWith(migrations[2].up);
+            expect(client.release).toHaveBeenCalled();
+        });
+    });
+
+    describe('down', () => {
+        it('reverts the latest migrations and removes their rows', async () => {
+            const client = connect(migrations.map((migration) => appliedRow(migration)));
+
+            const reverted = await down({ steps: 2, log });
+
+            expect(reverted).toEqual([names.at(-1), names.at(-2)]);
+            expect(client.query).toHaveBeenCalledWith(migrations.at(-1).down);
+            expect(client.query).toHaveBeenCalledWith('DELETE FROM migrations WHERE name = $1', [
+                names.at(-2),
+            ]);
+            expect(client.query).not.toHaveBeenCalledWith(migrations.at(-3).down);
+        });
+
+        it('prints the SQL without running it on a dry run', async () => {
+            const client = connect(migrations.map((migration) => appliedRow(migration)));
+
+            await down({ dryRun: true, log });
+
+            expect(client.query).not.toHaveBeenCalledWith(migrations.at(-1).down);
+            expect(log).toHaveBeenCalledWith(
+                expect.stringContaining(`-- [dry run] down ${names.at(-1)}`)
+            );
+        });
+
+        it('has nothing to revert on an empty database', async () => {
+            connect([]);
+
+            await expect(down({ log })).resolves.toEqual([]);
+            expect(log).toHaveBeenCalledWith('No applied migrations to revert');
+        });
+    });
+
+    describe('status', () => {
+        it('lists applied, modified, pending and missing migrations', async () => {
+            connect([
+                appliedRow(migrations[0]),
+                appliedRow(migrations[1], { checksum: 'f'.repeat(64) }),
+                { name: '999_gone', checksum: null, executed_at: new Date() },
+            ]);
+
+            const rows = await status({ log });
+
+            expect(rows.map((row) => [row.name, row.state])).toEqual([
+                [names[0], 'applied'],
+                [names[1], 'modified'],
+                ...names.slice(2).map((name) => [name, 'pending']),
+                ['999_gone', 'missing'],
+            ]);
+        });
+    });
+});
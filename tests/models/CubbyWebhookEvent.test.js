@@ -0,0 +1,56 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const { pool } = require('../helpers/database');
+const CubbyWebhookEvent = require('../../src/models/CubbyWebhookEvent');
+
+describe('CubbyWebhookEvent', () => {
+    beforeEach(() => {
+        pool.query.mockReset();
+    });
+
+    describe('record', () => {
+        it('inserts once per event id', async () => {
+            const row = { id: 1, event_id: 'evt_1' };
+            pool.query.mockResolvedValue({ rows: [row] });
+
+            const payload = { event: 'tenant.updated' };
+            await expect(CubbyWebhookEvent.record('evt_1', payload)).resolves.toBe(row);
+
+            const [sql, params] = pool.query.mock.calls[0];
+            expect(sql).toContain('ON CONFLICT (event_id) DO NOTHING');
+            expect(params).toEqual(['evt_1', 'tenant.updated', payload]);
+        });
+
+        it('returns null for an event id already stored', async () => {
+            pool.query.mockResolvedValue({ rows: [] });
+
+            await expect(CubbyWebhookEvent.record('evt_1', {})).resolves.toBeNull();
+        });
+    });
+
+    describe('claimPending', () => {
+        it('claims waiting and stale events without blocking other workers', async () => {
+            pool.query.mockResolvedValue({ rows: [] });
+
+            await CubbyWebhookEvent.claimPending(20);
+
+            const [sql, params] = pool.query.mock.calls[0];
+            expect(sql).toContain("SET status = 'processing', attempts = attempts + 1");
+            expect(sql).toContain('FOR UPDATE SKIP LOCKED');
+            expect(params).toEqual([20, 15]);
+        });
+
+        it('returns the claimed events oldest first', async () => {
+            pool.query.mockResolvedValue({
+                rows: [
+                    { id: 2, received_at: new Date('2024-06-01T10:05:00Z') },
+                    { id: 1, received_at: new Date('2024-06-01T10:00:00Z') },
+                ],
+            });
+
+            const events = await CubbyWebhookEvent.claimPending(20);
+
+            expect(events.map((event) => event.id)).toEqual([1, 2]);
+        });
+    });
+});
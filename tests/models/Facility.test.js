@@ -0,0 +1,109 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const { pool } = require('../helpers/database');
+const Facility = require('../../src/models/Facility');
+
+describe('Facility', () => {
+    beforeEach(() => {
+        pool.query.mockReset();
+        pool.connect.mockReset();
+    });
+
+    describe('bulkUpsert', () => {
+        it('upserts facilities by ID, keeping the last row for a repeated ID', async () => {
+            const client = {
+                query: jest.fn().mockResolvedValue({ rows: [{ inserted: false }] }),
+                release: jest.fn(),
+            };
+            pool.connect.mockResolvedValue(client);
+
+            const reports = await Facility.bulkUpsert(
+                [
+                    { id: 'F1', name: 'Old name' },
+                    { id: 'F1', name: 'Main Street Storage' },
+                ],
+                500
+            );
+
+            expect(reports).toEqual([{ size: 1, inserted: 0, updated: 1, failed: 0 }]);
+            const insert = client.query.mock.calls.find(([sql]) =>
+                sql.includes('INSERT INTO facilities')
+            );
+            expect(insert[0]).toContain('ON CONFLICT (id) DO UPDATE');
+            expect(JSON.parse(insert[1][0])).toEqual([{ id: 'F1', name: 'Main Street Storage' }]);
+            expect(insert[1][1]).toBe(false);
+        });
+
+        it("reactivates facilities in Cubby's listing and marks them as listed", async () => {
+            const client = {
+                query: jest.fn().mockResolvedValue({ rows: [{ inserted: false }] }),
+                release: jest.fn(),
+            };
+            pool.connect.mockResolvedValue(client);
+
+            await Facility.bulkUpsert([{ id: 'F1', name: 'Main Street Storage' }], 500, {
+                fromCubby: true,
+            });
+
+            const insert = client.query.mock.calls.find(([sql]) =>
+                sql.includes('INSERT INTO facilities')
+            );
+            expect(insert[0]).toMatch(/WHEN \$2 AND facilities.status = 'inactive' THEN 'active'/);
+            expect(insert[0]).toContain('cubby_synced_at = COALESCE(EXCLUDED.cubby_synced_at');
+            expect(insert[1][1]).toBe(true);
+        });
+    });
+
+    describe('reconciliation', () => {
+        it('only counts and deactivates facilities Cubby has listed', async () => {
+            pool.query
+                .mockResolvedValueOnce({ rows: [{ count: 4 }] })
+                .mockResolvedValueOnce({ rowCount: 1 });
+
+            expect(await Facility.countActive()).toBe(4);
+            expect(await Facility.deactivateMissing(['F1', 'F2'])).toBe(1);
+
+            const [[countSql], [deactivateSql, params]] = pool.query.mock.calls;
+            expect(countSql).toContain('cubby_synced_at IS NOT NULL');
+            expect(deactivateSql).toContain('cubby_synced_at IS NOT NULL');
+            expect(params).toEqual([['F1', 'F2']]);
+        });
+    });
+
+    describe('findAccessibleBy', () => {
+        it("matches only facilities of the scope's organizations", async () => {
+            pool.query.mockResolvedValue({ rows: [{ id: 'F1' }] });
+
+            await Facility.findAccessibleBy('gmb_place_id', 'PLACE1', {
+                all: false,
+                organizationIds: [3, 5],
+            });
+
+            const [sql, params] = pool.query.mock.calls[0];
+            expect(sql).toContain('WHERE gmb_place_id = $1');
+            expect(sql).toContain('($2::boolean OR organization_id = ANY($3::int[]))');
+            expect(params).toEqual(['PLACE1', false, [3, 5]]);
+        });
+
+        it('refuses to look up by any other column', async () => {
+            await expect(
+                Facility.findAccessibleBy('name; DROP TABLE facilities', 'x', {
+                    all: true,
+                    organizationIds: [],
+                })
+            ).rejects.toThrow('Cannot look up facilities by');
+            expect(pool.query).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('findExistingIds', () => {
+        it('returns the IDs that exist as strings', async () => {
+            pool.query.mockResolvedValue({ rows: [{ id: '12' }] });
+
+            const ids = await Facility.findExistingIds([12, 'F404']);
+
+            expect(ids).toEqual(new Set(['12']));
+            expect(pool.query.mock.calls[0][1]).toEqual([['12', 'F404']]);
+        });
+    });
+});
@@ -0,0 +1,76 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const { pool } = require('../helpers/database');
+const Review = require('../../src/models/Review');
+
+const SEEN_AT = new Date('2024-06-03T12:00:00Z');
+
+describe('Review', () => {
+    beforeEach(() => {
+        pool.query
+            .mockReset()
+            .mockResolvedValue({ rows: [{ id: 1, inserted: true }], rowCount: 3 });
+    });
+
+    describe('upsertFromGoogle', () => {
+        it('maps a Google review onto review columns', async () => {
+            await Review.upsertFromGoogle(
+                'F1',
+                {
+                    reviewId: 'R1',
+                    reviewer: { displayName: 'Dana Smith', profilePhotoUrl: 'https://photo' },
+                    starRating: 'FOUR',
+                    comment: 'Clean units',
+                    reviewReply: { comment: 'Thanks Dana!', updateTime: '2024-06-02T09:00:00Z' },
+                    createTime: '2024-06-01T10:00:00Z',
+                    updateTime: '2024-06-01T11:00:00Z',
+                },
+                SEEN_AT
+            );
+
+            const [sql, params] = pool.query.mock.calls[0];
+            expect(sql).toContain('ON CONFLICT (gmb_review_id) DO UPDATE');
+            expect(sql).toContain('deleted_at = NULL');
+            expect(params).toEqual([
+                'F1',
+                'R1',
+                'Dana Smith',
+                'https://photo',
+                false,
+                4,
+                'Clean units',
+                'Thanks Dana!',
+                '2024-06-02T09:00:00Z',
+                '2024-06-01T10:00:00Z',
+                '2024-06-01T11:00:00Z',
+                SEEN_AT,
+            ]);
+        });
+
+        it('stores an anonymous review without a comment or reply', async () => {
+            await Review.upsertFromGoogle(
+                'F1',
+                {
+                    reviewId: 'R2',
+                    reviewer: { isAnonymous: true },
+                    starRating: 'STAR_RATING_UNSPECIFIED',
+                    createTime: '2024-06-01T10:00:00Z',
+                },
+                SEEN_AT
+            );
+
+            const [, params] = pool.query.mock.calls[0];
+            expect(params.slice(2, 9)).toEqual([null, null, true, null, null, null, null]);
+        });
+    });
+
+    it('marks reviews not seen by a complete sync as deleted', async () => {
+        const deleted = await Review.markMissingAsDeleted('F1', SEEN_AT);
+
+        const [sql, params] = pool.query.mock.calls[0];
+        expect(sql).toContain('AND last_seen_at < $2');
+        expect(sql).toContain('AND deleted_at IS NULL');
+        expect(params).toEqual(['F1', SEEN_AT]);
+        expect(deleted).toBe(3);
+    });
+});
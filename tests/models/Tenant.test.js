@@ -0,0 +1,94 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const { pool } = require('../helpers/database');
+const Tenant = require('../../src/models/Tenant');
+
+const tenant = (unit, overrides = {}) => ({
+    facility_id: 'F1',
+    name: `Tenant ${unit}`,
+    unit_number: unit,
+    ...overrides,
+});
+
+describe('Tenant', () => {
+    let client;
+
+    beforeEach(() => {
+        client = { query: jest.fn(), release: jest.fn() };
+        pool.connect.mockReset().mockResolvedValue(client);
+    });
+
+    describe('bulkUpsert', () => {
+        it('writes each batch in its own transaction and counts inserts and updates', async () => {
+            client.query.mockImplementation(async (sql) =>
+                sql.includes('INSERT INTO tenants')
+                    ? { rows: [{ inserted: true }, { inserted: false }] }
+                    : {}
+            );
+
+            const reports = await Tenant.bulkUpsert(
+                [tenant('A1'), tenant('A2'), tenant('A3'), tenant('A4')],
+                2
+            );
+
+            expect(reports).toEqual([
+                { size: 2, inserted: 1, updated: 1, failed: 0 },
+                { size: 2, inserted: 1, updated: 1, failed: 0 },
+            ]);
+            expect(client.query.mock.calls.map(([sql]) => sql.trim().split(/\s/)[0])).toEqual([
+                'BEGIN',
+                'INSERT',
+                'COMMIT',
+                'BEGIN',
+                'INSERT',
+                'COMMIT',
+            ]);
+            expect(client.release).toHaveBeenCalledTimes(2);
+        });
+
+        it('rolls back a failing batch and still writes the rest', async () => {
+            let inserts = 0;
+            client.query.mockImplementation(async (sql) => {
+                if (!sql.includes('INSERT INTO tenants')) {
+                    return {};
+                }
+                if (++inserts === 1) {
+                    throw new Error('insert or update on table "tenants" violates foreign key');
+                }
+                return { rows: [{ inserted: true }] };
+            });
+
+            const reports = await Tenant.bulkUpsert(
+                [tenant('A1', { facility_id: 'F9' }), tenant('A2')],
+                1
+            );
+
+            expect(reports).toEqual([
+                {
+                    size: 1,
+                    inserted: 0,
+                    updated: 0,
+                    failed: 1,
+                    error: 'insert or update on table "tenants" violates foreign key',
+                },
+                { size: 1, inserted: 1, updated: 0, failed: 0 },
+            ]);
+            expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+            expect(client.release).toHaveBeenCalledTimes(2);
+        });
+
+        it('keeps the last row for a unit listed twice', async () => {
+            client.query.mockResolvedValue({ rows: [{ inserted: true }] });
+
+            await Tenant.bulkUpsert(
+                [tenant('A1', { name: 'Old' }), tenant('A1', { name: 'New' })],
+                10
+            );
+
+            const insert = client.query.mock.calls.find(([sql]) =>
+                sql.includes('INSERT INTO tenants')
+            );
+            expect(JSON.parse(insert[1][0])).toEqual([tenant('A1', { name: 'New' })]);
+        });
+    });
+});
@@ -0,0 +1,53 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const { pool } = require('../helpers/database');
+const UserToken = require('../../src/models/UserToken');
+
+describe('UserToken', () => {
+    beforeEach(() => {
+        pool.query.mockReset().mockResolvedValue({ rows: [{ id: 1 }] });
+    });
+
+    describe('issue', () => {
+        it('supersedes unused tokens and stores only a hash of the new one', async () => {
+            const before = Date.now();
+
+            const token = await UserToken.issue(5, 'password_reset', 60 * 60 * 1000);
+
+            expect(token).toMatch(/^[0-9a-f]{64}$/);
+            const [supersede, create] = pool.query.mock.calls;
+            expect(supersede[0]).toContain('SET used_at = CURRENT_TIMESTAMP');
+            expect(supersede[1]).toEqual([5, 'password_reset']);
+            expect(create[1]).toContain(UserToken.hash(token));
+            expect(create[1]).not.toContain(token);
+            const expiresAt = create[1].find((value) => value instanceof Date);
+            expect(expiresAt.getTime()).toBeGreaterThanOrEqual(before + 60 * 60 * 1000);
+        });
+
+        it('issues a different token every time', async () => {
+            const first = await UserToken.issue(5, 'invite', 1000);
+            const second = await UserToken.issue(5, 'invite', 1000);
+
+            expect(first).not.toBe(second);
+        });
+    });
+
+    describe('consume', () => {
+        it('uses up an unexpired token of the given purpose, looked up by hash', async () => {
+            await UserToken.consume('mailed-token', 'email_verification');
+
+            const [sql, params] = pool.query.mock.calls[0];
+            expect(sql).toContain('AND used_at IS NULL');
+            expect(sql).toContain('AND expires_at > CURRENT_TIMESTAMP');
+            expect(params).toEqual([UserToken.hash('mailed-token'), 'email_verification']);
+        });
+
+        it('resolves to undefined when nothing matched', async () => {
+            pool.query.mockResolvedValue({ rows: [] });
+
+            await expect(
+                UserToken.consume('mailed-token', 'password_reset')
+            ).resolves.toBeUndefined();
+        });
+    });
+});
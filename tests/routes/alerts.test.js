@@ -0,0 +1,70 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { authHeader } = require('../helpers/auth');
+const Organization = require('../../src/models/Organization');
+const AlertRule = require('../../src/models/AlertRule');
+
+const rule = {
+    organizationId: '5',
+    name: 'Low ratings',
+    ruleType: 'max_rating',
+    threshold: 2,
+};
+
+describe('alert rule routes', () => {
+    let auth;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        auth = authHeader({ id: 2, role: 'manager' });
+        jest.spyOn(Organization, 'findIdsForUser').mockResolvedValue([5]);
+        jest.spyOn(Organization, 'findById').mockResolvedValue({ id: 5 });
+        jest.spyOn(AlertRule, 'create').mockImplementation(async (data) => ({ id: 1, ...data }));
+    });
+
+    it('accepts organizationId sent as a string', async () => {
+        const res = await request(app).post('/alerts/rules').set('Authorization', auth).send(rule);
+
+        expect(res.status).toBe(201);
+        expect(AlertRule.create).toHaveBeenCalledWith(
+            expect.objectContaining({ organization_id: 5 })
+        );
+    });
+
+    it('rejects an organizationId that is not a positive integer', async () => {
+        const res = await request(app)
+            .post('/alerts/rules')
+            .set('Authorization', auth)
+            .send({ ...rule, organizationId: 'five' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.details).toContain('organizationId must be a positive integer');
+    });
+
+    it('answers 404 for an organization that does not exist', async () => {
+        Organization.findById.mockResolvedValue(undefined);
+
+        const res = await request(app)
+            .post('/alerts/rules')
+            .set('Authorization', auth)
+            .send({ ...rule, organizationId: 999 });
+
+        expect(res.status).toBe(404);
+        expect(AlertRule.create).not.toHaveBeenCalled();
+    });
+
+    it.each(['http://169.254.169.254/latest/meta-data', 'https://localhost:5432/'])(
+        'rejects the internal webhook URL %s',
+        async (webhookUrl) => {
+            const res = await request(app)
+                .post('/alerts/rules')
+                .set('Authorization', auth)
+                .send({ ...rule, webhookUrl });
+
+            expect(res.status).toBe(400);
+            expect(AlertRule.create).not.toHaveBeenCalled();
+        }
+    );
+});
@@ -0,0 +1,141 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { authHeader } = require('../helpers/auth');
+const Organization = require('../../src/models/Organization');
+const Facility = require('../../src/models/Facility');
+const ReviewAnalytics = require('../../src/services/ReviewAnalytics');
+
+describe('analytics routes', () => {
+    let auth;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        auth = authHeader({ id: 7, role: 'staff' });
+        jest.spyOn(Organization, 'findIdsForUser').mockResolvedValue([3]);
+        jest.spyOn(Facility, 'findAccessible').mockResolvedValue([{ id: 'F1' }, { id: 'F2' }]);
+        jest.spyOn(ReviewAnalytics, 'trend').mockResolvedValue({ facilities: [] });
+        jest.spyOn(ReviewAnalytics, 'summary').mockResolvedValue({ overall: null });
+    });
+
+    const get = (path) => request(app).get(path).set('Authorization', auth);
+
+    describe('GET /analytics/reviews/trend', () => {
+        it('defaults to weekly buckets with a four-bucket rolling window', async () => {
+            const res = await get('/analytics/reviews/trend?from=2024-01-01&to=2024-06-01');
+
+            expect(res.status).toBe(200);
+            expect(ReviewAnalytics.trend).toHaveBeenCalledWith(['F1', 'F2'], {
+                from: new Date('2024-01-01'),
+                to: new Date('2024-06-01'),
+                interval: 'week',
+                rollingWindow: 4,
+            });
+        });
+
+        it.each(['0', '53', '1.5', 'four'])('refuses rollingWindow=%s', async (rollingWindow) => {
+            const res = await get(`/analytics/reviews/trend?rollingWindow=${rollingWindow}`);
+
+            expect(res.status).toBe(400);
+            expect(res.body.details).toEqual(['rollingWindow must be an integer from 1 to 52']);
+            expect(ReviewAnalytics.trend).not.toHaveBeenCalled();
+        });
+
+        it('refuses an unknown interval', async () => {
+            const res = await get('/analytics/reviews/trend?interval=hour');
+
+            expect(res.status).toBe(400);
+            expect(res.body.details).toEqual(['interval must be one of day, week, month']);
+        });
+
+        it('refuses a range with too many buckets', async () => {
+            const res = await get(
+                '/analytics/reviews/trend?interval=day&from=2020-01-01&to=2024-01-01'
+            );
+
+            expect(res.status).toBe(400);
+            expect(res.body.details).toEqual(['The range spans more than 400 days']);
+        });
+
+        it('answers 404 for a facility outside the scope', async () => {
+            const res = await get('/analytics/reviews/trend?facilityIds=F1,F9');
+
+            expect(res.status).toBe(404);
+            expect(res.body.facilityIds).toEqual(['F9']);
+        });
+    });
+
+    describe('GET /analytics/reviews/summary', () => {
+        it('passes the comparison range', async () => {
+            const res = await get(
+                '/analytics/reviews/summary?facilityIds=F2&from=2024-04-01&to=2024-05-01' +
+                    '&compareFrom=2024-03-01&compareTo=2024-04-01'
+            );
+
+            expect(res.status).toBe(200);
+            expect(ReviewAnalytics.summary).toHaveBeenCalledWith(['F2'], {
+                from: new Date('2024-04-01'),
+                to: new Date('2024-05-01'),
+                compareFrom: new Date('2024-03-01'),
+                compareTo: new Date('2024-04-01'),
+            });
+        });
+
+        it.each([
+            ['from=2024-05-01&to=2024-04-01', 'from must be before to'],
+            ['from=yesterday', 'from and to must be ISO 8601 dates'],
+            ['compareFrom=2024-03-01', 'compareFrom and compareTo must be given together'],
+            ['compareFrom=2024-04-01&compareTo=2024-03-01', 'compareFrom must be before compareTo'],
+        ])('refuses %s', async (query, error) => {
+            const res = await get(`/analytics/reviews/summary?${query}`);
+
+            expect(res.status).toBe(400);
+            expect(res.body.details).toEqual([error]);
+        });
+    });
+
+    describe('GET /analytics/portfolio', () => {
+        beforeEach(() => {
+            jest.spyOn(ReviewAnalytics, 'portfolio').mockResolvedValue({ groups: [] });
+        });
+
+        it('sorts by name ascending and other fields descending by default', async () => {
+            await get('/analytics/portfolio?groupBy=city&state=tx&from=2024-04-01&to=2024-05-01');
+            await get('/analytics/portfolio?sort=unansweredReviews&limit=5');
+
+            expect(ReviewAnalytics.portfolio).toHaveBeenNthCalledWith(
+                1,
+                { all: false, organizationIds: [3] },
+                expect.objectContaining({
+                    groupBy: 'city',
+                    state: 'TX',
+                    city: null,
+                    sort: 'name',
+                    order: 'asc',
+                    limit: null,
+                })
+            );
+            expect(ReviewAnalytics.portfolio).toHaveBeenNthCalledWith(
+                2,
+                expect.anything(),
+                expect.objectContaining({ sort: 'unansweredReviews', order: 'desc', limit: 5 })
+            );
+        });
+
+        it('refuses an unknown grouping, sort, order or limit', async () => {
+            const res = await get(
+                '/analytics/portfolio?groupBy=region&sort=revenue&order=up&limit=0'
+            );
+
+            expect(res.status).toBe(400);
+            expect(res.body.details).toEqual([
+                'groupBy must be one of facility, city, state',
+                `sort must be one of ${ReviewAnalytics.PORTFOLIO_SORTS.join(', ')}`,
+                'order must be asc or desc',
+                'limit must be a positive integer',
+            ]);
+            expect(ReviewAnalytics.portfolio).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,146 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { authHeader } = require('../helpers/auth');
+const User = require('../../src/models/User');
+const UserToken = require('../../src/models/UserToken');
+const UserSession = require('../../src/models/UserSession');
+const AccountMailer = require('../../src/services/AccountMailer');
+
+const user = { id: 5, email: 'dana@example.com', email_verified_at: null };
+
+describe('auth routes', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(UserToken, 'issue').mockResolvedValue('mailed-token');
+        jest.spyOn(AccountMailer, 'sendPasswordReset').mockResolvedValue({});
+        jest.spyOn(AccountMailer, 'sendEmailVerification').mockResolvedValue({});
+        jest.spyOn(User, 'setPassword').mockResolvedValue({});
+        jest.spyOn(User, 'markEmailVerified').mockResolvedValue({});
+        jest.spyOn(UserSession, 'revokeAllForUser').mockResolvedValue(2);
+    });
+
+    describe('POST /auth/forgot-password', () => {
+        it('mails a one-hour reset link to a registered address', async () => {
+            jest.spyOn(User, 'findByEmail').mockResolvedValue(user);
+
+            const res = await request(app)
+                .post('/auth/forgot-password')
+                .send({ email: 'dana@example.com' });
+
+            expect(res.status).toBe(200);
+            expect(UserToken.issue).toHaveBeenCalledWith(5, 'password_reset', 60 * 60 * 1000);
+            expect(AccountMailer.sendPasswordReset).toHaveBeenCalledWith(user, 'mailed-token', {
+                expiresIn: '1 hour',
+            });
+        });
+
+        it('gives the same answer for an unknown address without sending anything', async () => {
+            jest.spyOn(User, 'findByEmail').mockResolvedValue(undefined);
+
+            const res = await request(app)
+                .post('/auth/forgot-password')
+                .send({ email: 'nobody@example.com' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.message).toBe('If the email is registered, a reset link has been sent');
+            expect(UserToken.issue).not.toHaveBeenCalled();
+            expect(AccountMailer.sendPasswordReset).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /auth/reset-password', () => {
+        it('sets the password and signs out every session', async () => {
+            jest.spyOn(UserToken, 'consume').mockResolvedValue({ user_id: 5 });
+
+            const res = await request(app)
+                .post('/auth/reset-password')
+                .send({ token: 'mailed-token', password: 'a-new-password' });
+
+            expect(res.status).toBe(200);
+            expect(UserToken.consume).toHaveBeenCalledWith('mailed-token', 'password_reset');
+            expect(User.setPassword).toHaveBeenCalledWith(5, 'a-new-password');
+            expect(UserSession.revokeAllForUser).toHaveBeenCalledWith(5);
+        });
+
+        it('refuses a used, expired or unknown token', async () => {
+            jest.spyOn(UserToken, 'consume').mockResolvedValue(undefined);
+
+            const res = await request(app)
+                .post('/auth/reset-password')
+                .send({ token: 'mailed-token', password: 'a-new-password' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Reset link is invalid or has expired');
+            expect(User.setPassword).not.toHaveBeenCalled();
+        });
+
+        it('refuses a short password before using up the token', async () => {
+            jest.spyOn(UserToken, 'consume');
+
+            const res = await request(app)
+                .post('/auth/reset-password')
+                .send({ token: 'mailed-token', password: 'short' });
+
+            expect(res.status).toBe(400);
+            expect(UserToken.consume).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /auth/verify-email', () => {
+        it('marks the address verified', async () => {
+            jest.spyOn(UserToken, 'consume').mockResolvedValue({ user_id: 5 });
+
+            const res = await request(app)
+                .post('/auth/verify-email')
+                .send({ token: 'mailed-token' });
+
+            expect(res.status).toBe(200);
+            expect(UserToken.consume).toHaveBeenCalledWith('mailed-token', 'email_verification');
+            expect(User.markEmailVerified).toHaveBeenCalledWith(5);
+        });
+
+        it('refuses a missing or invalid token', async () => {
+            jest.spyOn(UserToken, 'consume').mockResolvedValue(undefined);
+
+            expect((await request(app).post('/auth/verify-email').send({})).status).toBe(400);
+            expect(
+                (await request(app).post('/auth/verify-email').send({ token: 'x' })).status
+            ).toBe(400);
+            expect(User.markEmailVerified).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /auth/resend-verification', () => {
+        it('mails a new verification link', async () => {
+            jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+            const res = await request(app)
+                .post('/auth/resend-verification')
+                .set('Authorization', authHeader({ id: 5 }));
+
+            expect(res.status).toBe(200);
+            expect(UserToken.issue).toHaveBeenCalledWith(
+                5,
+                'email_verification',
+                3 * 24 * 60 * 60 * 1000
+            );
+            expect(AccountMailer.sendEmailVerification).toHaveBeenCalled();
+        });
+
+        it('answers 409 once the address is verified', async () => {
+            jest.spyOn(User, 'findById').mockResolvedValue({
+                ...user,
+                email_verified_at: new Date(),
+            });
+
+            const res = await request(app)
+                .post('/auth/resend-verification')
+                .set('Authorization', authHeader({ id: 5 }));
+
+            expect(res.status).toBe(409);
+            expect(AccountMailer.sendEmailVerification).not.toHaveBeenCalled();
+        });
+    });
+});
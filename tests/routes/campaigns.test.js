@@ -0,0 +1,80 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { authHeader } = require('../helpers/auth');
+const Organization = require('../../src/models/Organization');
+const Facility = require('../../src/models/Facility');
+const MessageTemplate = require('../../src/models/MessageTemplate');
+const ReviewCampaign = require('../../src/models/ReviewCampaign');
+
+const facility = { id: '12', name: 'Main Street Storage', organization_id: 3 };
+
+describe('campaign routes', () => {
+    let auth;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        auth = authHeader({ role: 'admin' });
+        jest.spyOn(Organization, 'findIdsForUser').mockResolvedValue([3]);
+        jest.spyOn(Facility, 'findAccessibleBy').mockResolvedValue(facility);
+        jest.spyOn(MessageTemplate, 'findById').mockResolvedValue({
+            id: 4,
+            channel: 'sms',
+            facility_id: '12',
+        });
+        jest.spyOn(ReviewCampaign, 'create').mockResolvedValue({ id: 8 });
+        jest.spyOn(ReviewCampaign, 'update').mockResolvedValue({ id: 8 });
+        jest.spyOn(ReviewCampaign, 'findWithStats').mockResolvedValue({ id: 8 });
+    });
+
+    it('accepts a facility template when facilityId is sent as a number', async () => {
+        const res = await request(app).post('/campaigns').set('Authorization', auth).send({
+            facilityId: 12,
+            name: 'Spring push',
+            startDate: '2024-03-01',
+            smsTemplateId: 4,
+        });
+
+        expect(res.status).toBe(201);
+        expect(ReviewCampaign.create).toHaveBeenCalledWith(
+            expect.objectContaining({ facility_id: '12', sms_template_id: 4 })
+        );
+    });
+
+    it('rejects a template of another facility', async () => {
+        MessageTemplate.findById.mockResolvedValue({ id: 4, channel: 'sms', facility_id: '99' });
+
+        const res = await request(app).post('/campaigns').set('Authorization', auth).send({
+            facilityId: 12,
+            name: 'Spring push',
+            startDate: '2024-03-01',
+            smsTemplateId: 4,
+        });
+
+        expect(res.status).toBe(400);
+    });
+
+    it('checks a new end date against the stored start date as a calendar day', async () => {
+        jest.spyOn(ReviewCampaign, 'findById').mockResolvedValue({
+            id: 8,
+            facility_id: '12',
+            status: 'active',
+            start_date: '2024-03-01',
+            end_date: null,
+        });
+
+        const sameDay = await request(app)
+            .put('/campaigns/8')
+            .set('Authorization', auth)
+            .send({ endDate: '2024-03-01' });
+        const dayBefore = await request(app)
+            .put('/campaigns/8')
+            .set('Authorization', auth)
+            .send({ endDate: '2024-02-29' });
+
+        expect(sameDay.status).toBe(200);
+        expect(dayBefore.status).toBe(400);
+        expect(dayBefore.body.details).toContain('endDate must not be before startDate');
+    });
+});
@@ -0,0 +1,73 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { authHeader } = require('../helpers/auth');
+const Organization = require('../../src/models/Organization');
+const Facility = require('../../src/models/Facility');
+const UserPermission = require('../../src/models/UserPermission');
+const ReviewExports = require('../../src/services/ReviewExports');
+
+const facilities = [
+    { id: 'F1', organization_id: 3 },
+    { id: 'F2', organization_id: 3 },
+];
+
+describe('export routes', () => {
+    let auth;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        auth = authHeader({ id: 7, role: 'staff' });
+        jest.spyOn(Organization, 'findIdsForUser').mockResolvedValue([3]);
+        jest.spyOn(Facility, 'findAccessible').mockResolvedValue(facilities);
+        jest.spyOn(ReviewExports, 'write').mockImplementation(
+            async (type, format, filters, res) => {
+                res.end('ok');
+                return 0;
+            }
+        );
+    });
+
+    it('refuses staff without exports.view', async () => {
+        jest.spyOn(UserPermission, 'hasPermission').mockResolvedValue(false);
+
+        const res = await request(app).get('/exports/review-requests').set('Authorization', auth);
+
+        expect(res.status).toBe(403);
+        expect(UserPermission.hasPermission).toHaveBeenCalledWith(
+            expect.objectContaining({ id: 7 }),
+            'exports.view',
+            facilities[0]
+        );
+        expect(ReviewExports.write).not.toHaveBeenCalled();
+    });
+
+    it('exports only the facilities the user holds exports.view on', async () => {
+        jest.spyOn(UserPermission, 'hasPermission').mockImplementation(
+            async (user, permission, facility) => facility.id === 'F2'
+        );
+
+        const res = await request(app).get('/exports/review-requests').set('Authorization', auth);
+
+        expect(res.status).toBe(200);
+        expect(ReviewExports.write).toHaveBeenCalledWith(
+            'review-requests',
+            'csv',
+            expect.objectContaining({ facilityIds: ['F2'] }),
+            expect.anything()
+        );
+    });
+
+    it('refuses an explicit facility without exports.view', async () => {
+        jest.spyOn(UserPermission, 'hasPermission').mockImplementation(
+            async (user, permission, facility) => facility.id === 'F2'
+        );
+
+        const res = await request(app)
+            .get('/exports/reviews?facilityIds=F1,F2')
+            .set('Authorization', auth);
+
+        expect(res.status).toBe(403);
+    });
+});
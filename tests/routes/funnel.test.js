@@ -0,0 +1,70 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const request = require('supertest');
+const app = require('../../src/app');
+const ReviewRequest = require('../../src/models/ReviewRequest');
+const ReviewFeedback = require('../../src/models/ReviewFeedback');
+const ReviewFunnel = require('../../src/services/ReviewFunnel');
+
+const TOKEN = 'a'.repeat(48);
+
+describe('review request links', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(ReviewRequest, 'findWithFacilityByToken').mockResolvedValue({
+            id: 1,
+            token: TOKEN,
+            facility_name: 'Main Street Storage',
+            facility_city: 'Austin',
+            facility_state: 'TX',
+            gmb_link: 'https://g.page/r/example/review',
+        });
+        jest.spyOn(ReviewRequest, 'markClicked').mockResolvedValue({});
+    });
+
+    it('are served by the funnel', async () => {
+        const link = new URL(ReviewRequest.getFunnelUrl(TOKEN));
+
+        const res = await request(app).get(link.pathname);
+
+        expect(res.status).toBe(200);
+        expect(res.body.facility.name).toBe('Main Street Storage');
+        expect(ReviewRequest.findWithFacilityByToken).toHaveBeenCalledWith(TOKEN);
+        expect(ReviewRequest.markClicked).toHaveBeenCalledWith(1);
+    });
+
+    it('keep a path prefix of the configured base URL', () => {
+        process.env.REVIEW_FUNNEL_BASE_URL = 'https://reviews.example.com/app/';
+        try {
+            expect(ReviewRequest.getFunnelUrl(TOKEN)).toBe(
+                `https://reviews.example.com/app/funnel/${TOKEN}`
+            );
+        } finally {
+            delete process.env.REVIEW_FUNNEL_BASE_URL;
+        }
+    });
+
+    it('answer a repeated feedback submission with 409', async () => {
+        jest.spyOn(ReviewFeedback, 'createForRequest').mockResolvedValue(null);
+        jest.spyOn(ReviewRequest, 'recordRating').mockResolvedValue({});
+
+        const res = await request(app).post(`/funnel/${TOKEN}/feedback`).send({ rating: 5 });
+
+        expect(res.status).toBe(409);
+        expect(ReviewRequest.recordRating).not.toHaveBeenCalled();
+    });
+
+    it('refuse the Google link to a low rater in gated mode', async () => {
+        jest.spyOn(ReviewRequest, 'markGoogleClicked').mockResolvedValue({});
+        ReviewRequest.findWithFacilityByToken.mockResolvedValue({ id: 1, token: TOKEN, rating: 2 });
+        ReviewFunnel.mode = 'gated';
+        try {
+            const res = await request(app).post(`/funnel/${TOKEN}/google`);
+
+            expect(res.status).toBe(409);
+            expect(ReviewRequest.markGoogleClicked).not.toHaveBeenCalled();
+        } finally {
+            ReviewFunnel.mode = 'ask_everyone';
+        }
+    });
+});
@@ -0,0 +1,102 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { authHeader } = require('../helpers/auth');
+const Organization = require('../../src/models/Organization');
+const Facility = require('../../src/models/Facility');
+const User = require('../../src/models/User');
+
+const organization = { id: 3, name: 'Lone Star Storage', slug: 'lone-star' };
+
+describe('organization routes', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(Organization, 'findIdsForUser').mockResolvedValue([3]);
+        jest.spyOn(Organization, 'findById').mockImplementation(async (id) =>
+            id === 3 || id === 4 ? { ...organization, id } : undefined
+        );
+        jest.spyOn(Facility, 'findAccessible').mockResolvedValue([{ id: 'F1' }]);
+    });
+
+    it("lists only the caller's organizations", async () => {
+        jest.spyOn(Organization, 'findForUser').mockResolvedValue([organization]);
+        jest.spyOn(Organization, 'findAll').mockResolvedValue([]);
+
+        const res = await request(app)
+            .get('/organizations')
+            .set('Authorization', authHeader({ id: 7, role: 'staff' }));
+
+        expect(res.status).toBe(200);
+        expect(res.body.organizations).toEqual([organization]);
+        expect(Organization.findForUser).toHaveBeenCalledWith(7);
+        expect(Organization.findAll).not.toHaveBeenCalled();
+    });
+
+    it('hides organizations the caller does not belong to', async () => {
+        const res = await request(app)
+            .get('/organizations/4/facilities')
+            .set('Authorization', authHeader({ id: 7, role: 'staff' }));
+
+        expect(res.status).toBe(404);
+        expect(Facility.findAccessible).not.toHaveBeenCalled();
+    });
+
+    it("lists a member organization's facilities", async () => {
+        const res = await request(app)
+            .get('/organizations/3/facilities')
+            .set('Authorization', authHeader({ id: 7, role: 'staff' }));
+
+        expect(res.status).toBe(200);
+        expect(Facility.findAccessible).toHaveBeenCalledWith({ all: false, organizationIds: [3] });
+    });
+
+    it('lets platform admins see every organization', async () => {
+        const res = await request(app)
+            .get('/organizations/4/facilities')
+            .set('Authorization', authHeader({ role: 'admin' }));
+
+        expect(res.status).toBe(200);
+        expect(Facility.findAccessible).toHaveBeenCalledWith({ all: false, organizationIds: [4] });
+    });
+
+    describe('members', () => {
+        beforeEach(() => {
+            jest.spyOn(User, 'findById').mockResolvedValue({ id: 9 });
+            jest.spyOn(Organization, 'addMember').mockResolvedValue({ user_id: 9, role: 'member' });
+        });
+
+        it('may be added by an organization owner', async () => {
+            jest.spyOn(Organization, 'findMembership').mockResolvedValue({ role: 'owner' });
+
+            const res = await request(app)
+                .post('/organizations/3/members')
+                .set('Authorization', authHeader({ id: 7, role: 'staff' }))
+                .send({ userId: 9 });
+
+            expect(res.status).toBe(201);
+            expect(Organization.addMember).toHaveBeenCalledWith(3, 9, 'member');
+        });
+
+        it('may not be added by a plain member', async () => {
+            jest.spyOn(Organization, 'findMembership').mockResolvedValue({ role: 'member' });
+
+            const res = await request(app)
+                .post('/organizations/3/members')
+                .set('Authorization', authHeader({ id: 7, role: 'staff' }))
+                .send({ userId: 9 });
+
+            expect(res.status).toBe(403);
+            expect(Organization.addMember).not.toHaveBeenCalled();
+        });
+
+        it('must have a known member role', async () => {
+            const res = await request(app)
+                .post('/organizations/3/members')
+                .set('Authorization', authHeader({ role: 'admin' }))
+                .send({ userId: 9, role: 'superuser' });
+
+            expect(res.status).toBe(400);
+        });
+    });
+});
@@ -0,0 +1,192 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { authHeader } = require('../helpers/auth');
+const Organization = require('../../src/models/Organization');
+const GoogleMyBusiness = require('../../src/services/GoogleMyBusiness');
+const Facility = require('../../src/models/Facility');
+const ReplyDraft = require('../../src/models/ReplyDraft');
+const UserPermission = require('../../src/models/UserPermission');
+const ReviewReplies = require('../../src/services/ReviewReplies');
+const ReplyDrafts = require('../../src/services/ReplyDrafts');
+
+describe('review routes', () => {
+    let auth;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        auth = authHeader({ id: 7, role: 'staff' });
+        jest.spyOn(Organization, 'findIdsForUser').mockResolvedValue([3]);
+        jest.spyOn(GoogleMyBusiness, 'checkAccess').mockResolvedValue(true);
+    });
+
+    describe('POST /reviews/replies/bulk', () => {
+        it('posts the replies and counts the ones that went out', async () => {
+            jest.spyOn(ReviewReplies, 'bulkReply').mockResolvedValue([
+                { reviewId: 1, status: 'posted', reply: { id: 1 } },
+                { reviewId: 2, status: 'rejected', error: 'Review already has a reply' },
+            ]);
+
+            const res = await request(app)
+                .post('/reviews/replies/bulk')
+                .set('Authorization', auth)
+                .send({ replies: [{ reviewId: 1, templateId: 8 }, { reviewId: 2 }] });
+
+            expect(res.status).toBe(200);
+            expect(res.body.posted).toBe(1);
+            expect(ReviewReplies.bulkReply).toHaveBeenCalledWith(
+                [{ reviewId: 1, templateId: 8 }, { reviewId: 2 }],
+                {
+                    user: expect.objectContaining({ id: 7 }),
+                    scope: { all: false, organizationIds: [3] },
+                }
+            );
+        });
+
+        it.each([[{}], [{ replies: [] }], [{ replies: Array(101).fill({ reviewId: 1 }) }]])(
+            'refuses an empty or oversized list (%#)',
+            async (body) => {
+                jest.spyOn(ReviewReplies, 'bulkReply');
+
+                const res = await request(app)
+                    .post('/reviews/replies/bulk')
+                    .set('Authorization', auth)
+                    .send(body);
+
+                expect(res.status).toBe(400);
+                expect(ReviewReplies.bulkReply).not.toHaveBeenCalled();
+            }
+        );
+
+        it('needs Google My Business access', async () => {
+            GoogleMyBusiness.checkAccess.mockResolvedValue(false);
+            jest.spyOn(GoogleMyBusiness, 'getAuthUrl').mockResolvedValue('https://accounts.google');
+
+            const res = await request(app)
+                .post('/reviews/replies/bulk')
+                .set('Authorization', auth)
+                .send({ replies: [{ reviewId: 1 }] });
+
+            expect(res.status).toBe(403);
+        });
+    });
+
+    describe('POST /reviews/replies/preview', () => {
+        it('renders each reply without posting', async () => {
+            jest.spyOn(ReviewReplies, 'prepare')
+                .mockResolvedValueOnce({
+                    facility: { id: 'F1' },
+                    templateId: 8,
+                    comment: 'Thank you Dana!',
+                })
+                .mockResolvedValueOnce({ error: 'Review not found' });
+            jest.spyOn(ReviewReplies, 'post');
+
+            const res = await request(app)
+                .post('/reviews/replies/preview')
+                .set('Authorization', auth)
+                .send({ replies: [{ reviewId: 1, templateId: 8 }, { reviewId: 99 }] });
+
+            expect(res.status).toBe(200);
+            expect(res.body.replies).toEqual([
+                { reviewId: 1, facilityId: 'F1', templateId: 8, comment: 'Thank you Dana!' },
+                { reviewId: 99, error: 'Review not found' },
+            ]);
+            expect(ReviewReplies.post).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('reply draft workflow', () => {
+        const facility = { id: 'F1', organization_id: 3 };
+        let draft;
+
+        beforeEach(() => {
+            draft = { id: 3, status: 'draft', facility_id: 'F1', gmb_review_id: 'R1' };
+            jest.spyOn(ReplyDraft, 'findWithReview').mockImplementation(async () => draft);
+            jest.spyOn(Facility, 'findAccessibleBy').mockResolvedValue(facility);
+            jest.spyOn(UserPermission, 'hasPermission').mockResolvedValue(true);
+            jest.spyOn(ReplyDrafts, 'transition').mockImplementation(async (d, action) => ({
+                id: d.id,
+                action,
+            }));
+            jest.spyOn(ReplyDrafts, 'publish').mockResolvedValue({ id: 3, status: 'published' });
+        });
+
+        const post = (path, body = {}) =>
+            request(app)
+                .post(`/reviews/reply-drafts/3/${path}`)
+                .set('Authorization', auth)
+                .send(body);
+
+        it('submits a draft with reviews.respond', async () => {
+            const res = await post('submit');
+
+            expect(res.status).toBe(200);
+            expect(UserPermission.hasPermission).toHaveBeenCalledWith(
+                expect.objectContaining({ id: 7 }),
+                'reviews.respond',
+                facility
+            );
+            expect(ReplyDrafts.transition).toHaveBeenCalledWith(
+                draft,
+                'submit',
+                expect.objectContaining({ id: 7 }),
+                { note: null }
+            );
+        });
+
+        it('refuses a transition the draft is not in a state for', async () => {
+            const res = await post('approve');
+
+            expect(res.status).toBe(409);
+            expect(res.body.error).toBe('Cannot approve a reply that is draft');
+            expect(ReplyDrafts.transition).not.toHaveBeenCalled();
+        });
+
+        it('needs reviews.approve to approve', async () => {
+            draft.status = 'submitted';
+            UserPermission.hasPermission.mockImplementation(
+                async (user, permission) => permission === 'reviews.respond'
+            );
+
+            const res = await post('approve');
+
+            expect(res.status).toBe(403);
+        });
+
+        it('needs a reason to reject', async () => {
+            draft.status = 'submitted';
+
+            expect((await post('reject')).status).toBe(400);
+            expect((await post('reject', { reason: 'Too informal' })).status).toBe(200);
+            expect(ReplyDrafts.transition).toHaveBeenCalledWith(
+                draft,
+                'reject',
+                expect.anything(),
+                { note: 'Too informal' }
+            );
+        });
+
+        it('publishes only approved replies', async () => {
+            draft.status = 'submitted';
+            expect((await post('publish')).status).toBe(409);
+
+            draft.status = 'approved';
+            expect((await post('publish')).status).toBe(200);
+            expect(ReplyDrafts.publish).toHaveBeenCalledWith(
+                draft,
+                facility,
+                expect.objectContaining({ id: 7 })
+            );
+        });
+
+        it("hides drafts of another organization's facility", async () => {
+            Facility.findAccessibleBy.mockResolvedValue(undefined);
+
+            const res = await post('submit');
+
+            expect(res.status).toBe(404);
+        });
+    });
+});
@@ -0,0 +1,73 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const crypto = require('crypto');
+const request = require('supertest');
+
+process.env.RATE_LIMIT_MAX_REQUESTS = '2';
+process.env.TWILIO_AUTH_TOKEN = 'twilio-token';
+process.env.TWILIO_INBOUND_URL = 'https://api.example.com/sms/inbound';
+
+const app = require('../../src/app');
+const Tenant = require('../../src/models/Tenant');
+const SmsSuppression = require('../../src/models/SmsSuppression');
+const SmsInboundMessage = require('../../src/models/SmsInboundMessage');
+const InboundSms = require('../../src/services/InboundSms');
+
+const sign = (params) =>
+    crypto
+        .createHmac('sha1', process.env.TWILIO_AUTH_TOKEN)
+        .update(
+            Object.keys(params)
+                .sort()
+                .reduce((data, key) => data + key + params[key], process.env.TWILIO_INBOUND_URL)
+        )
+        .digest('base64');
+
+const inbound = (params) =>
+    request(app)
+        .post('/sms/inbound')
+        .set('X-Twilio-Signature', sign(params))
+        .type('form')
+        .send(params);
+
+describe('SMS routes', () => {
+    const stop = { From: '+15125550100', To: '+15125550199', Body: 'STOP', MessageSid: 'SM1' };
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(SmsInboundMessage, 'record').mockResolvedValue({});
+        jest.spyOn(SmsSuppression, 'suppress').mockResolvedValue({});
+        jest.spyOn(Tenant, 'findByPhone').mockResolvedValue([]);
+    });
+
+    it('answers a STOP with TwiML even when the confirmation cannot be sent', async () => {
+        jest.spyOn(InboundSms.smsProvider, 'send').mockRejectedValue(new Error('21610'));
+
+        const res = await inbound(stop);
+
+        expect(res.status).toBe(200);
+        expect(res.type).toBe('text/xml');
+        expect(SmsSuppression.suppress).toHaveBeenCalledWith('+15125550100', 'STOP');
+    });
+
+    it('rejects an unsigned webhook', async () => {
+        const res = await request(app).post('/sms/inbound').type('form').send(stop);
+
+        expect(res.status).toBe(401);
+    });
+
+    it('does not rate limit the webhook', async () => {
+        jest.spyOn(InboundSms.smsProvider, 'send').mockResolvedValue({});
+
+        for (let i = 0; i < 4; i++) {
+            const res = await inbound({ ...stop, MessageSid: `SM${i}` });
+            expect(res.status).toBe(200);
+        }
+
+        let limited;
+        for (let i = 0; i < 3; i++) {
+            limited = await request(app).get('/sms/suppressions');
+        }
+        expect(limited.status).toBe(429);
+    });
+});
@@ -0,0 +1,118 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { authHeader } = require('../helpers/auth');
+const User = require('../../src/models/User');
+const UserToken = require('../../src/models/UserToken');
+const UserSession = require('../../src/models/UserSession');
+const AccountMailer = require('../../src/services/AccountMailer');
+
+const admin = { id: 1, role: 'admin' };
+const invited = { id: 5, email: 'new@example.com', role: 'staff', last_login_at: null };
+
+describe('user routes', () => {
+    let auth;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        auth = authHeader(admin);
+        jest.spyOn(User, 'findPublicById').mockImplementation(async (id) =>
+            id === invited.id ? invited : admin
+        );
+        jest.spyOn(User, 'update').mockResolvedValue({});
+        jest.spyOn(UserSession, 'revokeAllForUser').mockResolvedValue(2);
+        jest.spyOn(UserToken, 'issue').mockResolvedValue('invite-token');
+        jest.spyOn(AccountMailer, 'sendInvitation').mockResolvedValue({});
+    });
+
+    describe('PUT /users/:userId/role', () => {
+        it('ends the sessions of a user whose role changed', async () => {
+            User.findPublicById.mockResolvedValue({ ...invited, role: 'manager' });
+
+            const res = await request(app)
+                .put('/users/5/role')
+                .set('Authorization', auth)
+                .send({ role: 'staff' });
+
+            expect(res.status).toBe(200);
+            expect(User.update).toHaveBeenCalledWith(5, { role: 'staff' });
+            expect(UserSession.revokeAllForUser).toHaveBeenCalledWith(5);
+        });
+
+        it('keeps the sessions when the role is unchanged', async () => {
+            await request(app)
+                .put('/users/5/role')
+                .set('Authorization', auth)
+                .send({ role: 'staff' });
+
+            expect(UserSession.revokeAllForUser).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /users/invite', () => {
+        it('invites a new user', async () => {
+            jest.spyOn(User, 'findByEmail').mockResolvedValue(undefined);
+            jest.spyOn(User, 'inviteUser').mockResolvedValue(invited);
+
+            const res = await request(app)
+                .post('/users/invite')
+                .set('Authorization', auth)
+                .send({ email: 'new@example.com' });
+
+            expect(res.status).toBe(201);
+            expect(User.inviteUser).toHaveBeenCalledWith(
+                expect.objectContaining({ email: 'new@example.com', role: 'staff' })
+            );
+            expect(AccountMailer.sendInvitation).toHaveBeenCalledWith(
+                invited,
+                'invite-token',
+                expect.anything()
+            );
+        });
+
+        it('sends a new invitation to a user whose first one never arrived', async () => {
+            jest.spyOn(User, 'findByEmail').mockResolvedValue(invited);
+            jest.spyOn(UserToken, 'hasIssued').mockResolvedValue(true);
+            jest.spyOn(User, 'inviteUser');
+
+            const res = await request(app)
+                .post('/users/invite')
+                .set('Authorization', auth)
+                .send({ email: 'new@example.com', role: 'manager' });
+
+            expect(res.status).toBe(200);
+            expect(User.inviteUser).not.toHaveBeenCalled();
+            expect(User.update).toHaveBeenCalledWith(5, { role: 'manager' });
+            expect(AccountMailer.sendInvitation).toHaveBeenCalled();
+        });
+
+        it('keeps the role of a pending user when a resend names none', async () => {
+            jest.spyOn(User, 'findByEmail').mockResolvedValue({ ...invited, role: 'manager' });
+            jest.spyOn(UserToken, 'hasIssued').mockResolvedValue(true);
+
+            const res = await request(app)
+                .post('/users/invite')
+                .set('Authorization', auth)
+                .send({ email: 'new@example.com', firstName: 'Dana' });
+
+            expect(res.status).toBe(200);
+            expect(User.update).toHaveBeenCalledWith(5, { first_name: 'Dana' });
+        });
+
+        it('refuses the email of a user who has signed in', async () => {
+            jest.spyOn(User, 'findByEmail').mockResolvedValue({
+                ...invited,
+                last_login_at: new Date(),
+            });
+
+            const res = await request(app)
+                .post('/users/invite')
+                .set('Authorization', auth)
+                .send({ email: 'new@example.com' });
+
+            expect(res.status).toBe(400);
+            expect(AccountMailer.sendInvitation).not.toHaveBeenCalled();
+        });
+    });
+});
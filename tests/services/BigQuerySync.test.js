@@ -0,0 +1,113 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const BigQuerySync = require('../../src/services/BigQuerySync');
+const Tenant = require('../../src/models/Tenant');
+const Facility = require('../../src/models/Facility');
+const SmsSuppression = require('../../src/models/SmsSuppression');
+
+const report = (size) => ({ size, inserted: size, updated: 0, failed: 0 });
+
+const tenantRow = (id, overrides = {}) => ({
+    id,
+    facility_id: 'F1',
+    name: `Tenant ${id}`,
+    unit_number: `U${id}`,
+    move_in_date: { value: '2024-05-01' },
+    move_out_date: null,
+    payment_status: 'current',
+    balance: 0,
+    ...overrides,
+});
+
+describe('BigQuerySync', () => {
+    let bigQueryRows;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        bigQueryRows = { tenant_data: [], facility_data: [] };
+        jest.spyOn(BigQuerySync.bigquery, 'query').mockImplementation(async ({ query }) => [
+            query.includes('tenant_data') ? bigQueryRows.tenant_data : bigQueryRows.facility_data,
+        ]);
+        jest.spyOn(Facility, 'findExistingIds').mockResolvedValue(new Set(['F1']));
+        jest.spyOn(Facility, 'bulkUpsert').mockImplementation(async (rows) => [
+            report(rows.length),
+        ]);
+        jest.spyOn(Tenant, 'bulkUpsert').mockImplementation(async (rows) => [report(rows.length)]);
+        jest.spyOn(SmsSuppression, 'clearSuppressedOptIns').mockImplementation(
+            async (rows) => rows
+        );
+    });
+
+    describe('syncTenantData', () => {
+        it('writes facilities, then the tenants of known facilities', async () => {
+            bigQueryRows.facility_data = [{ id: 'F1', name: 'Main Street Storage' }];
+            bigQueryRows.tenant_data = [tenantRow(1), tenantRow(2)];
+
+            const { tenants, facilities } = await BigQuerySync.syncTenantData();
+
+            expect(facilities).toMatchObject({ total: 1, successCount: 1, failureCount: 0 });
+            expect(tenants).toMatchObject({ total: 2, successCount: 2, failureCount: 0 });
+            expect(Tenant.bulkUpsert.mock.calls[0][0][0]).toMatchObject({
+                facility_id: 'F1',
+                unit_number: 'U1',
+                move_in_date: '2024-05-01',
+                is_good_standing: true,
+            });
+        });
+
+        it('rejects tenants missing required fields before batching', async () => {
+            bigQueryRows.tenant_data = [
+                tenantRow(1),
+                tenantRow(2, { unit_number: null }),
+                tenantRow(3, { name: '' }),
+                tenantRow(4, { facility_id: null }),
+            ];
+
+            const { tenants } = await BigQuerySync.syncTenantData();
+
+            expect(tenants).toMatchObject({
+                total: 4,
+                successCount: 1,
+                failureCount: 3,
+                rejected: 3,
+            });
+            expect(Tenant.bulkUpsert.mock.calls[0][0]).toHaveLength(1);
+        });
+
+        it('rejects tenants of a facility that does not exist', async () => {
+            bigQueryRows.tenant_data = [tenantRow(1), tenantRow(2, { facility_id: 'F404' })];
+
+            const { tenants } = await BigQuerySync.syncTenantData();
+
+            expect(Facility.findExistingIds).toHaveBeenCalledWith(['F1', 'F404']);
+            expect(tenants).toMatchObject({ successCount: 1, failureCount: 1, rejected: 1 });
+            expect(Tenant.bulkUpsert.mock.calls[0][0].map((row) => row.unit_number)).toEqual([
+                'U1',
+            ]);
+        });
+
+        it('rejects facilities without an ID or name', async () => {
+            bigQueryRows.facility_data = [
+                { id: 'F1', name: 'Main Street Storage' },
+                { id: 'F2', name: null },
+                { id: null, name: 'Nowhere Storage' },
+            ];
+
+            const { facilities } = await BigQuerySync.syncTenantData();
+
+            expect(facilities).toMatchObject({ total: 3, successCount: 1, failureCount: 2 });
+            expect(Facility.bulkUpsert.mock.calls[0][0]).toEqual([
+                expect.objectContaining({ id: 'F1' }),
+            ]);
+        });
+
+        it('writes nothing when every tenant is rejected', async () => {
+            bigQueryRows.tenant_data = [tenantRow(1, { facility_id: 'F404' })];
+
+            const { tenants } = await BigQuerySync.syncTenantData();
+
+            expect(Tenant.bulkUpsert).not.toHaveBeenCalled();
+            expect(tenants).toMatchObject({ total: 1, successCount: 0, failureCount: 1 });
+        });
+    });
+});
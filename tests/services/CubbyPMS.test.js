@@ -0,0 +1,275 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const CubbyPMS = require('../../src/services/CubbyPMS');
+const Tenant = require('../../src/models/Tenant');
+const Facility = require('../../src/models/Facility');
+const SmsSuppression = require('../../src/models/SmsSuppression');
+const CubbySyncCursor = require('../../src/models/CubbySyncCursor');
+
+const batch = (size) => ({ size, inserted: size, updated: 0, failed: 0, error: null });
+
+// Serve `records` from the Cubby API as a single page
+const serve = (records) =>
+    jest.spyOn(CubbyPMS, 'fetchPages').mockImplementation(async function* () {
+        if (records.length) {
+            yield records;
+        }
+    });
+
+const tenants = (count) =>
+    Array.from({ length: count }, (_, i) => ({ name: `Tenant ${i}`, unitNumber: `U${i}` }));
+
+const facilities = (count) =>
+    Array.from({ length: count }, (_, i) => ({ id: `F${i}`, name: `Facility ${i}` }));
+
+describe('CubbyPMS', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        CubbyPMS.reconcileMinRatio = 0.5;
+        jest.spyOn(CubbySyncCursor, 'find').mockResolvedValue(null);
+        jest.spyOn(CubbySyncCursor, 'save').mockResolvedValue({});
+        jest.spyOn(SmsSuppression, 'clearSuppressedOptIns').mockImplementation(
+            async (rows) => rows
+        );
+        jest.spyOn(Tenant, 'bulkUpsert').mockImplementation(async (rows) => [batch(rows.length)]);
+        jest.spyOn(Tenant, 'markMissingAsMovedOut').mockResolvedValue(1);
+        jest.spyOn(Facility, 'bulkUpsert').mockImplementation(async (rows) => [batch(rows.length)]);
+        jest.spyOn(Facility, 'deactivateMissing').mockResolvedValue(1);
+    });
+
+    describe('syncTenants', () => {
+        it('marks tenants missing from a full resync as moved out', async () => {
+            serve(tenants(9));
+            jest.spyOn(Tenant, 'countCurrent').mockResolvedValue(10);
+
+            const result = await CubbyPMS.syncTenants('F1', { full: true });
+
+            expect(result.movedOut).toBe(1);
+            expect(Tenant.markMissingAsMovedOut).toHaveBeenCalledWith(
+                'F1',
+                tenants(9).map((tenant) => tenant.unitNumber)
+            );
+        });
+
+        it('leaves records without a unit number out of the reconciliation', async () => {
+            serve([...tenants(9), { name: 'No unit' }]);
+            jest.spyOn(Tenant, 'countCurrent').mockResolvedValue(10);
+
+            const result = await CubbyPMS.syncTenants('F1', { full: true });
+
+            expect(result).toEqual(expect.objectContaining({ total: 10, failureCount: 1 }));
+            expect(Tenant.markMissingAsMovedOut.mock.calls[0][1]).toStrictEqual(
+                tenants(9).map((tenant) => tenant.unitNumber)
+            );
+        });
+
+        it('keeps an invalid tenant that has a unit number from being moved out', async () => {
+            serve([...tenants(9), { unitNumber: 'U9' }]);
+            jest.spyOn(Tenant, 'countCurrent').mockResolvedValue(10);
+
+            await CubbyPMS.syncTenants('F1', { full: true });
+
+            expect(Tenant.markMissingAsMovedOut).toHaveBeenCalledWith(
+                'F1',
+                tenants(10).map((tenant) => tenant.unitNumber)
+            );
+        });
+
+        it('moves nobody out when Cubby returns no tenants', async () => {
+            serve([]);
+            jest.spyOn(Tenant, 'countCurrent').mockResolvedValue(10);
+
+            const result = await CubbyPMS.syncTenants('F1', { full: true });
+
+            expect(result.movedOut).toBeUndefined();
+            expect(Tenant.markMissingAsMovedOut).not.toHaveBeenCalled();
+        });
+
+        it('moves nobody out when Cubby returns far fewer tenants than are stored', async () => {
+            serve(tenants(4));
+            jest.spyOn(Tenant, 'countCurrent').mockResolvedValue(10);
+
+            await CubbyPMS.syncTenants('F1', { full: true });
+
+            expect(Tenant.markMissingAsMovedOut).not.toHaveBeenCalled();
+        });
+
+        it('reconciles an empty facility that has no current tenants', async () => {
+            serve([]);
+            jest.spyOn(Tenant, 'countCurrent').mockResolvedValue(0);
+
+            await CubbyPMS.syncTenants('F1', { full: true });
+
+            expect(Tenant.markMissingAsMovedOut).toHaveBeenCalledWith('F1', []);
+        });
+
+        it('does not reconcile on a delta sync', async () => {
+            jest.spyOn(CubbySyncCursor, 'find').mockResolvedValue({ updated_since: null });
+            serve(tenants(2));
+            jest.spyOn(Tenant, 'countCurrent').mockResolvedValue(10);
+
+            await CubbyPMS.syncTenants('F1');
+
+            expect(Tenant.countCurrent).not.toHaveBeenCalled();
+            expect(Tenant.markMissingAsMovedOut).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('syncFacilities', () => {
+        it('deactivates facilities missing from a full resync', async () => {
+            serve(facilities(5));
+            jest.spyOn(Facility, 'countActive').mockResolvedValue(6);
+
+            const result = await CubbyPMS.syncFacilities({ full: true });
+
+            expect(result.deactivated).toBe(1);
+            expect(Facility.deactivateMissing).toHaveBeenCalledWith(['F0', 'F1', 'F2', 'F3', 'F4']);
+        });
+
+        it("upserts the listing as Cubby's, reactivating facilities listed again", async () => {
+            jest.spyOn(CubbySyncCursor, 'find').mockResolvedValue({ updated_since: null });
+            serve(facilities(2));
+
+            await CubbyPMS.syncFacilities();
+
+            expect(Facility.bulkUpsert).toHaveBeenCalledWith(
+                [expect.objectContaining({ id: 'F0' }), expect.objectContaining({ id: 'F1' })],
+                CubbyPMS.batchSize,
+                { fromCubby: true }
+            );
+        });
+
+        it('leaves facilities without an id out of the reconciliation', async () => {
+            serve([...facilities(5), { name: 'No id' }]);
+            jest.spyOn(Facility, 'countActive').mockResolvedValue(6);
+
+            const result = await CubbyPMS.syncFacilities({ full: true });
+
+            expect(result.failureCount).toBe(1);
+            expect(Facility.deactivateMissing.mock.calls[0][0]).toStrictEqual([
+                'F0',
+                'F1',
+                'F2',
+                'F3',
+                'F4',
+            ]);
+        });
+
+        it('deactivates nothing when the listing is empty or truncated', async () => {
+            jest.spyOn(Facility, 'countActive').mockResolvedValue(6);
+
+            serve([]);
+            await CubbyPMS.syncFacilities({ full: true });
+            serve(facilities(2));
+            await CubbyPMS.syncFacilities({ full: true });
+
+            expect(Facility.deactivateMissing).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('handleWebhook', () => {
+        const tenant = {
+            id: 'T1',
+            facilityId: 'F1',
+            name: 'Ada Lovelace',
+            unitNumber: 'A12',
+            paymentStatus: 'current',
+            balance: 0,
+        };
+
+        beforeEach(() => {
+            jest.spyOn(CubbyPMS, 'getTenantDetails').mockResolvedValue(tenant);
+            jest.spyOn(CubbyPMS, 'getFacilityDetails').mockResolvedValue({
+                id: 'F1',
+                name: 'Main Street Storage',
+            });
+            jest.spyOn(CubbyPMS, 'syncTenants').mockResolvedValue({});
+            jest.spyOn(CubbyPMS, 'syncFacilities').mockResolvedValue({});
+        });
+
+        it.each([
+            'tenant.created',
+            'tenant.updated',
+            'tenant.moved_in',
+            'tenant.moved_out',
+            'tenant.payment_status_changed',
+        ])('fetches and upserts only the tenant of %s', async (event) => {
+            await CubbyPMS.handleWebhook({ event, data: { tenantId: 'T1', facilityId: 'F1' } });
+
+            expect(CubbyPMS.getTenantDetails).toHaveBeenCalledWith('T1');
+            expect(Tenant.bulkUpsert).toHaveBeenCalledWith(
+                [expect.objectContaining({ facility_id: 'F1', unit_number: 'A12' })],
+                1
+            );
+            expect(CubbyPMS.syncTenants).not.toHaveBeenCalled();
+        });
+
+        it('syncs the whole facility for a tenant event without a tenant id', async () => {
+            await CubbyPMS.handleWebhook({ event: 'tenant.updated', data: { facilityId: 'F1' } });
+
+            expect(CubbyPMS.syncTenants).toHaveBeenCalledWith('F1');
+            expect(CubbyPMS.getTenantDetails).not.toHaveBeenCalled();
+        });
+
+        it('fails a tenant event whose record lacks required fields', async () => {
+            CubbyPMS.getTenantDetails.mockResolvedValue({ ...tenant, unitNumber: null });
+
+            await expect(
+                CubbyPMS.handleWebhook({ event: 'tenant.updated', data: { tenantId: 'T1' } })
+            ).rejects.toThrow('Tenant T1 is missing required fields');
+            expect(Tenant.bulkUpsert).not.toHaveBeenCalled();
+        });
+
+        it.each(['facility.created', 'facility.updated'])(
+            "upserts only the facility of %s as Cubby's",
+            async (event) => {
+                await CubbyPMS.handleWebhook({ event, data: { facilityId: 'F1' } });
+
+                expect(CubbyPMS.getFacilityDetails).toHaveBeenCalledWith('F1');
+                expect(Facility.bulkUpsert).toHaveBeenCalledWith(
+                    [expect.objectContaining({ id: 'F1', name: 'Main Street Storage' })],
+                    1,
+                    { fromCubby: true }
+                );
+                expect(CubbyPMS.syncFacilities).not.toHaveBeenCalled();
+            }
+        );
+
+        it('deactivates the facility of facility.deleted, and a later update lists it again', async () => {
+            jest.spyOn(Facility, 'findById').mockResolvedValue({ id: 'F1', status: 'active' });
+            jest.spyOn(Facility, 'updateStatus').mockResolvedValue({
+                id: 'F1',
+                status: 'inactive',
+            });
+
+            await CubbyPMS.handleWebhook({ event: 'facility.deleted', data: { facilityId: 'F1' } });
+            await CubbyPMS.handleWebhook({ event: 'facility.updated', data: { id: 'F1' } });
+
+            expect(Facility.updateStatus).toHaveBeenCalledWith('F1', 'inactive');
+            expect(Facility.bulkUpsert).toHaveBeenCalledWith(
+                [expect.objectContaining({ id: 'F1' })],
+                1,
+                { fromCubby: true }
+            );
+        });
+
+        it('ignores facility.deleted for an unknown facility', async () => {
+            jest.spyOn(Facility, 'findById').mockResolvedValue(undefined);
+            jest.spyOn(Facility, 'updateStatus');
+
+            await CubbyPMS.handleWebhook({ event: 'facility.deleted', data: { facilityId: 'F9' } });
+
+            expect(Facility.updateStatus).not.toHaveBeenCalled();
+        });
+
+        it('acknowledges an unknown event without syncing anything', async () => {
+            await expect(
+                CubbyPMS.handleWebhook({ event: 'unit.rented', data: { unitId: 'U1' } })
+            ).resolves.toBe(true);
+
+            expect(CubbyPMS.getTenantDetails).not.toHaveBeenCalled();
+            expect(CubbyPMS.getFacilityDetails).not.toHaveBeenCalled();
+            expect(CubbyPMS.syncTenants).not.toHaveBeenCalled();
+        });
+    });
+});
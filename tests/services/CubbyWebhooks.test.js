@@ -0,0 +1,136 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const CubbyWebhookEvent = require('../../src/models/CubbyWebhookEvent');
+const { CubbyWebhooks } = require('../../src/services/CubbyWebhooks');
+
+const payload = { event: 'tenant.moved_in', data: { tenantId: 'T1' } };
+
+describe('CubbyWebhooks', () => {
+    let cubby;
+    let webhooks;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        cubby = { handleWebhook: jest.fn().mockResolvedValue({}) };
+        webhooks = new CubbyWebhooks({ cubby, batchSize: 2 });
+        jest.spyOn(webhooks, 'scheduleProcessing').mockImplementation(() => {});
+    });
+
+    describe('eventIdOf', () => {
+        it("uses Cubby's event id from the header or the payload", () => {
+            expect(webhooks.eventIdOf(payload, 'evt_1', '1717400000')).toBe('evt_1');
+            expect(webhooks.eventIdOf({ ...payload, id: 42 }, undefined, '1717400000')).toBe('42');
+            expect(webhooks.eventIdOf({ ...payload, eventId: 'evt_2' })).toBe('evt_2');
+        });
+
+        it('hashes the timestamp and body of a delivery without an id', () => {
+            const id = webhooks.eventIdOf(payload, undefined, '1717400000');
+
+            expect(id).toMatch(/^sha256:[0-9a-f]{64}$/);
+            expect(webhooks.eventIdOf({ ...payload }, undefined, '1717400000')).toBe(id);
+        });
+
+        it('treats the same body sent at another time as a new event', () => {
+            expect(webhooks.eventIdOf(payload, undefined, '1717400000')).not.toBe(
+                webhooks.eventIdOf(payload, undefined, '1717486400')
+            );
+        });
+    });
+
+    describe('receive', () => {
+        it('stores a new delivery and starts processing', async () => {
+            const event = { id: 1, event_id: 'evt_1', status: 'received' };
+            jest.spyOn(CubbyWebhookEvent, 'record').mockResolvedValue(event);
+
+            const result = await webhooks.receive(payload, 'evt_1', '1717400000');
+
+            expect(result).toEqual({ event, duplicate: false });
+            expect(CubbyWebhookEvent.record).toHaveBeenCalledWith('evt_1', payload);
+            expect(webhooks.scheduleProcessing).toHaveBeenCalled();
+        });
+
+        it('acknowledges a duplicate without processing it again', async () => {
+            const stored = { id: 1, event_id: 'evt_1', status: 'processed' };
+            jest.spyOn(CubbyWebhookEvent, 'record').mockResolvedValue(null);
+            jest.spyOn(CubbyWebhookEvent, 'findByEventId').mockResolvedValue(stored);
+
+            const result = await webhooks.receive(payload, 'evt_1', '1717400000');
+
+            expect(result).toEqual({ event: stored, duplicate: true });
+            expect(webhooks.scheduleProcessing).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('processPending', () => {
+        beforeEach(() => {
+            jest.spyOn(CubbyWebhookEvent, 'markProcessed').mockResolvedValue({});
+            jest.spyOn(CubbyWebhookEvent, 'markFailed').mockResolvedValue({});
+        });
+
+        it('claims batches until none are left and records each outcome', async () => {
+            const events = [1, 2, 3].map((id) => ({
+                id,
+                event_id: `evt_${id}`,
+                payload: { ...payload, id },
+            }));
+            jest.spyOn(CubbyWebhookEvent, 'claimPending')
+                .mockResolvedValueOnce(events.slice(0, 2))
+                .mockResolvedValueOnce(events.slice(2))
+                .mockResolvedValueOnce([]);
+            cubby.handleWebhook.mockImplementation(async (body) => {
+                if (body.id === 2) {
+                    throw new Error('Tenant not found');
+                }
+            });
+
+            const totals = await webhooks.processPending();
+
+            expect(totals).toEqual({ processed: 2, failed: 1 });
+            expect(CubbyWebhookEvent.claimPending).toHaveBeenCalledWith(2);
+            expect(CubbyWebhookEvent.markProcessed.mock.calls).toEqual([[1], [3]]);
+            expect(CubbyWebhookEvent.markFailed).toHaveBeenCalledWith(2, 'Tenant not found');
+        });
+
+        it('shares one run between concurrent calls', async () => {
+            let claiming = 0;
+            let overlapped = false;
+            jest.spyOn(CubbyWebhookEvent, 'claimPending').mockImplementation(async () => {
+                overlapped = overlapped || claiming > 0;
+                claiming++;
+                await new Promise((resolve) => setImmediate(resolve));
+                claiming--;
+                return [];
+            });
+
+            const [first, second] = await Promise.all([
+                webhooks.processPending(),
+                webhooks.processPending(),
+            ]);
+
+            expect(first).toBe(second);
+            expect(overlapped).toBe(false);
+            expect(CubbyWebhookEvent.claimPending).toHaveBeenCalledTimes(2);
+        });
+
+        it('picks up an event recorded after the run last found the log empty', async () => {
+            const event = { id: 4, event_id: 'evt_4', payload };
+            let later;
+            jest.spyOn(CubbyWebhookEvent, 'claimPending')
+                .mockImplementationOnce(async () => {
+                    // The event is recorded while this claim is still in flight
+                    await new Promise((resolve) => setImmediate(resolve));
+                    later = webhooks.processPending();
+                    return [];
+                })
+                .mockResolvedValueOnce([event])
+                .mockResolvedValue([]);
+
+            const totals = await webhooks.processPending();
+
+            expect(totals).toEqual({ processed: 1, failed: 0 });
+            expect(await later).toBe(totals);
+            expect(CubbyWebhookEvent.markProcessed).toHaveBeenCalledWith(4);
+            expect(webhooks.processing).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,86 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const Tenant = require('../../src/models/Tenant');
+const SmsSuppression = require('../../src/models/SmsSuppression');
+const SmsInboundMessage = require('../../src/models/SmsInboundMessage');
+const { InboundSms } = require('../../src/services/InboundSms');
+
+describe('InboundSms', () => {
+    let smsProvider;
+    let inbound;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        smsProvider = { send: jest.fn().mockResolvedValue({ id: 'SM1' }) };
+        inbound = new InboundSms({ smsProvider, brand: 'Golden Storage', support: 'help@x.com' });
+        jest.spyOn(SmsInboundMessage, 'record').mockResolvedValue({});
+        jest.spyOn(SmsSuppression, 'suppress').mockResolvedValue({});
+        jest.spyOn(SmsSuppression, 'release').mockResolvedValue({});
+        jest.spyOn(Tenant, 'findByPhone').mockResolvedValue([{ id: 1 }, { id: 2 }]);
+        jest.spyOn(Tenant, 'updateNotificationPreference').mockResolvedValue({});
+    });
+
+    describe('parseKeyword', () => {
+        it.each([
+            ['STOP', 'stop', 'STOP'],
+            ['stop', 'stop', 'STOP'],
+            [' Stop. ', 'stop', 'STOP'],
+            ['Unsubscribe!', 'stop', 'UNSUBSCRIBE'],
+            ['stop all', 'stop', 'STOPALL'],
+            ['start', 'start', 'START'],
+            ['Yes', 'start', 'YES'],
+            ['help?', 'help', 'HELP'],
+            ['info', 'help', 'INFO'],
+        ])('reads %j as %s', (body, keyword, word) => {
+            expect(inbound.parseKeyword(body)).toEqual({ keyword, word });
+        });
+
+        it.each([['please stop texting me'], ['Thanks!'], [''], [null], [undefined]])(
+            'ignores %j',
+            (body) => {
+                expect(inbound.parseKeyword(body)).toEqual({ keyword: null, word: null });
+            }
+        );
+    });
+
+    describe('handle', () => {
+        it('suppresses the sender, opts out their tenants and confirms', async () => {
+            const result = await inbound.handle({
+                from: '(512) 555-0100',
+                to: '+15125550199',
+                body: 'STOP',
+                messageSid: 'SM123',
+            });
+
+            expect(result).toEqual({ keyword: 'stop', tenants: 2, replied: true });
+            expect(SmsSuppression.suppress).toHaveBeenCalledWith('+15125550100', 'STOP');
+            expect(Tenant.updateNotificationPreference).toHaveBeenCalledWith(1, false);
+            expect(Tenant.updateNotificationPreference).toHaveBeenCalledWith(2, false);
+            expect(smsProvider.send).toHaveBeenCalledWith({
+                to: '+15125550100',
+                body: expect.stringContaining('unsubscribed from Golden Storage'),
+            });
+        });
+
+        it('keeps the opt-out when the provider refuses the confirmation', async () => {
+            smsProvider.send.mockRejectedValue(
+                new Error('Attempt to send to unsubscribed recipient (21610)')
+            );
+
+            const result = await inbound.handle({ from: '+15125550100', body: 'stop' });
+
+            expect(result).toEqual({ keyword: 'stop', tenants: 2, replied: false });
+            expect(SmsSuppression.suppress).toHaveBeenCalled();
+        });
+
+        it('logs other messages without replying', async () => {
+            const result = await inbound.handle({ from: '+15125550100', body: 'Thanks!' });
+
+            expect(result).toEqual({ keyword: null, tenants: 0 });
+            expect(SmsInboundMessage.record).toHaveBeenCalledWith(
+                expect.objectContaining({ from: '+15125550100', body: 'Thanks!', keyword: null })
+            );
+            expect(smsProvider.send).not.toHaveBeenCalled();
+        });
+    });
+});
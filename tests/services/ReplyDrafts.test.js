@@ -0,0 +1,176 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const Review = require('../../src/models/Review');
+const ReplyDraft = require('../../src/models/ReplyDraft');
+const ReplyDraftEvent = require('../../src/models/ReplyDraftEvent');
+const { ReplyDrafts } = require('../../src/services/ReplyDrafts');
+
+const staff = { id: 7 };
+const manager = { id: 8 };
+const facility = { id: 'F1', gmb_place_id: 'PLACE1' };
+const draft = (status, overrides = {}) => ({
+    id: 3,
+    status,
+    review_id: 1,
+    gmb_review_id: 'R1',
+    body: 'Thanks Dana!',
+    template_id: null,
+    ...overrides,
+});
+
+describe('ReplyDrafts', () => {
+    let gmb;
+    let replies;
+    let drafts;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        gmb = { deleteReviewReply: jest.fn().mockResolvedValue({}) };
+        replies = {
+            post: jest.fn().mockResolvedValue({ id: 11, created_at: '2024-06-03T12:00:00Z' }),
+        };
+        drafts = new ReplyDrafts({ gmb, replies });
+        jest.spyOn(ReplyDraft, 'create').mockImplementation(async (data) => ({ id: 3, ...data }));
+        jest.spyOn(ReplyDraft, 'update').mockImplementation(async (id, data) => ({ id, ...data }));
+        jest.spyOn(ReplyDraftEvent, 'record').mockResolvedValue({});
+        jest.spyOn(Review, 'findById').mockResolvedValue({ id: 1 });
+        jest.spyOn(Review, 'clearReply').mockResolvedValue({});
+    });
+
+    it('creates a draft and records who wrote it', async () => {
+        const created = await drafts.create({
+            review: { id: 1, facility_id: 'F1' },
+            body: 'Thanks Dana!',
+            author: staff,
+        });
+
+        expect(created).toMatchObject({ status: 'draft', author_id: 7, facility_id: 'F1' });
+        expect(ReplyDraftEvent.record).toHaveBeenCalledWith(3, {
+            actorId: 7,
+            action: 'create',
+            toStatus: 'draft',
+            body: 'Thanks Dana!',
+        });
+    });
+
+    describe('transition', () => {
+        it('submits a draft for approval', async () => {
+            const updated = await drafts.transition(draft('draft'), 'submit', staff);
+
+            expect(updated).toEqual({ id: 3, status: 'submitted' });
+            expect(ReplyDraftEvent.record).toHaveBeenCalledWith(3, {
+                actorId: 7,
+                action: 'submit',
+                fromStatus: 'draft',
+                toStatus: 'submitted',
+                note: null,
+            });
+        });
+
+        it('records the approver', async () => {
+            await drafts.transition(draft('submitted'), 'approve', manager);
+
+            expect(ReplyDraft.update).toHaveBeenCalledWith(3, {
+                status: 'approved',
+                approver_id: 8,
+                rejection_reason: null,
+            });
+        });
+
+        it('keeps the reason a reply was rejected', async () => {
+            await drafts.transition(draft('submitted'), 'reject', manager, {
+                note: 'Too informal',
+            });
+
+            expect(ReplyDraft.update).toHaveBeenCalledWith(3, {
+                status: 'rejected',
+                approver_id: 8,
+                rejection_reason: 'Too informal',
+            });
+        });
+    });
+
+    describe('edit', () => {
+        it('sends an edited reply back for approval', async () => {
+            await drafts.edit(draft('approved'), facility, 'Thank you, Dana!', staff);
+
+            expect(ReplyDraft.update).toHaveBeenCalledWith(3, {
+                body: 'Thank you, Dana!',
+                status: 'draft',
+            });
+            expect(replies.post).not.toHaveBeenCalled();
+        });
+
+        it('updates a published reply on Google straight away', async () => {
+            await drafts.edit(draft('published'), facility, 'Thank you, Dana!', manager);
+
+            expect(replies.post).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    facility,
+                    gmbReviewId: 'R1',
+                    comment: 'Thank you, Dana!',
+                    author: manager,
+                })
+            );
+            expect(ReplyDraft.update).toHaveBeenCalledWith(3, {
+                body: 'Thank you, Dana!',
+                published_reply_id: 11,
+                published_at: '2024-06-03T12:00:00Z',
+            });
+            expect(ReplyDraftEvent.record).toHaveBeenCalledWith(
+                3,
+                expect.objectContaining({ action: 'edit_published', toStatus: 'published' })
+            );
+        });
+    });
+
+    describe('publish', () => {
+        it('posts the approved reply and marks it published', async () => {
+            const updated = await drafts.publish(draft('approved'), facility, manager);
+
+            expect(replies.post).toHaveBeenCalledWith(
+                expect.objectContaining({ comment: 'Thanks Dana!', author: manager })
+            );
+            expect(updated).toMatchObject({ status: 'published', published_reply_id: 11 });
+        });
+
+        it('stays approved and records the failure when Google refuses', async () => {
+            replies.post.mockRejectedValue(new Error('Google API quota exceeded'));
+
+            await expect(drafts.publish(draft('approved'), facility, manager)).rejects.toThrow(
+                'Google API quota exceeded'
+            );
+            expect(ReplyDraft.update).not.toHaveBeenCalled();
+            expect(ReplyDraftEvent.record).toHaveBeenCalledWith(3, {
+                actorId: 8,
+                action: 'publish_failed',
+                fromStatus: 'approved',
+                toStatus: 'approved',
+                note: 'Google API quota exceeded',
+            });
+        });
+    });
+
+    describe('remove', () => {
+        it('discards an unpublished draft without touching Google', async () => {
+            await drafts.remove(draft('submitted'), facility, staff);
+
+            expect(gmb.deleteReviewReply).not.toHaveBeenCalled();
+            expect(ReplyDraftEvent.record).toHaveBeenCalledWith(
+                3,
+                expect.objectContaining({ action: 'discard', toStatus: 'deleted' })
+            );
+        });
+
+        it('deletes a published reply from Google', async () => {
+            await drafts.remove(draft('published'), facility, manager);
+
+            expect(gmb.deleteReviewReply).toHaveBeenCalledWith('PLACE1', 'R1');
+            expect(Review.clearReply).toHaveBeenCalledWith(1);
+            expect(ReplyDraftEvent.record).toHaveBeenCalledWith(
+                3,
+                expect.objectContaining({ action: 'delete_published' })
+            );
+        });
+    });
+});
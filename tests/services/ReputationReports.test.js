@@ -0,0 +1,107 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const ReportSubscription = require('../../src/models/ReportSubscription');
+const { ReputationReports } = require('../../src/services/ReputationReports');
+
+// Monday 3 June 2024, 14:30 UTC (10:30 in New York)
+const NOW = new Date('2024-06-03T14:30:00Z');
+
+const subscription = (overrides = {}) => ({
+    id: 1,
+    frequency: 'daily',
+    day_of_week: 1,
+    hour: 8,
+    timezone: null,
+    facility_timezone: 'America/New_York',
+    last_sent_at: null,
+    ...overrides,
+});
+
+describe('ReputationReports', () => {
+    let reports;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        reports = new ReputationReports({
+            now: () => NOW,
+            transport: { send: jest.fn() },
+            defaultTimezone: 'UTC',
+        });
+    });
+
+    describe('isDue', () => {
+        it('is due once the local hour has passed', () => {
+            expect(reports.isDue(subscription({ hour: 10 }), NOW)).toBe(true);
+            expect(reports.isDue(subscription({ hour: 11 }), NOW)).toBe(false);
+        });
+
+        it('is not due again on a day it was already sent', () => {
+            const sentThisMorning = new Date('2024-06-03T12:05:00Z');
+            const sentYesterday = new Date('2024-06-02T12:05:00Z');
+
+            expect(reports.isDue(subscription({ last_sent_at: sentThisMorning }), NOW)).toBe(false);
+            expect(reports.isDue(subscription({ last_sent_at: sentYesterday }), NOW)).toBe(true);
+        });
+
+        it('compares the sent date in local time', () => {
+            // 02:00 UTC on the 3rd is still the 2nd in New York
+            const sentLateLastNight = new Date('2024-06-03T02:00:00Z');
+
+            expect(reports.isDue(subscription({ last_sent_at: sentLateLastNight }), NOW)).toBe(
+                true
+            );
+        });
+
+        it('sends weekly reports only on their local weekday', () => {
+            expect(reports.isDue(subscription({ frequency: 'weekly', day_of_week: 1 }), NOW)).toBe(
+                true
+            );
+            expect(reports.isDue(subscription({ frequency: 'weekly', day_of_week: 2 }), NOW)).toBe(
+                false
+            );
+        });
+
+        it('falls back to the default timezone for a timezone Intl does not know', () => {
+            // 14:30 in UTC, so hour 14 has passed but hour 15 has not
+            const broken = { facility_timezone: 'Mars/Olympus_Mons' };
+
+            expect(reports.isDue(subscription({ ...broken, hour: 14 }), NOW)).toBe(true);
+            expect(reports.isDue(subscription({ ...broken, hour: 15 }), NOW)).toBe(false);
+        });
+
+        it('uses the subscription timezone when the facility has none', () => {
+            const portfolio = subscription({
+                facility_timezone: null,
+                timezone: 'Asia/Tokyo',
+                hour: 23,
+            });
+
+            // 23:30 in Tokyo
+            expect(reports.isDue(portfolio, NOW)).toBe(true);
+        });
+    });
+
+    describe('sendDue', () => {
+        it('keeps sending to other subscribers when one cannot be checked', async () => {
+            jest.spyOn(ReportSubscription, 'findActiveWithRecipients').mockResolvedValue([
+                subscription({ id: 1 }),
+                subscription({ id: 2 }),
+                subscription({ id: 3, hour: 23 }),
+            ]);
+            const isDue = reports.isDue.bind(reports);
+            jest.spyOn(reports, 'isDue').mockImplementation((sub, now) => {
+                if (sub.id === 1) {
+                    throw new RangeError('Invalid time zone specified');
+                }
+                return isDue(sub, now);
+            });
+            jest.spyOn(reports, 'send').mockResolvedValue({});
+
+            const totals = await reports.sendDue();
+
+            expect(totals).toEqual({ checked: 3, sent: 1, failed: 1 });
+            expect(reports.send).toHaveBeenCalledTimes(1);
+            expect(reports.send).toHaveBeenCalledWith(expect.objectContaining({ id: 2 }), NOW);
+        });
+    });
+});
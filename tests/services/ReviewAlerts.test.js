@@ -0,0 +1,46 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const { ReviewAlerts } = require('../../src/services/ReviewAlerts');
+
+const rule = { id: 3, name: 'Low ratings', rule_type: 'max_rating' };
+const alert = { id: 9, created_at: '2024-06-01T00:00:00Z' };
+const review = { id: 40, facility_id: 'F1', facility_name: 'Main Street Storage', rating: 1 };
+
+describe('ReviewAlerts webhook delivery', () => {
+    const http = { post: jest.fn().mockResolvedValue({}) };
+    const alerts = new ReviewAlerts({
+        http,
+        mailTransport: { send: jest.fn() },
+        smsProvider: { send: jest.fn() },
+        webhookSecret: 'secret',
+    });
+    const variables = alerts.buildVariables(rule, alert, review);
+
+    beforeEach(() => {
+        http.post.mockClear();
+    });
+
+    it('posts a signed event to a public https URL', async () => {
+        await alerts.deliver('webhook', 'https://hooks.example.com/alerts', {
+            rule,
+            alert,
+            review,
+            variables,
+        });
+
+        const [url, body, { headers }] = http.post.mock.calls[0];
+        expect(url).toBe('https://hooks.example.com/alerts');
+        expect(JSON.parse(body).event).toBe('review.alert');
+        expect(headers['X-Signature']).toMatch(/^sha256=[a-f0-9]{64}$/);
+    });
+
+    it.each(['http://hooks.example.com/alerts', 'https://169.254.169.254/latest/meta-data'])(
+        'refuses a stored webhook URL %s without requesting it',
+        async (url) => {
+            await expect(
+                alerts.deliver('webhook', url, { rule, alert, review, variables })
+            ).rejects.toThrow('Webhook URL must');
+            expect(http.post).not.toHaveBeenCalled();
+        }
+    );
+});
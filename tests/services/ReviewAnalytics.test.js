@@ -0,0 +1,238 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const { pool } = require('../helpers/database');
+const Review = require('../../src/models/Review');
+const Facility = require('../../src/models/Facility');
+const { ReviewAnalytics } = require('../../src/services/ReviewAnalytics');
+
+const FROM = new Date('2024-04-01T00:00:00Z');
+const TO = new Date('2024-05-01T00:00:00Z');
+
+const summaryRow = (facilityId, overrides = {}) => ({
+    facility_id: facilityId,
+    facility_name: facilityId && `Facility ${facilityId}`,
+    total_reviews: 10,
+    average_rating: 4.2,
+    rating_1: 1,
+    rating_2: 0,
+    rating_3: 1,
+    rating_4: 3,
+    rating_5: 5,
+    replied_reviews: 8,
+    median_response_hours: 6.5,
+    ...overrides,
+});
+
+describe('ReviewAnalytics', () => {
+    let analytics;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        pool.query.mockReset();
+        analytics = new ReviewAnalytics();
+    });
+
+    describe('summary', () => {
+        it('reports each facility and the overall row', async () => {
+            jest.spyOn(Review, 'getSummary').mockResolvedValue([
+                summaryRow('F1'),
+                summaryRow(null, { total_reviews: 0, average_rating: null, replied_reviews: 0 }),
+            ]);
+
+            const summary = await analytics.summary(['F1'], { from: FROM, to: TO });
+
+            expect(summary.facilities).toEqual([
+                expect.objectContaining({
+                    facilityId: 'F1',
+                    facilityName: 'Facility F1',
+                    responseRate: 80,
+                    ratingDistribution: { 1: 1, 2: 0, 3: 1, 4: 3, 5: 5 },
+                }),
+            ]);
+            expect(summary.overall.responseRate).toBeNull();
+            expect(summary.comparison).toBeUndefined();
+        });
+
+        it('compares with another range', async () => {
+            jest.spyOn(Review, 'getSummary')
+                .mockResolvedValueOnce([summaryRow(null)])
+                .mockResolvedValueOnce([
+                    summaryRow(null, {
+                        total_reviews: 4,
+                        average_rating: 3.75,
+                        replied_reviews: 1,
+                        median_response_hours: null,
+                    }),
+                ]);
+
+            const summary = await analytics.summary(['F1'], {
+                from: FROM,
+                to: TO,
+                compareFrom: new Date('2024-03-01T00:00:00Z'),
+                compareTo: FROM,
+            });
+
+            expect(summary.comparison.change).toEqual({
+                totalReviews: 6,
+                averageRating: 0.45,
+                responseRate: 55,
+                medianResponseHours: null,
+            });
+        });
+    });
+
+    describe('trend', () => {
+        it('groups buckets per facility, keeping facilities without reviews', async () => {
+            jest.spyOn(Review, 'getTrend').mockResolvedValue([
+                {
+                    facility_id: 'F1',
+                    bucket: '2024-04-01',
+                    reviews: 4,
+                    average_rating: 4.5,
+                    replied: 3,
+                    rolling_reviews: 4,
+                    rolling_average_rating: 4.5,
+                },
+                {
+                    facility_id: 'F1',
+                    bucket: '2024-04-08',
+                    reviews: 0,
+                    average_rating: null,
+                    replied: 0,
+                    rolling_reviews: 2,
+                    rolling_average_rating: 4.5,
+                },
+            ]);
+
+            const trend = await analytics.trend(['F1', 'F2'], {
+                from: FROM,
+                to: TO,
+                interval: 'week',
+                rollingWindow: 2,
+            });
+
+            expect(Review.getTrend).toHaveBeenCalledWith(['F1', 'F2'], {
+                from: FROM,
+                to: TO,
+                interval: 'week',
+                rollingWindow: 2,
+            });
+            expect(trend.facilities).toEqual([
+                {
+                    facilityId: 'F1',
+                    points: [
+                        expect.objectContaining({ bucket: '2024-04-01', responseRate: 75 }),
+                        expect.objectContaining({ bucket: '2024-04-08', responseRate: null }),
+                    ],
+                },
+                { facilityId: 'F2', points: [] },
+            ]);
+        });
+
+        it('rolls averages over the requested number of buckets', async () => {
+            pool.query.mockResolvedValue({ rows: [] });
+
+            await Review.getTrend(['F1'], {
+                from: FROM,
+                to: TO,
+                interval: 'week',
+                rollingWindow: 3,
+            });
+
+            const [sql] = pool.query.mock.calls[0];
+            expect(sql).toContain('ROWS BETWEEN 2 PRECEDING AND CURRENT ROW');
+        });
+    });
+
+    it('counts the buckets of a range', () => {
+        expect(analytics.countBuckets(FROM, TO, 'day')).toBe(30);
+        expect(analytics.countBuckets(FROM, TO, 'week')).toBe(5);
+        expect(analytics.countBuckets(FROM, TO, 'month')).toBe(1);
+    });
+
+    describe('portfolio', () => {
+        const stats = (overrides) => ({
+            facilities: 1,
+            total_reviews: 0,
+            average_rating: null,
+            unanswered_reviews: 0,
+            requests: 0,
+            requests_sent: 0,
+            requests_completed: 0,
+            ...overrides,
+        });
+        const scope = { all: false, organizationIds: [3] };
+
+        it('names city and state groups and derives their rates', async () => {
+            jest.spyOn(Facility, 'getPortfolioStats').mockResolvedValue([
+                stats({
+                    state: 'TX',
+                    city: 'Austin',
+                    requests: 8,
+                    requests_sent: 4,
+                    requests_completed: 1,
+                }),
+                stats({ state: 'TX', city: null }),
+                stats({
+                    state: null,
+                    city: null,
+                    is_total: true,
+                    facilities: 2,
+                    requests: 8,
+                    requests_sent: 4,
+                    requests_completed: 1,
+                }),
+            ]);
+
+            const portfolio = await analytics.portfolio(scope, {
+                from: FROM,
+                to: TO,
+                groupBy: 'city',
+                state: 'TX',
+            });
+
+            expect(Facility.getPortfolioStats).toHaveBeenCalledWith(scope, {
+                from: FROM,
+                to: TO,
+                groupBy: 'city',
+                state: 'TX',
+                city: undefined,
+                facilityId: undefined,
+            });
+            expect(portfolio.groups).toEqual([
+                expect.objectContaining({ name: 'Austin, TX', sendRate: 50, conversionRate: 25 }),
+                expect.objectContaining({ name: 'TX', sendRate: null, conversionRate: null }),
+            ]);
+            expect(portfolio.totals).toEqual(
+                expect.objectContaining({ facilities: 2, sendRate: 50 })
+            );
+            expect(portfolio.totals.name).toBeUndefined();
+        });
+
+        it('sorts groups without a value last in either direction and applies the limit', async () => {
+            jest.spyOn(Facility, 'getPortfolioStats').mockResolvedValue([
+                stats({ id: 'F1', name: 'North', average_rating: 3.9 }),
+                stats({ id: 'F2', name: 'South' }),
+                stats({ id: 'F3', name: 'East', average_rating: 4.6 }),
+                stats({ id: 'F4', name: 'West', average_rating: 2.5 }),
+            ]);
+            const names = (portfolio) => portfolio.groups.map((group) => group.name);
+
+            const ascending = await analytics.portfolio(scope, {
+                sort: 'averageRating',
+                order: 'asc',
+            });
+            const descending = await analytics.portfolio(scope, {
+                sort: 'averageRating',
+                order: 'desc',
+                limit: 2,
+            });
+            const byName = await analytics.portfolio(scope, {});
+
+            expect(names(ascending)).toEqual(['West', 'North', 'East', 'South']);
+            expect(names(descending)).toEqual(['East', 'North']);
+            expect(names(byName)).toEqual(['East', 'North', 'South', 'West']);
+            expect(ascending.totals).toBeNull();
+        });
+    });
+});
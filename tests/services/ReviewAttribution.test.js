@@ -0,0 +1,108 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const Review = require('../../src/models/Review');
+const ReviewRequest = require('../../src/models/ReviewRequest');
+const { ReviewAttribution } = require('../../src/services/ReviewAttribution');
+
+const NOW = new Date('2024-06-20T12:00:00Z');
+const facility = { id: 'F1' };
+
+const sentRequest = (overrides) => ({
+    id: 1,
+    tenant_name: 'Maria Garcia',
+    sent_at: '2024-06-10T15:00:00Z',
+    clicked_at: null,
+    google_clicked_at: null,
+    rating: null,
+    ...overrides,
+});
+
+const review = (overrides) => ({
+    id: 100,
+    reviewer_name: 'Maria G.',
+    reviewer_is_anonymous: false,
+    review_created_at: '2024-06-11T09:00:00Z',
+    rating: 5,
+    ...overrides,
+});
+
+describe('ReviewAttribution', () => {
+    const attribution = new ReviewAttribution({
+        now: () => NOW,
+        windowDays: 14,
+        minConfidence: 0.6,
+    });
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(ReviewRequest, 'markCompleted').mockResolvedValue({});
+    });
+
+    describe('score', () => {
+        it('is highest for a matching name that followed the Google link and rated the same', () => {
+            const request = sentRequest({
+                clicked_at: '2024-06-10T16:00:00Z',
+                google_clicked_at: '2024-06-10T16:05:00Z',
+                rating: 5,
+            });
+
+            expect(attribution.score(review(), request)).toBeGreaterThan(0.9);
+        });
+
+        it('is zero for reviews posted before the request or after the window', () => {
+            const request = sentRequest();
+
+            expect(
+                attribution.score(review({ review_created_at: '2024-06-09T00:00:00Z' }), request)
+            ).toBe(0);
+            expect(
+                attribution.score(review({ review_created_at: '2024-06-30T00:00:00Z' }), request)
+            ).toBe(0);
+        });
+
+        it('ignores the name of anonymous reviewers', () => {
+            const request = sentRequest();
+
+            expect(
+                attribution.score(review({ reviewer_is_anonymous: true }), request)
+            ).toBeLessThan(attribution.score(review(), request));
+        });
+    });
+
+    describe('attributeFacility', () => {
+        it('credits each review and request at most once, best match first', async () => {
+            const maria = sentRequest({ id: 1, google_clicked_at: '2024-06-10T16:00:00Z' });
+            const tom = sentRequest({ id: 2, tenant_name: 'Tom Baker' });
+            jest.spyOn(Review, 'findUnattributed').mockResolvedValue([
+                review({ id: 100 }),
+                review({ id: 101, reviewer_name: 'Maria Garcia' }),
+            ]);
+            jest.spyOn(ReviewRequest, 'findAttributionCandidates').mockResolvedValue([maria, tom]);
+
+            const attributed = await attribution.attributeFacility(facility);
+
+            expect(attributed).toBe(1);
+            expect(ReviewRequest.markCompleted).toHaveBeenCalledTimes(1);
+            expect(ReviewRequest.markCompleted).toHaveBeenCalledWith(
+                1,
+                expect.objectContaining({ id: 101 }),
+                expect.any(Number)
+            );
+        });
+
+        it('leaves reviews below the minimum confidence unattributed', async () => {
+            jest.spyOn(Review, 'findUnattributed').mockResolvedValue([
+                review({
+                    reviewer_name: 'Someone Else',
+                    review_created_at: '2024-06-22T00:00:00Z',
+                }),
+            ]);
+            jest.spyOn(ReviewRequest, 'findAttributionCandidates').mockResolvedValue([
+                sentRequest(),
+            ]);
+
+            expect(await attribution.attributeFacility(facility)).toBe(0);
+            expect(ReviewRequest.markCompleted).not.toHaveBeenCalled();
+        });
+    });
+});
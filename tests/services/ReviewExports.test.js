@@ -0,0 +1,50 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const { PassThrough, Writable } = require('stream');
+const ReviewCampaign = require('../../src/models/ReviewCampaign');
+const ReviewExports = require('../../src/services/ReviewExports');
+
+const campaigns = [
+    { id: 1, name: 'Spring', total_requests: '10', completed_reviews: '4' },
+    { id: 2, name: 'Summer', total_requests: '0', completed_reviews: '0' },
+];
+
+describe('ReviewExports', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(ReviewCampaign, 'findAllWithStats').mockResolvedValue(campaigns);
+    });
+
+    it('streams a CSV with a byte order mark, a header and one line per row', async () => {
+        const stream = new PassThrough();
+        const chunks = [];
+        stream.on('data', (chunk) => chunks.push(chunk));
+
+        const count = await ReviewExports.write('campaigns', 'csv', {}, stream);
+
+        const lines = Buffer.concat(chunks).toString('utf8').split('\r\n');
+        expect(count).toBe(2);
+        expect(lines[0].startsWith('﻿')).toBe(true);
+        expect(lines).toHaveLength(4);
+        expect(lines[1]).toContain('Spring');
+    });
+
+    it('fails instead of hanging when the client disconnects while it waits to drain', async () => {
+        // A client that stopped reading: the buffer fills and never drains
+        const stream = new Writable({ highWaterMark: 1, write: () => {} });
+
+        const pending = ReviewExports.write('campaigns', 'csv', {}, stream);
+        setImmediate(() => stream.destroy());
+
+        await expect(pending).rejects.toThrow('Export stream closed before the export finished');
+    });
+
+    it('stops before writing to a stream that is already closed', async () => {
+        const stream = new PassThrough();
+        stream.destroy();
+
+        await expect(ReviewExports.write('campaigns', 'xlsx', {}, stream)).rejects.toThrow(
+            'Export stream closed'
+        );
+    });
+});
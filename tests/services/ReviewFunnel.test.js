@@ -0,0 +1,154 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const { pool } = require('../../src/config/database');
+const ReviewRequest = require('../../src/models/ReviewRequest');
+const ReviewFeedback = require('../../src/models/ReviewFeedback');
+const { ReviewFunnel } = require('../../src/services/ReviewFunnel');
+
+const TOKEN = 'b'.repeat(48);
+const GOOGLE_URL = 'https://search.google.com/local/writereview?placeid=PLACE1';
+const reviewRequest = {
+    id: 5,
+    facility_id: 'F1',
+    tenant_id: 9,
+    facility_name: 'Main Street Storage',
+    facility_city: 'Austin',
+    facility_state: 'TX',
+    gmb_place_id: 'PLACE1',
+};
+
+describe('ReviewFunnel', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        pool.query.mockReset();
+        jest.spyOn(ReviewRequest, 'findWithFacilityByToken').mockResolvedValue(reviewRequest);
+        jest.spyOn(ReviewRequest, 'markClicked').mockResolvedValue({});
+        jest.spyOn(ReviewRequest, 'recordRating').mockResolvedValue({});
+        jest.spyOn(ReviewFeedback, 'createForRequest').mockResolvedValue({ id: 1 });
+    });
+
+    it('rejects unknown funnel modes', () => {
+        expect(() => new ReviewFunnel({ mode: 'five_stars_only' })).toThrow(
+            'Unknown review funnel mode'
+        );
+    });
+
+    describe('open', () => {
+        it('records the click and offers Google to everyone in ask_everyone mode', async () => {
+            const funnel = new ReviewFunnel({ mode: 'ask_everyone' });
+
+            const result = await funnel.open(TOKEN);
+
+            expect(ReviewRequest.markClicked).toHaveBeenCalledWith(5);
+            expect(result.facility).toEqual({
+                name: 'Main Street Storage',
+                city: 'Austin',
+                state: 'TX',
+            });
+            expect(result.googleReviewUrl).toBe(GOOGLE_URL);
+        });
+
+        it('holds the Google link back until a rating in gated mode', async () => {
+            const result = await new ReviewFunnel({ mode: 'gated' }).open(TOKEN);
+
+            expect(result.googleReviewUrl).toBeNull();
+        });
+
+        it('resolves to null for an unknown token', async () => {
+            ReviewRequest.findWithFacilityByToken.mockResolvedValue(undefined);
+
+            expect(await new ReviewFunnel().open(TOKEN)).toBeNull();
+            expect(ReviewRequest.markClicked).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('submitFeedback', () => {
+        it('stores the feedback and the rating', async () => {
+            const result = await new ReviewFunnel().submitFeedback(TOKEN, {
+                rating: 2,
+                comment: 'Gate code never worked',
+            });
+
+            expect(ReviewFeedback.createForRequest).toHaveBeenCalledWith(reviewRequest, {
+                rating: 2,
+                comment: 'Gate code never worked',
+            });
+            expect(ReviewRequest.recordRating).toHaveBeenCalledWith(5, 2);
+            expect(result).toEqual({ rating: 2, googleReviewUrl: GOOGLE_URL });
+        });
+
+        it('offers Google only from the minimum rating in gated mode', async () => {
+            const funnel = new ReviewFunnel({ mode: 'gated', minRating: 4 });
+
+            const low = await funnel.submitFeedback(TOKEN, { rating: 3 });
+            const high = await funnel.submitFeedback(TOKEN, { rating: 4 });
+
+            expect(low.googleReviewUrl).toBeNull();
+            expect(high.googleReviewUrl).toBe(GOOGLE_URL);
+        });
+
+        it('refuses a second submission without touching the request', async () => {
+            ReviewFeedback.createForRequest.mockResolvedValue(null);
+
+            const result = await new ReviewFunnel().submitFeedback(TOKEN, { rating: 1 });
+
+            expect(result).toEqual({ alreadySubmitted: true });
+            expect(ReviewRequest.recordRating).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('trackGoogleClick', () => {
+        beforeEach(() => {
+            jest.spyOn(ReviewRequest, 'markGoogleClicked').mockResolvedValue({});
+        });
+
+        it('records the click and returns the link in ask_everyone mode', async () => {
+            const result = await new ReviewFunnel().trackGoogleClick(TOKEN);
+
+            expect(result).toEqual({ googleReviewUrl: GOOGLE_URL });
+            expect(ReviewRequest.markGoogleClicked).toHaveBeenCalledWith(5);
+        });
+
+        it('returns the link in gated mode only when the rating passed the gate', async () => {
+            const funnel = new ReviewFunnel({ mode: 'gated', minRating: 4 });
+
+            ReviewRequest.findWithFacilityByToken.mockResolvedValue({
+                ...reviewRequest,
+                rating: 5,
+            });
+            expect(await funnel.trackGoogleClick(TOKEN)).toEqual({ googleReviewUrl: GOOGLE_URL });
+
+            ReviewRequest.markGoogleClicked.mockClear();
+            ReviewRequest.findWithFacilityByToken.mockResolvedValue({
+                ...reviewRequest,
+                rating: 2,
+            });
+            expect(await funnel.trackGoogleClick(TOKEN)).toEqual({ notOffered: true });
+            expect(ReviewRequest.markGoogleClicked).not.toHaveBeenCalled();
+        });
+
+        it('withholds the link in gated mode before any rating', async () => {
+            const funnel = new ReviewFunnel({ mode: 'gated', minRating: 4 });
+            ReviewRequest.findWithFacilityByToken.mockResolvedValue({
+                ...reviewRequest,
+                rating: null,
+            });
+
+            expect(await funnel.trackGoogleClick(TOKEN)).toEqual({ notOffered: true });
+        });
+    });
+
+    describe('ReviewRequest.recordRating', () => {
+        it('never moves a request back from completed', async () => {
+            ReviewRequest.recordRating.mockRestore();
+            pool.query.mockResolvedValue({ rows: [{ id: 5, status: 'completed' }] });
+
+            await ReviewRequest.recordRating(5, 4);
+
+            const [sql] = pool.query.mock.calls[0];
+            expect(sql).toContain(
+                "WHEN status IN ('pending', 'sent', 'clicked') THEN 'rated' ELSE status"
+            );
+        });
+    });
+});
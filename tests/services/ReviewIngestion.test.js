@@ -0,0 +1,99 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const Facility = require('../../src/models/Facility');
+const Review = require('../../src/models/Review');
+const GoogleMyBusiness = require('../../src/services/GoogleMyBusiness');
+const { ReviewIngestion } = require('../../src/services/ReviewIngestion');
+
+const NOW = new Date('2024-06-03T12:00:00Z');
+const facilities = [
+    { id: 'F1', gmb_place_id: 'PLACE1' },
+    { id: 'F2', gmb_place_id: 'PLACE2' },
+];
+
+describe('ReviewIngestion', () => {
+    let gmb;
+    let ingestion;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        gmb = {
+            gmbV4: {},
+            initialize: jest.fn(),
+            getAllLocationReviews: jest.fn().mockResolvedValue([
+                { reviewId: 'R1', starRating: 'FIVE' },
+                { reviewId: 'R2', starRating: 'TWO' },
+            ]),
+        };
+        ingestion = new ReviewIngestion({ gmb, now: () => NOW });
+        jest.spyOn(Facility, 'findWithGmbPlaceId').mockResolvedValue(facilities);
+        jest.spyOn(Facility, 'markReviewsSynced').mockResolvedValue({});
+        jest.spyOn(Review, 'upsertFromGoogle').mockImplementation(async (facilityId, review) => ({
+            inserted: review.reviewId === 'R1',
+        }));
+        jest.spyOn(Review, 'markMissingAsDeleted').mockResolvedValue(1);
+    });
+
+    it('copies every review of each facility and retires the ones Google no longer lists', async () => {
+        const totals = await ingestion.ingestAll();
+
+        expect(totals).toEqual({ facilities: 2, inserted: 2, updated: 2, deleted: 2, failed: 0 });
+        expect(gmb.getAllLocationReviews).toHaveBeenCalledWith('PLACE1');
+        expect(Review.upsertFromGoogle).toHaveBeenCalledWith(
+            'F1',
+            { reviewId: 'R1', starRating: 'FIVE' },
+            NOW
+        );
+        expect(Review.markMissingAsDeleted).toHaveBeenCalledWith('F2', NOW);
+        expect(Facility.markReviewsSynced).toHaveBeenCalledWith('F2', NOW);
+        expect(gmb.initialize).not.toHaveBeenCalled();
+    });
+
+    it('keeps going when one facility fails, without retiring its reviews', async () => {
+        gmb.getAllLocationReviews.mockImplementation(async (placeId) => {
+            if (placeId === 'PLACE1') {
+                throw new Error('Location not found');
+            }
+            return [{ reviewId: 'R3', starRating: 'FOUR' }];
+        });
+        Review.upsertFromGoogle.mockResolvedValue({ inserted: true });
+
+        const totals = await ingestion.ingestAll();
+
+        expect(totals).toEqual({ facilities: 1, inserted: 1, updated: 0, deleted: 1, failed: 1 });
+        expect(Review.markMissingAsDeleted).toHaveBeenCalledTimes(1);
+        expect(Review.markMissingAsDeleted).toHaveBeenCalledWith('F2', NOW);
+        expect(Facility.markReviewsSynced).not.toHaveBeenCalledWith('F1', expect.anything());
+    });
+
+    it('connects to Google first when needed', async () => {
+        gmb.gmbV4 = null;
+
+        await ingestion.ingestAll();
+
+        expect(gmb.initialize).toHaveBeenCalled();
+    });
+
+    describe('GoogleMyBusiness.getAllLocationReviews', () => {
+        it('follows page tokens until the last page', async () => {
+            const list = jest
+                .fn()
+                .mockResolvedValueOnce({
+                    data: { reviews: [{ reviewId: 'R1' }], nextPageToken: 'page-2' },
+                })
+                .mockResolvedValueOnce({ data: { reviews: [{ reviewId: 'R2' }] } });
+            const original = GoogleMyBusiness.gmbV4;
+            GoogleMyBusiness.gmbV4 = { accounts: { locations: { reviews: { list } } } };
+            try {
+                const reviews = await GoogleMyBusiness.getAllLocationReviews('PLACE1');
+
+                expect(reviews.map((review) => review.reviewId)).toEqual(['R1', 'R2']);
+                expect(list).toHaveBeenLastCalledWith(
+                    expect.objectContaining({ parent: 'locations/PLACE1', pageToken: 'page-2' })
+                );
+            } finally {
+                GoogleMyBusiness.gmbV4 = original;
+            }
+        });
+    });
+});
@@ -0,0 +1,167 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const Facility = require('../../src/models/Facility');
+const Review = require('../../src/models/Review');
+const ReviewReply = require('../../src/models/ReviewReply');
+const ReplyTemplate = require('../../src/models/ReplyTemplate');
+const UserPermission = require('../../src/models/UserPermission');
+const { ReviewReplies } = require('../../src/services/ReviewReplies');
+
+const NOW = new Date('2024-06-03T12:00:00Z');
+const user = { id: 7, role: 'staff' };
+const scope = { all: false, organizationIds: [3] };
+const facility = {
+    id: 'F1',
+    name: 'Main Street Storage',
+    city: 'Austin',
+    state: 'TX',
+    gmb_place_id: 'PLACE1',
+};
+const reviews = {
+    1: { id: 1, facility_id: 'F1', gmb_review_id: 'R1', reviewer_name: 'Dana Smith', rating: 5 },
+    2: { id: 2, facility_id: 'F1', gmb_review_id: 'R2', reply_comment: 'Thanks!' },
+    3: { id: 3, facility_id: 'F1', gmb_review_id: 'R3', deleted_at: new Date() },
+    4: { id: 4, facility_id: 'F9', gmb_review_id: 'R4' },
+    5: { id: 5, facility_id: 'F1', gmb_review_id: 'R5', reviewer_is_anonymous: true, rating: 4 },
+};
+
+describe('ReviewReplies', () => {
+    let gmb;
+    let replies;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        gmb = { respondToReview: jest.fn().mockResolvedValue({}) };
+        replies = new ReviewReplies({ gmb, now: () => NOW });
+        jest.spyOn(Review, 'findById').mockImplementation(async (id) => reviews[id]);
+        jest.spyOn(Review, 'recordReply').mockResolvedValue({});
+        jest.spyOn(Facility, 'findAccessibleBy').mockImplementation(async (column, id) =>
+            id === 'F1' ? facility : undefined
+        );
+        jest.spyOn(UserPermission, 'hasPermission').mockResolvedValue(true);
+        jest.spyOn(ReplyTemplate, 'findAccessibleById').mockImplementation(async (id) =>
+            id === 8 ? { id: 8, body: 'Thank you {{reviewerFirstName}}! - {{facilityName}}' } : null
+        );
+        jest.spyOn(ReviewReply, 'create').mockImplementation(async (entry) => ({
+            id: 1,
+            ...entry,
+        }));
+    });
+
+    describe('prepare', () => {
+        it('renders a template for the review', async () => {
+            const prepared = await replies.prepare({ reviewId: 1, templateId: 8 }, { user, scope });
+
+            expect(prepared).toMatchObject({
+                comment: 'Thank you Dana! - Main Street Storage',
+                templateId: 8,
+                facility,
+            });
+            expect(UserPermission.hasPermission).toHaveBeenCalledWith(
+                user,
+                'reviews.approve',
+                facility
+            );
+        });
+
+        it('leaves an anonymous reviewer unnamed', async () => {
+            const prepared = await replies.prepare({ reviewId: 5, templateId: 8 }, { user, scope });
+
+            expect(prepared.comment).toBe('Thank you ! - Main Street Storage');
+        });
+
+        it('prefers an explicit comment over the template', async () => {
+            const prepared = await replies.prepare(
+                { reviewId: 1, templateId: 8, comment: '  Thanks for the kind words  ' },
+                { user, scope }
+            );
+
+            expect(prepared).toMatchObject({
+                comment: 'Thanks for the kind words',
+                templateId: null,
+            });
+        });
+
+        it.each([
+            [{ reviewId: 99, comment: 'Hi' }, 'Review not found'],
+            [{ reviewId: '1', comment: 'Hi' }, 'Review not found'],
+            [{ reviewId: 3, comment: 'Hi' }, 'Review not found'],
+            [{ reviewId: 4, comment: 'Hi' }, 'Review not found'],
+            [{ reviewId: 2, comment: 'Hi' }, 'Review already has a reply'],
+            [{ reviewId: 1, templateId: 9 }, 'Reply template not found'],
+            [{ reviewId: 1, comment: '   ' }, 'A comment or templateId is required'],
+            [{ reviewId: 1, comment: 'x'.repeat(4097) }, 'Replies are limited to 4096 characters'],
+        ])('rejects %j', async (item, error) => {
+            expect(await replies.prepare(item, { user, scope })).toEqual({ error });
+        });
+
+        it('rejects a review the user may not reply to', async () => {
+            UserPermission.hasPermission.mockResolvedValue(false);
+
+            expect(await replies.prepare({ reviewId: 1, comment: 'Hi' }, { user, scope })).toEqual({
+                error: 'Insufficient permissions',
+            });
+        });
+    });
+
+    describe('bulkReply', () => {
+        it('posts what it can and reports every item', async () => {
+            gmb.respondToReview.mockImplementation(async (placeId, reviewId) => {
+                if (reviewId === 'R5') {
+                    throw new Error('Google API quota exceeded');
+                }
+            });
+
+            const results = await replies.bulkReply(
+                [
+                    { reviewId: 1, templateId: 8 },
+                    { reviewId: 2, comment: 'Hi' },
+                    { reviewId: 5, comment: 'Thanks!' },
+                ],
+                { user, scope }
+            );
+
+            expect(results.map(({ reviewId, status }) => [reviewId, status])).toEqual([
+                [1, 'posted'],
+                [2, 'rejected'],
+                [5, 'failed'],
+            ]);
+            expect(results[2].error).toBe('Google API quota exceeded');
+            expect(gmb.respondToReview).toHaveBeenCalledWith(
+                'PLACE1',
+                'R1',
+                'Thank you Dana! - Main Street Storage'
+            );
+            expect(Review.recordReply).toHaveBeenCalledTimes(1);
+            expect(Review.recordReply).toHaveBeenCalledWith(
+                1,
+                'Thank you Dana! - Main Street Storage',
+                NOW
+            );
+        });
+
+        it('logs posted and failed attempts with their author', async () => {
+            gmb.respondToReview
+                .mockResolvedValueOnce({})
+                .mockRejectedValueOnce(new Error('Google API quota exceeded'));
+
+            await replies.bulkReply(
+                [
+                    { reviewId: 1, comment: 'Thanks!' },
+                    { reviewId: 5, comment: 'Thanks!' },
+                ],
+                { user, scope }
+            );
+
+            expect(ReviewReply.create.mock.calls.map(([entry]) => entry)).toEqual([
+                expect.objectContaining({ review_id: 1, author_id: 7, status: 'posted' }),
+                expect.objectContaining({
+                    review_id: 5,
+                    author_id: 7,
+                    status: 'failed',
+                    error: 'Google API quota exceeded',
+                }),
+            ]);
+        });
+    });
+});
@@ -0,0 +1,166 @@
+jest.mock('../../src/config/database', () => require('../helpers/database'));
+
+const { pool } = require('../../src/config/database');
+const Facility = require('../../src/models/Facility');
+const Tenant = require('../../src/models/Tenant');
+const ReviewCampaign = require('../../src/models/ReviewCampaign');
+const ReviewRequest = require('../../src/models/ReviewRequest');
+const { ReviewRequestDispatcher } = require('../../src/services/ReviewRequestDispatcher');
+
+const NOW = new Date('2024-06-15T12:00:00Z');
+const facility = { id: 'F1', name: 'Main Street Storage' };
+const campaign = { id: 7, facility_id: 'F1', channels: ['sms', 'email'] };
+
+const fakeSender = (result) => ({ send: jest.fn().mockResolvedValue(result) });
+
+describe('ReviewRequestDispatcher', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        pool.query.mockReset();
+        jest.spyOn(Facility, 'findActive').mockResolvedValue([facility]);
+        jest.spyOn(ReviewCampaign, 'findActiveCampaigns').mockResolvedValue([campaign]);
+        jest.spyOn(ReviewCampaign, 'findPendingRequests').mockResolvedValue([]);
+        jest.spyOn(Tenant, 'findEligibleForReview').mockResolvedValue([]);
+        jest.spyOn(ReviewRequest, 'createForTenant').mockResolvedValue({});
+        jest.spyOn(ReviewRequest, 'markSent').mockResolvedValue({});
+        jest.spyOn(ReviewRequest, 'markSkipped').mockResolvedValue({});
+        jest.spyOn(ReviewRequest, 'markFailed').mockResolvedValue({});
+    });
+
+    describe('eligibility', () => {
+        it('asks for tenants past the delay window as of the injected clock', async () => {
+            const dispatcher = new ReviewRequestDispatcher({ now: () => NOW, delayDays: 3 });
+
+            await dispatcher.dispatch();
+
+            expect(ReviewCampaign.findActiveCampaigns).toHaveBeenCalledWith('F1', NOW);
+            expect(Tenant.findEligibleForReview).toHaveBeenCalledWith(
+                'F1',
+                expect.objectContaining({ asOf: NOW, delayDays: 3 })
+            );
+        });
+
+        it('applies the monthly cap and excludes tenants already asked in the campaign', async () => {
+            const dispatcher = new ReviewRequestDispatcher({ now: () => NOW, maxPerMonth: 2 });
+
+            await dispatcher.dispatch();
+
+            expect(Tenant.findEligibleForReview).toHaveBeenCalledWith(
+                'F1',
+                expect.objectContaining({ maxPerMonth: 2, campaignId: 7 })
+            );
+        });
+
+        it('binds the delay, 30-day cap and campaign dedup into the eligibility query', async () => {
+            Tenant.findEligibleForReview.mockRestore();
+            pool.query.mockResolvedValue({ rows: [] });
+
+            await Tenant.findEligibleForReview('F1', {
+                asOf: NOW,
+                delayDays: 3,
+                maxPerMonth: 2,
+                campaignId: 7,
+                limit: 10,
+            });
+
+            const [sql, params] = pool.query.mock.calls[0];
+            expect(params).toEqual(['F1', NOW, 3, 2, 7, 10]);
+            expect(sql).toContain("t.move_in_date <= $2::date - ($3::int * INTERVAL '1 day')");
+            expect(sql).toContain("rr.created_at >= $2::timestamptz - INTERVAL '30 days'");
+            expect(sql).toContain('rr.campaign_id = $5');
+        });
+    });
+
+    describe('request creation', () => {
+        it('creates a request on the first channel the tenant can be reached on', async () => {
+            Tenant.findEligibleForReview.mockResolvedValue([
+                { id: 1, phone: null, email: 'a@example.com' },
+                { id: 2, phone: '+15555550100', email: null },
+                { id: 3, phone: null, email: null },
+            ]);
+            const dispatcher = new ReviewRequestDispatcher({
+                now: () => NOW,
+                senders: { sms: fakeSender({}), email: fakeSender({}) },
+            });
+
+            const created = await dispatcher.createRequests(campaign, NOW);
+
+            expect(created).toBe(2);
+            expect(ReviewRequest.createForTenant.mock.calls.map((call) => call[2])).toEqual([
+                'email',
+                'sms',
+            ]);
+        });
+    });
+
+    describe('sending', () => {
+        const requests = [
+            { id: 11, channel: 'sms' },
+            { id: 12, channel: 'email' },
+        ];
+
+        beforeEach(() => {
+            ReviewCampaign.findPendingRequests.mockResolvedValue(requests);
+        });
+
+        it('marks delivered requests sent with the message ID and the injected time', async () => {
+            const sms = fakeSender({ messageId: 'SM1' });
+            const email = fakeSender({ messageId: 'EM1' });
+            const dispatcher = new ReviewRequestDispatcher({
+                now: () => NOW,
+                senders: { sms, email },
+            });
+
+            const result = await dispatcher.sendPending(campaign, facility);
+
+            expect(result).toEqual({ sent: 2, failed: 0, skipped: 0 });
+            expect(sms.send).toHaveBeenCalledWith({ request: requests[0], facility, campaign });
+            expect(ReviewRequest.markSent).toHaveBeenCalledWith(11, 'SM1', NOW);
+            expect(ReviewRequest.markSent).toHaveBeenCalledWith(12, 'EM1', NOW);
+        });
+
+        it('marks requests skipped when the sender declines them', async () => {
+            const dispatcher = new ReviewRequestDispatcher({
+                now: () => NOW,
+                senders: {
+                    sms: fakeSender({ skipped: true, reason: 'opted_out' }),
+                    email: fakeSender({ messageId: 'EM1' }),
+                },
+            });
+
+            const result = await dispatcher.sendPending(campaign, facility);
+
+            expect(result).toEqual({ sent: 1, failed: 0, skipped: 1 });
+            expect(ReviewRequest.markSkipped).toHaveBeenCalledWith(11, 'opted_out');
+            expect(ReviewRequest.markSent).not.toHaveBeenCalledWith(11, expect.anything(), NOW);
+        });
+
+        it('marks requests failed with the error and carries on', async () => {
+            const dispatcher = new ReviewRequestDispatcher({
+                now: () => NOW,
+                senders: {
+                    sms: { send: jest.fn().mockRejectedValue(new Error('carrier rejected')) },
+                    email: fakeSender({ messageId: 'EM1' }),
+                },
+            });
+
+            const result = await dispatcher.sendPending(campaign, facility);
+
+            expect(result).toEqual({ sent: 1, failed: 1, skipped: 0 });
+            expect(ReviewRequest.markFailed).toHaveBeenCalledWith(11, 'carrier rejected');
+        });
+
+        it('leaves requests pending when no sender is registered for their channel', async () => {
+            const dispatcher = new ReviewRequestDispatcher({
+                now: () => NOW,
+                senders: { email: fakeSender({ messageId: 'EM1' }) },
+            });
+
+            const result = await dispatcher.sendPending(campaign, facility);
+
+            expect(result).toEqual({ sent: 1, failed: 0, skipped: 0 });
+            expect(ReviewRequest.markFailed).not.toHaveBeenCalled();
+            expect(ReviewRequest.markSkipped).not.toHaveBeenCalled();
+        });
+    });
+});
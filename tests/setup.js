@@ -0,0 +1,4 @@
+// Keep service logging out of the test output and the log files
+require('../src/utils/logger').silent = true;
+
+process.env.JWT_SECRET = 'test-jwt-secret';
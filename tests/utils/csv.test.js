@@ -0,0 +1,41 @@
+const { csvField, csvRow } = require('../../src/utils/csv');
+
+describe('csv', () => {
+    describe('csvField', () => {
+        it('leaves plain values as they are', () => {
+            expect(csvField('Main Street Storage')).toBe('Main Street Storage');
+            expect(csvField(4.5)).toBe('4.5');
+        });
+
+        it('writes null and undefined as empty fields', () => {
+            expect(csvField(null)).toBe('');
+            expect(csvField(undefined)).toBe('');
+        });
+
+        it('writes dates as ISO strings', () => {
+            expect(csvField(new Date('2024-06-01T10:00:00Z'))).toBe('2024-06-01T10:00:00.000Z');
+        });
+
+        it('quotes fields with commas, quotes or line breaks', () => {
+            expect(csvField('Austin, TX')).toBe('"Austin, TX"');
+            expect(csvField('The "best" units')).toBe('"The ""best"" units"');
+            expect(csvField('line one\nline two')).toBe('"line one\nline two"');
+        });
+
+        it('defuses text a spreadsheet would run as a formula', () => {
+            expect(csvField('=HYPERLINK("http://evil.example")')).toBe(
+                '"\'=HYPERLINK(""http://evil.example"")"'
+            );
+            expect(csvField('+1 555 0100')).toBe("'+1 555 0100");
+            expect(csvField('@SUM(A1)')).toBe("'@SUM(A1)");
+        });
+
+        it('keeps negative numbers numeric', () => {
+            expect(csvField(-3)).toBe('-3');
+        });
+    });
+
+    it('joins a row with CRLF line endings', () => {
+        expect(csvRow(['a', null, 'b,c'])).toBe('a,,"b,c"\r\n');
+    });
+});
@@ -0,0 +1,29 @@
+const { nameSimilarity, nameTokens } = require('../../src/utils/nameMatch');
+
+describe('nameMatch', () => {
+    it('normalizes accents, case and punctuation into words', () => {
+        expect(nameTokens("  José  O'Neil-Smith ")).toEqual(['jose', 'o', 'neil', 'smith']);
+    });
+
+    it('scores identical names as a full match', () => {
+        expect(nameSimilarity('Maria Garcia', 'maria garcia')).toBe(1);
+    });
+
+    it('matches Google abbreviated last names', () => {
+        expect(nameSimilarity('Maria G.', 'Maria Garcia')).toBeCloseTo(0.95);
+        expect(nameSimilarity('Maria L.', 'Maria Garcia')).toBe(0.5);
+    });
+
+    it('reads tenant names stored as "Last, First"', () => {
+        expect(nameSimilarity('Maria Garcia', 'Garcia, Maria')).toBe(1);
+    });
+
+    it('treats a first name alone as weak evidence', () => {
+        expect(nameSimilarity('Maria', 'Maria Garcia')).toBeCloseTo(0.6);
+    });
+
+    it('scores unrelated or missing names as no match', () => {
+        expect(nameSimilarity('Tom Baker', 'Maria Garcia')).toBe(0);
+        expect(nameSimilarity('', 'Maria Garcia')).toBe(0);
+    });
+});
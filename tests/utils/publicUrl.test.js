@@ -0,0 +1,102 @@
+const dns = require('dns');
+const {
+    isPublicAddress,
+    urlProblem,
+    checkPublicUrl,
+    publicLookup,
+} = require('../../src/utils/publicUrl');
+
+describe('publicUrl', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it.each([
+        '127.0.0.1',
+        '10.1.2.3',
+        '172.20.0.1',
+        '192.168.1.10',
+        '169.254.169.254',
+        '100.64.0.1',
+        '0.0.0.0',
+        '::1',
+        'fe80::1',
+        'fd00::1',
+        '::ffff:127.0.0.1',
+    ])('treats %s as non-public', (address) => {
+        expect(isPublicAddress(address)).toBe(false);
+    });
+
+    it.each(['93.184.216.34', '2606:2800:220:1:248:1893:25c8:1946'])(
+        'treats %s as public',
+        (address) => {
+            expect(isPublicAddress(address)).toBe(true);
+        }
+    );
+
+    describe('urlProblem', () => {
+        it('accepts https URLs on public hosts', () => {
+            expect(urlProblem('https://hooks.example.com/alerts')).toBeNull();
+            expect(urlProblem('https://93.184.216.34/alerts')).toBeNull();
+        });
+
+        it.each([
+            ['http://hooks.example.com/alerts', 'must use https'],
+            ['https://localhost:5432/', 'must not point to a local host'],
+            ['https://169.254.169.254/latest/meta-data', 'must not point to a private'],
+            ['https://[::1]/hook', 'must not point to a private'],
+            ['not a url', 'must be a valid URL'],
+        ])('rejects %s', (url, problem) => {
+            expect(urlProblem(url)).toContain(problem);
+        });
+    });
+
+    describe('checkPublicUrl', () => {
+        it('rejects host names that resolve to internal addresses', async () => {
+            jest.spyOn(dns.promises, 'lookup').mockResolvedValue([
+                { address: '10.0.0.5', family: 4 },
+            ]);
+
+            expect(await checkPublicUrl('https://internal.example.com/hook')).toContain(
+                'must not resolve to a private'
+            );
+        });
+
+        it('accepts host names that resolve to public addresses', async () => {
+            jest.spyOn(dns.promises, 'lookup').mockResolvedValue([
+                { address: '93.184.216.34', family: 4 },
+            ]);
+
+            expect(await checkPublicUrl('https://hooks.example.com/hook')).toBeNull();
+        });
+    });
+
+    describe('publicLookup', () => {
+        const lookup = (hostname, options) =>
+            new Promise((resolve, reject) =>
+                publicLookup(hostname, options, (error, ...result) =>
+                    error ? reject(error) : resolve(result)
+                )
+            );
+
+        it('refuses to connect to a host re-pointed at an internal address', async () => {
+            jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) =>
+                callback(null, [{ address: '127.0.0.1', family: 4 }])
+            );
+
+            await expect(lookup('hooks.example.com', {})).rejects.toThrow(
+                'resolves to non-public address 127.0.0.1'
+            );
+        });
+
+        it('answers in the form the caller asked for', async () => {
+            const addresses = [{ address: '93.184.216.34', family: 4 }];
+            jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) =>
+                callback(null, addresses)
+            );
+
+            expect(await lookup('hooks.example.com', {})).toEqual(['93.184.216.34', 4]);
+            expect(await lookup('hooks.example.com', { all: true })).toEqual([addresses]);
+        });
+    });
+});